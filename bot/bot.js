@@ -1,11 +1,19 @@
 #!/usr/bin/env node
 
-import { Bot, GrammyError, HttpError } from 'grammy';
+import { Bot, GrammyError, HttpError, session } from 'grammy';
 import { conversations } from '@grammyjs/conversations';
 import { setupCommands } from './handlers/commands.js';
 import { setupConversations } from './handlers/conversations.js';
 import { setupErrorHandling } from './middleware/error.js';
 import { initializeCalendar, handleCalendarCallback, isCalendarCallback } from './utils/calendar.js';
+import { watchStore } from './utils/watch-store.js';
+import { createWatchScheduler } from './utils/watch-scheduler.js';
+import { priceHistory } from './utils/price-history-store.js';
+import { PriceHunter } from '../src/price-hunter.js';
+import { attachPriceHistory } from '../src/price-history.js';
+import { getFixtureDirsFromEnv } from '../src/client.js';
+import { loadConfig } from '../src/config.js';
+import { createSessionStorage, createInitialSession } from './utils/session-storage.js';
 
 // Validate required environment variables
 if (!process.env.BOT_TOKEN) {
@@ -18,23 +26,16 @@ if (!process.env.BOT_TOKEN) {
 // Initialize bot
 const bot = new Bot(process.env.BOT_TOKEN);
 
-// Simple session storage (in-memory for now)
-const userSessions = new Map();
-
-// Middleware to add session to context
-bot.use((ctx, next) => {
-    const userId = ctx.from?.id;
-    if (userId) {
-        if (!userSessions.has(userId)) {
-            userSessions.set(userId, {
-                selectedRoute: null,
-                searchHistory: []
-            });
-        }
-        ctx.session = userSessions.get(userId);
-    }
-    return next();
-});
+// User sessions (selected route, passengers, search history), kept per user in the storage
+// chosen by BOT_SESSION_STORAGE (file by default, so they survive restarts and deploys)
+bot.use(session({
+    initial: createInitialSession,
+    storage: await createSessionStorage(process.env.BOT_SESSION_STORAGE || 'file', {
+        token: process.env.BOT_TOKEN,
+        path: process.env.BOT_SESSION_PATH
+    }),
+    getSessionKey: (ctx) => ctx.from?.id?.toString()
+}));
 
 // Conversations middleware
 bot.use(conversations());
@@ -87,6 +88,28 @@ bot.catch((err) => {
     }
 });
 
+// Price alert scheduler (see utils/watch-scheduler.js), stopped on shutdown
+const watchController = new AbortController();
+
+const startWatchScheduler = () => {
+    const config = loadConfig();
+    const fixtures = getFixtureDirsFromEnv();
+    const hunter = new PriceHunter({ userAgent: 'db-price-hunter-bot', fixtures, config });
+    if (!fixtures.replay) {
+        attachPriceHistory(hunter.events, priceHistory);
+    }
+    
+    const watcher = createWatchScheduler(hunter, bot.api, watchStore, {
+        intervalMinutes: config.preferences.watchIntervalMinutes,
+        staggerSeconds: config.preferences.watchStaggerSeconds
+    });
+    
+    watcher.run(watchController.signal).catch(error => {
+        console.error('❌ Price alert scheduler stopped:', error);
+    });
+    console.log(`🔭 Price alert scheduler started (${Object.keys(watchStore.load()).length} subscriptions)`);
+};
+
 // Start bot
 const startBot = async () => {
     try {
@@ -97,11 +120,17 @@ const startBot = async () => {
             { command: 'start', description: 'Start the bot and show main menu' },
             { command: 'search', description: 'Search for train tickets' },
             { command: 'route', description: 'Quick search with predefined routes' },
+            { command: 'passengers', description: 'Set travellers, BahnCard and class' },
+            { command: 'watch', description: 'Get a message when a route gets cheaper' },
+            { command: 'watches', description: 'List your price alerts' },
+            { command: 'unwatch', description: 'Stop a price alert' },
             { command: 'help', description: 'Show help and usage information' }
         ]);
         
         console.log('📍 Bot commands have been set up in Telegram');
         
+        startWatchScheduler();
+        
         // In production/Railway, use webhooks. In development, try polling with timeout
         if (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT) {
             console.log('🔄 Production mode: Setting up webhook server...');
@@ -210,6 +239,7 @@ const setupWebhookServer = async () => {
 // Handle graceful shutdown
 const gracefulShutdown = () => {
     console.log('🛑 Shutting down bot gracefully...');
+    watchController.abort();
     bot.stop();
     process.exit(0);
 };
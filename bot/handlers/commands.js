@@ -1,7 +1,7 @@
 // Command handlers for the Telegram bot
 
-import { createClient } from 'db-vendo-client';
-import { profile as dbnavProfile } from 'db-vendo-client/p/dbnav/index.js';
+import { getFixtureDirsFromEnv } from '../../src/client.js';
+import { PriceHunter } from '../../src/price-hunter.js';
 import { loadConfig } from '../../src/config.js';
 import { 
     createMainMenuKeyboard, 
@@ -11,13 +11,28 @@ import {
 import { 
     formatWelcomeMessage, 
     formatHelpMessage,
-    formatSearchProgress 
+    formatSearchProgress,
+    formatWatchList,
+    escapeMarkdown
 } from '../utils/formatter.js';
 import { handleQuickSearch } from './quick-search.js';
+import { parsePassengerText, parseWatchText } from '../utils/validator.js';
+import { watchStore, MAX_WATCHES_PER_CHAT } from '../utils/watch-store.js';
+import { createWatch, validateWatch, describeWatch } from '../../src/price-watch.js';
+import { describePassengers } from '../../src/passengers.js';
+import { configureRequestLimiter } from '../../src/error-handler.js';
+import { configureJourneyCache } from '../../src/journey-cache.js';
 
-const client = createClient(dbnavProfile, 'db-price-hunter-bot');
+const hunter = new PriceHunter({ userAgent: 'db-price-hunter-bot', fixtures: getFixtureDirsFromEnv() });
 const config = loadConfig();
 
+// How long the snooze button pauses a price alert
+const WATCH_SNOOZE_HOURS = 24;
+
+// Searches of all users share one request limit and the journey cache
+configureRequestLimiter(config.preferences);
+configureJourneyCache(config.preferences);
+
 export function setupCommands(bot) {
     // Start command
     bot.command('start', async (ctx) => {
@@ -48,6 +63,116 @@ export function setupCommands(bot) {
         });
     });
 
+    // Passengers command - set travellers, BahnCard and class for fares
+    bot.command('passengers', async (ctx) => {
+        const text = ctx.match?.trim();
+        const current = ctx.session?.passengers || config.preferences.passengers;
+        
+        if (!text) {
+            await ctx.reply(
+                `👥 *Passengers*\n\n` +
+                `Current: ${describePassengers(current)}\n\n` +
+                `Change with e.g.:\n` +
+                `\`/passengers 2 adults, child 8, bahncard 50\`\n` +
+                `\`/passengers 1st class\`\n` +
+                `\`/passengers reset\``,
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        const result = parsePassengerText(text, current);
+        if (!result.valid) {
+            await ctx.reply(`❌ ${result.error}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (ctx.session) {
+            ctx.session.passengers = result.passengers;
+        }
+        
+        await ctx.reply(`✅ Passengers: ${describePassengers(result.passengers)}\nPrices will be totals for the whole group.`);
+    });
+
+    // Watch command - subscribe a route, date window and price limit to price alerts
+    bot.command('watch', async (ctx) => {
+        const text = ctx.match?.trim();
+        if (!text) {
+            await ctx.reply(
+                `🔭 *Price Alerts*\n\n` +
+                `I check the fares of a route regularly and message you when they drop below your limit or to a new low.\n\n` +
+                `Subscribe with e.g.:\n` +
+                `\`/watch Hamburg Frankfurt 2025-11-01 to 2025-11-30 one-way on fri below 25\`\n` +
+                `\`/watch Berlin Munich 2025-12-05 below 60\` (same-day return)`,
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        if (watchStore.listForChat(ctx.chat.id).length >= MAX_WATCHES_PER_CHAT) {
+            await ctx.reply(`❌ You already have ${MAX_WATCHES_PER_CHAT} price alerts. Stop one with /unwatch first.`);
+            return;
+        }
+        
+        const parsed = parseWatchText(text);
+        if (!parsed.valid) {
+            await ctx.reply(`❌ ${parsed.error}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        let departureStation;
+        let destinationStation;
+        try {
+            departureStation = await hunter.findStation(parsed.departure);
+            destinationStation = await hunter.findStation(parsed.destination);
+        } catch (error) {
+            console.error('Watch station lookup error:', error);
+            await ctx.reply('❌ Could not find one of the stations. Please check spelling.');
+            return;
+        }
+        
+        const watch = createWatch({
+            departureStation,
+            destinationStation,
+            tripType: parsed.tripType,
+            startDate: parsed.startDate,
+            endDate: parsed.endDate,
+            constraints: { passengers: ctx.session?.passengers || config.preferences.passengers }
+        }, { weekdays: parsed.weekdays, maxPrice: parsed.maxPrice });
+        
+        const errors = validateWatch(watch);
+        if (errors.length > 0) {
+            await ctx.reply(`❌ ${errors.join('\n')}`);
+            return;
+        }
+        
+        const id = watchStore.add(ctx.chat.id, watch);
+        // Station names can hold Markdown characters, so they are escaped
+        await ctx.reply(
+            `✅ *Price alert #${id}*\n` +
+            `📍 ${escapeMarkdown(describeWatch(watch))}\n` +
+            `👥 ${describePassengers(watch.constraints.passengers)}\n\n` +
+            `I'll check every ${config.preferences.watchIntervalMinutes} minutes and message you when a cheaper fare appears.`,
+            { parse_mode: 'Markdown' }
+        );
+    });
+
+    // Watches command - list the chat's price alerts
+    bot.command('watches', async (ctx) => {
+        await ctx.reply(formatWatchList(watchStore.listForChat(ctx.chat.id), config.preferences.watchIntervalMinutes), { parse_mode: 'Markdown' });
+    });
+
+    // Unwatch command - stop a price alert by its number
+    bot.command('unwatch', async (ctx) => {
+        const id = ctx.match?.trim().replace(/^#/, '');
+        if (!id) {
+            await ctx.reply('Which price alert should I stop? Use e.g. `/unwatch 3`, /watches shows the numbers.', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        await ctx.reply(stopWatch(ctx.chat.id, id));
+    });
+
     // Handle callback queries (button presses)
     setupCallbackHandlers(bot);
     
@@ -126,6 +251,24 @@ function setupCallbackHandlers(bot) {
         await ctx.conversation.enter('searchConversation');
     });
 
+    // Price alert buttons
+    bot.callbackQuery(/watch_snooze_(\d+)/, async (ctx) => {
+        const id = ctx.match[1];
+        const watch = watchStore.get(id);
+        if (!watch || watch.chatId !== ctx.chat.id) {
+            await ctx.answerCallbackQuery('❌ This price alert no longer exists');
+            return;
+        }
+        
+        watchStore.update(id, { snoozedUntil: new Date(Date.now() + WATCH_SNOOZE_HOURS * 60 * 60 * 1000).toISOString() });
+        await ctx.answerCallbackQuery(`😴 Price alert #${id} snoozed for ${WATCH_SNOOZE_HOURS} hours`);
+    });
+
+    bot.callbackQuery(/watch_stop_(\d+)/, async (ctx) => {
+        await ctx.answerCallbackQuery();
+        await ctx.reply(stopWatch(ctx.chat.id, ctx.match[1]));
+    });
+
     // Save search (placeholder)
     bot.callbackQuery('save_search', async (ctx) => {
         await ctx.answerCallbackQuery('💾 Search saving feature coming soon!');
@@ -149,7 +292,7 @@ function setupTextHandlers(bot) {
         }
         
         // Try to parse as quick search
-        if (await handleQuickSearch(ctx, text, client, config)) {
+        if (await handleQuickSearch(ctx, text, hunter, config)) {
             return; // Quick search handled
         }
         
@@ -167,6 +310,17 @@ function setupTextHandlers(bot) {
     });
 }
 
+// Remove a price alert of a chat and return the reply
+function stopWatch(chatId, id) {
+    const watch = watchStore.get(id);
+    if (!watch || watch.chatId !== chatId) {
+        return `❌ Price alert #${id} not found. /watches shows your alerts.`;
+    }
+    
+    watchStore.remove(id);
+    return `🛑 Stopped price alert #${id}: ${describeWatch(watch)}`;
+}
+
 async function handleRouteWithDate(ctx, dateText) {
     const route = ctx.session?.selectedRoute;
     if (!route) return;
@@ -179,7 +333,7 @@ async function handleRouteWithDate(ctx, dateText) {
         
         // Use the quick search handler with predefined route
         const searchText = `${route.departure.name} ${route.destination.name} ${dateText}`;
-        await handleQuickSearch(ctx, searchText, client, config);
+        await handleQuickSearch(ctx, searchText, hunter, config);
         
     } catch (error) {
         console.error('Error handling route with date:', error);
@@ -1,16 +1,18 @@
 // Conversation handlers for interactive searches
 
 import { createConversation } from '@grammyjs/conversations';
-import { createClient } from 'db-vendo-client';
-import { profile as dbnavProfile } from 'db-vendo-client/p/dbnav/index.js';
-import { searchSameDayTrips, searchOneWayTrips, searchMultiDayTrips, TRIP_TYPES } from '../../src/journey-search.js';
-import { lookupStation } from '../../src/cli-handler.js';
+import { getFixtureDirsFromEnv } from '../../src/client.js';
+import { PriceHunter } from '../../src/price-hunter.js';
+import { TRIP_TYPES } from '../../src/journey-search.js';
 import { validateDate, validateStationName, sanitizeInput } from '../utils/validator.js';
 import { formatTelegramResults, formatSearchProgress } from '../utils/formatter.js';
+import { searchWithLiveProgress } from '../utils/live-progress.js';
+import { priceHistory } from '../utils/price-history-store.js';
 import { createTripTypeKeyboard, createTimePreferenceKeyboard, createSearchActionKeyboard } from './keyboards.js';
 import { showCalendar, handleCalendarCallback, isCalendarCallback, formatDateForDisplay } from '../utils/calendar.js';
+import { addSearchToHistory } from '../utils/session-storage.js';
 
-const client = createClient(dbnavProfile, 'db-price-hunter-bot');
+const hunter = new PriceHunter({ userAgent: 'db-price-hunter-bot', fixtures: getFixtureDirsFromEnv() });
 
 // Define the search conversation function
 async function searchConversation(conversation, ctx) {
@@ -52,7 +54,7 @@ async function searchConversation(conversation, ctx) {
         const lookupMsg = await ctx.reply(formatSearchProgress('looking_up_station', departureText));
         
         try {
-            departureStation = await lookupStation(client, departureText);
+            departureStation = await hunter.findStation(departureText);
             await ctx.api.deleteMessage(ctx.chat.id, lookupMsg.message_id);
         } catch (error) {
             await ctx.api.deleteMessage(ctx.chat.id, lookupMsg.message_id);
@@ -96,7 +98,7 @@ async function searchConversation(conversation, ctx) {
         const lookupDestMsg = await ctx.reply(formatSearchProgress('looking_up_station', destinationText));
         
         try {
-            destinationStation = await lookupStation(client, destinationText);
+            destinationStation = await hunter.findStation(destinationText);
             await ctx.api.deleteMessage(ctx.chat.id, lookupDestMsg.message_id);
         } catch (error) {
             await ctx.api.deleteMessage(ctx.chat.id, lookupDestMsg.message_id);
@@ -132,7 +134,8 @@ async function searchConversation(conversation, ctx) {
         const tripTypeMap = {
             'trip_same_day': TRIP_TYPES.SAME_DAY,
             'trip_one_way': TRIP_TYPES.ONE_WAY,
-            'trip_multi_day': TRIP_TYPES.MULTI_DAY
+            'trip_multi_day': TRIP_TYPES.MULTI_DAY,
+            'trip_regional': TRIP_TYPES.REGIONAL
         };
         
         const tripType = tripTypeMap[tripTypeCtx.callbackQuery.data];
@@ -145,7 +148,8 @@ async function searchConversation(conversation, ctx) {
         const tripTypeLabel = {
             [TRIP_TYPES.SAME_DAY]: '🔄 Same Day Return',
             [TRIP_TYPES.ONE_WAY]: '➡️ One Way',
-            [TRIP_TYPES.MULTI_DAY]: '📅 Multi-Day'
+            [TRIP_TYPES.MULTI_DAY]: '📅 Multi-Day',
+            [TRIP_TYPES.REGIONAL]: '🚆 Deutschlandticket'
         }[tripType];
         
         await tripTypeCtx.editMessageText(
@@ -202,7 +206,7 @@ async function searchConversation(conversation, ctx) {
                     
                     dateValidation = {
                         valid: true,
-                        startDate: new Date(selectedDate)
+                        startDate: selectedDate
                     };
                 } else if (calendarResult.error) {
                     await ctx.reply(`❌ Calendar error: ${calendarResult.error}\n\nUse /search to try again.`);
@@ -249,73 +253,38 @@ async function searchConversation(conversation, ctx) {
         const searchMsg = await ctx.reply(formatSearchProgress('searching'));
         
         try {
+            // The session lives outside the conversation, so read it through external()
+            const passengers = await conversation.external((outsideCtx) => outsideCtx.session?.passengers || null);
+            
             const searchParams = {
                 departureStation,
                 destinationStation,
                 startDate: dateValidation.startDate,
                 endDate: dateValidation.endDate || dateValidation.startDate,
                 tripType,
-                timePreferences: null
+                timePreferences: null,
+                passengers
             };
 
-            let results;
-            const searchConfig = { 
-                preferences: { 
+            // For multi-day, use same-day logic for now
+            // In production, implement proper multi-day search.
+            // A live "best so far" message is kept up to date while the dates come in
+            const searchRequest = {
+                tripType: tripType === TRIP_TYPES.MULTI_DAY ? TRIP_TYPES.SAME_DAY : tripType,
+                from: departureStation,
+                to: destinationStation,
+                startDate: searchParams.startDate,
+                endDate: searchParams.endDate,
+                preferences: {
                     maxConcurrency: 2,
-                    retryAttempts: 3
-                } 
+                    retryAttempts: 3,
+                    maxResults: 3, // Cheapest combination plus two alternatives per date
+                    passengers
+                }
             };
-
-            switch (tripType) {
-                case TRIP_TYPES.ONE_WAY:
-                    results = await searchOneWayTrips(
-                        client,
-                        searchConfig,
-                        departureStation.id,
-                        destinationStation.id,
-                        searchParams.startDate,
-                        searchParams.endDate,
-                        null, // timePreferences
-                        true, // silent
-                        true  // isNestedSearch
-                    );
-                    break;
-                    
-                case TRIP_TYPES.SAME_DAY:
-                    results = await searchSameDayTrips(
-                        client,
-                        searchConfig,
-                        departureStation.id,
-                        destinationStation.id,
-                        searchParams.startDate,
-                        searchParams.endDate,
-                        null, // timePreferences
-                        null, // returnDepartureStation
-                        true, // silent
-                        true  // isNestedSearch
-                    );
-                    break;
-                    
-                case TRIP_TYPES.MULTI_DAY:
-                    // For multi-day, use same-day logic for now
-                    // In production, implement proper multi-day search
-                    results = await searchSameDayTrips(
-                        client,
-                        searchConfig,
-                        departureStation.id,
-                        destinationStation.id,
-                        searchParams.startDate,
-                        searchParams.endDate,
-                        null,
-                        null,
-                        true,
-                        true
-                    );
-                    break;
-                    
-                default:
-                    throw new Error('Invalid trip type');
-            }
+            const searchStartedAt = new Date();
+            // Each price is judged against the history recorded before this search
+            const results = hunter.addVerdicts(await searchWithLiveProgress(ctx, searchMsg, hunter, searchRequest), searchRequest, priceHistory, searchStartedAt);
 
             // Delete search progress message
             await ctx.api.deleteMessage(ctx.chat.id, searchMsg.message_id);
@@ -340,17 +309,12 @@ async function searchConversation(conversation, ctx) {
                 reply_markup: createSearchActionKeyboard()
             });
 
-            // Store search in session (if available)
-            if (ctx.session) {
-                if (!ctx.session.searchHistory) {
-                    ctx.session.searchHistory = [];
-                }
-                ctx.session.searchHistory.push({
-                    searchParams,
-                    results: results.length,
-                    timestamp: new Date()
-                });
-            }
+            // Store search in the session history (written through external(), like the passengers above)
+            await conversation.external((outsideCtx) => addSearchToHistory(outsideCtx.session, {
+                searchParams,
+                results: results.length,
+                timestamp: new Date()
+            }));
 
         } catch (error) {
             console.error('Search error in conversation:', error);
@@ -38,12 +38,23 @@ export function createSearchActionKeyboard() {
     };
 }
 
+// Buttons under a price alert: snooze the subscription or stop it
+export function createWatchAlertKeyboard(watchId) {
+    return {
+        inline_keyboard: [[
+            { text: '😴 Snooze 1 day', callback_data: `watch_snooze_${watchId}` },
+            { text: '🛑 Stop watching', callback_data: `watch_stop_${watchId}` }
+        ]]
+    };
+}
+
 export function createTripTypeKeyboard() {
     return {
         inline_keyboard: [
             [{ text: '🔄 Same Day Return', callback_data: 'trip_same_day' }],
             [{ text: '➡️ One Way', callback_data: 'trip_one_way' }],
             [{ text: '📅 Multi-Day', callback_data: 'trip_multi_day' }],
+            [{ text: '🚆 Deutschlandticket (regional only)', callback_data: 'trip_regional' }],
             [{ text: '🔙 Cancel', callback_data: 'cancel_search' }]
         ]
     };
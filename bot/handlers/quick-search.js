@@ -1,22 +1,25 @@
 // Quick search handler for parsing text-based searches
 
-import { searchSameDayTrips, searchOneWayTrips, TRIP_TYPES } from '../../src/journey-search.js';
-import { lookupStation } from '../../src/cli-handler.js';
+import { TRIP_TYPES } from '../../src/journey-search.js';
 import { validateDate } from '../utils/validator.js';
 import { formatTelegramResults, formatSearchProgress } from '../utils/formatter.js';
+import { searchWithLiveProgress } from '../utils/live-progress.js';
+import { priceHistory } from '../utils/price-history-store.js';
 import { createSearchActionKeyboard } from './keyboards.js';
+import { addSearchToHistory } from '../utils/session-storage.js';
 
-export async function handleQuickSearch(ctx, text, client, config) {
+export async function handleQuickSearch(ctx, text, hunter, config) {
     // Parse patterns like:
     // "Berlin Munich 2025-08-15"
     // "Hamburg Frankfurt 2025-08-20 one-way"
+    // "Hamburg Bremen 2025-08-20 regional"
     // "Cologne Dortmund 2025-08-15 to 2025-08-20"
     
     const patterns = [
         // Station1 Station2 Date [trip-type]
-        /^(.+?)\s+(.+?)\s+(\d{4}-\d{2}-\d{2}(?:\s+to\s+\d{4}-\d{2}-\d{2})?)\s*(one-way|same-day|multi-day)?$/i,
+        /^(.+?)\s+(.+?)\s+(\d{4}-\d{2}-\d{2}(?:\s+to\s+\d{4}-\d{2}-\d{2})?)\s*(one-way|same-day|multi-day|regional)?$/i,
         // Station1 to Station2 Date [trip-type]
-        /^(.+?)\s+to\s+(.+?)\s+(\d{4}-\d{2}-\d{2}(?:\s+to\s+\d{4}-\d{2}-\d{2})?)\s*(one-way|same-day|multi-day)?$/i
+        /^(.+?)\s+to\s+(.+?)\s+(\d{4}-\d{2}-\d{2}(?:\s+to\s+\d{4}-\d{2}-\d{2})?)\s*(one-way|same-day|multi-day|regional)?$/i
     ];
     
     let match = null;
@@ -53,7 +56,7 @@ export async function handleQuickSearch(ctx, text, client, config) {
             formatSearchProgress('looking_up_station', departureText.trim())
         );
         
-        const departureStation = await lookupStation(client, departureText.trim());
+        const departureStation = await hunter.findStation(departureText.trim());
         
         // Lookup destination station
         await ctx.api.editMessageText(
@@ -62,7 +65,7 @@ export async function handleQuickSearch(ctx, text, client, config) {
             formatSearchProgress('looking_up_station', destinationText.trim())
         );
         
-        const destinationStation = await lookupStation(client, destinationText.trim());
+        const destinationStation = await hunter.findStation(destinationText.trim());
         
         // Determine trip type
         let tripType = TRIP_TYPES.SAME_DAY; // default
@@ -70,7 +73,8 @@ export async function handleQuickSearch(ctx, text, client, config) {
             const typeMap = {
                 'one-way': TRIP_TYPES.ONE_WAY,
                 'same-day': TRIP_TYPES.SAME_DAY,
-                'multi-day': TRIP_TYPES.MULTI_DAY
+                'multi-day': TRIP_TYPES.MULTI_DAY,
+                'regional': TRIP_TYPES.REGIONAL
             };
             tripType = typeMap[tripTypeText.toLowerCase()] || TRIP_TYPES.SAME_DAY;
         }
@@ -88,43 +92,27 @@ export async function handleQuickSearch(ctx, text, client, config) {
             startDate: dateValidation.startDate,
             endDate: dateValidation.endDate || dateValidation.startDate,
             tripType,
-            timePreferences: null
+            timePreferences: null,
+            passengers: ctx.session?.passengers || config.preferences.passengers
         };
         
-        let results;
-        const searchConfig = { 
-            preferences: { 
+        // Multi-day quick searches look for same-day returns
+        const searchRequest = {
+            tripType: tripType === TRIP_TYPES.MULTI_DAY ? TRIP_TYPES.SAME_DAY : tripType,
+            from: departureStation,
+            to: destinationStation,
+            startDate: searchParams.startDate,
+            endDate: searchParams.endDate,
+            preferences: {
                 maxConcurrency: 2,
-                retryAttempts: 2
-            } 
+                retryAttempts: 2,
+                maxResults: 3, // Cheapest combination plus two alternatives per date
+                passengers: searchParams.passengers
+            }
         };
-        
-        if (tripType === TRIP_TYPES.ONE_WAY) {
-            results = await searchOneWayTrips(
-                client,
-                searchConfig,
-                departureStation.id,
-                destinationStation.id,
-                searchParams.startDate,
-                searchParams.endDate,
-                null, // timePreferences
-                true, // silent
-                true  // isNestedSearch
-            );
-        } else {
-            results = await searchSameDayTrips(
-                client,
-                searchConfig,
-                departureStation.id,
-                destinationStation.id,
-                searchParams.startDate,
-                searchParams.endDate,
-                null, // timePreferences
-                null, // returnDepartureStation
-                true, // silent
-                true  // isNestedSearch
-            );
-        }
+        const searchStartedAt = new Date();
+        // Each price is judged against the history recorded before this search
+        const results = hunter.addVerdicts(await searchWithLiveProgress(ctx, progressMsg, hunter, searchRequest), searchRequest, priceHistory, searchStartedAt);
         
         // Delete progress message
         await ctx.api.deleteMessage(ctx.chat.id, progressMsg.message_id);
@@ -136,17 +124,12 @@ export async function handleQuickSearch(ctx, text, client, config) {
             reply_markup: createSearchActionKeyboard()
         });
         
-        // Store search in session history (if available)
-        if (ctx.session) {
-            if (!ctx.session.searchHistory) {
-                ctx.session.searchHistory = [];
-            }
-            ctx.session.searchHistory.push({
-                searchParams,
-                results: results?.length || 0,
-                timestamp: new Date()
-            });
-        }
+        // Store search in session history
+        addSearchToHistory(ctx.session, {
+            searchParams,
+            results: results?.length || 0,
+            timestamp: new Date()
+        });
         
         return true;
         
@@ -1,6 +1,7 @@
 // Calendar utility for date selection in the bot
 
 import Calendar from 'telegram-inline-calendar';
+import { addDays, getBerlinToday } from '../../src/travel-dates.js';
 
 // Create calendar instance
 let calendar;
@@ -16,8 +17,8 @@ export function initializeCalendar(bot) {
         time_range: '00:00-23:59',
         custom_start_msg: '📅 Select a date:',
         custom_select_msg: '✅ You selected: ',
-        min_date: new Date().toISOString().split('T')[0], // Today or later
-        max_date: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0] // One year from now
+        min_date: getBerlinToday(), // Today or later
+        max_date: addDays(getBerlinToday(), 365) // One year from now
     });
     
     console.log('📅 Calendar initialized');
@@ -104,6 +105,7 @@ export async function showDateRangeSelection(ctx) {
 export function formatDateForDisplay(dateString) {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-GB', {
+        timeZone: 'UTC', // YYYY-MM-DD parses as UTC midnight
         weekday: 'long',
         year: 'numeric',
         month: 'long',
@@ -113,18 +115,14 @@ export function formatDateForDisplay(dateString) {
 
 // Validate if date is in acceptable range
 export function validateCalendarDate(dateString) {
-    const date = new Date(dateString);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const oneYearFromNow = new Date();
-    oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
+    const today = getBerlinToday();
+    const oneYearFromNow = addDays(today, 365);
     
-    if (date < today) {
+    if (dateString < today) {
         return { valid: false, error: 'Date cannot be in the past.' };
     }
     
-    if (date > oneYearFromNow) {
+    if (dateString > oneYearFromNow) {
         return { valid: false, error: 'Date cannot be more than one year from now.' };
     }
     
@@ -1,6 +1,14 @@
 // Message formatting utilities for the Telegram bot
 
-export function formatTelegramResults(results, searchParams) {
+import { formatMinutes } from '../../src/journey-utils.js';
+import { TRAVEL_TIME_ZONE } from '../../src/travel-dates.js';
+import { describePassengers, getTravellerCount, isDefaultPassengers } from '../../src/passengers.js';
+import { describeVerdict } from '../../src/price-verdicts.js';
+import { WATCH_ALERTS, describeWatch, formatLastChecked } from '../../src/price-watch.js';
+
+export function formatTelegramResults(results, searchParams, options = {}) {
+    const maxAlternatives = options.maxAlternatives ?? 2;
+
     if (!results || results.length === 0) {
         return '😔 *No results found*\n\nTry different dates or stations, or check if the route exists.';
     }
@@ -8,12 +16,22 @@ export function formatTelegramResults(results, searchParams) {
     const { departureStation, destinationStation, tripType } = searchParams;
     let message = `🎯 *Search Results*\n`;
     message += `📍 ${departureStation.name} → ${destinationStation.name}\n`;
-    message += `🚂 Trip type: ${formatTripType(tripType)}\n\n`;
+    message += `🚂 Trip type: ${formatTripType(tripType)}\n`;
+    if (searchParams.passengers && !isDefaultPassengers(searchParams.passengers)) {
+        const travellers = getTravellerCount(searchParams.passengers);
+        message += `👥 ${describePassengers(searchParams.passengers)}${travellers > 1 ? ` (total for ${travellers})` : ''}\n`;
+    }
+    message += '\n';
 
     // Show up to 5 best results
     const topResults = results.slice(0, 5);
     
     topResults.forEach((result, index) => {
+        if (result.regional) {
+            message += formatRegionalResult(result, index);
+            return;
+        }
+
         const price = result.totalPrice ? `€${Number(result.totalPrice).toFixed(2)}` : 'Price unavailable';
         const date = new Date(result.date).toLocaleDateString('en-GB', {
             weekday: 'short',
@@ -22,33 +40,25 @@ export function formatTelegramResults(results, searchParams) {
         });
         
         message += `*${index + 1}. ${price}* - ${date}\n`;
+        if (result.verdict) {
+            message += `   📈 _${describeVerdict(result.verdict)}_\n`;
+        }
         
         if (result.outbound) {
-            const outDep = new Date(result.outbound.departure).toLocaleTimeString('en-GB', { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            });
-            const outArr = new Date(result.outbound.arrival).toLocaleTimeString('en-GB', { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            });
+            const outDep = formatClock(result.outbound.departure);
+            const outArr = formatClock(result.outbound.arrival);
             const outDuration = formatDuration(result.outbound.departure, result.outbound.arrival);
             message += `   🚄 Out: ${result.outbound.line || 'Train'} | ${outDep} → ${outArr} (${outDuration})\n`;
         }
         
         if (result.return) {
-            const retDep = new Date(result.return.departure).toLocaleTimeString('en-GB', { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            });
-            const retArr = new Date(result.return.arrival).toLocaleTimeString('en-GB', { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            });
+            const retDep = formatClock(result.return.departure);
+            const retArr = formatClock(result.return.arrival);
             const retDuration = formatDuration(result.return.departure, result.return.arrival);
             message += `   🔄 Ret: ${result.return.line || 'Train'} | ${retDep} → ${retArr} (${retDuration})\n`;
         }
         
+        message += formatAlternatives(result, maxAlternatives);
         message += '\n';
     });
 
@@ -62,11 +72,63 @@ export function formatTelegramResults(results, searchParams) {
     return message;
 }
 
+// Format the next-cheapest combinations of a date as compact lines
+export function formatAlternatives(result, maxAlternatives = 2) {
+    const alternatives = (result.combinations || []).slice(1, 1 + maxAlternatives);
+    
+    return alternatives.map((combination, index) => {
+        const price = `€${Number(combination.totalPrice).toFixed(2)}`;
+        
+        if (combination.journey) {
+            return `   ↳ #${index + 2} ${price}: ${formatClock(combination.journey.departure)} → ${formatClock(combination.journey.arrival)}\n`;
+        }
+        
+        const stay = formatDuration(combination.outbound.arrival, combination.return.departure);
+        return `   ↳ #${index + 2} ${price}: ${formatClock(combination.outbound.departure)} → ${formatClock(combination.outbound.arrival)}, ` +
+               `back ${formatClock(combination.return.departure)} → ${formatClock(combination.return.arrival)} (${stay} there)\n`;
+    }).join('');
+}
+
+// Format a regional (Deutschlandticket) connection next to the cheapest long-distance fare
+function formatRegionalResult(result, index) {
+    const { regional, longDistance } = result;
+    const date = new Date(result.date).toLocaleDateString('en-GB', {
+        weekday: 'short',
+        day: '2-digit',
+        month: '2-digit'
+    });
+
+    let message = `*${index + 1}. ${date}*\n`;
+    message += `   🚆 Regional: ${formatClock(regional.departure)} → ${formatClock(regional.arrival)} (${formatDuration(regional.departure, regional.arrival)}) · €0 with Deutschlandticket\n`;
+
+    if (longDistance) {
+        message += `   🚄 ${longDistance.trainName}: ${formatClock(longDistance.departure)} → ${formatClock(longDistance.arrival)} (${formatDuration(longDistance.departure, longDistance.arrival)}) · €${longDistance.price.toFixed(2)}\n`;
+        if (result.extraMinutes > 0) {
+            message += `   ⏱️ Regional takes ${formatMinutes(result.extraMinutes)} longer\n`;
+        } else if (result.extraMinutes < 0) {
+            message += `   ⏱️ Regional is ${formatMinutes(-result.extraMinutes)} faster\n`;
+        }
+        if (result.verdict) {
+            message += `   📈 _${describeVerdict(result.verdict)}_\n`;
+        }
+    } else {
+        message += `   🚄 No long-distance fare found\n`;
+    }
+
+    return message + '\n';
+}
+
+// Time of day in Berlin (HH:MM)
+function formatClock(dateTime) {
+    return new Date(dateTime).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone: TRAVEL_TIME_ZONE });
+}
+
 export function formatTripType(tripType) {
     const types = {
         'same-day': '🔄 Same Day Return',
         'one-way': '➡️ One Way',
-        'multi-day': '📅 Multi-Day'
+        'multi-day': '📅 Multi-Day',
+        'regional': '🚆 Deutschlandticket (regional only)'
     };
     return types[tripType] || tripType;
 }
@@ -117,16 +179,21 @@ export function formatHelpMessage() {
 • /start - Show main menu
 • /search - Interactive ticket search
 • /route - Quick predefined route search
+• /passengers - Set travellers, BahnCard and class
+• /watch - Get a message when a route gets cheaper
+• /watches - List your price alerts
+• /unwatch - Stop a price alert
 • /help - Show this help message
 
 *Quick Search Examples:*
 You can also send messages like:
 • \`Berlin Munich 2025-08-15\` - Same day return
 • \`Hamburg Frankfurt 2025-08-20 one-way\` - One way trip
+• \`Hamburg Bremen 2025-08-20 regional\` - Deutschlandticket vs cheapest fare
 • \`Cologne Dortmund 2025-08-15 to 2025-08-20\` - Date range
 
 *Search Features:*
-✅ Multiple trip types (same-day, one-way, multi-day)
+✅ Multiple trip types (same-day, one-way, multi-day, regional)
 ✅ Flexible date ranges
 ✅ Time preferences (morning, afternoon, etc.)
 ✅ Popular route shortcuts
@@ -142,6 +209,54 @@ You can also send messages like:
     `.trim();
 }
 
+// Escape user-supplied text (e.g. station names) for Telegram's Markdown parse mode
+export function escapeMarkdown(text) {
+    return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+// Price alert message: the subscription, the cheapest fare and what it beat
+export function formatWatchAlert(alert) {
+    const { watch, result, price } = alert;
+    const journey = result.journey || result.outbound;
+    const date = result.date || result.outboundDate;
+
+    let message = alert.type === WATCH_ALERTS.THRESHOLD ? '🔔 *Price alert*\n' : '📉 *New low price*\n';
+    message += `📍 ${escapeMarkdown(describeWatch(watch))}\n\n`;
+    message += `*€${price.toFixed(2)}* - ${date}\n`;
+    if (journey) {
+        message += `   🚄 ${journey.trainName || 'Train'} | ${formatClock(journey.departure)} → ${formatClock(journey.arrival)}\n`;
+    }
+    message += alert.type === WATCH_ALERTS.THRESHOLD
+        ? `\n✅ At or below your €${alert.maxPrice.toFixed(2)} limit`
+        : `\n⬇️ Was €${alert.previousLowest.toFixed(2)} at the lowest so far`;
+    message += `\n🔗 Book on: [DB Navigator](https://www.bahn.de)`;
+
+    return message;
+}
+
+// List of a chat's price alert subscriptions ([id, watch])
+export function formatWatchList(entries, intervalMinutes) {
+    if (entries.length === 0) {
+        return '📭 *No price alerts yet*\n\nAdd one with e.g.:\n`/watch Hamburg Frankfurt 2025-11-01 to 2025-11-30 one-way on fri below 25`';
+    }
+
+    let message = '🔭 *Your price alerts*\n\n';
+    entries.forEach(([id, watch]) => {
+        message += `*#${id}* ${escapeMarkdown(describeWatch(watch))}\n`;
+        if (watch.lowestPrice !== null) {
+            message += `   💰 Lowest so far: €${watch.lowestPrice.toFixed(2)}\n`;
+        }
+        if (watch.snoozedUntil && new Date(watch.snoozedUntil) > new Date()) {
+            const until = new Date(watch.snoozedUntil).toLocaleString('de-DE', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', timeZone: TRAVEL_TIME_ZONE });
+            message += `   😴 Snoozed until ${until}\n`;
+        }
+        message += `   🕐 Last checked: ${formatLastChecked(watch)}\n\n`;
+    });
+    message += `_Checked every ${intervalMinutes} minutes. Stop one with_ \`/unwatch <number>\``;
+
+    return message;
+}
+
 export function formatErrorMessage(error, context = '') {
     const baseMessage = '❌ *Oops! Something went wrong*\n\n';
     
@@ -173,4 +288,25 @@ export function formatSearchProgress(stage, details = '') {
     };
     
     return messages[stage] || `⏳ ${stage}...`;
-}
\ No newline at end of file
+}
+
+// Progress message while a search streams in: dates done and the best result so far (plain text)
+export function formatLiveSearchProgress(best, completed, total) {
+    let message = `🚂 Searching for connections... (${completed}/${total} dates done)`;
+    if (!best) {
+        return message;
+    }
+
+    const date = new Date(best.date).toLocaleDateString('en-GB', {
+        weekday: 'short',
+        day: '2-digit',
+        month: '2-digit'
+    });
+
+    if (best.regional) {
+        message += `\n\n🏆 Fastest so far: ${formatMinutes(best.regional.durationMinutes)} by regional trains on ${date}`;
+    } else {
+        message += `\n\n🏆 Best so far: €${Number(best.totalPrice).toFixed(2)} on ${date}`;
+    }
+    return message;
+}
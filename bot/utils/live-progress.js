@@ -0,0 +1,54 @@
+// Live search progress - keeps a Telegram message up to date while a search runs
+
+import { createSearchEvents } from '../../src/search-events.js';
+import { eachCalendarDate } from '../../src/travel-dates.js';
+import { attachPriceHistory } from '../../src/price-history.js';
+import { formatLiveSearchProgress } from './formatter.js';
+import { priceHistory, recordPrices } from './price-history-store.js';
+
+// Telegram limits how often a message can be edited, so live updates are spaced out
+const LIVE_UPDATE_INTERVAL_MS = 2000;
+
+// Whether a result beats the best one so far (fastest regional connection, otherwise lowest price)
+function isBetterResult(result, best) {
+    if (!best) return true;
+    if (result.regional) return result.regional.durationMinutes < best.regional.durationMinutes;
+    return result.totalPrice < best.totalPrice;
+}
+
+// Run a PriceHunter search as a stream, editing the progress message with the best result found so far
+// as the dates come in and recording the fares seen in the price history. Returns the results in date order
+export async function searchWithLiveProgress(ctx, progressMessage, hunter, request) {
+    const events = createSearchEvents();
+    if (recordPrices) {
+        attachPriceHistory(events, priceHistory);
+    }
+    const total = eachCalendarDate(request.startDate, request.endDate || request.startDate).length;
+    let best = null;
+    let completed = 0;
+    let lastUpdate = 0;
+
+    const update = () => {
+        const now = Date.now();
+        if (now - lastUpdate < LIVE_UPDATE_INTERVAL_MS || completed >= total) {
+            return;
+        }
+        lastUpdate = now;
+        ctx.api.editMessageText(ctx.chat.id, progressMessage.message_id, formatLiveSearchProgress(best, completed, total))
+            .catch(() => {
+                // Ignore "message is not modified" and rate limit errors, the next update will catch up
+            });
+    };
+
+    // The stream yields only the dates of the search itself, not those of its sub-searches
+    const results = [];
+    for await (const event of hunter.stream({ ...request, events })) {
+        completed++;
+        if (event.type === 'result') {
+            results[event.index] = event.result;
+            best = isBetterResult(event.result, best) ? event.result : best;
+        }
+        update();
+    }
+    return results.filter(Boolean);
+}
@@ -0,0 +1,9 @@
+// Price history of the bot - shared by the users' searches and the price alert scheduler
+
+import { PriceHistory } from '../../src/price-history.js';
+import { getFixtureDirsFromEnv } from '../../src/client.js';
+
+// Bot searches add to the same price history as the CLI (replayed fixtures hold no new prices)
+// and their results are judged against it
+export const priceHistory = new PriceHistory();
+export const recordPrices = !getFixtureDirsFromEnv().replay;
@@ -0,0 +1,141 @@
+// User sessions of the bot - their shape, its migrations and the storage backends they are kept in.
+// BOT_SESSION_STORAGE picks the backend: file (default), sqlite, free (grammY's hosted storage) or memory
+
+import { readFileSync, writeFileSync, renameSync, rmSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { MemorySessionStorage, enhanceStorage } from 'grammy';
+import { freeStorage } from '@grammyjs/storage-free';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const CONFIG_DIR = join(__dirname, '..', '..', 'config');
+const DEFAULT_SESSION_DIR = join(CONFIG_DIR, 'sessions');
+const DEFAULT_SESSION_DB = join(CONFIG_DIR, 'sessions.sqlite');
+
+export const SESSION_BACKENDS = ['file', 'sqlite', 'free', 'memory'];
+
+// Searches remembered per user (sessions are stored with every update, so they stay small)
+export const MAX_SEARCH_HISTORY = 20;
+
+// Session of a new user
+export function createInitialSession() {
+    return {
+        selectedRoute: null,
+        passengers: null, // Passenger profile set with /passengers (null = config default)
+        searchHistory: []
+    };
+}
+
+// Migrations of stored sessions, by the session version they produce (see grammY's enhanceStorage).
+// Changing the session shape means adding the next version here, turning the previous shape into the new one
+export const SESSION_MIGRATIONS = {
+    // Sessions stored before they were versioned get the fields they were missing
+    1: (old) => ({ ...createInitialSession(), ...old })
+};
+
+// Remember a search in the session history, keeping the latest MAX_SEARCH_HISTORY
+export function addSearchToHistory(session, entry) {
+    if (!session) return;
+    session.searchHistory = [...(session.searchHistory || []), entry].slice(-MAX_SEARCH_HISTORY);
+}
+
+// Sessions as JSON files, one per user, in a directory
+export class FileSessionStorage {
+    constructor(directory = DEFAULT_SESSION_DIR) {
+        this.directory = directory;
+    }
+
+    // File of a session key (keys are user ids, kept to safe characters)
+    getFile(key) {
+        return join(this.directory, `${String(key).replace(/[^\w.-]/g, '_')}.json`);
+    }
+
+    read(key) {
+        const file = this.getFile(key);
+        if (!existsSync(file)) return undefined;
+        try {
+            return JSON.parse(readFileSync(file, 'utf8'));
+        } catch (error) {
+            // A damaged session starts over
+            console.warn(`⚠️ Could not read session ${key}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    // Written through a temporary file, so a crash never leaves a half-written session
+    write(key, value) {
+        if (!existsSync(this.directory)) {
+            mkdirSync(this.directory, { recursive: true });
+        }
+        const file = this.getFile(key);
+        writeFileSync(`${file}.tmp`, JSON.stringify(value));
+        renameSync(`${file}.tmp`, file);
+    }
+
+    delete(key) {
+        rmSync(this.getFile(key), { force: true });
+    }
+}
+
+// Sessions in a SQLite database (a node:sqlite DatabaseSync)
+export class SqliteSessionStorage {
+    constructor(database) {
+        database.exec('CREATE TABLE IF NOT EXISTS sessions (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+        this.selectStatement = database.prepare('SELECT value FROM sessions WHERE key = ?');
+        this.writeStatement = database.prepare('INSERT INTO sessions (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+        this.deleteStatement = database.prepare('DELETE FROM sessions WHERE key = ?');
+    }
+
+    read(key) {
+        const row = this.selectStatement.get(String(key));
+        return row ? JSON.parse(row.value) : undefined;
+    }
+
+    write(key, value) {
+        this.writeStatement.run(String(key), JSON.stringify(value));
+    }
+
+    delete(key) {
+        this.deleteStatement.run(String(key));
+    }
+}
+
+// Open the SQLite session database (node:sqlite needs Node.js 22.5 or newer)
+async function openSqliteSessionStorage(file) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = await import('node:sqlite'));
+    } catch (error) {
+        throw new Error(`BOT_SESSION_STORAGE=sqlite needs node:sqlite (Node.js 22.5 or newer), this is Node.js ${process.version}`);
+    }
+
+    if (!existsSync(dirname(file))) {
+        mkdirSync(dirname(file), { recursive: true });
+    }
+    return new SqliteSessionStorage(new DatabaseSync(file));
+}
+
+// Session storage for grammY's session() middleware, with the session migrations applied on read.
+// Options: token (bot token, for free storage) and path (session directory for file, database file for sqlite)
+export async function createSessionStorage(backend = 'file', options = {}) {
+    let storage;
+    switch (backend) {
+        case 'file':
+            storage = new FileSessionStorage(options.path || DEFAULT_SESSION_DIR);
+            break;
+        case 'sqlite':
+            storage = await openSqliteSessionStorage(options.path || DEFAULT_SESSION_DB);
+            break;
+        case 'free':
+            storage = freeStorage(options.token);
+            break;
+        case 'memory':
+            storage = new MemorySessionStorage();
+            break;
+        default:
+            throw new Error(`Unknown session storage: ${backend}. Must be one of: ${SESSION_BACKENDS.join(', ')}`);
+    }
+
+    return enhanceStorage({ storage, migrations: SESSION_MIGRATIONS });
+}
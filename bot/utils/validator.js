@@ -1,5 +1,8 @@
 // Input validation utilities for the Telegram bot
 
+import { normalizePassengers, validatePassengers } from '../../src/passengers.js';
+import { parseCalendarDate, getBerlinToday, parseWeekday } from '../../src/travel-dates.js';
+
 export function validateDate(dateText) {
     if (!dateText || typeof dateText !== 'string') {
         return { valid: false, error: 'Please provide a valid date.' };
@@ -22,7 +25,7 @@ export function validateDate(dateText) {
         if (startDate > endDate) {
             return { valid: false, error: 'Start date must be before or equal to end date.' };
         }
-        if (startDate < new Date().setHours(0, 0, 0, 0)) {
+        if (startDate < getBerlinToday()) {
             return { valid: false, error: 'Start date cannot be in the past.' };
         }
         
@@ -34,7 +37,7 @@ export function validateDate(dateText) {
     if (!singleDate) {
         return { valid: false, error: `Invalid date format: "${dateRange}". Please use YYYY-MM-DD format (e.g., 2025-08-15).` };
     }
-    if (singleDate < new Date().setHours(0, 0, 0, 0)) {
+    if (singleDate < getBerlinToday()) {
         return { valid: false, error: 'Date cannot be in the past.' };
     }
     
@@ -62,14 +65,8 @@ export function parseDate(dateStr) {
                 [, day, month, year] = match;
             }
             
-            const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-            
-            // Validate the date is real
-            if (date.getFullYear() == year && 
-                date.getMonth() == month - 1 && 
-                date.getDate() == day) {
-                return date;
-            }
+            // Calendar date (YYYY-MM-DD), null if the date is not real
+            return parseCalendarDate(`${year}-${month}-${day}`);
         }
     }
     
@@ -98,4 +95,96 @@ export function sanitizeInput(input) {
     
     // Remove potentially harmful characters but keep German umlauts and common punctuation
     return input.replace(/[<>{}[\]\\]/g, '').trim();
-}
\ No newline at end of file
+}
+
+// Parse a passenger description like "2 adults, child 8, bahncard 50, 1st class"
+export function parsePassengerText(text, currentPassengers = null) {
+    const input = (text || '').trim().toLowerCase();
+    
+    if (input === 'reset') {
+        return { valid: true, passengers: normalizePassengers() };
+    }
+    
+    const passengers = normalizePassengers(currentPassengers);
+    let recognized = false;
+    
+    const adultsMatch = input.match(/(\d+)\s*adults?/);
+    if (adultsMatch) {
+        passengers.adults = parseInt(adultsMatch[1], 10);
+        recognized = true;
+    }
+    
+    const childrenMatch = input.match(/(?:children|child|kids?)\s*([\d\s,]+)/);
+    if (childrenMatch) {
+        passengers.children = childrenMatch[1].split(/[\s,]+/).filter(Boolean).map(age => parseInt(age, 10));
+        recognized = true;
+    } else if (/no\s+(?:children|kids)/.test(input)) {
+        passengers.children = [];
+        recognized = true;
+    }
+    
+    const bahnCardMatch = input.match(/(?:bahncard|bc)\s*(\d+)/);
+    if (bahnCardMatch) {
+        passengers.bahnCard = parseInt(bahnCardMatch[1], 10);
+        recognized = true;
+    } else if (/no\s+(?:bahncard|bc)/.test(input)) {
+        passengers.bahnCard = null;
+        recognized = true;
+    }
+    
+    if (/\b(?:1st|first)\b/.test(input)) {
+        passengers.travelClass = 1;
+        recognized = true;
+    } else if (/\b(?:2nd|second)\b/.test(input)) {
+        passengers.travelClass = 2;
+        recognized = true;
+    }
+    
+    if (!recognized) {
+        return { valid: false, error: 'Could not understand the passengers. Try: `2 adults, child 8, bahncard 50, 1st class`' };
+    }
+    
+    const errors = validatePassengers(passengers);
+    if (errors.length > 0) {
+        return { valid: false, error: errors.join('\n') };
+    }
+    
+    return { valid: true, passengers };
+}
+
+// Parse a price alert subscription like "Hamburg Frankfurt 2025-11-01 to 2025-11-30 one-way on fri below 25"
+// (trip type, weekday and price limit are optional; same-day returns by default)
+export function parseWatchText(text) {
+    const pattern = /^(.+?)\s+(?:to\s+)?(.+?)\s+(\d{4}-\d{2}-\d{2}(?:\s+to\s+\d{4}-\d{2}-\d{2})?)(?:\s+(one-way|same-day))?(?:\s+on\s+([a-z]+))?(?:\s+(?:below|under)\s+€?(\d+(?:[.,]\d{1,2})?))?$/i;
+    const match = (text || '').trim().match(pattern);
+    if (!match) {
+        return { valid: false, error: 'Could not understand the watch. Try: `/watch Hamburg Frankfurt 2025-11-01 to 2025-11-30 one-way on fri below 25`' };
+    }
+    
+    const [, departure, destination, dateText, tripType, weekdayText, priceText] = match;
+    const dateValidation = validateDate(dateText);
+    if (!dateValidation.valid) {
+        return { valid: false, error: dateValidation.error };
+    }
+    
+    const weekday = weekdayText ? parseWeekday(weekdayText) : null;
+    if (weekdayText && weekday === null) {
+        return { valid: false, error: `Unknown weekday: "${weekdayText}". Use a day name like \`fri\` or \`friday\`.` };
+    }
+    
+    const maxPrice = priceText ? Number(priceText.replace(',', '.')) : null;
+    if (maxPrice !== null && !(maxPrice > 0)) {
+        return { valid: false, error: 'The price limit must be more than €0.' };
+    }
+    
+    return {
+        valid: true,
+        departure: departure.trim(),
+        destination: destination.trim(),
+        startDate: dateValidation.startDate,
+        endDate: dateValidation.endDate || dateValidation.startDate,
+        tripType: (tripType || 'same-day').toLowerCase(),
+        weekdays: weekday === null ? [] : [weekday],
+        maxPrice
+    };
+}
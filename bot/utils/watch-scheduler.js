@@ -0,0 +1,34 @@
+// Price alert scheduler - re-checks the users' subscriptions when they are due (staggered, sharing the
+// request limit with the users' searches) and messages them when a fare drops below their limit or to a new low
+
+import { GrammyError } from 'grammy';
+import { PriceWatcher } from '../../src/price-watch.js';
+import { createWatchAlertKeyboard } from '../handlers/keyboards.js';
+import { formatWatchAlert } from './formatter.js';
+
+// Price watcher running the subscriptions of a store (see watch-store.js) and sending their alerts through
+// the bot API. Options are passed on to the PriceWatcher (intervalMinutes, staggerSeconds, clock, sleep)
+export function createWatchScheduler(hunter, api, store, options = {}) {
+    return new PriceWatcher(hunter, {
+        loadWatches: () => store.load(),
+        saveState: (id, state) => store.update(id, state),
+        notify: async (alert) => {
+            // The user may have stopped the alert while it was running
+            if (!store.get(alert.name)) return;
+            try {
+                await api.sendMessage(alert.watch.chatId, formatWatchAlert(alert), {
+                    parse_mode: 'Markdown',
+                    reply_markup: createWatchAlertKeyboard(alert.name)
+                });
+            } catch (error) {
+                console.error(`❌ Could not send price alert #${alert.name}:`, error.message);
+                // The user blocked the bot or left the chat
+                if (error instanceof GrammyError && error.error_code === 403) {
+                    store.remove(alert.name);
+                }
+            }
+        },
+        onError: (id, error) => console.error(`⚠️ Price alert #${id} failed, retrying next round:`, error.message),
+        ...options
+    });
+}
@@ -0,0 +1,89 @@
+// Price alert subscriptions of the bot's users - price watches (see src/price-watch.js) with the chat to
+// alert, kept in a JSON file next to the configuration so they survive restarts
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DEFAULT_WATCH_FILE = join(__dirname, '..', '..', 'config', 'bot-watches.json');
+
+// Subscriptions a single chat can have (every one costs API requests on each run)
+export const MAX_WATCHES_PER_CHAT = 5;
+
+// Subscription store. Subscriptions have a short id (shown by /watches and used by /unwatch and the alert buttons)
+// and are price watches with a chatId: { [id]: { chatId, ...watch } }
+export class WatchStore {
+    constructor(file = DEFAULT_WATCH_FILE) {
+        this.file = file;
+    }
+
+    // Stored data ({ nextId, watches }), empty when the file is missing or damaged
+    read() {
+        try {
+            if (existsSync(this.file)) {
+                return JSON.parse(readFileSync(this.file, 'utf8'));
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read price alert subscriptions: ${error.message}`);
+        }
+        return { nextId: 1, watches: {} };
+    }
+
+    // Write the data through a temporary file, so a crash never leaves a half-written store
+    write(data) {
+        const directory = dirname(this.file);
+        if (!existsSync(directory)) {
+            mkdirSync(directory, { recursive: true });
+        }
+        writeFileSync(`${this.file}.tmp`, JSON.stringify(data, null, 2));
+        renameSync(`${this.file}.tmp`, this.file);
+    }
+
+    // All subscriptions by id
+    load() {
+        return this.read().watches;
+    }
+
+    // Subscriptions of one chat ([id, watch]) in the order they were added
+    listForChat(chatId) {
+        return Object.entries(this.load()).filter(([, watch]) => watch.chatId === chatId);
+    }
+
+    // Subscription by id, or null
+    get(id) {
+        return this.load()[id] || null;
+    }
+
+    // Add a subscription for a chat and return its id
+    add(chatId, watch) {
+        const data = this.read();
+        const id = String(data.nextId);
+        data.watches[id] = { ...watch, chatId };
+        data.nextId += 1;
+        this.write(data);
+        return id;
+    }
+
+    // Update a subscription (e.g. its state after a run); false if it was removed meanwhile
+    update(id, changes) {
+        const data = this.read();
+        if (!data.watches[id]) return false;
+        data.watches[id] = { ...data.watches[id], ...changes };
+        this.write(data);
+        return true;
+    }
+
+    // Remove a subscription
+    remove(id) {
+        const data = this.read();
+        if (!data.watches[id]) return false;
+        delete data.watches[id];
+        this.write(data);
+        return true;
+    }
+}
+
+// Store shared by the commands and the scheduler
+export const watchStore = new WatchStore();
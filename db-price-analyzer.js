@@ -5,13 +5,16 @@ process.removeAllListeners('warning');
 process.on('warning', () => {});
 
 import inquirer from 'inquirer';
-import { createClient } from 'db-vendo-client';
-import { profile as dbnavProfile } from 'db-vendo-client/p/dbnav/index.js';
-import { loadConfig, saveConfig, getConfigPath } from './src/config.js';
+import { appendFileSync } from 'fs';
+import { createPriceHunterClient } from './src/client.js';
+import { configureJourneyCache, getJourneyCacheStats } from './src/journey-cache.js';
+import { loadConfig, saveConfig, getConfigPath, updateWatch } from './src/config.js';
 import { 
     saveCurrentSearch, 
+    saveCurrentWatch,
     validateSearchName,
-    searchNameExists
+    searchNameExists,
+    extractSearchConstraints
 } from './src/search-management.js';
 import { parseCliArgs, showHelp, showVersion, validateCliArgs, cliToConfig } from './src/cli-args.js';
 import { 
@@ -21,41 +24,104 @@ import {
     withRetry, 
     withTimeout, 
     withProgress,
+    configureRequestLimiter,
     validateSearchParams,
     ValidationError,
     NetworkError,
-    SearchError
+    SearchError,
+    CacheMissError
 } from './src/error-handler.js';
 import { getUserInput } from './src/user-interface.js';
-import { handleCliMode, lookupStation } from './src/cli-handler.js';
+import { handleCliMode, handleHistoryCommand, lookupStation } from './src/cli-handler.js';
 import { outputResults } from './src/results-display.js';
-import { 
-    searchSameDayTrips, 
-    searchOneWayTrips, 
-    searchMultiDayTrips, 
-    searchFlexibleDurationTrips,
-    TRIP_TYPES
-} from './src/journey-search.js';
+import { sweepDayJourneys, getSweepOptions, TRIP_TYPES } from './src/journey-search.js';
+import { formatTime } from './src/journey-utils.js';
+import { PriceHunter } from './src/price-hunter.js';
+import { getSearchEvents } from './src/search-events.js';
+import { PriceHistory, attachPriceHistory } from './src/price-history.js';
+import { PriceWatcher, describeWatch, describeWatchAlert } from './src/price-watch.js';
+import { parseWeekday } from './src/travel-dates.js';
+import { attachConsoleReporter, attachJsonLinesLog } from './src/search-reporter.js';
 import { formatStationDisplay } from './src/station-selector.js';
 
 // Global configuration
 let config = loadConfig();
 let quietMode = false;
 let verboseMode = false;
-let isNestedSearch = false; // Flag to silence nested searches
 
-// Initialize the client
-const client = createClient(dbnavProfile, 'db-price-analyzer');
+// API client, created once the command line is parsed (--record/--replay pick the wrapper)
+let client;
+
+// Create the API client of this run, recording responses to or replaying them from a fixture directory
+function createCliClient(fixtures = {}) {
+    return createPriceHunterClient('db-price-analyzer', {
+        record: fixtures.record,
+        replay: fixtures.replay
+    });
+}
+
+// Name of a search in retry and timeout messages
+function getSearchName(searchParams) {
+    switch (searchParams.tripType) {
+        case TRIP_TYPES.SAME_DAY:
+            return 'Same-day trip search';
+        case TRIP_TYPES.ONE_WAY:
+            return 'One-way trip search';
+        case TRIP_TYPES.REGIONAL:
+            return 'Regional connection search';
+        case TRIP_TYPES.MATRIX:
+            return 'Price matrix search';
+        case TRIP_TYPES.MULTI_CITY:
+            return 'Multi-city trip search';
+        default:
+            return searchParams.flexibleDuration ? `${searchParams.numberOfDays}-night trip search` : 'Multi-day trip search';
+    }
+}
+
+// Run the price watches saved in the configuration: every watch when it is due (or only once with --once),
+// printing alerts with a terminal bell. Watches are read from the configuration file on every round,
+// so watches added or removed while the daemon runs are picked up
+async function runWatchDaemon(once) {
+    const hunter = new PriceHunter({ client, config, events: getSearchEvents() });
+    const watcher = new PriceWatcher(hunter, {
+        loadWatches: () => loadConfig().watches,
+        saveState: (name, state) => {
+            const latestConfig = loadConfig();
+            if (updateWatch(latestConfig, name, state)) {
+                saveConfig(latestConfig);
+            }
+        },
+        notify: (alert) => console.log(`\x07\n${describeWatchAlert(alert)}\n`),
+        onCheck: (name, watch) => console.log(`\n🔭 Checking "${name}": ${describeWatch(watch)}`),
+        onError: (name, error) => console.error(`⚠️  Watch "${name}" failed, retrying next round:\n${formatError(error, verboseMode)}`),
+        intervalMinutes: config.preferences.watchIntervalMinutes,
+        staggerSeconds: config.preferences.watchStaggerSeconds
+    });
+    
+    if (once) {
+        const checked = await watcher.runDue();
+        console.log(`\n✅ Checked ${checked} watch${checked === 1 ? '' : 'es'}`);
+        return;
+    }
+    
+    const watchCount = Object.keys(loadConfig().watches).length;
+    if (watchCount === 0) {
+        console.log('📭 No price watches found. Add one with --add-watch <name> next to the search options.');
+        return;
+    }
+    console.log(`\n🔭 Watching ${watchCount} search${watchCount === 1 ? '' : 'es'} (press Ctrl+C to stop)...`);
+    await watcher.run();
+}
 
 // Main function
 async function main() {
     // Setup error handling
     setupGlobalErrorHandling(verboseMode);
-    setupGracefulShutdown();
+    const trackSearch = setupGracefulShutdown();
     
     try {
         // Parse command-line arguments
-        const { options: cliOptions, success, error } = parseCliArgs();
+        const { options: cliOptions, positionals, success, error } = parseCliArgs();
         
         if (!success) {
             throw new ValidationError(error);
@@ -72,6 +138,12 @@ async function main() {
             return;
         }
         
+        // The commands are history and watch, anything else runs a search
+        const command = positionals[0] || null;
+        if (command && (!['history', 'watch'].includes(command) || positionals.length > 1)) {
+            throw new ValidationError(`Unknown command: ${positionals.join(' ')}. Use --help to see the commands.`);
+        }
+        
         // Validate CLI arguments
         const validationErrors = validateCliArgs(cliOptions);
         if (validationErrors.length > 0) {
@@ -82,11 +154,45 @@ async function main() {
         config = cliToConfig(cliOptions, config);
         quietMode = config.preferences.quietMode || false;
         verboseMode = config.preferences.verboseMode || false;
+        configureRequestLimiter(config.preferences);
+        configureJourneyCache(config.preferences);
+        client = createCliClient(cliOptions);
+        
+        // Search progress is printed by subscribing to the search events. JSON and CSV results
+        // printed to stdout stay pipeable: progress messages then go to stderr, without animations
+        const outputFormat = cliOptions.output || config.preferences.outputFormat;
+        const pipedOutput = ['json', 'csv'].includes(outputFormat) && !cliOptions['output-file'];
+        const statusLogger = pipedOutput ? { log: console.error, warn: console.warn, error: console.error } : console;
+        attachConsoleReporter(getSearchEvents(), statusLogger, {
+            progress: !pipedOutput && command !== 'watch',
+            animation: config.preferences.useTrainAnimations
+        });
+        if (cliOptions['log-events']) {
+            const logFile = cliOptions['log-events'];
+            attachJsonLinesLog(getSearchEvents(), { write: (line) => appendFileSync(logFile, line) });
+        }
+        
+        // Fares seen by the search go to the price history (cached and replayed prices are not new)
+        const priceHistory = new PriceHistory();
+        if (config.preferences.recordPriceHistory && !config.preferences.cacheOnly && !cliOptions.replay) {
+            attachPriceHistory(getSearchEvents(), priceHistory);
+        }
+        
+        if (command === 'history') {
+            await handleHistoryCommand(client, cliOptions, config, priceHistory);
+            return;
+        }
+        
+        if (command === 'watch') {
+            await runWatchDaemon(cliOptions.once);
+            return;
+        }
         
         // Determine if running in CLI mode or interactive mode
-        const isCliMode = cliOptions.route || (cliOptions.from && cliOptions.to) || 
-                         cliOptions['list-routes'] || cliOptions['list-favorites'] ||
-                         cliOptions['list-searches'] || cliOptions['delete-search'] || cliOptions['load-search'];
+        const isCliMode = cliOptions.route || (cliOptions.from && (cliOptions.to || cliOptions.leg)) || 
+                         cliOptions['list-routes'] || cliOptions['list-favorites'] || cliOptions['clear-cache'] ||
+                         cliOptions['list-searches'] || cliOptions['delete-search'] || cliOptions['load-search'] ||
+                         cliOptions['list-watches'] || cliOptions['remove-watch'];
         
         let searchParams;
         
@@ -108,104 +214,79 @@ async function main() {
         // Validate search parameters
         validateSearchParams(searchParams);
         
-        // Extract station IDs
-        const departureStationId = searchParams.departureStation.id;
-        const destinationStationId = searchParams.destinationStation.id;
-        const returnDepartureStationId = searchParams.returnDepartureStation?.id;
+        // Apply search constraints (time at destination, passengers) from the
+        // prompts, the command line or a saved search
+        if (searchParams.constraints) {
+            const constraints = Object.fromEntries(
+                Object.entries(searchParams.constraints).filter(([, value]) => value !== null && value !== undefined)
+            );
+            config.preferences = { ...config.preferences, ...constraints };
+        }
+        
+        // Remember the effective constraints so saved searches reproduce the same fares
+        searchParams.constraints = extractSearchConstraints(config.preferences, searchParams.tripType);
+        
+        // Watch the search instead of running it
+        if (cliOptions['add-watch']) {
+            const saved = saveCurrentWatch(cliOptions['add-watch'], searchParams, {
+                weekdays: (cliOptions.weekday || []).map(parseWeekday),
+                maxPrice: cliOptions.below ? Number(cliOptions.below) : null,
+                intervalMinutes: cliOptions['watch-interval'] ? Number(cliOptions['watch-interval']) : null
+            });
+            process.exit(saved ? 0 : 1);
+        }
         
-        // Prepare time preferences
+        // Ctrl+C or the search timeout cancel the search through this controller;
+        // the results found until then are still shown (marked incomplete)
+        const searchController = new AbortController();
+        const { signal } = searchController;
+        
+        // The CLI drives the same PriceHunter API as scripts and the bot, reporting to the subscribers above
+        const hunter = new PriceHunter({ client, config, events: getSearchEvents() });
         const timePreferences = searchParams.timePreferences;
+        const searchRequest = {
+            tripType: searchParams.tripType,
+            from: searchParams.departureStation.id,
+            to: searchParams.destinationStation.id,
+            returnFrom: searchParams.returnDepartureStation?.id,
+            startDate: searchParams.startDate,
+            endDate: searchParams.endDate,
+            returnDate: searchParams.returnDate,
+            returnEndDate: searchParams.returnEndDate,
+            numberOfDays: searchParams.flexibleDuration ? searchParams.numberOfDays : undefined,
+            stops: searchParams.stops,
+            timePreferences,
+            signal
+        };
+        const searchLabel = getSearchName(searchParams);
         
         // Perform search with enhanced error handling and progress indication
-        const searchOperation = async () => {
-            switch (searchParams.tripType) {
-                case TRIP_TYPES.SAME_DAY:
-                    return await withTimeout(
-                        withRetry(() => searchSameDayTrips(
-                            client,
-                            config,
-                            departureStationId, 
-                            destinationStationId, 
-                            searchParams.startDate, 
-                            searchParams.endDate,
-                            timePreferences,
-                            returnDepartureStationId,
-                            false,
-                            isNestedSearch
-                        ), config.preferences.retryAttempts, 1000, 'Same-day trip search'),
-                        config.preferences.searchTimeout,
-                        'Same-day trip search'
-                    );
-                    
-                case TRIP_TYPES.ONE_WAY:
-                    return await withTimeout(
-                        withRetry(() => searchOneWayTrips(
-                            client,
-                            config,
-                            departureStationId, 
-                            destinationStationId, 
-                            searchParams.startDate, 
-                            searchParams.endDate,
-                            timePreferences?.outbound,
-                            false,
-                            isNestedSearch
-                        ), config.preferences.retryAttempts, 1000, 'One-way trip search'),
-                        config.preferences.searchTimeout,
-                        'One-way trip search'
-                    );
-                    
-                case TRIP_TYPES.MULTI_DAY:
-                    if (searchParams.flexibleDuration) {
-                        // Flexible duration search (N days stay)
-                        return await withTimeout(
-                            withRetry(() => searchFlexibleDurationTrips(
-                                client,
-                                config,
-                                departureStationId, 
-                                destinationStationId, 
-                                searchParams.startDate, 
-                                searchParams.endDate,
-                                searchParams.numberOfDays,
-                                timePreferences,
-                                returnDepartureStationId,
-                                false,
-                                isNestedSearch
-                            ), config.preferences.retryAttempts, 1000, `${searchParams.numberOfDays}-night trip search`),
-                            config.preferences.searchTimeout,
-                            `${searchParams.numberOfDays}-night trip search`
-                        );
-                    } else {
-                        // Fixed return date search
-                        return await withTimeout(
-                            withRetry(() => searchMultiDayTrips(
-                                client,
-                                config,
-                                departureStationId, 
-                                destinationStationId, 
-                                searchParams.startDate, 
-                                searchParams.endDate,
-                                searchParams.returnDate,
-                                timePreferences,
-                                returnDepartureStationId,
-                                isNestedSearch
-                            ), config.preferences.retryAttempts, 1000, 'Multi-day trip search'),
-                            config.preferences.searchTimeout,
-                            'Multi-day trip search'
-                        );
-                    }
-            }
-        };
+        const searchOperation = () => withTimeout(
+            withRetry(() => hunter.search(searchRequest), config.preferences.retryAttempts, 1000, searchLabel),
+            config.preferences.searchTimeout,
+            searchLabel,
+            searchController
+        );
         
-        const results = await withProgress(
+        trackSearch(searchController);
+        const searchStartedAt = new Date();
+        const foundResults = await withProgress(
             searchOperation,
             'Searching for train connections',
-            !quietMode,
+            !quietMode && !pipedOutput,
             config.preferences.useTrainAnimations
         );
+        trackSearch(null);
         
-        // Output results
-        const outputFormat = cliOptions.output || config.preferences.outputFormat;
+        // Judge each price against the history recorded before this search
+        const results = hunter.addVerdicts(foundResults, searchRequest, priceHistory, searchStartedAt);
+        
+        const cacheStats = getJourneyCacheStats();
+        if (!quietMode && cacheStats.hits > 0) {
+            statusLogger.log(`💾 ${cacheStats.hits} responses from cache, ${cacheStats.misses} fetched from the API`);
+        }
         
+        // Output results
         outputResults(
             results,
             searchParams.tripType,
@@ -214,7 +295,10 @@ async function main() {
             searchParams.returnDepartureStation ? formatStationDisplay(searchParams.returnDepartureStation) : null,
             outputFormat,
             cliOptions['output-file'],
-            timePreferences
+            timePreferences,
+            hunter.getDisplayOptions(searchRequest, {
+                incomplete: signal.aborted ? signal.reason?.message || 'Search cancelled' : null
+            })
         );
         
         // Handle search saving
@@ -308,6 +392,13 @@ async function main() {
             console.error('\n' + formatError(error, verboseMode));
             console.error('\nTip: Try different dates or stations.');
             process.exit(3);
+        } else if (error.name === 'SearchCancelledError') {
+            console.error('\n' + formatError(error, verboseMode));
+            process.exit(130);
+        } else if (error instanceof CacheMissError) {
+            console.error('\n' + formatError(error, verboseMode));
+            console.error('\nTip: Run the search once online (with --record <dir> to capture fixtures) before going offline.');
+            process.exit(1);
         } else {
             console.error('\n' + formatError(error, verboseMode));
             console.error('\nThis appears to be an unexpected error. Please report it.');
@@ -317,64 +408,19 @@ async function main() {
     }
 }
 
-// Debug function to show all trains for a route on a specific date
+// Debug function to show all trains for a route on a specific date (false if they could not be fetched)
 async function debugTrainsForRoute(fromStation, toStation, date) {
     console.log(`\n🔍 DEBUG: All trains from ${fromStation} to ${toStation} on ${date}`);
     console.log('='.repeat(80));
     
     try {
-        // Search multiple times throughout the day
-        const allJourneys = [];
-        
-        // Morning search (00:00-12:00)
-        const morningSearch = new Date(date);
-        morningSearch.setHours(0, 0, 0, 0);
-        
-        // Evening search (12:00-23:59)
-        const eveningSearch = new Date(date);
-        eveningSearch.setHours(12, 0, 0, 0);
-        
-        // Search morning departures
-        console.log('🌅 Searching morning departures (00:00-12:00)...');
-        const morningResult = await client.journeys(fromStation, toStation, {
-            results: 25,
-            departure: morningSearch,
-            transfers: 3,
-            stopovers: false,
-            tickets: true
-        });
-        
-        // Search evening departures  
-        console.log('🌆 Searching evening departures (12:00-23:59)...');
-        const eveningResult = await client.journeys(fromStation, toStation, {
-            results: 25,
-            departure: eveningSearch,
-            transfers: 3,
-            stopovers: false,
-            tickets: true
-        });
-        
-        // Combine all journeys
-        allJourneys.push(...morningResult.journeys);
-        allJourneys.push(...eveningResult.journeys);
-        
-        // Remove duplicates and sort by departure time
-        const uniqueJourneys = allJourneys.filter((journey, index, self) => {
-            const firstLeg = journey.legs[0];
-            const depTime = firstLeg.plannedDeparture || firstLeg.departure;
-            return index === self.findIndex(j => {
-                const jFirstLeg = j.legs[0];
-                const jDepTime = jFirstLeg.plannedDeparture || jFirstLeg.departure;
-                return depTime === jDepTime;
-            });
-        }).sort((a, b) => {
-            const aTime = new Date(a.legs[0].plannedDeparture || a.legs[0].departure);
-            const bTime = new Date(b.legs[0].plannedDeparture || b.legs[0].departure);
-            return aTime - bTime;
-        });
+        // Sweep the whole day (or the configured window) page by page
+        const sweepOptions = getSweepOptions(config);
+        console.log(`🌅 Sweeping departures (${sweepOptions.window.start}-${sweepOptions.window.end})...`);
+        const { journeys: uniqueJourneys, pages } = await sweepDayJourneys(client, fromStation, toStation, date, sweepOptions);
         
         console.log(`📊 Total unique journeys found: ${uniqueJourneys.length}`);
-        console.log(`   Morning results: ${morningResult.journeys.length}, Evening results: ${eveningResult.journeys.length}`);
+        console.log(`   Pages fetched: ${pages}`);
         
         uniqueJourneys.forEach((journey, i) => {
             const firstLeg = journey.legs[0];
@@ -383,8 +429,8 @@ async function debugTrainsForRoute(fromStation, toStation, date) {
             const depTime = new Date(firstLeg.plannedDeparture || firstLeg.departure);
             const arrTime = new Date(lastLeg.plannedArrival || lastLeg.arrival);
             
-            const depTimeStr = depTime.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-            const arrTimeStr = arrTime.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+            const depTimeStr = formatTime(depTime);
+            const arrTimeStr = formatTime(arrTime);
             
             const price = journey.price ? `€${journey.price.amount}` : 'No price';
             const duration = Math.round((arrTime - depTime) / (1000 * 60)); // minutes
@@ -409,30 +455,40 @@ async function debugTrainsForRoute(fromStation, toStation, date) {
             console.log(`${(i + 1).toString().padStart(2, ' ')}. ${depTimeStr} → ${arrTimeStr} (${Math.floor(duration/60)}h ${duration%60}m, ${transferStr}) - ${price}${routeInfo}`);
         });
         
+        return true;
     } catch (error) {
         console.error(`❌ Error fetching trains: ${error.message}`);
+        return false;
     }
 }
 
+// Value following a flag on the raw command line (the debug command is not parsed by parseCliArgs)
+function getArgValue(flag) {
+    const index = process.argv.indexOf(flag);
+    return index > -1 ? process.argv[index + 1] : undefined;
+}
+
 // Add debug command
 if (process.argv.includes('--debug-trains')) {
-    const fromIndex = process.argv.indexOf('--debug-from');
-    const toIndex = process.argv.indexOf('--debug-to');
-    const dateIndex = process.argv.indexOf('--debug-date');
+    const fromStation = getArgValue('--debug-from');
+    const toStation = getArgValue('--debug-to');
+    const date = getArgValue('--debug-date');
     
-    if (fromIndex > -1 && toIndex > -1 && dateIndex > -1) {
-        const fromStation = process.argv[fromIndex + 1];
-        const toStation = process.argv[toIndex + 1];
-        const date = process.argv[dateIndex + 1];
-        
+    if (fromStation && toStation && date) {
         (async () => {
-            const from = await lookupStation(client, fromStation);
-            const to = await lookupStation(client, toStation);
-            await debugTrainsForRoute(from.id, to.id, date);
-            process.exit(0);
+            try {
+                client = createCliClient({ record: getArgValue('--record'), replay: getArgValue('--replay') });
+                const from = await lookupStation(client, fromStation);
+                const to = await lookupStation(client, toStation);
+                const fetched = await debugTrainsForRoute(from.id, to.id, date);
+                process.exit(fetched ? 0 : 1);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
         })();
     } else {
-        console.log('Usage: --debug-trains --debug-from "Station" --debug-to "Station" --debug-date "YYYY-MM-DD"');
+        console.log('Usage: --debug-trains --debug-from "Station" --debug-to "Station" --debug-date "YYYY-MM-DD" [--replay <dir>]');
         process.exit(1);
     }
 } else if (import.meta.url === `file://${process.argv[1]}`) {
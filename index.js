@@ -0,0 +1,21 @@
+// DB Price Hunter - library entry point (the CLI is db-price-analyzer.js, the bot bot/bot.js)
+export { PriceHunter } from './src/price-hunter.js';
+export { createPriceHunterClient } from './src/client.js';
+export { DEFAULT_CONFIG } from './src/config.js';
+export { TRIP_TYPES } from './src/journey-search.js';
+export { SORT_ORDERS, DEFAULT_SCORING_WEIGHTS } from './src/scoring.js';
+export { configureJourneyCache, clearJourneyCache } from './src/journey-cache.js';
+export { SEARCH_EVENTS, ANY_SEARCH_EVENT, createSearchEvents } from './src/search-events.js';
+export { attachConsoleReporter, attachJsonLinesLog } from './src/search-reporter.js';
+export { PriceHistory, attachPriceHistory, summarizePriceHistory } from './src/price-history.js';
+export { addPriceVerdicts, describeVerdict } from './src/price-verdicts.js';
+export { PriceWatcher, WATCH_ALERTS, createWatch, validateWatch, describeWatch, describeWatchAlert } from './src/price-watch.js';
+export {
+    configureRequestLimiter,
+    ValidationError,
+    NetworkError,
+    SearchError,
+    SearchCancelledError,
+    CacheMissError,
+    FixtureMissingError
+} from './src/error-handler.js';
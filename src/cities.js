@@ -1,3 +1,5 @@
+import { SEARCH_EVENTS, emitSearchEvent } from './search-events.js';
+
 // Major German cities with their main station IDs
 export const cities = {
   'Berlin': { id: '8011160', name: 'Berlin Hbf' },
@@ -56,7 +58,7 @@ export async function searchStations(client, query) {
   }
 
   try {
-    console.log(`🔍 Searching for stations matching "${query}"...`);
+    emitSearchEvent(SEARCH_EVENTS.STATION_SEARCH, { query });
     
     const results = await client.locations(query);
     
@@ -90,7 +92,7 @@ export async function searchStations(client, query) {
     return formattedStations;
     
   } catch (error) {
-    console.error(`❌ Error searching for stations: ${error.message}`);
+    emitSearchEvent(SEARCH_EVENTS.STATION_FAILED, { query, error: error.message });
     return [];
   }
 }
@@ -121,7 +123,7 @@ export async function getStationById(client, stationId) {
     const results = await client.locations(stationId);
     return results.length > 0 ? results[0] : null;
   } catch (error) {
-    console.error(`❌ Error getting station by ID: ${error.message}`);
+    emitSearchEvent(SEARCH_EVENTS.STATION_FAILED, { query: stationId, error: error.message });
     return null;
   }
 }
@@ -1,5 +1,11 @@
 // Command-line argument parsing for DB Price Analyzer
 import { parseArgs } from 'util';
+import { parseTimeWindow } from './time-preferences.js';
+import { parseDuration } from './journey-utils.js';
+import { parseChildAges, validatePassengers, BAHNCARD_DISCOUNTS } from './passengers.js';
+import { SORT_ORDERS } from './scoring.js';
+import { MAX_ITINERARY_STOPS } from './error-handler.js';
+import { parseWeekday } from './travel-dates.js';
 
 // Define command-line options
 export const CLI_OPTIONS = {
@@ -41,17 +47,67 @@ export const CLI_OPTIONS = {
         type: 'string',
         description: 'Return date for multi-day trips (YYYY-MM-DD or MM-DD)'
     },
+    'return-end-date': {
+        type: 'string',
+        description: 'Last return date: search every return date from --return-date up to this one (YYYY-MM-DD or MM-DD)'
+    },
+    'min-nights': {
+        type: 'string',
+        description: 'Minimum nights between outbound and return date for multi-day trips, first matrix column (0-365)'
+    },
+    'max-nights': {
+        type: 'string',
+        description: 'Maximum nights between outbound and return date for multi-day trips, last matrix column (0-365)'
+    },
     'days': {
         type: 'string',
         description: 'Number of nights to stay (1-365). E.g., "2" = arrive Mon, return Wed (2 nights)'
     },
+    'via': {
+        type: 'string',
+        description: 'Only use connections passing through this station (station ID or name)'
+    },
+    'avoid': {
+        type: 'string',
+        multiple: true,
+        description: 'Skip connections passing through this station (repeatable)'
+    },
+    'min-transfer-time': {
+        type: 'string',
+        description: 'Minimum minutes to change trains (0-120)'
+    },
+    'direct': {
+        type: 'boolean',
+        description: 'Only show direct connections (same as --max-transfers 0)'
+    },
+    'max-transfers': {
+        type: 'string',
+        description: 'Maximum number of changes per journey (0-10)'
+    },
+    'max-duration': {
+        type: 'string',
+        description: 'Maximum travel time per journey (e.g. 5h, 4h30m)'
+    },
+    'min-stay': {
+        type: 'string',
+        description: 'Minimum time at destination for same-day trips (e.g. 4h, 90m, 4h30m)'
+    },
+    'max-stay': {
+        type: 'string',
+        description: 'Maximum time at destination for same-day trips (e.g. 8h)'
+    },
     'return-from': {
         type: 'string',
         description: 'Return departure station (different from destination)'
     },
     'trip-type': {
         type: 'string',
-        description: 'Trip type: same-day, multi-day, or one-way'
+        description: 'Trip type: same-day, multi-day, one-way, regional (Deutschlandticket vs cheapest fare), matrix (outbound date × nights price grid) or multi-city'
+    },
+    'leg': {
+        type: 'string',
+        multiple: true,
+        description: 'Stop of a multi-city trip as station:nights, in travel order (repeatable). The trip ends at --to, or back at --from'
     },
     route: {
         type: 'string',
@@ -67,6 +123,10 @@ export const CLI_OPTIONS = {
         type: 'string',
         description: 'Save results to file'
     },
+    'log-events': {
+        type: 'string',
+        description: 'Append every search event to a file as JSON lines'
+    },
     quiet: {
         type: 'boolean',
         short: 'q',
@@ -78,7 +138,43 @@ export const CLI_OPTIONS = {
     },
     'max-results': {
         type: 'string',
-        description: 'Maximum number of results to show'
+        description: 'Maximum number of results to show (also the number of ranked combinations kept per date)'
+    },
+    'alternatives': {
+        type: 'boolean',
+        description: 'Show the ranked alternative combinations for each date'
+    },
+    'sort': {
+        type: 'string',
+        description: 'Sort results by: price, duration, score (price weighted with travel time and transfers), departure'
+    },
+    'pareto': {
+        type: 'boolean',
+        description: 'Only show Pareto-optimal results (hide options another one beats on price, travel time and transfers)'
+    },
+    'value-of-time': {
+        type: 'string',
+        description: 'Euros one hour of travel time is worth when sorting by score (default: 10)'
+    },
+    'adults': {
+        type: 'string',
+        description: 'Number of adults travelling (default: 1)'
+    },
+    'children': {
+        type: 'string',
+        description: 'Ages of travelling children, comma separated (e.g. 8,12)'
+    },
+    'bahncard': {
+        type: 'string',
+        description: 'BahnCard discount held by the adults: 25, 50 or 100'
+    },
+    'class': {
+        type: 'string',
+        description: 'Travel class: 1, 2 or both (both shows 2nd and 1st class prices and the upgrade cost)'
+    },
+    'first-class': {
+        type: 'boolean',
+        description: 'Search 1st class fares instead of 2nd class (same as --class 1)'
     },
     'no-time-prefs': {
         type: 'boolean',
@@ -128,9 +224,45 @@ export const CLI_OPTIONS = {
         type: 'boolean',
         description: 'Enable fun train emoji animations (default: true)'
     },
+    'no-cache': {
+        type: 'boolean',
+        description: 'Always fetch fresh journeys from the API (do not read or write the cache)'
+    },
+    'cache-only': {
+        type: 'boolean',
+        description: 'Offline mode: only use cached journeys, never call the API'
+    },
+    'clear-cache': {
+        type: 'boolean',
+        description: 'Delete all cached journeys (runs the search afterwards if one is given)'
+    },
+    'cache-ttl': {
+        type: 'string',
+        description: 'Minutes cached journeys stay fresh (default: 30)'
+    },
+    'record': {
+        type: 'string',
+        description: 'Write every station and journey response to a fixture directory'
+    },
+    'replay': {
+        type: 'string',
+        description: 'Answer all requests from a recorded fixture directory (no API calls)'
+    },
+    'no-history': {
+        type: 'boolean',
+        description: 'Do not record the fares of this search in the price history'
+    },
     'concurrency': {
         type: 'string',
-        description: 'Number of parallel searches (1-8, default: 3). Higher = faster but more API load'
+        description: 'Number of requests kept in flight, nested searches included (1-8, default: 3). Higher = faster but more API load'
+    },
+    'sweep-window': {
+        type: 'string',
+        description: 'Part of each day to sweep for trains (HH:MM-HH:MM, default: 00:00-23:59)'
+    },
+    'max-pages': {
+        type: 'string',
+        description: 'Maximum result pages fetched per route and day (1-30, default: 12)'
     },
     'save-search': {
         type: 'string',
@@ -147,9 +279,50 @@ export const CLI_OPTIONS = {
     'delete-search': {
         type: 'string',
         description: 'Delete a saved search by name'
+    },
+    'add-watch': {
+        type: 'string',
+        description: 'Watch the search given by the other options under a name instead of running it (see the watch command)'
+    },
+    'weekday': {
+        type: 'string',
+        multiple: true,
+        description: 'Only watch travel dates on this day of the week (repeatable, e.g. --weekday fri)'
+    },
+    'below': {
+        type: 'string',
+        description: 'Alert when the cheapest watched price drops to this many euros or less'
+    },
+    'watch-interval': {
+        type: 'string',
+        description: 'Minutes between two runs of the watch (5-10080, default: 60)'
+    },
+    'list-watches': {
+        type: 'boolean',
+        description: 'List all price watches'
+    },
+    'remove-watch': {
+        type: 'string',
+        description: 'Delete a price watch by name'
+    },
+    'once': {
+        type: 'boolean',
+        description: 'With the watch command: run the watches that are due once and exit'
     }
 };
 
+// Parse a --leg value (station:nights) into { query, nights }, or null when it is not valid
+export function parseLegOption(value) {
+    const separator = value.lastIndexOf(':');
+    if (separator <= 0) return null;
+    
+    const query = value.slice(0, separator).trim();
+    const nights = Number(value.slice(separator + 1));
+    if (!query || !Number.isInteger(nights) || nights < 1 || nights > 365) return null;
+    
+    return { query, nights };
+}
+
 // Parse command-line arguments
 export function parseCliArgs() {
     try {
@@ -178,6 +351,8 @@ export function showHelp() {
 
 USAGE:
   db-price-analyzer [OPTIONS]
+  db-price-analyzer history --route <route> [--date <from>] [--end-date <to>]
+  db-price-analyzer watch [--once]
   db-price-analyzer --from "Berlin Hbf" --to "München Hbf" --date 2025-08-15
   db-price-analyzer --route berlin-munich --date 08-15
 
@@ -187,13 +362,16 @@ OPTIONS:
     // Group options by category
     const categories = {
         'General': ['help', 'version', 'config', 'quiet', 'verbose'],
-        'Route Selection': ['from', 'to', 'route', 'list-routes'],
-        'Trip Configuration': ['date', 'end-date', 'return-date', 'days', 'return-from', 'trip-type'],
+        'Route Selection': ['from', 'to', 'route', 'list-routes', 'via', 'avoid', 'min-transfer-time', 'direct', 'max-transfers', 'max-duration'],
+        'Trip Configuration': ['date', 'end-date', 'return-date', 'return-end-date', 'min-nights', 'max-nights', 'days', 'min-stay', 'max-stay', 'return-from', 'trip-type', 'leg'],
+        'Passengers': ['adults', 'children', 'bahncard', 'class', 'first-class'],
         'Time Preferences': ['no-time-prefs', 'early', 'morning', 'afternoon', 'evening', 'late'],
-        'Output Options': ['output', 'output-file', 'max-results'],
+        'Output Options': ['output', 'output-file', 'log-events', 'max-results', 'alternatives', 'sort', 'pareto', 'value-of-time'],
         'Favorites Management': ['list-favorites', 'add-favorite', 'remove-favorite'],
         'Saved Searches': ['save-search', 'load-search', 'list-searches', 'delete-search'],
-        'Performance Options': ['concurrency'],
+        'Price Watches': ['add-watch', 'weekday', 'below', 'watch-interval', 'list-watches', 'remove-watch', 'once'],
+        'Performance Options': ['concurrency', 'sweep-window', 'max-pages'],
+        'Cache Options': ['no-cache', 'cache-only', 'clear-cache', 'cache-ttl', 'record', 'replay', 'no-history'],
         'Animation Options': ['no-animations', 'train-animations']
     };
 
@@ -221,15 +399,68 @@ OPTIONS:
   # Specific stations with time preference
   db-price-analyzer --from "8011160" --to "8000261" --date 2025-08-15 --morning
 
+  # Go via Frankfurt, avoid Köln and allow at least 15 minutes to change trains
+  db-price-analyzer --route hamburg-frankfurt --date 08-15 --via "Frankfurt(Main)Hbf" --avoid "Köln Hbf" --min-transfer-time 15
+
+  # Direct trains only, at most 4 hours on the train
+  db-price-analyzer --route berlin-munich --date 08-15 --direct --max-duration 4h
+
+  # Show the 3 cheapest outbound/return combinations for each date
+  db-price-analyzer --route berlin-munich --date 08-15 --end-date 08-20 --max-results 3 --alternatives --output table
+
+  # Group fare for two adults with BahnCard 50 and a child aged 8
+  db-price-analyzer --route berlin-munich --date 08-15 --adults 2 --children 8 --bahncard 50
+
+  # Compare 2nd and 1st class prices for every day of a week
+  db-price-analyzer --route berlin-munich --date 08-15 --end-date 08-21 --trip-type one-way --class both --output table
+
+  # Fastest Deutschlandticket connection next to the cheapest ICE/IC fare
+  db-price-analyzer --route berlin-munich --date 08-15 --end-date 08-17 --trip-type regional
+
+  # Trade price against travel time (€20 per hour) and hide dominated options
+  db-price-analyzer --route berlin-munich --date 08-15 --end-date 08-21 --sort score --value-of-time 20 --pareto
+
   # Export results to JSON
   db-price-analyzer --from "Berlin" --to "Munich" --date 08-15 --output json --output-file results.json
 
   # Same-day trip with different time preferences for outbound/return
   db-price-analyzer --route berlin-munich --date 08-15 --trip-type same-day --early --evening
 
+  # Same-day trip with at least 4 hours at the destination
+  db-price-analyzer --route berlin-munich --date 08-15 --trip-type same-day --min-stay 4h
+
   # Flexible duration: 3-night stay (arrive Mon, return Thu)
   db-price-analyzer --route berlin-munich --date 08-30 --end-date 09-30 --trip-type multi-day --days 3
 
+  # Price grid of every outbound date in August against stays of 2 to 7 nights
+  db-price-analyzer --route berlin-munich --date 08-01 --end-date 08-31 --trip-type matrix --min-nights 2 --max-nights 7
+
+  # Berlin → Munich for 2 nights → Frankfurt for 3 nights → back to Berlin, starting any day of Aug 1-7
+  db-price-analyzer --from Berlin --date 08-01 --end-date 08-07 --trip-type multi-city --leg Munich:2 --leg Frankfurt:3
+
+  # Leave between Aug 1 and 3, come back between Aug 8 and 10, staying 6 or 7 nights
+  db-price-analyzer --route berlin-munich --date 08-01 --end-date 08-03 --trip-type multi-day --return-date 08-08 --return-end-date 08-10 --min-nights 6 --max-nights 7
+
+  # Only look at trains departing between 06:00 and 22:00
+  db-price-analyzer --route berlin-munich --date 08-15 --trip-type one-way --sweep-window 06:00-22:00
+
+  # Re-run yesterday's search offline from the journey cache
+  db-price-analyzer --route berlin-munich --date 08-15 --end-date 09-15 --cache-only
+
+  # Record a search once, then re-run it offline from the fixtures
+  db-price-analyzer --route berlin-munich --date 08-15 --record fixtures/berlin-munich
+  db-price-analyzer --route berlin-munich --date 08-15 --replay fixtures/berlin-munich
+
+  # Prices recorded for August travel dates by earlier searches (lowest, median and highest per day)
+  db-price-analyzer history --route berlin-munich --date 08-01 --end-date 08-31
+
+  # Watch one-way Hamburg → Frankfurt on any Friday in November, alert below €25, then keep checking
+  db-price-analyzer --route hamburg-frankfurt --date 11-01 --end-date 11-30 --trip-type one-way --weekday fri --below 25 --add-watch "friday-frankfurt"
+  db-price-analyzer watch
+
+  # Pipe JSON results to jq, with a JSON-lines log of the search progress
+  db-price-analyzer --route berlin-munich --date 08-15 --output json --log-events search.log | jq '.results'
+
   # Save and reuse searches
   db-price-analyzer --route berlin-munich --date 08-15 --save-search "weekend-trip"
   db-price-analyzer --load-search "weekend-trip"
@@ -256,7 +487,7 @@ export function validateCliArgs(options) {
     
     // Check trip type
     if (options['trip-type']) {
-        const validTripTypes = ['same-day', 'multi-day', 'one-way'];
+        const validTripTypes = ['same-day', 'multi-day', 'one-way', 'regional', 'matrix', 'multi-city'];
         if (!validTripTypes.includes(options['trip-type'])) {
             errors.push(`Invalid trip type: ${options['trip-type']}. Must be one of: ${validTripTypes.join(', ')}`);
         }
@@ -278,8 +509,176 @@ export function validateCliArgs(options) {
         }
     }
     
-    // Check that from/to are provided together (if using direct station specification)
-    if ((options.from && !options.to) || (!options.from && options.to)) {
+    // Check cache options
+    if (options['no-cache'] && options['cache-only']) {
+        errors.push('--no-cache cannot be combined with --cache-only');
+    }
+    
+    if (options['cache-ttl']) {
+        const ttl = parseInt(options['cache-ttl']);
+        if (isNaN(ttl) || ttl < 1 || ttl > 10080) {
+            errors.push('cache-ttl must be a number of minutes between 1 and 10080 (one week)');
+        }
+    }
+    
+    if (options.record && options.replay) {
+        errors.push('--record cannot be combined with --replay');
+    }
+    
+    // Check sort order and scoring weight
+    if (options.sort && !SORT_ORDERS.includes(options.sort)) {
+        errors.push(`Invalid sort order: ${options.sort}. Must be one of: ${SORT_ORDERS.join(', ')}`);
+    }
+    
+    if (options['value-of-time']) {
+        const valueOfTime = parseFloat(options['value-of-time']);
+        if (isNaN(valueOfTime) || valueOfTime < 0 || valueOfTime > 1000) {
+            errors.push('value-of-time must be a number of euros per hour between 0 and 1000');
+        }
+    }
+    
+    // Check sweep window
+    if (options['sweep-window'] && !parseTimeWindow(options['sweep-window'])) {
+        errors.push('sweep-window must be in HH:MM-HH:MM format with the start before the end');
+    }
+    
+    // Check max pages
+    if (options['max-pages']) {
+        const maxPages = parseInt(options['max-pages']);
+        if (isNaN(maxPages) || maxPages < 1 || maxPages > 30) {
+            errors.push('max-pages must be a number between 1 and 30');
+        }
+    }
+    
+    // Check stay limits
+    const minStay = options['min-stay'] ? parseDuration(options['min-stay']) : null;
+    const maxStay = options['max-stay'] ? parseDuration(options['max-stay']) : null;
+    
+    if (options['min-stay'] && (minStay === null || minStay < 0)) {
+        errors.push('min-stay must be a duration like 4h, 90m or 4h30m');
+    }
+    
+    if (options['max-stay'] && (maxStay === null || maxStay <= 0)) {
+        errors.push('max-stay must be a duration like 8h, 90m or 4h30m');
+    }
+    
+    if (minStay !== null && maxStay !== null && minStay > maxStay) {
+        errors.push('min-stay cannot be longer than max-stay');
+    }
+    
+    // Check multi-city stops
+    const legs = options.leg || [];
+    if (legs.length > 0 && options['trip-type'] !== 'multi-city') {
+        errors.push('--leg requires --trip-type multi-city');
+    }
+    if (options['trip-type'] === 'multi-city' && legs.length === 0 && !options['load-search']) {
+        errors.push('Multi-city trips need at least one --leg station:nights');
+    }
+    if (legs.length > MAX_ITINERARY_STOPS) {
+        errors.push(`Multi-city trips can have at most ${MAX_ITINERARY_STOPS} stops`);
+    }
+    legs.filter(leg => !parseLegOption(leg)).forEach(leg => {
+        errors.push(`Invalid leg: ${leg}. Use station:nights with 1 to 365 nights (e.g. Munich:2)`);
+    });
+    
+    // Check price watch options
+    if ((options.weekday || options.below || options['watch-interval']) && !options['add-watch']) {
+        errors.push('--weekday, --below and --watch-interval require --add-watch');
+    }
+    (options.weekday || []).filter(weekday => parseWeekday(weekday) === null).forEach(weekday => {
+        errors.push(`Invalid weekday: ${weekday}. Use a day name like fri or friday`);
+    });
+    
+    if (options.below) {
+        const below = Number(options.below);
+        if (!(below > 0)) {
+            errors.push('below must be a price in euros greater than 0');
+        }
+    }
+    
+    if (options['watch-interval']) {
+        const interval = Number(options['watch-interval']);
+        if (!Number.isInteger(interval) || interval < 5 || interval > 10080) {
+            errors.push('watch-interval must be a number of minutes between 5 and 10080 (one week)');
+        }
+    }
+    
+    // Check return window and night limits
+    if (options['return-end-date'] && !options['return-date']) {
+        errors.push('return-end-date requires --return-date');
+    }
+    
+    const minNights = options['min-nights'] ? Number(options['min-nights']) : null;
+    const maxNights = options['max-nights'] ? Number(options['max-nights']) : null;
+    
+    if (options['min-nights'] && !(Number.isInteger(minNights) && minNights >= 0 && minNights <= 365)) {
+        errors.push('min-nights must be a number between 0 and 365');
+    }
+    
+    if (options['max-nights'] && !(Number.isInteger(maxNights) && maxNights >= 0 && maxNights <= 365)) {
+        errors.push('max-nights must be a number between 0 and 365');
+    }
+    
+    if (minNights !== null && maxNights !== null && minNights > maxNights) {
+        errors.push('min-nights cannot be more than max-nights');
+    }
+    
+    // Check passengers
+    if (options.adults || options.children || options.bahncard) {
+        const adults = options.adults ? Number(options.adults) : 1;
+        const children = parseChildAges(options.children);
+        const bahnCard = options.bahncard ? Number(options.bahncard) : null;
+        
+        if (children === null) {
+            errors.push('children must be a comma separated list of ages (e.g. 8,12)');
+        } else if (options.bahncard && !BAHNCARD_DISCOUNTS.includes(bahnCard)) {
+            errors.push(`bahncard must be one of: ${BAHNCARD_DISCOUNTS.join(', ')}`);
+        } else {
+            errors.push(...validatePassengers({ adults, children, bahnCard }));
+        }
+    }
+    
+    // Check minimum transfer time
+    if (options['min-transfer-time']) {
+        const minTransfer = Number(options['min-transfer-time']);
+        if (!Number.isInteger(minTransfer) || minTransfer < 0 || minTransfer > 120) {
+            errors.push('min-transfer-time must be a whole number of minutes between 0 and 120');
+        }
+    }
+    
+    // Check transfer and duration limits
+    if (options['max-transfers']) {
+        const maxTransfers = Number(options['max-transfers']);
+        if (!Number.isInteger(maxTransfers) || maxTransfers < 0 || maxTransfers > 10) {
+            errors.push('max-transfers must be a whole number between 0 and 10');
+        } else if (options.direct && maxTransfers !== 0) {
+            errors.push('--direct cannot be combined with --max-transfers above 0');
+        }
+    }
+    
+    if (options['max-duration']) {
+        const maxDuration = parseDuration(options['max-duration']);
+        if (maxDuration === null || maxDuration <= 0) {
+            errors.push('max-duration must be a duration like 5h, 90m or 4h30m');
+        }
+    }
+    
+    // Check travel class
+    if (options.class) {
+        const validClasses = ['1', '2', 'both'];
+        if (!validClasses.includes(options.class)) {
+            errors.push(`Invalid class: ${options.class}. Must be one of: ${validClasses.join(', ')}`);
+        } else if (options['first-class'] && options.class !== '1') {
+            errors.push('--first-class cannot be combined with --class 2 or --class both');
+        } else if (options.class === 'both' && options['trip-type'] === 'regional') {
+            errors.push('--class both is not available for regional trips');
+        }
+    }
+    
+    // Check that from/to are provided together (if using direct station specification);
+    // multi-city trips without --to end back at --from
+    const returnsToStart = options.from && options['trip-type'] === 'multi-city';
+    if ((options.from && !options.to && !returnsToStart) || (!options.from && options.to)) {
         if (!options.route) {
             errors.push('Both --from and --to must be specified, or use --route for predefined routes');
         }
@@ -290,12 +689,13 @@ export function validateCliArgs(options) {
     const selectedTimePrefs = timePrefs.filter(pref => options[pref]);
     
     // For same-day and multi-day trips, allow up to 2 time preferences (outbound + return)
-    // For one-way trips, allow only 1
-    const maxTimePrefs = options['trip-type'] === 'one-way' ? 1 : 2;
+    // For one-way and regional trips, allow only 1
+    const isOneDirection = options['trip-type'] === 'one-way' || options['trip-type'] === 'regional';
+    const maxTimePrefs = isOneDirection ? 1 : 2;
     
     if (selectedTimePrefs.length > maxTimePrefs) {
         if (maxTimePrefs === 1) {
-            errors.push(`Only one time preference can be specified for one-way trips. Found: ${selectedTimePrefs.join(', ')}`);
+            errors.push(`Only one time preference can be specified for ${options['trip-type']} trips. Found: ${selectedTimePrefs.join(', ')}`);
         } else {
             errors.push(`Maximum ${maxTimePrefs} time preferences can be specified. Found: ${selectedTimePrefs.join(', ')}`);
         }
@@ -317,10 +717,42 @@ export function cliToConfig(options, config) {
         updates.maxResults = parseInt(options['max-results']);
     }
     
+    if (options.alternatives) {
+        updates.showAlternatives = true;
+    }
+    
+    if (options.sort) {
+        updates.sortBy = options.sort;
+    }
+    
+    if (options.pareto) {
+        updates.paretoOnly = true;
+    }
+    
+    if (options['value-of-time']) {
+        updates.scoring = { ...config.preferences.scoring, euroPerHour: parseFloat(options['value-of-time']) };
+    }
+    
     if (options['trip-type']) {
         updates.defaultTripType = options['trip-type'];
     }
     
+    if (options['no-cache']) {
+        updates.useCache = false;
+    }
+    
+    if (options['cache-only']) {
+        updates.cacheOnly = true;
+    }
+    
+    if (options['no-history']) {
+        updates.recordPriceHistory = false;
+    }
+    
+    if (options['cache-ttl']) {
+        updates.cacheTtlMinutes = parseInt(options['cache-ttl']);
+    }
+    
     if (options['no-time-prefs']) {
         updates.useTimePreferences = false;
     }
@@ -348,6 +780,90 @@ export function cliToConfig(options, config) {
         }
     }
     
+    if (options['sweep-window']) {
+        const sweepWindow = parseTimeWindow(options['sweep-window']);
+        if (sweepWindow) {
+            updates.sweepWindow = sweepWindow;
+        }
+    }
+    
+    if (options['max-pages']) {
+        const maxPages = parseInt(options['max-pages']);
+        if (!isNaN(maxPages) && maxPages >= 1 && maxPages <= 30) {
+            updates.maxSweepPages = maxPages;
+        }
+    }
+    
+    if (options['min-transfer-time']) {
+        const minTransfer = parseInt(options['min-transfer-time']);
+        if (!isNaN(minTransfer) && minTransfer >= 0 && minTransfer <= 120) {
+            updates.minTransferMinutes = minTransfer;
+        }
+    }
+    
+    if (options.direct) {
+        updates.maxTransfers = 0;
+    } else if (options['max-transfers']) {
+        const maxTransfers = parseInt(options['max-transfers']);
+        if (!isNaN(maxTransfers) && maxTransfers >= 0 && maxTransfers <= 10) {
+            updates.maxTransfers = maxTransfers;
+        }
+    }
+    
+    if (options['max-duration']) {
+        const maxDuration = parseDuration(options['max-duration']);
+        if (maxDuration !== null && maxDuration > 0) {
+            updates.maxDurationMinutes = maxDuration;
+        }
+    }
+    
+    if (options['min-stay']) {
+        const minStay = parseDuration(options['min-stay']);
+        if (minStay !== null) {
+            updates.minStayMinutes = minStay;
+        }
+    }
+    
+    if (options['max-stay']) {
+        const maxStay = parseDuration(options['max-stay']);
+        if (maxStay !== null) {
+            updates.maxStayMinutes = maxStay;
+        }
+    }
+    
+    if (options['min-nights']) {
+        updates.minNights = parseInt(options['min-nights']);
+    }
+    
+    if (options['max-nights']) {
+        updates.maxNights = parseInt(options['max-nights']);
+    }
+    
+    if (options.adults || options.children || options.bahncard || options['first-class'] || options.class) {
+        const passengers = { ...config.preferences.passengers };
+        if (options.adults) {
+            passengers.adults = parseInt(options.adults);
+        }
+        if (options.children) {
+            passengers.children = parseChildAges(options.children) || [];
+        }
+        if (options.bahncard) {
+            passengers.bahnCard = parseInt(options.bahncard);
+        }
+        if (options['first-class'] || options.class === '1') {
+            passengers.travelClass = 1;
+        }
+        if (options.class === '2' || options.class === 'both') {
+            // Class comparison ranks by 2nd class and looks up 1st class for the same trains
+            passengers.travelClass = 2;
+        }
+        updates.passengers = passengers;
+        
+        if (options.class || options['first-class']) {
+            updates.compareClasses = options.class === 'both';
+        }
+    }
+    
     // Update config preferences
     config.preferences = { ...config.preferences, ...updates };
     
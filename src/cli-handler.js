@@ -5,12 +5,94 @@ import {
     displaySavedSearches, 
     deleteSavedSearchByName, 
     loadSavedSearch, 
-    convertSavedSearchToParams 
+    convertSavedSearchToParams,
+    displayWatches,
+    deleteWatchByName
 } from './search-management.js';
 import { getPopularCities, searchStations } from './cities.js';
 import { parseFlexibleDate } from './journey-utils.js';
-import { getTimePreferenceFromCli } from './cli-args.js';
+import { getTimePreferenceFromCli, parseLegOption } from './cli-args.js';
 import { ValidationError } from './error-handler.js';
+import { clearJourneyCache } from './journey-cache.js';
+import { SEARCH_EVENTS, emitSearchEvent } from './search-events.js';
+import { describePassengers } from './passengers.js';
+import { getRoutingConstraints, describeRoutingConstraints } from './journey-search.js';
+import { summarizePriceHistory } from './price-history.js';
+import { formatPriceHistory, saveToFile } from './output-formatters.js';
+
+// Collect the search constraints given on the command line (only the options actually passed).
+// cliToConfig has already parsed them into the preferences
+async function resolveCliConstraints(client, cliOptions, config, tripType) {
+    const constraints = {};
+    
+    // Routing stations are resolved like departure/destination
+    if (cliOptions.via) {
+        constraints.viaStation = toStationRef(await lookupStation(client, cliOptions.via));
+    }
+    if (cliOptions.avoid && cliOptions.avoid.length > 0) {
+        constraints.avoidStations = [];
+        for (const query of cliOptions.avoid) {
+            constraints.avoidStations.push(toStationRef(await lookupStation(client, query)));
+        }
+    }
+    if (cliOptions['min-transfer-time']) {
+        constraints.minTransferMinutes = config.preferences.minTransferMinutes;
+    }
+    if (cliOptions.direct || cliOptions['max-transfers']) {
+        constraints.maxTransfers = config.preferences.maxTransfers;
+    }
+    if (cliOptions['max-duration']) {
+        constraints.maxDurationMinutes = config.preferences.maxDurationMinutes;
+    }
+    
+    // Time at destination only limits same-day trips
+    if (tripType === 'same-day' && cliOptions['min-stay']) {
+        constraints.minStayMinutes = config.preferences.minStayMinutes;
+    }
+    if (tripType === 'same-day' && cliOptions['max-stay']) {
+        constraints.maxStayMinutes = config.preferences.maxStayMinutes;
+    }
+    if (cliOptions['min-nights']) {
+        constraints.minNights = config.preferences.minNights;
+    }
+    if (cliOptions['max-nights']) {
+        constraints.maxNights = config.preferences.maxNights;
+    }
+    if (cliOptions.adults || cliOptions.children || cliOptions.bahncard || cliOptions['first-class'] || cliOptions.class) {
+        // cliToConfig has already merged the passenger flags into the preferences
+        constraints.passengers = config.preferences.passengers;
+        constraints.compareClasses = config.preferences.compareClasses;
+    }
+    
+    return constraints;
+}
+
+// Keep only the station fields worth persisting in saved searches
+function toStationRef(station) {
+    return { id: station.id, name: station.name };
+}
+
+// Departure and destination stations of --route or --from/--to
+async function resolveCliStations(client, cliOptions, config) {
+    if (cliOptions.route) {
+        const route = getCommonRoute(config, cliOptions.route);
+        if (!route) {
+            throw new ValidationError(`Unknown route: ${cliOptions.route}. Use --list-routes to see available routes.`);
+        }
+        return { departureStation: route.departure, destinationStation: route.destination };
+    }
+    
+    if (cliOptions.from && (cliOptions.to || cliOptions['trip-type'] === 'multi-city')) {
+        // Direct station lookup (multi-city trips return to --from unless --to is given)
+        const departureStation = await lookupStation(client, cliOptions.from);
+        const destinationStation = cliOptions.to
+            ? await lookupStation(client, cliOptions.to)
+            : departureStation;
+        return { departureStation, destinationStation };
+    }
+    
+    throw new ValidationError('Either --route or both --from and --to must be specified.');
+}
 
 // Handle command-line mode
 export async function handleCliMode(client, cliOptions, config) {
@@ -24,6 +106,16 @@ export async function handleCliMode(client, cliOptions, config) {
         return;
     }
     
+    if (cliOptions['clear-cache']) {
+        const removed = clearJourneyCache();
+        console.log(`\n🗑️  Cleared ${removed} cached journey response${removed !== 1 ? 's' : ''}`);
+        
+        // Only clearing the cache, no search requested
+        if (!cliOptions.route && !(cliOptions.from && (cliOptions.to || cliOptions.leg)) && !cliOptions['load-search']) {
+            return;
+        }
+    }
+    
     if (cliOptions['list-favorites']) {
         console.log('\n⭐ Favorite Stations:');
         if (config.favoriteStations.length === 0) {
@@ -47,6 +139,17 @@ export async function handleCliMode(client, cliOptions, config) {
         return;
     }
     
+    // Handle price watch commands
+    if (cliOptions['list-watches']) {
+        displayWatches();
+        return;
+    }
+    
+    if (cliOptions['remove-watch']) {
+        deleteWatchByName(cliOptions['remove-watch']);
+        return;
+    }
+    
     if (cliOptions['load-search']) {
         const savedSearch = loadSavedSearch(cliOptions['load-search']);
         if (!savedSearch) {
@@ -63,28 +166,16 @@ export async function handleCliMode(client, cliOptions, config) {
         if (cliOptions['max-results']) {
             searchParams.maxResults = parseInt(cliOptions['max-results']);
         }
+        searchParams.constraints = {
+            ...searchParams.constraints,
+            ...await resolveCliConstraints(client, cliOptions, config, searchParams.tripType)
+        };
         
         return searchParams;
     }
     
     // Build search parameters from CLI options
-    const searchParams = {};
-    
-    // Handle route selection
-    if (cliOptions.route) {
-        const route = getCommonRoute(config, cliOptions.route);
-        if (!route) {
-            throw new ValidationError(`Unknown route: ${cliOptions.route}. Use --list-routes to see available routes.`);
-        }
-        searchParams.departureStation = route.departure;
-        searchParams.destinationStation = route.destination;
-    } else if (cliOptions.from && cliOptions.to) {
-        // Direct station lookup
-        searchParams.departureStation = await lookupStation(client, cliOptions.from);
-        searchParams.destinationStation = await lookupStation(client, cliOptions.to);
-    } else {
-        throw new ValidationError('Either --route or both --from and --to must be specified.');
-    }
+    const searchParams = await resolveCliStations(client, cliOptions, config);
     
     // Handle dates
     if (!cliOptions.date) {
@@ -94,9 +185,12 @@ export async function handleCliMode(client, cliOptions, config) {
     // Parse dates with flexible year handling
     const startDate = parseFlexibleDate(cliOptions.date);
     const endDate = parseFlexibleDate(cliOptions['end-date'] || cliOptions.date);
+    if (!startDate || !endDate) {
+        throw new ValidationError('Dates must be in YYYY-MM-DD or MM-DD format.');
+    }
     
-    searchParams.startDate = startDate.toISOString().split('T')[0];
-    searchParams.endDate = endDate.toISOString().split('T')[0];
+    searchParams.startDate = startDate;
+    searchParams.endDate = endDate;
     searchParams.tripType = cliOptions['trip-type'] || config.preferences.defaultTripType;
     
     // Handle multi-day trip options
@@ -110,18 +204,37 @@ export async function handleCliMode(client, cliOptions, config) {
             searchParams.numberOfDays = days;
             searchParams.flexibleDuration = true;
         } else if (cliOptions['return-date']) {
-            // Fixed return date mode
-            searchParams.returnDate = cliOptions['return-date'];
+            // Fixed return date mode, optionally over a window of return dates
+            searchParams.returnDate = parseFlexibleDate(cliOptions['return-date']);
+            searchParams.returnEndDate = parseFlexibleDate(cliOptions['return-end-date'] || cliOptions['return-date']);
+            if (!searchParams.returnDate || !searchParams.returnEndDate) {
+                throw new ValidationError('Return dates must be in YYYY-MM-DD or MM-DD format.');
+            }
+            if (searchParams.returnEndDate < searchParams.returnDate) {
+                throw new ValidationError('--return-end-date cannot be before --return-date');
+            }
         } else {
             throw new ValidationError('Multi-day trips require either --return-date or --days');
         }
     }
     
+    // Handle multi-city stops, looked up in travel order
+    if (searchParams.tripType === 'multi-city') {
+        searchParams.stops = [];
+        for (const leg of cliOptions.leg || []) {
+            const { query, nights } = parseLegOption(leg);
+            searchParams.stops.push({ station: toStationRef(await lookupStation(client, query)), nights });
+        }
+    }
+    
     // Handle return departure station
     if (cliOptions['return-from']) {
         searchParams.returnDepartureStation = await lookupStation(client, cliOptions['return-from']);
     }
     
+    // Handle search constraints (routing, time at destination, passengers)
+    searchParams.constraints = await resolveCliConstraints(client, cliOptions, config, searchParams.tripType);
+    
     // Handle time preferences
     const timePrefs = getTimePreferenceFromCli(cliOptions);
     if (timePrefs) {
@@ -140,9 +253,47 @@ export async function handleCliMode(client, cliOptions, config) {
     return searchParams;
 }
 
+// Handle the history command: prices recorded for a route, optionally limited to the
+// travel dates --date to --end-date, for the passengers, class and routing constraints of the configuration
+export async function handleHistoryCommand(client, cliOptions, config, history) {
+    const { departureStation, destinationStation } = await resolveCliStations(client, cliOptions, config);
+
+    const startDate = cliOptions.date ? parseFlexibleDate(cliOptions.date) : null;
+    const endDate = cliOptions['end-date'] ? parseFlexibleDate(cliOptions['end-date']) : startDate;
+    if ((cliOptions.date && !startDate) || (cliOptions['end-date'] && !endDate)) {
+        throw new ValidationError('Dates must be in YYYY-MM-DD or MM-DD format.');
+    }
+
+    // Fares of searches with routing constraints (e.g. --direct) are shown with the same constraints only
+    const routingStations = await resolveCliConstraints(client, cliOptions, config, null);
+    const constraints = describeRoutingConstraints(getRoutingConstraints({ preferences: { ...config.preferences, ...routingStations } }));
+    const fare = describePassengers(config.preferences.passengers);
+    const label = constraints ? `${fare} · ${constraints}` : fare;
+    const observations = history.query(departureStation.id, destinationStation.id, { startDate, endDate, fare, constraints });
+    if (observations.length === 0) {
+        console.log(`\n📭 No prices recorded for ${departureStation.name} → ${destinationStation.name} (${label})${startDate ? ` between ${startDate} and ${endDate}` : ''}.`);
+        console.log('   Prices are recorded every time a search runs.');
+        return;
+    }
+
+    const outputFormat = ['json', 'csv'].includes(cliOptions.output) ? cliOptions.output : 'table';
+    const content = formatPriceHistory(summarizePriceHistory(observations), outputFormat, departureStation.name, destinationStation.name, label);
+
+    if (cliOptions['output-file']) {
+        const saveResult = saveToFile(content, cliOptions['output-file'], outputFormat);
+        if (saveResult.success) {
+            console.log(`✅ Price history saved to: ${saveResult.filename}`);
+        } else {
+            console.error(`❌ Failed to save file: ${saveResult.error}`);
+        }
+    } else {
+        console.log(outputFormat === 'table' ? `\n📈 Price history\n\n${content}` : content);
+    }
+}
+
 // Station lookup function for CLI
 export async function lookupStation(client, query) {
-    console.log(`🔍 Looking up station: ${query}`);
+    emitSearchEvent(SEARCH_EVENTS.STATION_LOOKUP, { query });
     
     // First check if it's a popular city
     const popularCities = getPopularCities();
@@ -152,12 +303,13 @@ export async function lookupStation(client, query) {
     );
     
     if (matchingCity) {
-        console.log(`✅ Found popular city: ${matchingCity.stationName}`);
-        return {
+        const station = {
             id: matchingCity.id,
             name: matchingCity.stationName,
             isPopular: true
         };
+        emitSearchEvent(SEARCH_EVENTS.STATION_FOUND, { query, station, matches: 1, popular: true });
+        return station;
     }
     
     // Search for stations
@@ -167,14 +319,8 @@ export async function lookupStation(client, query) {
         throw new ValidationError(`No stations found for "${query}"`);
     }
     
-    if (searchResults.length === 1) {
-        const station = searchResults[0];
-        console.log(`✅ Found: ${station.name} (${station.id})`);
-        return station;
-    }
-    
     // Multiple results - use the first one (most relevant)
     const station = searchResults[0];
-    console.log(`✅ Found ${searchResults.length} stations, using: ${station.name} (${station.id})`);
+    emitSearchEvent(SEARCH_EVENTS.STATION_FOUND, { query, station, matches: searchResults.length, popular: false });
     return station;
 }
\ No newline at end of file
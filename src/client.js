@@ -0,0 +1,25 @@
+// API client - db-vendo-client with the DB Navigator profile, wrapped by the journey cache
+import { createClient } from 'db-vendo-client';
+import { profile as dbnavProfile } from 'db-vendo-client/p/dbnav/index.js';
+import { withJourneyCache } from './journey-cache.js';
+import { withRecording, createReplayClient } from './record-replay.js';
+
+// Create the client used by the CLI and the bot (both share the on-disk cache)
+// With replay, responses come from recorded fixtures only (no API, no cache);
+// with record, every response (cached or fetched) is also written as a fixture
+export function createPriceHunterClient(userAgent, fixtures = {}) {
+    if (fixtures.replay) {
+        return createReplayClient(fixtures.replay);
+    }
+
+    const client = withJourneyCache(createClient(dbnavProfile, userAgent));
+    return fixtures.record ? withRecording(client, fixtures.record) : client;
+}
+
+// Record/replay directories for the bot (BOT_RECORD_DIR / BOT_REPLAY_DIR)
+export function getFixtureDirsFromEnv(env = process.env) {
+    return {
+        record: env.BOT_RECORD_DIR || null,
+        replay: env.BOT_REPLAY_DIR || null
+    };
+}
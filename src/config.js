@@ -2,13 +2,19 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { DEFAULT_PASSENGERS, validatePassengers } from './passengers.js';
+import { DEFAULT_SCORING_WEIGHTS, SORT_ORDERS, validateWeights } from './scoring.js';
 
 // Default configuration
 export const DEFAULT_CONFIG = {
     // Default preferences
     preferences: {
         outputFormat: 'console', // console, table, json, csv
-        maxResults: 10,
+        maxResults: 10, // Also the number of ranked combinations kept per date
+        showAlternatives: false, // Show alternative combinations below the cheapest one
+        sortBy: null, // price, duration, score or departure (null keeps each output's usual order)
+        paretoOnly: false, // Hide results that are worse on price, travel time and transfers than another one
+        scoring: { ...DEFAULT_SCORING_WEIGHTS }, // Weights used by --sort score
         defaultTripType: 'same-day',
         useTimePreferences: false,
         searchTimeout: 300000, // 5 minutes for full search
@@ -19,7 +25,27 @@ export const DEFAULT_CONFIG = {
         delayBetweenRetries: 5000, // 5 seconds between retries
         useTrainAnimations: true, // Fun train emoji animations
         animationSpeed: 200, // milliseconds between animation frames
-        maxConcurrency: 3 // Maximum parallel searches (1-5 recommended)
+        maxConcurrency: 3, // Maximum requests in flight at once, nested searches included (1-5 recommended)
+        maxRequestsPerSecond: 4, // Rate limit shared by all searches
+        useCache: true, // Cache journeys responses on disk (cache/journeys)
+        cacheOnly: false, // Offline mode: only use cached responses
+        cacheTtlMinutes: 30, // How long cached prices are trusted
+        recordPriceHistory: true, // Record every fare searches see (config/price-history, see the history command)
+        watchIntervalMinutes: 60, // How often the watch command re-runs a watch without its own interval
+        watchStaggerSeconds: 30, // Pause between two watch runs so they do not hit the API at once
+        sweepWindow: { start: '00:00', end: '23:59' }, // Part of each day covered by the journey sweep
+        maxSweepPages: 12, // Maximum result pages fetched per route and day
+        minStayMinutes: null, // Minimum time at destination for same-day trips
+        maxStayMinutes: null, // Maximum time at destination for same-day trips
+        minNights: null, // Minimum nights between outbound and return date (multi-day trips with a return window)
+        maxNights: null, // Maximum nights between outbound and return date
+        passengers: { ...DEFAULT_PASSENGERS }, // Travellers, BahnCard and class used for fares
+        compareClasses: false, // Also fetch 1st class prices and show the upgrade cost (--class both)
+        viaStation: null, // Station ({ id, name }) every connection must pass through
+        avoidStations: [], // Stations ({ id, name }) connections must not pass through
+        minTransferMinutes: null, // Minimum time to change trains
+        maxTransfers: null, // Maximum number of changes (0 = direct trains only)
+        maxDurationMinutes: null // Maximum travel time per journey
     },
     
     // Common routes for quick access
@@ -48,6 +74,9 @@ export const DEFAULT_CONFIG = {
     // Saved searches for reuse
     savedSearches: {},
     
+    // Price watches re-run by the watch command (see price-watch.js)
+    watches: {},
+    
     // Default time preferences
     defaultTimePreferences: {
         outbound: {
@@ -173,8 +202,11 @@ export function validateConfig(config) {
     }
     
     // Validate trip type
-    const validTripTypes = ['same-day', 'multi-day', 'one-way'];
-    if (!validTripTypes.includes(config.preferences.defaultTripType)) {
+    const validTripTypes = ['same-day', 'multi-day', 'one-way', 'regional', 'matrix'];
+    if (config.preferences.defaultTripType === 'multi-city') {
+        // The stops of a multi-city trip only come from --leg, so it cannot be the default
+        errors.push('Invalid default trip type: multi-city. Multi-city trips need their stops as --leg station:nights, so choose them with --trip-type multi-city');
+    } else if (!validTripTypes.includes(config.preferences.defaultTripType)) {
         errors.push(`Invalid default trip type: ${config.preferences.defaultTripType}. Must be one of: ${validTripTypes.join(', ')}`);
     }
     
@@ -183,10 +215,44 @@ export function validateConfig(config) {
         errors.push('maxResults must be between 1 and 50');
     }
     
+    if (config.preferences.maxRequestsPerSecond <= 0 || config.preferences.maxRequestsPerSecond > 50) {
+        errors.push('maxRequestsPerSecond must be greater than 0 and at most 50');
+    }
+    
+    if (!(config.preferences.cacheTtlMinutes > 0)) {
+        errors.push('cacheTtlMinutes must be greater than 0');
+    }
+    
     if (config.preferences.searchTimeout < 30000 || config.preferences.searchTimeout > 600000) {
         errors.push('searchTimeout must be between 30 seconds and 10 minutes');
     }
     
+    const { minStayMinutes, maxStayMinutes } = config.preferences;
+    if (minStayMinutes != null && maxStayMinutes != null && minStayMinutes > maxStayMinutes) {
+        errors.push('minStayMinutes cannot be greater than maxStayMinutes');
+    }
+    
+    const { minNights, maxNights } = config.preferences;
+    if (minNights != null && maxNights != null && minNights > maxNights) {
+        errors.push('minNights cannot be greater than maxNights');
+    }
+    
+    validatePassengers(config.preferences.passengers).forEach(error => {
+        errors.push(`passengers: ${error}`);
+    });
+    
+    if (config.preferences.sortBy != null && !SORT_ORDERS.includes(config.preferences.sortBy)) {
+        errors.push(`Invalid sort order: ${config.preferences.sortBy}. Must be one of: ${SORT_ORDERS.join(', ')}`);
+    }
+    
+    if (!(config.preferences.watchIntervalMinutes >= 5)) {
+        errors.push('watchIntervalMinutes must be at least 5');
+    }
+    
+    validateWeights(config.preferences.scoring).forEach(error => {
+        errors.push(`scoring: ${error}`);
+    });
+    
     return errors;
 }
 
@@ -220,6 +286,37 @@ export function deleteSavedSearch(config, searchName) {
     return false;
 }
 
+// Save a price watch (replacing one of the same name)
+export function saveWatch(config, watchName, watch) {
+    config.watches[watchName] = watch;
+}
+
+// Update the state of a price watch after a run
+export function updateWatch(config, watchName, changes) {
+    if (config.watches[watchName]) {
+        config.watches[watchName] = { ...config.watches[watchName], ...changes };
+        return true;
+    }
+    return false;
+}
+
+// List all price watches
+export function listWatches(config) {
+    return Object.keys(config.watches).map(name => ({
+        name,
+        ...config.watches[name]
+    }));
+}
+
+// Delete a price watch
+export function deleteWatch(config, watchName) {
+    if (config.watches[watchName]) {
+        delete config.watches[watchName];
+        return true;
+    }
+    return false;
+}
+
 // Get configuration file path for display
 export function getConfigPath() {
     return CONFIG_FILE;
@@ -1,5 +1,7 @@
 // Enhanced error handling for DB Price Analyzer
 import { ProgressIndicator } from './output-formatters.js';
+import { SEARCH_EVENTS, emitSearchEvent, runNestedSearch } from './search-events.js';
+import { parseCalendarDate, getBerlinToday } from './travel-dates.js';
 
 // Custom error types
 export class ConfigurationError extends Error {
@@ -33,6 +35,29 @@ export class SearchError extends Error {
     }
 }
 
+export class CacheMissError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CacheMissError';
+    }
+}
+
+// A search was stopped by its AbortSignal (Ctrl+C or the search timeout)
+export class SearchCancelledError extends Error {
+    constructor(message = 'Search cancelled') {
+        super(message);
+        this.name = 'SearchCancelledError';
+    }
+}
+
+// A replayed run asked for a request that was never recorded
+export class FixtureMissingError extends CacheMissError {
+    constructor(message) {
+        super(message);
+        this.name = 'FixtureMissingError';
+    }
+}
+
 // Enhanced error formatter
 export function formatError(error, verbose = false) {
     let message = '';
@@ -53,6 +78,15 @@ export function formatError(error, verbose = false) {
                 message += `\n   Field: ${error.field}`;
             }
             break;
+        case 'CacheMissError':
+            message = `💾 Cache Miss: ${error.message}`;
+            break;
+        case 'FixtureMissingError':
+            message = `📼 Replay Miss: ${error.message}`;
+            break;
+        case 'SearchCancelledError':
+            message = `🛑 Search Cancelled: ${error.message}`;
+            break;
         case 'SearchError':
             message = `🔍 Search Error: ${error.message}`;
             if (verbose && error.searchParams) {
@@ -80,6 +114,11 @@ export async function withRetry(operation, maxAttempts = 3, baseDelay = 1000, co
         } catch (error) {
             lastError = error;
             
+            // A cancelled search stays cancelled
+            if (error instanceof SearchCancelledError) {
+                throw error;
+            }
+            
             if (attempt === maxAttempts) {
                 throw new NetworkError(
                     `${context} failed after ${maxAttempts} attempts: ${error.message}`,
@@ -89,8 +128,7 @@ export async function withRetry(operation, maxAttempts = 3, baseDelay = 1000, co
             
             // Calculate delay with exponential backoff
             const delay = baseDelay * Math.pow(2, attempt - 1);
-            console.warn(`⚠️  ${context} failed (attempt ${attempt}/${maxAttempts}). Retrying in ${delay}ms...`);
-            console.warn(`   Error: ${error.message}`);
+            emitSearchEvent(SEARCH_EVENTS.SEARCH_RETRY, { context, attempt, maxAttempts, delay, error: error.message });
             
             await new Promise(resolve => setTimeout(resolve, delay));
         }
@@ -99,114 +137,309 @@ export async function withRetry(operation, maxAttempts = 3, baseDelay = 1000, co
     throw lastError;
 }
 
-// Individual date search with retry (preserves other results)
-export async function withDateRetry(operation, date, maxAttempts = 2, baseDelay = 2000) {
-    let lastError = null;
+// Keeps at most maxConcurrency requests in flight and spaces their starts to a requests-per-second limit.
+// Failed requests pause everybody (with jitter), so retries do not hammer the API together
+export class RequestLimiter {
+    constructor(maxConcurrency = 3, requestsPerSecond = 4) {
+        this.maxConcurrency = maxConcurrency;
+        this.requestsPerSecond = requestsPerSecond;
+        this.active = 0;
+        this.waiting = [];
+        this.nextStart = 0;
+        this.pausedUntil = 0;
+    }
+    
+    configure({ maxConcurrency, requestsPerSecond } = {}) {
+        if (maxConcurrency) this.maxConcurrency = maxConcurrency;
+        if (requestsPerSecond) this.requestsPerSecond = requestsPerSecond;
+        
+        // Hand freed-up slots to waiting requests
+        while (this.waiting.length > 0 && this.active < this.maxConcurrency) {
+            this.active++;
+            this.waiting.shift()();
+        }
+    }
     
+    async schedule(operation, signal = null) {
+        await this.acquire(signal);
+        try {
+            throwIfCancelled(signal);
+            return await operation();
+        } finally {
+            this.release();
+        }
+    }
+    
+    // Wait for a free slot; a cancelled request leaves the queue without taking one
+    async acquire(signal = null) {
+        throwIfCancelled(signal);
+        
+        if (this.active < this.maxConcurrency) {
+            this.active++;
+        } else {
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    this.waiting = this.waiting.filter(waiting => waiting !== grant);
+                    reject(getCancellationError(signal));
+                };
+                const grant = () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                };
+                this.waiting.push(grant);
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+        
+        // Space request starts and honour a pause after failures
+        const now = Date.now();
+        const start = Math.max(now, this.nextStart, this.pausedUntil);
+        this.nextStart = start + 1000 / this.requestsPerSecond;
+        if (start > now) {
+            try {
+                await sleep(start - now, signal);
+            } catch (error) {
+                this.release();
+                throw error;
+            }
+        }
+    }
+    
+    release() {
+        if (this.waiting.length > 0 && this.active <= this.maxConcurrency) {
+            // Pass the slot straight on to the next waiting request
+            this.waiting.shift()();
+        } else {
+            this.active--;
+        }
+    }
+    
+    // Pause all requests after a failure (exponential, with ±50% jitter) and return the delay
+    backoff(attempt, baseDelay = 1000) {
+        const delay = Math.round(baseDelay * Math.pow(2, attempt - 1) * (0.5 + Math.random()));
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        return delay;
+    }
+}
+
+// One limiter for the whole process, shared by nested searches (and by bot users searching at once)
+const requestLimiter = new RequestLimiter();
+
+// Apply concurrency and rate limits from the preferences
+export function configureRequestLimiter(preferences = {}) {
+    requestLimiter.configure({
+        maxConcurrency: preferences.maxConcurrency,
+        requestsPerSecond: preferences.maxRequestsPerSecond
+    });
+}
+
+// Run an API request through the shared limiter (requests not started yet are dropped once the signal fires)
+export function scheduleRequest(operation, signal = null) {
+    return requestLimiter.schedule(operation, signal);
+}
+
+// Error a search is cancelled with (the abort reason when it is one)
+function getCancellationError(signal) {
+    if (signal.reason instanceof SearchCancelledError) {
+        return signal.reason;
+    }
+    return new SearchCancelledError(signal.reason?.message || 'Search cancelled');
+}
+
+// Throw a SearchCancelledError if the signal has fired
+export function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw getCancellationError(signal);
+    }
+}
+
+// Sleep that ends early (with a SearchCancelledError) when the signal fires
+export function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(getCancellationError(signal));
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(getCancellationError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Individual date search with retry. A date that still fails throws its last error,
+// which the worker pool records as a failed date while the other dates continue
+export async function withDateRetry(operation, date, maxAttempts = 2, baseDelay = 2000, signal = null) {
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
             return await operation();
         } catch (error) {
-            lastError = error;
+            // Whatever a date failed with after cancellation, it is cancelled rather than failed
+            throwIfCancelled(signal);
             
-            if (attempt === maxAttempts) {
-                console.warn(`⚠️  Search for ${date} failed after ${maxAttempts} attempts: ${error.message}`);
-                return null; // Return null instead of throwing, so other dates can continue
+            // Retrying cannot fill a cache miss in offline mode (or a missing replay fixture)
+            if (error instanceof CacheMissError || attempt === maxAttempts) {
+                throw error;
             }
             
-            const delay = baseDelay;
-            console.warn(`⚠️  Search for ${date} failed (attempt ${attempt}/${maxAttempts}). Retrying in ${delay}ms...`);
+            // Back off together with every other search sharing the limiter
+            const delay = requestLimiter.backoff(attempt, baseDelay);
+            emitSearchEvent(SEARCH_EVENTS.DATE_RETRY, { date, attempt, maxAttempts, delay, error: error.message });
             
-            await new Promise(resolve => setTimeout(resolve, delay));
+            await sleep(delay, signal);
         }
     }
     
     return null;
 }
 
-// Progress-aware search with result preservation and parallel processing
-export async function withProgressiveSearch(dates, searchFunction, progressCallback, maxConcurrency = 3, useAnimation = true) {
-    const results = [];
-    const failures = [];
+// Search dates with a continuous worker pool, yielding each date as it completes:
+// { type: 'result', index, date, result } or { type: 'failure', index, date, error, cancelled }.
+// When the signal fires no further dates are started; those dates are yielded last as cancelled failures.
+// A consumer that stops early (break, or return() on the iterator) stops the pool the same way.
+// Progress is reported as date:* events (see search-events.js) at the depth of the calling search
+export async function* streamProgressiveSearch(dates, searchFunction, maxConcurrency = 3, signal = null) {
     const total = dates.length;
-    let completed = 0;
     
-    // Import progress indicator
-    const { ParallelSearchProgress } = await import('./output-formatters.js');
-    const progress = new ParallelSearchProgress(total, maxConcurrency, useAnimation);
+    // Fires with the caller's signal, or when the consumer stops reading
+    const poolController = new AbortController();
+    const stopPool = () => poolController.abort(signal.reason);
+    if (signal?.aborted) {
+        stopPool();
+    } else {
+        signal?.addEventListener('abort', stopPool, { once: true });
+    }
+    const poolSignal = poolController.signal;
+    const started = new Array(dates.length).fill(false);
     
-    // Start progress animation
-    progress.start();
+    // Completed dates wait here until the consumer asks for the next one
+    const finished = [];
+    let wakeConsumer = null;
+    const publish = (event) => {
+        finished.push(event);
+        wakeConsumer?.();
+    };
     
-    // Function to search a single date with silent progress tracking
-    const searchWithProgress = async (date) => {
+    // Search a single date; searches started by it (e.g. the legs of an N-night trip) are nested
+    const searchDate = async (date, index) => {
+        emitSearchEvent(SEARCH_EVENTS.DATE_START, { date, index, total });
+        
         try {
             const result = await withDateRetry(
-                () => searchFunction(date),
+                () => runNestedSearch(() => searchFunction(date)),
                 date,
                 2, // 2 attempts per date
-                2000 // 2 second delay between retries
+                2000, // Base delay before retrying (jittered, doubles per attempt)
+                poolSignal
             );
-            
-            completed++;
-            progress.updateProgress(`Searching dates...`, completed);
-            
-            if (result) {
-                results.push(result);
-                return { success: true, date, result };
-            } else {
-                failures.push(date);
-                return { success: false, date, error: 'No result returned' };
+            if (!result) {
+                throw new SearchError('No result returned');
             }
-            
+            emitSearchEvent(SEARCH_EVENTS.DATE_RESULT, { date, index, total, result });
+            publish({ type: 'result', index, date, result });
         } catch (error) {
-            completed++;
-            failures.push(date);
-            progress.updateProgress(`Searching dates...`, completed);
-            return { success: false, date, error: error.message };
+            const cancelled = error instanceof SearchCancelledError;
+            emitSearchEvent(SEARCH_EVENTS.DATE_FAILED, {
+                date, index, total, error: error.message, cancelled, skipped: error instanceof CacheMissError
+            });
+            publish({ type: 'failure', index, date, error: error.message, cancelled });
         }
     };
     
-    // Process dates in parallel batches
-    for (let i = 0; i < dates.length; i += maxConcurrency) {
-        const batch = dates.slice(i, i + maxConcurrency);
-        const batchNumber = Math.floor(i / maxConcurrency) + 1;
-        const totalBatches = Math.ceil(dates.length / maxConcurrency);
-        
-        progress.updateProgress(`Batch ${batchNumber}/${totalBatches}`, completed);
-        
-        const batchPromises = batch.map(date => searchWithProgress(date));
-        
-        // Wait for current batch to complete before starting next batch
-        await Promise.all(batchPromises);
-        
-        // Small delay between batches to avoid overwhelming the API
-        if (i + maxConcurrency < dates.length) {
-            await new Promise(resolve => setTimeout(resolve, 500));
+    // Each worker takes the next date as soon as it is done, so a slow date never holds up the others.
+    // The shared request limiter caps the requests actually in flight, however deeply searches nest
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < dates.length && !poolSignal.aborted) {
+            const index = nextIndex++;
+            started[index] = true;
+            await searchDate(dates[index], index);
+        }
+    };
+    
+    let poolDone = false;
+    const workerCount = Math.max(1, Math.min(maxConcurrency, dates.length));
+    Promise.all(Array.from({ length: workerCount }, () => worker())).then(() => {
+        poolDone = true;
+        wakeConsumer?.();
+    });
+    
+    try {
+        while (!poolDone || finished.length > 0) {
+            if (finished.length > 0) {
+                yield finished.shift();
+            } else {
+                await new Promise(resolve => {
+                    wakeConsumer = resolve;
+                });
+                wakeConsumer = null;
+            }
+        }
+    } finally {
+        // Nobody reads the dates still to come: stop the workers from taking them
+        signal?.removeEventListener('abort', stopPool);
+        if (!poolDone) {
+            poolController.abort(new SearchCancelledError('Search stopped by its consumer'));
         }
     }
     
-    // Stop progress animation and show summary
-    progress.stop(results.length, failures.length);
+    // Dates the cancellation kept from starting
+    for (let index = 0; index < dates.length; index++) {
+        if (!started[index]) {
+            yield { type: 'failure', index, date: dates[index], error: 'Search cancelled', cancelled: true };
+        }
+    }
+}
+
+// Collect a streamed search: results in date order, failed dates, and dates left out by a cancellation
+export async function collectProgressiveSearch(events) {
+    const outcomes = [];
+    for await (const event of events) {
+        outcomes[event.index] = event;
+    }
+    
+    const settled = outcomes.filter(Boolean);
+    const results = settled.filter(outcome => outcome.type === 'result').map(outcome => outcome.result);
+    const failures = settled.filter(outcome => outcome.type === 'failure' && !outcome.cancelled).map(outcome => outcome.date);
+    const cancelled = settled.filter(outcome => outcome.cancelled).map(outcome => outcome.date);
     
     return {
         results,
         failures,
+        cancelled,
         successCount: results.length,
-        failureCount: failures.length
+        failureCount: failures.length,
+        incomplete: cancelled.length > 0
     };
 }
 
-// Timeout wrapper
-export function withTimeout(promise, timeoutMs, context = 'operation') {
-    return Promise.race([
-        promise,
-        new Promise((_, reject) => {
-            setTimeout(() => {
-                reject(new NetworkError(`${context} timed out after ${timeoutMs}ms`));
-            }, timeoutMs);
-        })
-    ]);
+// Search dates with result preservation (results stay in date order)
+export function withProgressiveSearch(dates, searchFunction, maxConcurrency = 3, signal = null) {
+    return collectProgressiveSearch(streamProgressiveSearch(dates, searchFunction, maxConcurrency, signal));
+}
+
+// Timeout wrapper. With an AbortController the search is cancelled on timeout and
+// its partial results are awaited; without one the timeout rejects right away
+export function withTimeout(promise, timeoutMs, context = 'operation', controller = null) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const message = `${context} timed out after ${timeoutMs}ms`;
+            if (controller) {
+                controller.abort(new SearchCancelledError(message));
+            } else {
+                reject(new NetworkError(message));
+            }
+        }, timeoutMs);
+    });
+    
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 // Progress-aware operation wrapper
@@ -280,33 +513,62 @@ export function validateDateInput(input) {
         throw new ValidationError('Date must be in YYYY-MM-DD or MM-DD format', 'date');
     }
     
-    // Parse and validate
-    let date;
-    if (/^\d{1,2}-\d{1,2}$/.test(trimmed)) {
-        const currentYear = new Date().getFullYear();
-        date = new Date(`${currentYear}-${trimmed}`);
-    } else {
-        date = new Date(trimmed);
-    }
-    
-    if (isNaN(date.getTime())) {
+    // Parse and validate (MM-DD is in the current year)
+    const date = parseCalendarDate(trimmed);
+    if (!date) {
         throw new ValidationError('Invalid date', 'date');
     }
     
-    // Check if date is in the future
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
-    date.setHours(0, 0, 0, 0);
-    
-    if (date <= now) {
+    // Check if date is in the future (in Berlin)
+    if (date <= getBerlinToday()) {
         throw new ValidationError('Date must be in the future', 'date');
     }
     
     return date;
 }
 
+// Most stops a multi-city itinerary may have (each one adds a leg to search)
+export const MAX_ITINERARY_STOPS = 6;
+
+// Station id of a station object or id (null when missing)
+function getStationKey(station) {
+    return typeof station === 'object' && station !== null ? station.id ?? null : station ?? null;
+}
+
+// Check the stops of a multi-city itinerary ({ station, nights }): every stop needs a station and
+// a stay of 1-365 nights, and no leg may start and end at the same station
+export function validateItineraryStops(departureStation, destinationStation, stops) {
+    const errors = [];
+    
+    if (!Array.isArray(stops) || stops.length === 0) {
+        return ['Multi-city trips need at least one stop (--leg)'];
+    }
+    if (stops.length > MAX_ITINERARY_STOPS) {
+        errors.push(`Multi-city trips can have at most ${MAX_ITINERARY_STOPS} stops`);
+    }
+    
+    stops.forEach((stop, index) => {
+        if (!getStationKey(stop?.station)) {
+            errors.push(`Stop ${index + 1} has no station`);
+        }
+        if (!Number.isInteger(stop?.nights) || stop.nights < 1 || stop.nights > 365) {
+            errors.push(`Stop ${index + 1} needs a stay of 1 to 365 nights`);
+        }
+    });
+    
+    // Each leg has to go somewhere else
+    const stations = [departureStation, ...stops.map(stop => stop?.station), destinationStation].map(getStationKey);
+    stations.slice(1).forEach((station, index) => {
+        if (station && station === stations[index]) {
+            errors.push(`Leg ${index + 1} starts and ends at the same station`);
+        }
+    });
+    
+    return errors;
+}
+
 export function validateTripType(tripType) {
-    const validTypes = ['same-day', 'multi-day', 'one-way'];
+    const validTypes = ['same-day', 'multi-day', 'one-way', 'regional', 'matrix', 'multi-city'];
     
     if (!validTypes.includes(tripType)) {
         throw new ValidationError(
@@ -346,16 +608,28 @@ export function setupGlobalErrorHandling(verbose = false) {
     });
 }
 
-// Graceful shutdown handler
+// Graceful shutdown handler. The first Ctrl+C cancels the running search (its partial
+// results are still shown), the next one exits. Returns a function registering that search
 export function setupGracefulShutdown() {
+    let activeSearch = null;
+    
     const shutdown = (signal) => {
+        if (activeSearch && !activeSearch.signal.aborted) {
+            console.log(`\n\n🛑 Received ${signal}. Stopping the search, results found so far will be shown (press Ctrl+C again to quit)...`);
+            activeSearch.abort(new SearchCancelledError(`Search cancelled (${signal})`));
+            return;
+        }
+        
         console.log(`\n\n🛑 Received ${signal}. Shutting down gracefully...`);
-        // Clean up any ongoing operations here
         process.exit(0);
     };
     
     process.on('SIGINT', () => shutdown('SIGINT'));
     process.on('SIGTERM', () => shutdown('SIGTERM'));
+    
+    return (controller) => {
+        activeSearch = controller;
+    };
 }
 
 // API error handler for db-vendo-client errors
@@ -401,7 +675,8 @@ export function validateSearchParams(params) {
         errors.push('Destination station is required');
     }
     
-    if (params.departureStation === params.destinationStation) {
+    // Multi-city trips usually end where they started
+    if (params.tripType !== 'multi-city' && params.departureStation === params.destinationStation) {
         errors.push('Departure and destination stations cannot be the same');
     }
     
@@ -417,6 +692,10 @@ export function validateSearchParams(params) {
         errors.push('Number of days is required for flexible duration trips');
     }
     
+    if (params.tripType === 'multi-city') {
+        errors.push(...validateItineraryStops(params.departureStation, params.destinationStation, params.stops));
+    }
+    
     if (errors.length > 0) {
         throw new ValidationError(`Search validation failed:\n  - ${errors.join('\n  - ')}`);
     }
@@ -0,0 +1,134 @@
+// Journey cache - file-backed cache for client.journeys responses with TTL and offline mode
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { CacheMissError } from './error-handler.js';
+import { SEARCH_EVENTS, emitSearchEvent } from './search-events.js';
+
+// Cache directory - stored in the project directory next to the configuration
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DEFAULT_CACHE_DIR = join(__dirname, '..', 'cache', 'journeys');
+
+// Bump when the cached response format changes
+const CACHE_VERSION = 1;
+
+// Cache settings shared by every wrapped client (CLI and bot)
+const cacheSettings = {
+    enabled: true, // Read and write cached responses (--no-cache turns this off)
+    offline: false, // Only answer from the cache, never call the API (--cache-only)
+    ttlMinutes: 30,
+    directory: DEFAULT_CACHE_DIR
+};
+
+const cacheStats = { hits: 0, misses: 0 };
+
+// Apply cache settings from the preferences
+export function configureJourneyCache(preferences = {}) {
+    if (preferences.useCache !== undefined) cacheSettings.enabled = preferences.useCache;
+    if (preferences.cacheOnly !== undefined) cacheSettings.offline = preferences.cacheOnly;
+    if (preferences.cacheTtlMinutes !== undefined) cacheSettings.ttlMinutes = preferences.cacheTtlMinutes;
+    if (preferences.cacheDirectory) cacheSettings.directory = preferences.cacheDirectory;
+}
+
+// Number of responses served from the cache and fetched from the API
+export function getJourneyCacheStats() {
+    return { ...cacheStats };
+}
+
+// Serialize a value with sorted object keys so equal requests get equal keys
+export function stableStringify(value) {
+    if (value instanceof Date) {
+        return JSON.stringify(value.toISOString());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => item === undefined ? 'null' : stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Cache key of a journeys request: route, departure time or page reference, passengers and every other option
+export function getJourneyCacheKey(from, to, options = {}) {
+    const request = stableStringify({ version: CACHE_VERSION, from, to, options });
+    return createHash('sha1').update(request).digest('hex');
+}
+
+function getCacheFile(key) {
+    return join(cacheSettings.directory, `${key}.json`);
+}
+
+// Read a cached response (expired entries are only used in offline mode)
+function readCachedResponse(key, allowExpired) {
+    const file = getCacheFile(key);
+    if (!existsSync(file)) return null;
+
+    try {
+        const entry = JSON.parse(readFileSync(file, 'utf8'));
+        const ageMinutes = (Date.now() - entry.cachedAt) / (1000 * 60);
+        if (!allowExpired && ageMinutes > cacheSettings.ttlMinutes) {
+            return null;
+        }
+        return entry.response;
+    } catch (error) {
+        // A damaged entry is treated as missing and replaced on the next fetch
+        return null;
+    }
+}
+
+function writeCachedResponse(key, response) {
+    try {
+        if (!existsSync(cacheSettings.directory)) {
+            mkdirSync(cacheSettings.directory, { recursive: true });
+        }
+        writeFileSync(getCacheFile(key), JSON.stringify({ cachedAt: Date.now(), response }));
+    } catch (error) {
+        emitSearchEvent(SEARCH_EVENTS.WARNING, { message: `Could not write journey cache: ${error.message}` });
+    }
+}
+
+// Delete every cached response and return how many were removed
+export function clearJourneyCache() {
+    if (!existsSync(cacheSettings.directory)) return 0;
+
+    const files = readdirSync(cacheSettings.directory).filter(file => file.endsWith('.json'));
+    files.forEach(file => unlinkSync(join(cacheSettings.directory, file)));
+    return files.length;
+}
+
+// Wrap a db-vendo-client so journeys responses are served from (and stored in) the cache.
+// Responses served from the cache carry a non-enumerable fromCache flag
+export function withJourneyCache(client) {
+    return {
+        ...client,
+        journeys: async (from, to, options = {}) => {
+            if (!cacheSettings.enabled && !cacheSettings.offline) {
+                return client.journeys(from, to, options);
+            }
+
+            const key = getJourneyCacheKey(from, to, options);
+            const cached = readCachedResponse(key, cacheSettings.offline);
+            if (cached) {
+                cacheStats.hits++;
+                Object.defineProperty(cached, 'fromCache', { value: true });
+                return cached;
+            }
+
+            if (cacheSettings.offline) {
+                throw new CacheMissError(`No cached journeys from ${from} to ${to} for this request (offline mode)`);
+            }
+
+            cacheStats.misses++;
+            const response = await client.journeys(from, to, options);
+            writeCachedResponse(key, response);
+            return response;
+        }
+    };
+}
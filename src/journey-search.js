@@ -1,16 +1,39 @@
 // Journey search functions - all trip search implementations
 
-import { formatDate, extractJourneyInfo } from './journey-utils.js';
+import { formatDate, extractJourneyInfo, atTimeOfDay, getJourneyDeparture, getJourneyIdentity, getTimeAtDestination, formatMinutes, getJourneyStopIds, getShortestTransferMinutes, getDurationMinutes } from './journey-utils.js';
 import { filterJourneysByTime } from './time-preferences.js';
-import { withProgressiveSearch } from './error-handler.js';
+import { streamProgressiveSearch, collectProgressiveSearch, scheduleRequest } from './error-handler.js';
+import { buildPassengerOptions, describePassengers } from './passengers.js';
+import { SEARCH_EVENTS, emitSearchEvent, runNestedSearch } from './search-events.js';
+import { toCalendarDate, eachCalendarDate, addDays, daysBetween, getBerlinHour } from './travel-dates.js';
 
 // Trip type definitions
 export const TRIP_TYPES = {
     SAME_DAY: 'same-day',
     MULTI_DAY: 'multi-day',
-    ONE_WAY: 'one-way'
+    ONE_WAY: 'one-way',
+    REGIONAL: 'regional',
+    MATRIX: 'matrix', // Round-trip price matrix: outbound date × nights
+    MULTI_CITY: 'multi-city' // Itinerary through several stops, e.g. A→B, B→C, C→A
 };
 
+// Products covered by the Deutschlandticket (local and regional transport only)
+export const REGIONAL_PRODUCTS = {
+    nationalExpress: false,
+    national: false,
+    regionalExpress: false, // IR and other fast trains are not covered
+    regional: true,
+    suburban: true,
+    bus: true,
+    ferry: true,
+    subway: true,
+    tram: true,
+    taxi: false
+};
+
+// Products that need a long-distance fare
+const LONG_DISTANCE_PRODUCTS = ['nationalExpress', 'national', 'regionalExpress'];
+
 // Base search configuration
 export const searchConfig = {
     results: 10,
@@ -26,40 +49,388 @@ export const searchConfig = {
     language: 'en'
 };
 
-// Search for same-day trips with resilient retry logic
-export async function searchSameDayTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences = null, returnDepartureStation = null, silent = false, isNestedSearch = false) {
-    const shouldBeQuiet = silent || isNestedSearch;
-    if (!shouldBeQuiet) {
-        console.log('\n🔍 Searching for same-day return trips...\n');
+// Day sweep defaults (used when the config does not override them)
+export const DAY_SWEEP_DEFAULTS = {
+    window: { start: '00:00', end: '23:59' },
+    maxPages: 12
+};
+
+// Get the routing constraints (via/avoid stations, transfers, durations) from the configuration
+export function getRoutingConstraints(config) {
+    const preferences = config?.preferences || {};
+    return {
+        via: preferences.viaStation || null,
+        avoid: preferences.avoidStations || [],
+        minTransferMinutes: preferences.minTransferMinutes ?? null,
+        maxTransfers: preferences.maxTransfers ?? null,
+        maxDurationMinutes: preferences.maxDurationMinutes ?? null
+    };
+}
+
+// Get the per-search client.journeys options (travellers, class, routing) from the configuration
+export function getJourneyOptions(config) {
+    const preferences = config?.preferences || {};
+    const routing = getRoutingConstraints(config);
+    const options = {
+        ...buildPassengerOptions(preferences.passengers)
+    };
+    
+    if (routing.via) {
+        options.via = routing.via.id;
+    }
+    if (routing.minTransferMinutes !== null) {
+        options.transferTime = routing.minTransferMinutes;
+    }
+    if (routing.maxTransfers !== null) {
+        options.transfers = routing.maxTransfers;
     }
+    // Stopovers are needed to check that a journey passes (or avoids) a station without changing there
+    if (routing.via || routing.avoid.length > 0) {
+        options.stopovers = true;
+    }
+    
+    return options;
+}
+
+// Check a journey against the routing constraints the API cannot guarantee
+export function matchesRoutingConstraints(journey, routing) {
+    if (!routing) return true;
     
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const dates = [];
+    const stopIds = (routing.via || routing.avoid.length > 0) ? getJourneyStopIds(journey) : null;
     
-    // Generate all dates to search
-    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
-        dates.push(new Date(date));
+    if (routing.via && !stopIds.has(routing.via.id)) {
+        return false;
     }
     
-    // Individual date search function
-    const searchSingleDate = async (date) => {
-        const dateStr = formatDate(date);
+    if (routing.avoid.some(station => stopIds.has(station.id))) {
+        return false;
+    }
+    
+    if (routing.minTransferMinutes !== null) {
+        const shortestTransfer = getShortestTransferMinutes(journey);
+        if (shortestTransfer !== null && shortestTransfer < routing.minTransferMinutes) {
+            return false;
+        }
+    }
+    
+    if (routing.maxTransfers !== null || routing.maxDurationMinutes !== null) {
+        const info = extractJourneyInfo(journey);
         
-        // Morning departure (6 AM)
-        const morningDeparture = new Date(date);
-        morningDeparture.setHours(6, 0, 0, 0);
+        if (routing.maxTransfers !== null && info.transfers > routing.maxTransfers) {
+            return false;
+        }
         
-        const outboundResult = await client.journeys(departureStation, destinationStation, {
+        const durationMinutes = getDurationMinutes(info.departure, info.arrival);
+        if (routing.maxDurationMinutes !== null && durationMinutes > routing.maxDurationMinutes) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+// Describe routing constraints for messages (e.g. "via Frankfurt(Main)Hbf, direct trains only")
+export function describeRoutingConstraints(routing) {
+    if (!routing) return null;
+    
+    const parts = [];
+    if (routing.via) {
+        parts.push(`via ${routing.via.name || routing.via.id}`);
+    }
+    if (routing.avoid && routing.avoid.length > 0) {
+        parts.push(`avoiding ${routing.avoid.map(station => station.name || station.id).join(', ')}`);
+    }
+    if (routing.maxTransfers === 0) {
+        parts.push('direct trains only');
+    } else if (routing.maxTransfers !== null && routing.maxTransfers !== undefined) {
+        parts.push(`at most ${routing.maxTransfers} transfer${routing.maxTransfers !== 1 ? 's' : ''}`);
+    }
+    if (routing.minTransferMinutes !== null && routing.minTransferMinutes !== undefined) {
+        parts.push(`at least ${routing.minTransferMinutes} min to change trains`);
+    }
+    if (routing.maxDurationMinutes !== null && routing.maxDurationMinutes !== undefined) {
+        parts.push(`at most ${formatMinutes(routing.maxDurationMinutes)} per journey`);
+    }
+    
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+// Get day sweep options from the configuration
+export function getSweepOptions(config) {
+    const preferences = config?.preferences || {};
+    return {
+        window: preferences.sweepWindow || DAY_SWEEP_DEFAULTS.window,
+        maxPages: preferences.maxSweepPages || DAY_SWEEP_DEFAULTS.maxPages,
+        journeyOptions: getJourneyOptions(config),
+        passengers: preferences.passengers || null,
+        constraints: describeRoutingConstraints(getRoutingConstraints(config)) // Recorded with the fares (null without)
+    };
+}
+
+// Page through client.journeys until the time window of a day is covered
+export async function sweepDayJourneys(client, departureStation, destinationStation, date, options = {}) {
+    const window = options.window || DAY_SWEEP_DEFAULTS.window;
+    const maxPages = options.maxPages || DAY_SWEEP_DEFAULTS.maxPages;
+    const journeyOptions = options.journeyOptions || {};
+    const signal = options.signal || null;
+    const windowStart = atTimeOfDay(date, window.start);
+    const windowEnd = atTimeOfDay(date, window.end);
+
+    const journeysByIdentity = new Map();
+    let pages = 0;
+    let fetchedPages = 0;
+
+    // Fetch one page (through the shared request limiter) and keep journeys not seen before (by trip identity).
+    // Once the signal fires no further pages are requested
+    const fetchPage = async (pageOptions) => {
+        const page = await scheduleRequest(() => client.journeys(departureStation, destinationStation, {
             ...searchConfig,
-            departure: morningDeparture,
-            results: 15
+            ...journeyOptions,
+            ...pageOptions
+        }), signal);
+        pages++;
+        if (!page.fromCache) fetchedPages++;
+
+        let added = 0;
+        page.journeys.forEach(journey => {
+            if (!journey.legs || journey.legs.length === 0) return;
+            const identity = getJourneyIdentity(journey);
+            if (!journeysByIdentity.has(identity)) {
+                journeysByIdentity.set(identity, journey);
+                added++;
+            }
         });
-        
-        // Filter outbound journeys with pricing
+
+        return { page, added };
+    };
+
+    const departures = () => [...journeysByIdentity.values()].map(journey => getJourneyDeparture(journey));
+
+    const { page: firstPage } = await fetchPage({ departure: windowStart });
+
+    // Page forward until the last departure passes the end of the window
+    let laterRef = firstPage.laterRef;
+    while (laterRef && pages < maxPages && Math.max(...departures()) < windowEnd) {
+        const { page, added } = await fetchPage({ laterThan: laterRef });
+        if (added === 0) break;
+        laterRef = page.laterRef;
+    }
+
+    // Page backward if the first page started after the window opened
+    // (a window starting at midnight has nothing earlier on the same day)
+    let earlierRef = firstPage.earlierRef;
+    while (window.start !== '00:00' && earlierRef && pages < maxPages && Math.min(...departures()) > windowStart) {
+        const { page, added } = await fetchPage({ earlierThan: earlierRef });
+        if (added === 0) break;
+        earlierRef = page.earlierRef;
+    }
+
+    const journeys = [...journeysByIdentity.values()]
+        .filter(journey => {
+            const departure = getJourneyDeparture(journey);
+            return departure >= windowStart && departure <= windowEnd;
+        })
+        .sort((a, b) => getJourneyDeparture(a) - getJourneyDeparture(b));
+
+    // Report the fares of the day with the constraints they were found under (the price history records them).
+    // Days answered entirely from the journey cache were reported when they were fetched
+    const prices = journeys
+        .filter(journey => journey.price && journey.price.amount)
+        .map(journey => {
+            const info = extractJourneyInfo(journey);
+            return { train: info.trainName, departure: info.departure, arrival: info.arrival, transfers: info.transfers, price: info.price, currency: info.currency };
+        });
+    if (prices.length > 0 && fetchedPages > 0) {
+        const fare = describePassengers({ ...options.passengers, travelClass: journeyOptions.firstClass ? 1 : 2 });
+        const constraints = options.constraints || null;
+        emitSearchEvent(SEARCH_EVENTS.PRICES_OBSERVED, { from: departureStation, to: destinationStation, date, fare, constraints, prices });
+    }
+
+    return { journeys, pages };
+}
+
+// Announce a search with search:start, pass its date events through and report the outcome
+// with search:done (also when the consumer stops reading early)
+async function* reportSearch(details, events) {
+    emitSearchEvent(SEARCH_EVENTS.SEARCH_START, details);
+    const settled = [];
+    let exhausted = false;
+    try {
+        for await (const event of events) {
+            settled.push(event);
+            yield event;
+        }
+        exhausted = true;
+    } finally {
+        const outcome = await collectProgressiveSearch(settled);
+        emitSearchEvent(SEARCH_EVENTS.SEARCH_DONE, {
+            ...details,
+            results: outcome.results,
+            failures: outcome.failures,
+            cancelled: outcome.cancelled,
+            incomplete: outcome.incomplete || !exhausted
+        });
+    }
+}
+
+// Maximum number of ranked combinations kept per date
+function getMaxResults(config) {
+    return config?.preferences?.maxResults || 10;
+}
+
+// Whether 1st class prices are fetched alongside 2nd class ones (--class both)
+function shouldCompareClasses(config) {
+    return config?.preferences?.compareClasses === true;
+}
+
+// Sweep the same window in 1st class and map each journey identity to its 1st class price
+async function sweepFirstClassPrices(client, departureStation, destinationStation, date, sweepOptions) {
+    const { journeys, pages } = await sweepDayJourneys(client, departureStation, destinationStation, date, {
+        ...sweepOptions,
+        journeyOptions: { ...sweepOptions.journeyOptions, firstClass: true }
+    });
+    
+    const prices = new Map();
+    journeys.forEach(journey => {
+        if (journey.price && journey.price.amount) {
+            prices.set(getJourneyIdentity(journey), journey.price.amount);
+        }
+    });
+    
+    return { prices, pages };
+}
+
+// Extract journey info, adding the 1st class price of the same trains when comparing classes
+function toJourneyInfo(journey, firstClassPrices = null) {
+    const info = extractJourneyInfo(journey);
+    if (firstClassPrices) {
+        info.firstClassPrice = firstClassPrices.get(getJourneyIdentity(journey)) ?? null;
+    }
+    return info;
+}
+
+// Minimum/maximum time at destination (in minutes) for same-day trips
+export function getStayLimits(config) {
+    const preferences = config?.preferences || {};
+    return {
+        minMinutes: preferences.minStayMinutes ?? null,
+        maxMinutes: preferences.maxStayMinutes ?? null
+    };
+}
+
+// Describe stay limits for messages (e.g. "at least 4h", "between 3h and 6h")
+export function describeStayLimits(stayLimits) {
+    const { minMinutes, maxMinutes } = stayLimits || {};
+    if (minMinutes !== null && minMinutes !== undefined && maxMinutes !== null && maxMinutes !== undefined) {
+        return `between ${formatMinutes(minMinutes)} and ${formatMinutes(maxMinutes)}`;
+    }
+    if (minMinutes !== null && minMinutes !== undefined) {
+        return `at least ${formatMinutes(minMinutes)}`;
+    }
+    if (maxMinutes !== null && maxMinutes !== undefined) {
+        return `at most ${formatMinutes(maxMinutes)}`;
+    }
+    return null;
+}
+
+// Minimum/maximum nights between the outbound and return dates of multi-day trips
+export function getNightLimits(config) {
+    const preferences = config?.preferences || {};
+    return {
+        minNights: preferences.minNights ?? null,
+        maxNights: preferences.maxNights ?? null
+    };
+}
+
+// Describe night limits for messages (e.g. "at least 2 nights", "between 2 and 4 nights")
+export function describeNightLimits(nightLimits) {
+    const { minNights, maxNights } = nightLimits || {};
+    const nights = (count) => `${count} night${count === 1 ? '' : 's'}`;
+    if (minNights !== null && minNights !== undefined && maxNights !== null && maxNights !== undefined) {
+        return `between ${minNights} and ${nights(maxNights)}`;
+    }
+    if (minNights !== null && minNights !== undefined) {
+        return `at least ${nights(minNights)}`;
+    }
+    if (maxNights !== null && maxNights !== undefined) {
+        return `at most ${nights(maxNights)}`;
+    }
+    return null;
+}
+
+// Whether a return date is allowed for an outbound date (never before it, and within the night limits)
+function isWithinNightLimits(outboundDate, returnDate, nightLimits) {
+    const nights = daysBetween(outboundDate, returnDate);
+    const { minNights = null, maxNights = null } = nightLimits;
+    if (nights < 0) return false;
+    if (minNights !== null && nights < minNights) return false;
+    if (maxNights !== null && nights > maxNights) return false;
+    return true;
+}
+
+// Rank outbound/return pairs by total price, keeping per-leg prices and time at destination.
+// Pairs where the return leaves before the outbound arrives, or outside the stay limits, are skipped.
+export function rankCombinations(outboundOptions, returnOptions, limit, stayLimits = {}) {
+    const { minMinutes = null, maxMinutes = null } = stayLimits;
+    const combinations = [];
+    
+    outboundOptions.forEach(outbound => {
+        returnOptions.forEach(returnJourney => {
+            const timeAtDestination = getTimeAtDestination(outbound, returnJourney);
+            
+            if (timeAtDestination <= 0) return;
+            if (minMinutes !== null && timeAtDestination < minMinutes) return;
+            if (maxMinutes !== null && timeAtDestination > maxMinutes) return;
+            
+            const combination = {
+                totalPrice: outbound.price + returnJourney.price,
+                outbound,
+                return: returnJourney,
+                timeAtDestination
+            };
+            
+            // 1st class total (null when either direction has no 1st class fare)
+            if (outbound.firstClassPrice !== undefined && returnJourney.firstClassPrice !== undefined) {
+                combination.firstClassPrice = outbound.firstClassPrice !== null && returnJourney.firstClassPrice !== null
+                    ? outbound.firstClassPrice + returnJourney.firstClassPrice
+                    : null;
+            }
+            
+            combinations.push(combination);
+        });
+    });
+    
+    return combinations
+        .sort((a, b) => a.totalPrice - b.totalPrice)
+        .slice(0, limit);
+}
+
+// Stream same-day return trips, yielding each date as it completes (events as in streamProgressiveSearch)
+export async function* streamSameDayTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences = null, returnDepartureStation = null, signal = null) {
+    // Generate all dates to search (calendar dates, YYYY-MM-DD)
+    const dates = eachCalendarDate(toCalendarDate(startDate), toCalendarDate(endDate));
+    
+    // Individual date search function
+    const searchSingleDate = async (date) => {
+        const dateStr = formatDate(date);
+        const sweepOptions = { ...getSweepOptions(config), signal };
+
+        // Without time preferences only outbound trains arriving before noon are used,
+        // so the outbound sweep can stop at 12:00
+        const outboundWindow = timePreferences?.outbound
+            ? sweepOptions.window
+            : { start: sweepOptions.window.start, end: sweepOptions.window.end < '12:00' ? sweepOptions.window.end : '12:00' };
+
+        const outboundResult = await sweepDayJourneys(client, departureStation, destinationStation, date, {
+            ...sweepOptions,
+            window: outboundWindow
+        });
+
+        // Filter outbound journeys with pricing that respect the routing constraints
+        const routing = getRoutingConstraints(config);
         let validOutbound = outboundResult.journeys.filter(journey => {
             if (!journey.legs || journey.legs.length === 0) return false;
-            return journey.price && journey.price.amount;
+            return journey.price && journey.price.amount && matchesRoutingConstraints(journey, routing);
         });
         
         // Apply time preferences for outbound if specified
@@ -69,35 +440,35 @@ export async function searchSameDayTrips(client, config, departureStation, desti
             // Default: arrivals before 12 PM for same-day trips
             validOutbound = validOutbound.filter(journey => {
                 const lastLeg = journey.legs[journey.legs.length - 1];
-                const arrivalTime = new Date(lastLeg.plannedArrival || lastLeg.arrival);
-                return arrivalTime.getHours() < 12;
+                return getBerlinHour(lastLeg.plannedArrival || lastLeg.arrival) < 12;
             });
         }
         
+        const routingDescription = describeRoutingConstraints(routing);
         if (validOutbound.length === 0) {
-            throw new Error('No suitable outbound journeys found');
+            throw new Error(`No suitable outbound journeys found${routingDescription ? ` (${routingDescription})` : ''}`);
         }
         
-        // Evening departure (6 PM)
-        const eveningDeparture = new Date(date);
-        eveningDeparture.setHours(18, 0, 0, 0);
-        
+        // Return trains departing before 06:00 are never used, so start the sweep there
+        const returnWindow = {
+            start: sweepOptions.window.start > '06:00' ? sweepOptions.window.start : '06:00',
+            end: sweepOptions.window.end
+        };
+
         const actualReturnDeparture = returnDepartureStation || destinationStation;
-        const returnResult = await client.journeys(actualReturnDeparture, departureStation, {
-            ...searchConfig,
-            departure: eveningDeparture,
-            results: 15
+        const returnResult = await sweepDayJourneys(client, actualReturnDeparture, departureStation, date, {
+            ...sweepOptions,
+            window: returnWindow
         });
         
         let validReturn = returnResult.journeys.filter(journey => {
-            return journey.price && journey.price.amount;
+            return journey.price && journey.price.amount && matchesRoutingConstraints(journey, routing);
         });
         
         // For same-day trips, exclude return trains that depart after midnight (next day)
         validReturn = validReturn.filter(journey => {
             const firstLeg = journey.legs[0];
-            const departureTime = new Date(firstLeg.plannedDeparture || firstLeg.departure);
-            const departureHour = departureTime.getHours();
+            const departureHour = getBerlinHour(firstLeg.plannedDeparture || firstLeg.departure);
             // Exclude trains departing between 00:00 and 05:59 (early morning next day)
             return departureHour >= 6 && departureHour <= 23;
         });
@@ -108,30 +479,54 @@ export async function searchSameDayTrips(client, config, departureStation, desti
         }
         
         if (validReturn.length === 0) {
-            throw new Error('No suitable return journeys found');
+            throw new Error(`No suitable return journeys found${routingDescription ? ` (${routingDescription})` : ''}`);
         }
         
-        // Find cheapest combination
-        const cheapestOutbound = validOutbound.reduce((min, journey) => 
-            journey.price.amount < min.price.amount ? journey : min
-        );
+        // With class comparison, look up the 1st class price of the same trains
+        let firstClassOutbound = null;
+        let firstClassReturn = null;
+        if (shouldCompareClasses(config)) {
+            firstClassOutbound = await sweepFirstClassPrices(client, departureStation, destinationStation, date, { ...sweepOptions, window: outboundWindow });
+            firstClassReturn = await sweepFirstClassPrices(client, actualReturnDeparture, departureStation, date, { ...sweepOptions, window: returnWindow });
+        }
         
-        const cheapestReturn = validReturn.reduce((min, journey) => 
-            journey.price.amount < min.price.amount ? journey : min
+        // Rank outbound/return combinations by total price, pairing only trains
+        // that leave the requested time at the destination
+        const stayLimits = getStayLimits(config);
+        const combinations = rankCombinations(
+            validOutbound.map(journey => toJourneyInfo(journey, firstClassOutbound?.prices)),
+            validReturn.map(journey => toJourneyInfo(journey, firstClassReturn?.prices)),
+            getMaxResults(config),
+            stayLimits
         );
         
-        const totalPrice = cheapestOutbound.price.amount + cheapestReturn.price.amount;
+        if (combinations.length === 0) {
+            const stayDescription = describeStayLimits(stayLimits);
+            throw new Error(stayDescription
+                ? `No outbound/return pair with ${stayDescription} at the destination`
+                : 'No return journey departs after the outbound arrives');
+        }
         
         return {
             date: dateStr,
-            totalPrice,
-            outbound: extractJourneyInfo(cheapestOutbound),
-            return: extractJourneyInfo(cheapestReturn)
+            ...combinations[0],
+            combinations,
+            pages: outboundResult.pages + returnResult.pages + (firstClassOutbound?.pages || 0) + (firstClassReturn?.pages || 0)
         };
     };
     
-    // Use progressive search with retry and configurable concurrency
-    const searchResult = await withProgressiveSearch(
+    const details = {
+        tripType: TRIP_TYPES.SAME_DAY,
+        from: departureStation,
+        to: destinationStation,
+        startDate,
+        endDate,
+        maxConcurrency: config.preferences.maxConcurrency,
+        stay: describeStayLimits(getStayLimits(config))
+    };
+    
+    // Progressive search with retry and configurable concurrency, yielding each date as it completes
+    yield* reportSearch(details, streamProgressiveSearch(
         dates.map(date => formatDate(date)),
         async (dateStr) => {
             const date = dates.find(d => formatDate(d) === dateStr);
@@ -139,91 +534,47 @@ export async function searchSameDayTrips(client, config, departureStation, desti
             // Individual date results will be shown in summary
             return result;
         },
-        (message) => {
-            if (!shouldBeQuiet) {
-                console.log(`  ${message}`);
-            }
-        },
         config.preferences.maxConcurrency,
-        shouldBeQuiet ? false : config.preferences.useTrainAnimations
-    );
-    
-    // Show successful results summary
-    if (!shouldBeQuiet && searchResult.results.length > 0) {
-        console.log(`\n✓ Found ${searchResult.results.length} same-day options:`);
-        searchResult.results.forEach(result => {
-            console.log(`  ${result.date}: €${result.totalPrice.toFixed(2)} total`);
-        });
-    }
-    
+        signal
+    ));
+}
+
+// Search for same-day trips with resilient retry logic
+export async function searchSameDayTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences = null, returnDepartureStation = null, signal = null) {
+    const searchResult = await collectProgressiveSearch(streamSameDayTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences, returnDepartureStation, signal));
     return searchResult.results;
 }
 
-// Search for one-way trips with resilient retry logic
-export async function searchOneWayTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences = null, silent = false, isNestedSearch = false) {
-    const shouldBeQuiet = silent || isNestedSearch;
-    if (!shouldBeQuiet) {
-        console.log('\n🔍 Searching for one-way trips...\n');
-    }
-    
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const dates = [];
-    
-    // Generate all dates to search
-    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
-        dates.push(new Date(date));
-    }
+// Stream one-way trips, yielding each date as it completes (events as in streamProgressiveSearch)
+export async function* streamOneWayTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences = null, signal = null) {
+    const details = {
+        tripType: TRIP_TYPES.ONE_WAY,
+        from: departureStation,
+        to: destinationStation,
+        startDate,
+        endDate,
+        maxConcurrency: config.preferences.maxConcurrency
+    };
+    yield* reportSearch(details, streamOneWayDates(client, config, departureStation, destinationStation, startDate, endDate, timePreferences, signal));
+}
+
+// Date events of a one-way search without search:start/search:done (multi-day trips report their own)
+function streamOneWayDates(client, config, departureStation, destinationStation, startDate, endDate, timePreferences, signal) {
+    // Generate all dates to search (calendar dates, YYYY-MM-DD)
+    const dates = eachCalendarDate(toCalendarDate(startDate), toCalendarDate(endDate));
     
     // Individual date search function
     const searchSingleDate = async (date) => {
         const dateStr = formatDate(date);
-        
-        // Search throughout the day (starting from 6 AM)
-        const searchTime = new Date(date);
-        searchTime.setHours(6, 0, 0, 0);
-        
-        // Search with multiple time windows to find all trains
-        const morningTime = new Date(searchTime);
-        const afternoonTime = new Date(searchTime);
-        afternoonTime.setHours(searchTime.getHours() + 12);
-        
-        const allResults = [];
-        
-        // Morning/early search
-        const morningResult = await client.journeys(departureStation, destinationStation, {
-            ...searchConfig,
-            departure: morningTime,
-            results: 15
-        });
-        allResults.push(...morningResult.journeys);
-        
-        // Afternoon/evening search if the time allows
-        if (searchTime.getHours() < 12) {
-            const afternoonResult = await client.journeys(departureStation, destinationStation, {
-                ...searchConfig,
-                departure: afternoonTime,
-                results: 15
-            });
-            allResults.push(...afternoonResult.journeys);
-        }
-        
-        // Remove duplicates and combine results
-        const uniqueJourneys = allResults.filter((journey, index, self) => {
-            const firstLeg = journey.legs[0];
-            const depTime = firstLeg.plannedDeparture || firstLeg.departure;
-            return index === self.findIndex(j => {
-                const jFirstLeg = j.legs[0];
-                const jDepTime = jFirstLeg.plannedDeparture || jFirstLeg.departure;
-                return depTime === jDepTime;
-            });
-        });
-        
-        const journeyResult = { journeys: uniqueJourneys };
-        
-        // Filter journeys with pricing
+
+        // Sweep the whole day (or the configured window), deduplicated by trip identity
+        const sweepOptions = { ...getSweepOptions(config), signal };
+        const journeyResult = await sweepDayJourneys(client, departureStation, destinationStation, date, sweepOptions);
+
+        // Filter journeys with pricing that respect the routing constraints
+        const routing = getRoutingConstraints(config);
         let validJourneys = journeyResult.journeys.filter(journey => {
-            return journey.price && journey.price.amount;
+            return journey.price && journey.price.amount && matchesRoutingConstraints(journey, routing);
         });
         
         // Apply time preferences if specified
@@ -232,27 +583,44 @@ export async function searchOneWayTrips(client, config, departureStation, destin
         }
         
         if (validJourneys.length === 0) {
+            const routingDescription = describeRoutingConstraints(routing);
             if (timePreferences) {
                 throw new Error(`No journeys found matching time preference: ${timePreferences.departurePreference}`);
+            } else if (routingDescription) {
+                throw new Error(`No journeys with pricing found ${routingDescription}`);
             } else {
                 throw new Error('No journeys with pricing found');
             }
         }
         
-        // Find cheapest journey
-        const cheapestJourney = validJourneys.reduce((min, journey) => 
-            journey.price.amount < min.price.amount ? journey : min
-        );
+        // With class comparison, look up the 1st class price of the same trains
+        const firstClass = shouldCompareClasses(config)
+            ? await sweepFirstClassPrices(client, departureStation, destinationStation, date, sweepOptions)
+            : null;
+        
+        // Rank journeys by price and keep the cheapest options
+        const combinations = [...validJourneys]
+            .sort((a, b) => a.price.amount - b.price.amount)
+            .slice(0, getMaxResults(config))
+            .map(journey => {
+                const info = toJourneyInfo(journey, firstClass?.prices);
+                const combination = { totalPrice: journey.price.amount, journey: info };
+                if (firstClass) {
+                    combination.firstClassPrice = info.firstClassPrice;
+                }
+                return combination;
+            });
         
         return {
             date: dateStr,
-            totalPrice: cheapestJourney.price.amount,
-            journey: extractJourneyInfo(cheapestJourney)
+            ...combinations[0],
+            combinations,
+            pages: journeyResult.pages + (firstClass?.pages || 0)
         };
     };
     
-    // Use progressive search with retry and configurable concurrency
-    const searchResult = await withProgressiveSearch(
+    // Progressive search with retry and configurable concurrency, yielding each date as it completes
+    return streamProgressiveSearch(
         dates.map(date => formatDate(date)),
         async (dateStr) => {
             const date = dates.find(d => formatDate(d) === dateStr);
@@ -260,181 +628,559 @@ export async function searchOneWayTrips(client, config, departureStation, destin
             // Individual date results will be shown in summary
             return result;
         },
-        (message) => {
-            if (!shouldBeQuiet) {
-                console.log(`  ${message}`);
-            }
-        },
         config.preferences.maxConcurrency,
-        config.preferences.useTrainAnimations
+        signal
     );
+}
+
+// Search for one-way trips with resilient retry logic
+export async function searchOneWayTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences = null, signal = null) {
+    const searchResult = await collectProgressiveSearch(streamOneWayTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences, signal));
+    return searchResult.results;
+}
+
+// Whether any train of a journey needs a long-distance fare (ICE, IC/EC, IR)
+export function isLongDistanceJourney(journey) {
+    return journey.legs.some(leg => LONG_DISTANCE_PRODUCTS.includes(leg.line?.product));
+}
+
+// Extract journey info with the travel time in minutes
+function toTimedJourneyInfo(journey) {
+    const info = extractJourneyInfo(journey);
+    info.durationMinutes = getDurationMinutes(info.departure, info.arrival);
+    return info;
+}
+
+// Stream regional connections, yielding each date as it completes (events as in streamProgressiveSearch)
+export async function* streamRegionalTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences = null, signal = null) {
+    // Generate all dates to search (calendar dates, YYYY-MM-DD)
+    const dates = eachCalendarDate(toCalendarDate(startDate), toCalendarDate(endDate));
+    
+    const routing = getRoutingConstraints(config);
     
-    // Show successful results summary
-    if (!shouldBeQuiet && searchResult.results.length > 0) {
-        console.log(`\n✓ Found ${searchResult.results.length} one-way options:`);
-        searchResult.results.forEach(result => {
-            console.log(`  ${result.date}: €${result.totalPrice.toFixed(2)}`);
+    // Keep journeys that respect the routing constraints and time preferences
+    const applyFilters = (journeys) => {
+        const matching = journeys.filter(journey => matchesRoutingConstraints(journey, routing));
+        return timePreferences ? filterJourneysByTime(matching, timePreferences) : matching;
+    };
+    
+    // Individual date search function
+    const searchSingleDate = async (date) => {
+        const dateStr = formatDate(date);
+        const sweepOptions = { ...getSweepOptions(config), signal };
+        
+        // Regional products only - the fare is covered by the Deutschlandticket
+        const regionalResult = await sweepDayJourneys(client, departureStation, destinationStation, date, {
+            ...sweepOptions,
+            constraints: ['regional trains only', sweepOptions.constraints].filter(Boolean).join(', '),
+            journeyOptions: {
+                ...sweepOptions.journeyOptions,
+                products: REGIONAL_PRODUCTS,
+                deutschlandTicketConnectionsOnly: true
+            }
         });
-    }
+        
+        // Fastest regional connection, earliest departure first on ties
+        const regionalJourneys = applyFilters(regionalResult.journeys.filter(journey => !isLongDistanceJourney(journey)))
+            .map(journey => toTimedJourneyInfo(journey))
+            .sort((a, b) => a.durationMinutes - b.durationMinutes || new Date(a.departure) - new Date(b.departure));
+        
+        if (regionalJourneys.length === 0) {
+            const routingDescription = describeRoutingConstraints(routing);
+            if (timePreferences) {
+                throw new Error(`No regional connections found matching time preference: ${timePreferences.departurePreference}`);
+            } else if (routingDescription) {
+                throw new Error(`No regional connections found ${routingDescription}`);
+            } else {
+                throw new Error('No regional connections found');
+            }
+        }
+        
+        // Cheapest priced connection using at least one long-distance train
+        const longDistanceResult = await sweepDayJourneys(client, departureStation, destinationStation, date, sweepOptions);
+        const longDistanceJourneys = applyFilters(longDistanceResult.journeys.filter(journey => {
+            return journey.price && journey.price.amount && isLongDistanceJourney(journey);
+        })).sort((a, b) => a.price.amount - b.price.amount);
+        
+        const regional = regionalJourneys[0];
+        const longDistance = longDistanceJourneys.length > 0 ? toTimedJourneyInfo(longDistanceJourneys[0]) : null;
+        
+        return {
+            date: dateStr,
+            // The regional connection is free with the Deutschlandticket, so only a long-distance fare is a price
+            totalPrice: longDistance ? longDistance.price : null,
+            regional,
+            longDistance,
+            // Extra travel time of the regional connection (negative when it is faster)
+            extraMinutes: longDistance ? regional.durationMinutes - longDistance.durationMinutes : null,
+            pages: regionalResult.pages + longDistanceResult.pages
+        };
+    };
     
+    const details = {
+        tripType: TRIP_TYPES.REGIONAL,
+        from: departureStation,
+        to: destinationStation,
+        startDate,
+        endDate,
+        maxConcurrency: config.preferences.maxConcurrency
+    };
+    
+    // Progressive search with retry and configurable concurrency, yielding each date as it completes
+    yield* reportSearch(details, streamProgressiveSearch(
+        dates.map(date => formatDate(date)),
+        async (dateStr) => {
+            const date = dates.find(d => formatDate(d) === dateStr);
+            return await searchSingleDate(date);
+        },
+        config.preferences.maxConcurrency,
+        signal
+    ));
+}
+
+// Search for the fastest regional-only (Deutschlandticket) connection per date next to the cheapest long-distance fare
+export async function searchRegionalTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences = null, signal = null) {
+    const searchResult = await collectProgressiveSearch(streamRegionalTrips(client, config, departureStation, destinationStation, startDate, endDate, timePreferences, signal));
     return searchResult.results;
 }
 
-// Search for multi-day trips with fixed return date
-export async function searchMultiDayTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, returnDate, timePreferences = null, returnDepartureStation = null, isNestedSearch = false) {
-    console.log('\n🔍 Searching for multi-day trips...\n');
+// Stream multi-day trips returning between returnDate and returnEndDate (the same day when not given),
+// yielding each outbound date as it completes with its cheapest pairing across the allowed return dates
+export async function* streamMultiDayTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, returnDate, returnEndDate = null, timePreferences = null, returnDepartureStation = null, signal = null) {
+    const nightLimits = getNightLimits(config);
+    const allReturnDates = eachCalendarDate(toCalendarDate(returnDate), toCalendarDate(returnEndDate || returnDate));
     
-    // Set nested search flag to silence sub-searches
-    const previousNestedState = isNestedSearch;
-    isNestedSearch = true;
+    // Return dates an outbound date can pair with. Only outbound dates with at least one of them are
+    // searched, and only return dates some outbound date pairs with (both stay consecutive days)
+    const getReturnDates = (outboundDate) => allReturnDates.filter(date => isWithinNightLimits(outboundDate, date, nightLimits));
+    const outboundDates = eachCalendarDate(toCalendarDate(outboundStart), toCalendarDate(outboundEnd))
+        .filter(date => getReturnDates(date).length > 0);
+    const returnDates = allReturnDates.filter(date => outboundDates.some(outboundDate => isWithinNightLimits(outboundDate, date, nightLimits)));
     
-    try {
-        // First, find all outbound options
-        console.log('📅 Searching outbound journeys...');
-        const outboundResults = await searchOneWayTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, timePreferences?.outbound, true, true);
+    const details = {
+        tripType: TRIP_TYPES.MULTI_DAY,
+        from: departureStation,
+        to: destinationStation,
+        startDate: outboundStart,
+        endDate: outboundEnd,
+        returnDate,
+        returnEndDate: returnEndDate || returnDate,
+        nights: describeNightLimits(nightLimits),
+        maxConcurrency: config.preferences.maxConcurrency
+    };
     
-    if (outboundResults.length === 0) {
-        console.log('No outbound journeys found');
-        return [];
-    }
+    const searchOutboundDates = async function* () {
+        if (outboundDates.length === 0) {
+            const nightsDescription = describeNightLimits(nightLimits);
+            details.reason = `No outbound date can return in the return window${nightsDescription ? ` (${nightsDescription})` : ''}`;
+            return;
+        }
+        
+        // Outbound dates pair with several return dates and the other way round, so every
+        // return date is searched once, first, and its result reused for each pairing
+        emitSearchEvent(SEARCH_EVENTS.SEARCH_LEG, { leg: 'return' });
+        const actualReturnDeparture = returnDepartureStation || destinationStation;
+        const returnResults = await runNestedSearch(() => searchOneWayTrips(client, config, actualReturnDeparture, departureStation, returnDates[0], returnDates[returnDates.length - 1], timePreferences?.return, signal));
+        
+        const returnsByDate = new Map();
+        returnDates.forEach(date => {
+            const result = returnResults.find(returnResult => returnResult.date === formatDate(date));
+            if (result) returnsByDate.set(date, result);
+        });
+        
+        if (returnsByDate.size === 0) {
+            details.reason = 'No return journey found';
+            return;
+        }
+        
+        // Then pair each outbound date with its return dates as soon as that date is done
+        emitSearchEvent(SEARCH_EVENTS.SEARCH_LEG, { leg: 'outbound' });
+        let outboundCount = 0;
+        
+        for await (const event of streamOneWayDates(client, config, departureStation, destinationStation, outboundDates[0], outboundDates[outboundDates.length - 1], timePreferences?.outbound, signal)) {
+            if (event.type !== 'result') {
+                yield event;
+                continue;
+            }
+            
+            outboundCount++;
+            const outbound = event.result;
+            const outboundDate = outboundDates[event.index];
+            const combinations = getReturnDates(outboundDate)
+                .filter(date => returnsByDate.has(date))
+                .flatMap(date => {
+                    const returnJourney = returnsByDate.get(date);
+                    return rankCombinations(
+                        outbound.combinations.map(option => option.journey),
+                        returnJourney.combinations.map(option => option.journey),
+                        getMaxResults(config)
+                    ).map(combination => ({ ...combination, returnDate: returnJourney.date, nights: daysBetween(outboundDate, date) }));
+                })
+                .sort((a, b) => a.totalPrice - b.totalPrice)
+                .slice(0, getMaxResults(config));
+            
+            if (combinations.length === 0) {
+                yield { type: 'failure', index: event.index, date: event.date, error: 'No return journey fits this outbound date', cancelled: false };
+                continue;
+            }
+            
+            const best = combinations[0];
+            const bestReturn = [...returnsByDate.values()].find(result => result.date === best.returnDate);
+            yield {
+                ...event,
+                result: {
+                    outboundDate: outbound.date,
+                    ...best,
+                    combinations,
+                    pages: outbound.pages + bestReturn.pages
+                }
+            };
+        }
+        
+        if (outboundCount === 0) {
+            details.reason = 'No outbound journeys found';
+        }
+    };
     
-    // Then search for return journey
-    console.log('\n📅 Searching return journey...');
-    const actualReturnDeparture = returnDepartureStation || destinationStation;
-    const returnResults = await searchOneWayTrips(client, config, actualReturnDeparture, departureStation, returnDate, returnDate, timePreferences?.return, true, true);
+    yield* reportSearch(details, searchOutboundDates());
+}
+
+// Search for multi-day trips with a fixed return date or return window
+export async function searchMultiDayTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, returnDate, returnEndDate = null, timePreferences = null, returnDepartureStation = null, signal = null) {
+    const searchResult = await collectProgressiveSearch(streamMultiDayTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, returnDate, returnEndDate, timePreferences, returnDepartureStation, signal));
+    return searchResult.results;
+}
+
+// Stream N-night trips, yielding each date as it completes (events as in streamProgressiveSearch).
+// Like the price matrix, the return dates are searched once (one-way) and each outbound date paired with its own
+export async function* streamFlexibleDurationTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, numberOfDays, timePreferences = null, returnDepartureStation = null, signal = null) {
+    // Generate all possible departure dates (calendar dates, YYYY-MM-DD)
+    const dates = eachCalendarDate(toCalendarDate(outboundStart), toCalendarDate(outboundEnd));
     
-    if (returnResults.length === 0) {
-        console.log('No return journey found');
-        return [];
-    }
+    const details = {
+        tripType: TRIP_TYPES.MULTI_DAY,
+        from: departureStation,
+        to: destinationStation,
+        startDate: outboundStart,
+        endDate: outboundEnd,
+        numberOfDays,
+        maxConcurrency: config.preferences.maxConcurrency
+    };
     
-    // Combine results
-    const returnJourney = returnResults[0]; // Only one date for return
-    const results = outboundResults.map(outbound => ({
-        outboundDate: outbound.date,
-        returnDate: returnJourney.date,
-        totalPrice: outbound.totalPrice + returnJourney.totalPrice,
-        outbound: outbound.journey,
-        return: returnJourney.journey
-    }));
-    
-    return results;
-    } finally {
-        // Restore previous nested state
-        isNestedSearch = previousNestedState;
-    }
+    const searchDepartures = async function* () {
+        // Search the return dates (numberOfDays after each departure date) first
+        emitSearchEvent(SEARCH_EVENTS.SEARCH_LEG, { leg: 'return' });
+        const actualReturnDeparture = returnDepartureStation || destinationStation;
+        const returnResults = await runNestedSearch(() => searchOneWayTrips(client, config, actualReturnDeparture, departureStation, addDays(dates[0], numberOfDays), addDays(dates[dates.length - 1], numberOfDays), timePreferences?.return, signal));
+        const returnsByDate = new Map(returnResults.map(result => [result.date, result]));
+        
+        if (returnsByDate.size === 0) {
+            details.reason = 'No return journey found';
+            return;
+        }
+        
+        // Then pair each departure date with its return as soon as that date is done
+        emitSearchEvent(SEARCH_EVENTS.SEARCH_LEG, { leg: 'outbound' });
+        let outboundCount = 0;
+        
+        for await (const event of streamOneWayDates(client, config, departureStation, destinationStation, dates[0], dates[dates.length - 1], timePreferences?.outbound, signal)) {
+            if (event.type !== 'result') {
+                yield event;
+                continue;
+            }
+            
+            outboundCount++;
+            const outboundJourney = event.result;
+            const returnDate = formatDate(addDays(dates[event.index], numberOfDays));
+            const returnJourney = returnsByDate.get(returnDate);
+            
+            if (!returnJourney) {
+                yield { type: 'failure', index: event.index, date: event.date, error: `No return journey found for ${returnDate}`, cancelled: false };
+                continue;
+            }
+            
+            // Rank combinations of the cheapest options in each direction
+            const combinations = rankCombinations(
+                outboundJourney.combinations.map(option => option.journey),
+                returnJourney.combinations.map(option => option.journey),
+                getMaxResults(config)
+            );
+            
+            if (combinations.length === 0) {
+                yield { type: 'failure', index: event.index, date: event.date, error: 'No return journey fits this outbound date', cancelled: false };
+                continue;
+            }
+            
+            yield {
+                ...event,
+                result: {
+                    outboundDate: outboundJourney.date,
+                    returnDate,
+                    ...combinations[0],
+                    combinations,
+                    duration: numberOfDays,
+                    pages: outboundJourney.pages + returnJourney.pages
+                }
+            };
+        }
+        
+        if (outboundCount === 0) {
+            details.reason = 'No outbound journeys found';
+        }
+    };
+    
+    yield* reportSearch(details, searchDepartures());
 }
 
 // Search for multi-day trips with flexible duration (N days stay)
-export async function searchFlexibleDurationTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, numberOfDays, timePreferences = null, returnDepartureStation = null, silent = false, isNestedSearch = false) {
-    const shouldBeQuiet = silent || isNestedSearch;
-    if (!shouldBeQuiet) {
-        console.log(`\n🔍 Searching for ${numberOfDays}-night trips...\n`);
-    }
-    
-    const start = new Date(outboundStart);
-    const end = new Date(outboundEnd);
-    const dates = [];
-    const results = [];
+export async function searchFlexibleDurationTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, numberOfDays, timePreferences = null, returnDepartureStation = null, signal = null) {
+    const searchResult = await collectProgressiveSearch(streamFlexibleDurationTrips(client, config, departureStation, destinationStation, outboundStart, outboundEnd, numberOfDays, timePreferences, returnDepartureStation, signal));
+    return searchResult.results;
+}
+
+// Nights covered by a price matrix when no night limits are configured
+const MATRIX_NIGHT_DEFAULTS = { minNights: 1, maxNights: 7 };
+
+// Nights (the columns) of a price matrix, from the night limits
+export function getMatrixNights(config) {
+    const { minNights, maxNights } = getNightLimits(config);
+    const first = minNights ?? MATRIX_NIGHT_DEFAULTS.minNights;
+    const last = maxNights ?? Math.max(first, MATRIX_NIGHT_DEFAULTS.maxNights);
+    return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+}
+
+// Stream a price matrix of outbound date × nights, yielding one row per outbound date as it completes.
+// Every outbound and return date is searched once (one-way) and reused for each cell it belongs to
+export async function* streamPriceMatrix(client, config, departureStation, destinationStation, outboundStart, outboundEnd, timePreferences = null, returnDepartureStation = null, signal = null) {
+    const nights = getMatrixNights(config);
+    const outboundDates = eachCalendarDate(toCalendarDate(outboundStart), toCalendarDate(outboundEnd));
+    const returnStart = addDays(outboundDates[0], nights[0]);
+    const returnEnd = addDays(outboundDates[outboundDates.length - 1], nights[nights.length - 1]);
     
-    // Generate all possible departure dates
-    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
-        dates.push(new Date(date));
-    }
+    const details = {
+        tripType: TRIP_TYPES.MATRIX,
+        from: departureStation,
+        to: destinationStation,
+        startDate: outboundStart,
+        endDate: outboundEnd,
+        nights: describeNightLimits({ minNights: nights[0], maxNights: nights[nights.length - 1] }),
+        maxConcurrency: config.preferences.maxConcurrency
+    };
     
-    // Search function for a specific departure date
-    const searchSingleDeparture = async (departureDate) => {
-        // Set nested search flag to silence sub-searches
-        const previousNestedState = isNestedSearch;
-        isNestedSearch = true;
-        
-        try {
-        const departureDateStr = formatDate(departureDate);
-        
-        // Calculate return date based on numberOfDays
-        const returnDate = new Date(departureDate);
-        returnDate.setDate(departureDate.getDate() + numberOfDays);
-        const returnDateStr = returnDate.toISOString().split('T')[0];
-        
-        // Search outbound journey for this specific date
-        const outboundResults = await searchOneWayTrips(
-            client,
-            config,
-            departureStation, 
-            destinationStation, 
-            departureDate.toISOString().split('T')[0], 
-            departureDate.toISOString().split('T')[0], 
-            timePreferences?.outbound,
-            true, // silent mode
-            true  // nested search
-        );
+    const searchRows = async function* () {
+        // Return dates are shared by several outbound dates, so search them all first
+        emitSearchEvent(SEARCH_EVENTS.SEARCH_LEG, { leg: 'return' });
+        const actualReturnDeparture = returnDepartureStation || destinationStation;
+        const returnResults = await runNestedSearch(() => searchOneWayTrips(client, config, actualReturnDeparture, departureStation, returnStart, returnEnd, timePreferences?.return, signal));
+        const returnsByDate = new Map(returnResults.map(result => [result.date, result]));
         
-        if (outboundResults.length === 0) {
-            throw new Error(`No outbound journey found for ${departureDateStr}`);
+        if (returnsByDate.size === 0) {
+            details.reason = 'No return journey found';
+            return;
         }
         
-        // Search return journey
-        const actualReturnDeparture = returnDepartureStation || destinationStation;
+        // Then fill in the row of each outbound date as soon as that date is done
+        emitSearchEvent(SEARCH_EVENTS.SEARCH_LEG, { leg: 'outbound' });
+        let outboundCount = 0;
         
-        const returnResults = await searchOneWayTrips(
-            client,
-            config,
-            actualReturnDeparture, 
-            departureStation, 
-            returnDateStr, 
-            returnDateStr, 
-            timePreferences?.return,
-            true, // silent mode
-            true  // nested search
-        );
-        
-        if (returnResults.length === 0) {
-            throw new Error(`No return journey found for ${formatDate(returnDate)}`);
+        for await (const event of streamOneWayDates(client, config, departureStation, destinationStation, outboundDates[0], outboundDates[outboundDates.length - 1], timePreferences?.outbound, signal)) {
+            if (event.type !== 'result') {
+                yield event;
+                continue;
+            }
+            
+            outboundCount++;
+            const outbound = event.result;
+            const outboundDate = outboundDates[event.index];
+            
+            // Cheapest pairing per number of nights (totalPrice null when that return date has no fare)
+            const cells = nights.map(count => {
+                const returnDate = formatDate(addDays(outboundDate, count));
+                const returnJourney = returnsByDate.get(returnDate);
+                const [cheapest] = returnJourney
+                    ? rankCombinations(
+                        outbound.combinations.map(option => option.journey),
+                        returnJourney.combinations.map(option => option.journey),
+                        1
+                    )
+                    : [];
+                return cheapest ? { nights: count, returnDate, ...cheapest } : { nights: count, returnDate, totalPrice: null };
+            });
+            
+            const priced = cells.filter(cell => cell.totalPrice !== null);
+            if (priced.length === 0) {
+                yield { type: 'failure', index: event.index, date: event.date, error: 'No return journey for any number of nights', cancelled: false };
+                continue;
+            }
+            
+            // The row's own price is its cheapest cell
+            const best = priced.reduce((cheapest, cell) => cell.totalPrice < cheapest.totalPrice ? cell : cheapest);
+            yield {
+                ...event,
+                result: {
+                    outboundDate: outbound.date,
+                    returnDate: best.returnDate,
+                    nights: best.nights,
+                    totalPrice: best.totalPrice,
+                    outbound: best.outbound,
+                    return: best.return,
+                    cells,
+                    pages: outbound.pages
+                }
+            };
         }
         
-        // Get cheapest options
-        const outboundJourney = outboundResults[0]; // Already sorted by price
-        const returnJourney = returnResults[0];
-        
-        return {
-            outboundDate: departureDateStr,
-            returnDate: formatDate(returnDate),
-            totalPrice: outboundJourney.totalPrice + returnJourney.totalPrice,
-            outbound: outboundJourney.journey,
-            return: returnJourney.journey,
-            duration: numberOfDays
-        };
-        } finally {
-            // Restore previous nested state
-            isNestedSearch = previousNestedState;
+        if (outboundCount === 0) {
+            details.reason = 'No outbound journeys found';
         }
     };
     
-    // Use progressive search with retry
-    const searchResult = await withProgressiveSearch(
-        dates.map(date => formatDate(date)),
-        async (dateStr) => {
-            const date = dates.find(d => formatDate(d) === dateStr);
-            const result = await searchSingleDeparture(date);
-            // Individual date results will be shown in summary
-            return result;
-        },
-        (message) => {
-            if (!shouldBeQuiet) {
-                console.log(`  ${message}`);
-            }
-        },
-        config.preferences.maxConcurrency,
-        shouldBeQuiet ? false : config.preferences.useTrainAnimations
-    );
+    yield* reportSearch(details, searchRows());
+}
+
+// Search a price matrix of outbound date × nights (one row per outbound date)
+export async function searchPriceMatrix(client, config, departureStation, destinationStation, outboundStart, outboundEnd, timePreferences = null, returnDepartureStation = null, signal = null) {
+    const searchResult = await collectProgressiveSearch(streamPriceMatrix(client, config, departureStation, destinationStation, outboundStart, outboundEnd, timePreferences, returnDepartureStation, signal));
+    return searchResult.results;
+}
+
+// Legs of a multi-city itinerary: from the departure through each stop ({ station, nights }) to the
+// destination. dayOffset is the number of days after the first leg that the leg travels
+export function getItineraryLegs(departureStation, destinationStation, stops) {
+    const legs = [];
+    let from = departureStation;
+    let dayOffset = 0;
     
-    // Show successful results summary
-    if (!shouldBeQuiet && searchResult.results.length > 0) {
-        console.log(`\n✓ Found ${searchResult.results.length} ${numberOfDays}-night options:`);
-        searchResult.results.forEach(result => {
-            console.log(`  ${result.outboundDate} → ${result.returnDate}: €${result.totalPrice.toFixed(2)} total`);
-        });
-    }
+    stops.forEach(stop => {
+        legs.push({ from, to: stop.station, dayOffset });
+        from = stop.station;
+        dayOffset += stop.nights;
+    });
+    legs.push({ from, to: destinationStation, dayOffset });
+    
+    return legs;
+}
+
+// Cheapest choice of one option per leg (one-way combinations, in travel order) where every leg
+// arrives before the next one departs, or null when no choice connects
+export function chainItineraryLegs(legOptions) {
+    let chains = legOptions[0].map(option => ({ total: option.totalPrice, options: [option] }));
+    
+    legOptions.slice(1).forEach(options => {
+        chains = options.map(option => {
+            const connecting = chains.filter(chain => new Date(chain.options[chain.options.length - 1].journey.arrival) <= new Date(option.journey.departure));
+            if (connecting.length === 0) return null;
+            const best = connecting.reduce((cheapest, chain) => chain.total < cheapest.total ? chain : cheapest);
+            return { total: best.total + option.totalPrice, options: [...best.options, option] };
+        }).filter(Boolean);
+    });
+    
+    if (chains.length === 0) return null;
+    return chains.reduce((cheapest, chain) => chain.total < cheapest.total ? chain : cheapest).options;
+}
+
+// Stream multi-city itineraries, yielding one itinerary per start date as it completes.
+// Each leg is searched once over the start dates shifted by its day offset; the itinerary is the
+// cheapest choice of journeys where every leg arrives before the next one leaves
+export async function* streamMultiCityTrips(client, config, departureStation, destinationStation, startDate, endDate, stops, timePreferences = null, signal = null) {
+    const legs = getItineraryLegs(departureStation, destinationStation, stops);
+    const startDates = eachCalendarDate(toCalendarDate(startDate), toCalendarDate(endDate));
+    const firstStart = startDates[0];
+    const lastStart = startDates[startDates.length - 1];
+    const totalNights = legs[legs.length - 1].dayOffset;
+    
+    const details = {
+        tripType: TRIP_TYPES.MULTI_CITY,
+        from: departureStation,
+        to: destinationStation,
+        startDate,
+        endDate,
+        stops: stops.map(stop => stop.station),
+        nights: `${totalNights} night${totalNights === 1 ? '' : 's'} in total`,
+        maxConcurrency: config.preferences.maxConcurrency
+    };
     
+    const searchItineraries = async function* () {
+        // Search every later leg first, each over the start dates shifted by its day offset
+        const laterLegs = [];
+        for (const [index, leg] of legs.entries()) {
+            if (index === 0) continue;
+            
+            emitSearchEvent(SEARCH_EVENTS.SEARCH_LEG, { leg: 'onward', number: index + 1, count: legs.length });
+            // The last leg heads home, so it follows the return time preferences
+            const legTimePreferences = index === legs.length - 1 ? timePreferences?.return : timePreferences?.outbound;
+            const legResults = await runNestedSearch(() => searchOneWayTrips(client, config, leg.from, leg.to, addDays(firstStart, leg.dayOffset), addDays(lastStart, leg.dayOffset), legTimePreferences, signal));
+            
+            if (legResults.length === 0) {
+                details.reason = `No journeys found for leg ${index + 1} of ${legs.length}`;
+                return;
+            }
+            laterLegs.push(new Map(legResults.map(result => [result.date, result])));
+        }
+        
+        // Then complete the itinerary of each start date as soon as its first leg is done
+        emitSearchEvent(SEARCH_EVENTS.SEARCH_LEG, { leg: 'outbound', number: 1, count: legs.length });
+        let firstLegCount = 0;
+        
+        for await (const event of streamOneWayDates(client, config, departureStation, legs[0].to, firstStart, lastStart, timePreferences?.outbound, signal)) {
+            if (event.type !== 'result') {
+                yield event;
+                continue;
+            }
+            
+            firstLegCount++;
+            const start = startDates[event.index];
+            const legResults = [event.result];
+            let missingLeg = -1;
+            
+            legs.slice(1).forEach((leg, index) => {
+                const legResult = laterLegs[index].get(formatDate(addDays(start, leg.dayOffset)));
+                if (legResult) legResults.push(legResult);
+                else if (missingLeg === -1) missingLeg = index + 1;
+            });
+            
+            if (missingLeg !== -1) {
+                yield { type: 'failure', index: event.index, date: event.date, error: `No journey for leg ${missingLeg + 1} of ${legs.length} on this itinerary`, cancelled: false };
+                continue;
+            }
+            
+            const chosen = chainItineraryLegs(legResults.map(legResult => legResult.combinations));
+            if (!chosen) {
+                yield { type: 'failure', index: event.index, date: event.date, error: 'No journeys connect: a leg arrives after the next one leaves', cancelled: false };
+                continue;
+            }
+            
+            const itineraryLegs = legResults.map((legResult, index) => ({
+                from: legs[index].from,
+                to: legs[index].to,
+                date: legResult.date,
+                totalPrice: chosen[index].totalPrice,
+                journey: chosen[index].journey
+            }));
+            
+            yield {
+                ...event,
+                result: {
+                    outboundDate: event.result.date,
+                    returnDate: legResults[legResults.length - 1].date,
+                    nights: totalNights,
+                    totalPrice: Math.round(itineraryLegs.reduce((total, leg) => total + leg.totalPrice, 0) * 100) / 100,
+                    legs: itineraryLegs,
+                    pages: legResults.reduce((total, legResult) => total + legResult.pages, 0)
+                }
+            };
+        }
+        
+        if (firstLegCount === 0) {
+            details.reason = 'No journeys found for the first leg';
+        }
+    };
+    
+    yield* reportSearch(details, searchItineraries());
+}
+
+// Search multi-city itineraries (one per start date, in date order)
+export async function searchMultiCityTrips(client, config, departureStation, destinationStation, startDate, endDate, stops, timePreferences = null, signal = null) {
+    const searchResult = await collectProgressiveSearch(streamMultiCityTrips(client, config, departureStation, destinationStation, startDate, endDate, stops, timePreferences, signal));
     return searchResult.results;
-}
\ No newline at end of file
+}
@@ -1,38 +1,130 @@
 // Journey utilities - date/time handling and journey data extraction
+import { TRAVEL_TIME_ZONE, toCalendarDate, formatCalendarDate, atBerlinTime, parseCalendarDate, getBerlinToday } from './travel-dates.js';
 
-// Format date for display
+// Format a travel date (YYYY-MM-DD or an instant, read in Berlin) for display
 export function formatDate(date) {
-    return new Intl.DateTimeFormat('en-US', { 
-        weekday: 'short', 
-        year: 'numeric', 
-        month: 'short', 
-        day: 'numeric' 
-    }).format(date);
+    return formatCalendarDate(toCalendarDate(date));
 }
 
-// Format time for display
+// Format time for display (Berlin time)
 export function formatTime(dateStr) {
     const date = new Date(dateStr);
-    return date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    return date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit', timeZone: TRAVEL_TIME_ZONE });
 }
 
-// Parse date with flexible year handling
-export function parseFlexibleDate(input) {
-    const trimmed = input.trim();
-    
-    // Check if it's in MM-DD format (missing year)
-    if (/^\d{1,2}-\d{1,2}$/.test(trimmed)) {
-        const currentYear = new Date().getFullYear();
-        return new Date(`${currentYear}-${trimmed}`);
+// Get the instant of a given HH:MM Berlin time on the travel date of date
+export function atTimeOfDay(date, timeStr) {
+    return atBerlinTime(toCalendarDate(date), timeStr);
+}
+
+// Get the planned departure of a journey as a Date
+export function getJourneyDeparture(journey) {
+    const firstLeg = journey.legs[0];
+    return new Date(firstLeg.plannedDeparture || firstLeg.departure);
+}
+
+// Build a stable identity for a journey from the trips it uses
+export function getJourneyIdentity(journey) {
+    const transportationLegs = journey.legs.filter(leg => leg.line);
+    const legs = transportationLegs.length > 0 ? transportationLegs : journey.legs;
+
+    return legs.map(leg => {
+        const tripId = leg.tripId || leg.line?.name || 'walk';
+        return `${tripId}@${leg.plannedDeparture || leg.departure}`;
+    }).join('>');
+}
+
+// Collect the ids of every stop a journey touches (leg ends and, if requested, stopovers)
+export function getJourneyStopIds(journey) {
+    const ids = new Set();
+    const addStop = (stop) => {
+        if (!stop) return;
+        if (stop.id) ids.add(stop.id);
+        if (stop.station?.id) ids.add(stop.station.id);
+    };
+
+    journey.legs.forEach(leg => {
+        addStop(leg.origin);
+        addStop(leg.destination);
+        (leg.stopovers || []).forEach(stopover => addStop(stopover.stop));
+    });
+
+    return ids;
+}
+
+// Shortest time (in minutes) between two trains of a journey, or null for direct journeys
+export function getShortestTransferMinutes(journey) {
+    const transportationLegs = journey.legs.filter(leg => leg.line);
+    let shortest = null;
+
+    for (let i = 1; i < transportationLegs.length; i++) {
+        const previous = transportationLegs[i - 1];
+        const next = transportationLegs[i];
+        const arrival = new Date(previous.plannedArrival || previous.arrival);
+        const departure = new Date(next.plannedDeparture || next.departure);
+        const minutes = Math.round((departure - arrival) / (1000 * 60));
+
+        if (shortest === null || minutes < shortest) {
+            shortest = minutes;
+        }
     }
-    
-    // Check if it's in YYYY-MM-DD format
-    if (/^\d{4}-\d{1,2}-\d{1,2}$/.test(trimmed)) {
-        return new Date(trimmed);
+
+    return shortest;
+}
+
+// Minutes between arriving at the destination and the return departure
+export function getTimeAtDestination(outbound, returnJourney) {
+    return Math.round((new Date(returnJourney.departure) - new Date(outbound.arrival)) / (1000 * 60));
+}
+
+// Minutes between a departure and an arrival (e.g. of an extracted journey)
+export function getDurationMinutes(departure, arrival) {
+    return Math.round((new Date(arrival) - new Date(departure)) / (1000 * 60));
+}
+
+// Format a number of minutes as a short duration (e.g. "6h 10m", "2d 3h")
+export function formatMinutes(totalMinutes) {
+    if (totalMinutes < 0) {
+        return `-${formatMinutes(-totalMinutes)}`;
     }
     
-    // Try parsing as-is for other formats
-    return new Date(trimmed);
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+    
+    if (days > 0) {
+        return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    }
+    if (hours > 0) {
+        return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+    }
+    return `${minutes}m`;
+}
+
+// Parse a duration like "4h", "90m", "4h30m" or "1d" into minutes (plain numbers are hours)
+export function parseDuration(input) {
+    if (input === null || input === undefined) return null;
+
+    const trimmed = String(input).trim().toLowerCase();
+    if (trimmed.length === 0) return null;
+
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+        return Math.round(parseFloat(trimmed) * 60);
+    }
+
+    const match = trimmed.match(/^(?:(\d+)d)?\s*(?:(\d+(?:\.\d+)?)h)?\s*(?:(\d+)m(?:in)?)?$/);
+    if (!match || (!match[1] && !match[2] && !match[3])) return null;
+
+    const days = parseInt(match[1] || '0', 10);
+    const hours = parseFloat(match[2] || '0');
+    const minutes = parseInt(match[3] || '0', 10);
+
+    return Math.round(days * 24 * 60 + hours * 60 + minutes);
+}
+
+// Parse a date with flexible year handling (MM-DD is in the current year) into YYYY-MM-DD, or null
+export function parseFlexibleDate(input) {
+    return parseCalendarDate(input);
 }
 
 // Validate date input with flexible year handling
@@ -42,15 +134,11 @@ export function validateDate(input) {
     }
     
     const date = parseFlexibleDate(input);
-    if (isNaN(date.getTime())) {
+    if (!date) {
         return 'Please enter a valid date (YYYY-MM-DD or MM-DD for current year)';
     }
     
-    const now = new Date();
-    now.setHours(0, 0, 0, 0); // Reset time to start of day for comparison
-    date.setHours(0, 0, 0, 0); // Reset input date time as well
-    
-    if (date <= now) { // Use <= to reject today as well
+    if (date <= getBerlinToday()) { // Use <= to reject today as well
         return 'Date must be in the future';
     }
     
@@ -80,8 +168,8 @@ export function extractJourneyInfo(journey) {
     return {
         departure: firstLeg.plannedDeparture || firstLeg.departure,
         arrival: lastLeg.plannedArrival || lastLeg.arrival,
-        price: journey.price.amount,
-        currency: journey.price.currency || 'EUR',
+        price: journey.price?.amount ?? null, // Regional-only journeys often come without a fare
+        currency: journey.price?.currency || 'EUR',
         trainName: combinedTrainName,
         product: firstLeg.line?.product || 'train',
         transfers: actualTransfers,
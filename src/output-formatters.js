@@ -1,147 +1,387 @@
 // Output formatters for different display formats
 import { writeFileSync } from 'fs';
+import { formatDate, formatMinutes, getTimeAtDestination } from './journey-utils.js';
+import { normalizePassengers, describePassengers, getTravellerCount, isDefaultPassengers } from './passengers.js';
+import { scoreResult } from './scoring.js';
+import { TRAVEL_TIME_ZONE } from './travel-dates.js';
 
 // Format results as a table
-export function formatAsTable(results, tripType, departureCity, destinationCity, returnDepartureCity = null) {
+export function formatAsTable(results, tripType, departureCity, destinationCity, returnDepartureCity = null, options = {}) {
     if (results.length === 0) {
         return 'No results found.';
     }
 
-    // Sort by price
-    const sortedResults = [...results].sort((a, b) => a.totalPrice - b.totalPrice);
+    if (tripType === 'matrix') {
+        return formatRouteHeader(tripType, departureCity, destinationCity, returnDepartureCity, options) + formatPriceMatrix(results, options);
+    }
+
+    const showAlternatives = options.showAlternatives || false;
+
+    // Sort by price unless a sort order was chosen (regional comparisons stay in date order)
+    const sortedResults = options.sortBy || tripType === 'regional'
+        ? [...results]
+        : [...results].sort((a, b) => a.totalPrice - b.totalPrice);
 
     // Create table headers
-    const headers = tripType === 'one-way' 
-        ? ['Date', 'Train', 'Departure', 'Arrival', 'Transfers', 'Price']
-        : ['Date', 'Outbound Train', 'Out Dep', 'Out Arr', 'Return Train', 'Ret Dep', 'Ret Arr', 'Total Price'];
+    let headers;
+    if (tripType === 'one-way') {
+        headers = ['Date', 'Train', 'Departure', 'Arrival', 'Transfers', 'Price'];
+    } else if (tripType === 'regional') {
+        headers = ['Date', 'Regional Trains', 'Dep', 'Arr', 'Duration', 'Long-distance Train', 'Dep', 'Arr', 'Duration', 'Fare', 'Extra Time'];
+    } else if (tripType === 'multi-city') {
+        headers = ['Dates', 'Leg', 'Date', 'Train', 'Dep', 'Arr', 'Transfers', 'Price', 'Total'];
+    } else {
+        headers = ['Date', 'Outbound Train', 'Out Dep', 'Out Arr', 'Return Train', 'Ret Dep', 'Ret Arr', 'Total Price'];
+    }
 
-    // Calculate column widths
-    const colWidths = headers.map(header => header.length);
-    
-    // Update widths based on data
-    sortedResults.slice(0, 10).forEach(result => {
-        if (tripType === 'one-way') {
-            const journey = result.journey;
-            colWidths[0] = Math.max(colWidths[0], result.date.length);
-            colWidths[1] = Math.max(colWidths[1], journey.trainName.length);
-            colWidths[2] = Math.max(colWidths[2], formatTime(journey.departure).length);
-            colWidths[3] = Math.max(colWidths[3], formatTime(journey.arrival).length);
-            colWidths[4] = Math.max(colWidths[4], journey.transfers.toString().length);
-            colWidths[5] = Math.max(colWidths[5], `€${journey.price.toFixed(2)}`.length);
-        } else {
-            const dateStr = tripType === 'same-day' ? result.date : `${getShortDate(result.outboundDate)}-${getShortDate(result.returnDate)}`;
-            colWidths[0] = Math.max(colWidths[0], dateStr.length);
-            colWidths[1] = Math.max(colWidths[1], result.outbound.trainName.length);
-            colWidths[2] = Math.max(colWidths[2], formatTime(result.outbound.departure).length);
-            colWidths[3] = Math.max(colWidths[3], formatTime(result.outbound.arrival).length);
-            colWidths[4] = Math.max(colWidths[4], result.return.trainName.length);
-            colWidths[5] = Math.max(colWidths[5], formatTime(result.return.departure).length);
-            colWidths[6] = Math.max(colWidths[6], formatTime(result.return.arrival).length);
-            colWidths[7] = Math.max(colWidths[7], `€${result.totalPrice.toFixed(2)}`.length);
+    if (showAlternatives && tripType !== 'one-way' && tripType !== 'regional' && tripType !== 'multi-city') {
+        headers.splice(7, 0, 'Stay');
+    }
+
+    if (options.compareClasses) {
+        headers.push('1st Class', 'Upgrade');
+    }
+
+    const showScore = options.sortBy === 'score' && tripType !== 'regional';
+    if (showScore) {
+        headers.push('Score');
+    }
+
+    // Build rows grouped by date (alternatives follow the cheapest combination of their date)
+    const stationNames = getItineraryNames(departureCity, destinationCity, options);
+    const groups = sortedResults.slice(0, 10).map(result => {
+        // One row per leg of an itinerary, its dates and total on the first one
+        if (tripType === 'multi-city') {
+            return result.legs.map((leg, index) => [
+                index === 0 ? `${getShortDate(result.outboundDate)}-${getShortDate(result.returnDate)}` : '',
+                `${stationNames[index]} → ${stationNames[index + 1]}`,
+                getShortDate(leg.date),
+                leg.journey.trainName,
+                formatTime(leg.journey.departure),
+                formatTime(leg.journey.arrival),
+                leg.journey.transfers.toString(),
+                `€${leg.totalPrice.toFixed(2)}`,
+                index === 0 ? `€${result.totalPrice.toFixed(2)}` : '',
+                ...(showScore ? [index === 0 ? scoreResult(result, options.scoring).toFixed(2) : ''] : [])
+            ]);
+        }
+
+        // Fastest regional connection next to the cheapest long-distance fare of the day
+        if (tripType === 'regional') {
+            const { regional, longDistance } = result;
+            return [[
+                result.date,
+                regional.trainName,
+                formatTime(regional.departure),
+                formatTime(regional.arrival),
+                formatMinutes(regional.durationMinutes),
+                longDistance ? longDistance.trainName : '—',
+                longDistance ? formatTime(longDistance.departure) : '—',
+                longDistance ? formatTime(longDistance.arrival) : '—',
+                longDistance ? formatMinutes(longDistance.durationMinutes) : '—',
+                longDistance ? `€${longDistance.price.toFixed(2)}` : '—',
+                formatExtraTimeCell(result.extraMinutes)
+            ]];
         }
+
+        const combinations = showAlternatives && result.combinations ? result.combinations : [result];
+
+        return combinations.map((combination, index) => {
+            const classColumns = options.compareClasses
+                ? [formatPriceCell(combination.firstClassPrice), formatUpgradeCell(combination.totalPrice, combination.firstClassPrice)]
+                : [];
+            const scoreColumns = showScore ? [scoreResult(combination, options.scoring).toFixed(2)] : [];
+
+            if (tripType === 'one-way') {
+                const journey = combination.journey;
+                return [
+                    index === 0 ? result.date : `  #${index + 1}`,
+                    journey.trainName,
+                    formatTime(journey.departure),
+                    formatTime(journey.arrival),
+                    journey.transfers.toString(),
+                    `€${journey.price.toFixed(2)}`,
+                    ...classColumns,
+                    ...scoreColumns
+                ];
+            }
+
+            const dateStr = tripType === 'same-day' ? result.date : `${getShortDate(result.outboundDate)}-${getShortDate(result.returnDate)}`;
+            // Alternatives of a return window may come back on another day
+            const otherReturn = combination.returnDate && combination.returnDate !== result.returnDate ? ` -${getShortDate(combination.returnDate)}` : '';
+            const row = [
+                index === 0 ? dateStr : `  #${index + 1}${otherReturn}`,
+                combination.outbound.trainName,
+                formatTime(combination.outbound.departure),
+                formatTime(combination.outbound.arrival),
+                combination.return.trainName,
+                formatTime(combination.return.departure),
+                formatTime(combination.return.arrival),
+                `€${combination.totalPrice.toFixed(2)}`
+            ];
+
+            if (showAlternatives) {
+                row.splice(7, 0, formatMinutes(getTimeAtDestination(combination.outbound, combination.return)));
+            }
+
+            return [...row, ...classColumns, ...scoreColumns];
+        });
     });
 
+    // Calculate column widths based on headers and data
+    const colWidths = headers.map((header, i) => 
+        Math.max(header.length, ...groups.flat().map(row => row[i].length))
+    );
+
     // Build table
-    let table = '';
-    
-    // Route information
-    if (tripType === 'one-way') {
-        table += `Route: ${departureCity} → ${destinationCity}\n`;
-    } else if (returnDepartureCity && returnDepartureCity !== destinationCity) {
-        table += `Outbound: ${departureCity} → ${destinationCity}\n`;
-        table += `Return: ${returnDepartureCity} → ${departureCity}\n`;
-    } else {
-        table += `Route: ${departureCity} ⇄ ${destinationCity}\n`;
-    }
-    table += '\n';
+    let table = formatRouteHeader(tripType, departureCity, destinationCity, returnDepartureCity, options);
 
     // Header row
-    table += '┌' + headers.map((_, i) => '─'.repeat(colWidths[i] + 2)).join('┬') + '┐\n';
+    const separator = (left, middle, right) => left + headers.map((_, i) => '─'.repeat(colWidths[i] + 2)).join(middle) + right + '\n';
+    table += separator('┌', '┬', '┐');
     table += '│' + headers.map((header, i) => ` ${header.padEnd(colWidths[i])} `).join('│') + '│\n';
-    table += '├' + headers.map((_, i) => '─'.repeat(colWidths[i] + 2)).join('┼') + '┤\n';
+    table += separator('├', '┼', '┤');
 
     // Data rows
-    sortedResults.slice(0, 10).forEach(result => {
-        if (tripType === 'one-way') {
-            const journey = result.journey;
-            const row = [
-                result.date.padEnd(colWidths[0]),
-                journey.trainName.padEnd(colWidths[1]),
-                formatTime(journey.departure).padEnd(colWidths[2]),
-                formatTime(journey.arrival).padEnd(colWidths[3]),
-                journey.transfers.toString().padEnd(colWidths[4]),
-                `€${journey.price.toFixed(2)}`.padEnd(colWidths[5])
-            ];
-            table += '│' + row.map(cell => ` ${cell} `).join('│') + '│\n';
-        } else {
-            const dateStr = tripType === 'same-day' ? result.date : `${getShortDate(result.outboundDate)}-${getShortDate(result.returnDate)}`;
-            const row = [
-                dateStr.padEnd(colWidths[0]),
-                result.outbound.trainName.padEnd(colWidths[1]),
-                formatTime(result.outbound.departure).padEnd(colWidths[2]),
-                formatTime(result.outbound.arrival).padEnd(colWidths[3]),
-                result.return.trainName.padEnd(colWidths[4]),
-                formatTime(result.return.departure).padEnd(colWidths[5]),
-                formatTime(result.return.arrival).padEnd(colWidths[6]),
-                `€${result.totalPrice.toFixed(2)}`.padEnd(colWidths[7])
-            ];
-            table += '│' + row.map(cell => ` ${cell} `).join('│') + '│\n';
+    groups.forEach((rows, groupIndex) => {
+        if ((showAlternatives || tripType === 'multi-city') && groupIndex > 0) {
+            table += separator('├', '┼', '┤');
         }
+        rows.forEach(row => {
+            table += '│' + row.map((cell, i) => ` ${cell.padEnd(colWidths[i])} `).join('│') + '│\n';
+        });
     });
 
-    table += '└' + headers.map((_, i) => '─'.repeat(colWidths[i] + 2)).join('┴') + '┘\n';
+    table += separator('└', '┴', '┘');
 
     return table;
 }
 
-// Format results as JSON
-export function formatAsJson(results, tripType, departureCity, destinationCity, returnDepartureCity = null) {
+// Route and passenger lines above a table
+function formatRouteHeader(tripType, departureCity, destinationCity, returnDepartureCity, options) {
+    let header = '';
+    if (tripType === 'multi-city') {
+        const names = getItineraryNames(departureCity, destinationCity, options);
+        const stops = (options.stops || []).map((stop, index) => `${names[index + 1]} (${stop.nights} night${stop.nights === 1 ? '' : 's'})`);
+        header += `Itinerary: ${[departureCity, ...stops, destinationCity].join(' → ')}\n`;
+    } else if (tripType === 'one-way' || tripType === 'regional') {
+        header += `Route: ${departureCity} → ${destinationCity}\n`;
+    } else if (returnDepartureCity && returnDepartureCity !== destinationCity) {
+        header += `Outbound: ${departureCity} → ${destinationCity}\n`;
+        header += `Return: ${returnDepartureCity} → ${departureCity}\n`;
+    } else {
+        header += `Route: ${departureCity} ⇄ ${destinationCity}\n`;
+    }
+    if (options.passengers && !isDefaultPassengers(options.passengers)) {
+        const travellers = getTravellerCount(options.passengers);
+        header += `Passengers: ${describePassengers(options.passengers)} (prices are totals for ${travellers} traveller${travellers !== 1 ? 's' : ''})\n`;
+    }
+    return header + '\n';
+}
+
+// Station names of an itinerary in travel order: departure, stops (options.stops), destination
+function getItineraryNames(departureCity, destinationCity, options) {
+    return [departureCity, ...(options.stops || []).map(stop => stop.name), destinationCity];
+}
+
+// ANSI colours of the price matrix: cheapest third green, middle yellow, dearest red
+const MATRIX_COLORS = { cheap: '\x1b[32m', middle: '\x1b[33m', dear: '\x1b[31m', reset: '\x1b[0m' };
+
+// Grid of a price matrix: one row per outbound date, one column per number of nights.
+// options.color colours the prices by third of the price range (for terminals only)
+export function formatPriceMatrix(results, options = {}) {
+    if (results.length === 0) {
+        return 'No results found.';
+    }
+
+    const nights = results[0].cells.map(cell => cell.nights);
+    const headers = ['Outbound', ...nights.map(count => `${count} night${count === 1 ? '' : 's'}`)];
+    const rows = results.map(result => [
+        getShortWeekdayDate(result.outboundDate),
+        ...result.cells.map(cell => cell.totalPrice === null ? '—' : `€${cell.totalPrice.toFixed(2)}`)
+    ]);
+
+    const prices = results.flatMap(result => result.cells.map(cell => cell.totalPrice).filter(price => price !== null));
+    const lowest = Math.min(...prices);
+    const highest = Math.max(...prices);
+    const third = (highest - lowest) / 3;
+    const colorOf = (price) => {
+        if (price === null) return null;
+        if (price <= lowest + third) return MATRIX_COLORS.cheap;
+        return price <= highest - third ? MATRIX_COLORS.middle : MATRIX_COLORS.dear;
+    };
+
+    const colWidths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+    // Prices are right-aligned, and padded before colouring so the escape codes do not count as width
+    const formatCell = (text, i, price = null) => {
+        const padded = i === 0 ? text.padEnd(colWidths[i]) : text.padStart(colWidths[i]);
+        const color = options.color ? colorOf(price) : null;
+        return ` ${color ? `${color}${padded}${MATRIX_COLORS.reset}` : padded} `;
+    };
+
+    const separator = (left, middle, right) => left + colWidths.map(width => '─'.repeat(width + 2)).join(middle) + right + '\n';
+    let grid = separator('┌', '┬', '┐');
+    grid += '│' + headers.map((header, i) => formatCell(header, i)).join('│') + '│\n';
+    grid += separator('├', '┼', '┤');
+    rows.forEach((row, rowIndex) => {
+        const cells = results[rowIndex].cells;
+        grid += '│' + row.map((text, i) => formatCell(text, i, i === 0 ? null : cells[i - 1].totalPrice)).join('│') + '│\n';
+    });
+    grid += separator('└', '┴', '┘');
+
+    // The cheapest cell of the whole matrix
+    const best = results.reduce((cheapest, result) => result.totalPrice < cheapest.totalPrice ? result : cheapest);
+    grid += `Cheapest: €${best.totalPrice.toFixed(2)} leaving ${best.outboundDate}, back ${best.returnDate} (${best.nights} night${best.nights === 1 ? '' : 's'})\n`;
+
+    return grid;
+}
+
+// Recorded prices of a route (see summarizePriceHistory) as 'table', 'json' or 'csv' text, one row per travel date
+export function formatPriceHistory(summary, outputFormat, departureCity, destinationCity, fare) {
+    if (outputFormat === 'json') {
+        return JSON.stringify({
+            route: { departure: departureCity, destination: destinationCity },
+            fare,
+            observations: summary.observations,
+            lowest: summary.lowest,
+            median: summary.median,
+            highest: summary.highest,
+            dates: summary.dates
+        }, null, 2);
+    }
+
+    if (outputFormat === 'csv') {
+        let csv = 'Date,Observations,Lowest,Median,Highest,Latest Price,Latest Train,Latest Departure,Last Observed\n';
+        summary.dates.forEach(date => {
+            csv += `${date.date},${date.observations},${date.lowest.toFixed(2)},${date.median.toFixed(2)},${date.highest.toFixed(2)},${date.latest.price.toFixed(2)},"${date.latest.train}","${date.latest.departure}","${date.latest.observedAt}"\n`;
+        });
+        return csv;
+    }
+
+    const headers = ['Date', 'Seen', 'Lowest', 'Median', 'Highest', 'Latest', 'Train', 'Dep', 'Last Checked'];
+    const rows = summary.dates.map(date => [
+        getShortWeekdayDate(formatDate(date.date)),
+        date.observations.toString(),
+        `€${date.lowest.toFixed(2)}`,
+        `€${date.median.toFixed(2)}`,
+        `€${date.highest.toFixed(2)}`,
+        `€${date.latest.price.toFixed(2)}`,
+        date.latest.train,
+        formatTime(date.latest.departure),
+        formatDateTime(date.latest.observedAt)
+    ]);
+    const colWidths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+
+    let table = `Route: ${departureCity} → ${destinationCity}\nFare: ${fare}\n\n`;
+    const separator = (left, middle, right) => left + colWidths.map(width => '─'.repeat(width + 2)).join(middle) + right + '\n';
+    table += separator('┌', '┬', '┐');
+    table += '│' + headers.map((header, i) => ` ${header.padEnd(colWidths[i])} `).join('│') + '│\n';
+    table += separator('├', '┼', '┤');
+    rows.forEach(row => {
+        table += '│' + row.map((cell, i) => ` ${cell.padEnd(colWidths[i])} `).join('│') + '│\n';
+    });
+    table += separator('└', '┴', '┘');
+    table += `${summary.observations} prices seen: lowest €${summary.lowest.toFixed(2)}, median €${summary.median.toFixed(2)}, highest €${summary.highest.toFixed(2)}\n`;
+
+    return table;
+}
+
+// Format results as JSON (prices are totals for all passengers)
+export function formatAsJson(results, tripType, departureCity, destinationCity, returnDepartureCity = null, options = {}) {
+    const passengers = normalizePassengers(options.passengers);
     const output = {
         metadata: {
-            searchTime: new Date().toISOString(),
+            searchTime: (options.searchTime || new Date()).toISOString(),
             tripType,
             route: {
                 departure: departureCity,
                 destination: destinationCity,
-                returnDeparture: returnDepartureCity
+                returnDeparture: returnDepartureCity,
+                stops: options.stops || null
+            },
+            passengers: {
+                ...passengers,
+                travellers: getTravellerCount(passengers),
+                description: describePassengers(passengers)
             },
+            travelClass: options.compareClasses ? 'both' : passengers.travelClass,
+            routing: options.routing || null,
+            sortBy: options.sortBy || null,
+            pareto: options.pareto || false,
+            incomplete: Boolean(options.incomplete),
+            incompleteReason: options.incomplete || null,
             resultCount: results.length
         },
         results: results.map(result => {
-            if (tripType === 'one-way') {
+            if (tripType === 'multi-city') {
+                const names = getItineraryNames(departureCity, destinationCity, options);
+                return {
+                    outboundDate: result.outboundDate,
+                    returnDate: result.returnDate,
+                    nights: result.nights,
+                    totalPrice: result.totalPrice,
+                    currency: 'EUR',
+                    legs: result.legs.map((leg, index) => ({
+                        from: names[index],
+                        to: names[index + 1],
+                        date: leg.date,
+                        price: leg.totalPrice,
+                        journey: formatJourneyForJson(leg.journey)
+                    }))
+                };
+            } else if (tripType === 'matrix') {
+                // One row per outbound date, the price of each number of nights in its cells
+                return {
+                    outboundDate: result.outboundDate,
+                    totalPrice: result.totalPrice,
+                    nights: result.nights,
+                    returnDate: result.returnDate,
+                    currency: 'EUR',
+                    cells: result.cells.map(cell => ({
+                        nights: cell.nights,
+                        returnDate: cell.returnDate,
+                        totalPrice: cell.totalPrice,
+                        timeAtDestination: cell.totalPrice === null ? null : getTimeAtDestination(cell.outbound, cell.return),
+                        outbound: cell.totalPrice === null ? null : formatJourneyForJson(cell.outbound),
+                        return: cell.totalPrice === null ? null : formatJourneyForJson(cell.return)
+                    }))
+                };
+            } else if (tripType === 'regional') {
+                // The regional connection is covered by the Deutschlandticket
                 return {
+                    date: result.date,
+                    longDistancePrice: result.longDistance ? result.longDistance.price : null,
+                    currency: 'EUR',
+                    extraMinutes: result.extraMinutes,
+                    regional: formatJourneyForJson(result.regional),
+                    longDistance: result.longDistance ? formatJourneyForJson(result.longDistance) : null
+                };
+            } else if (tripType === 'one-way') {
+                const oneWayResult = {
                     date: result.date,
                     price: result.totalPrice,
                     currency: 'EUR',
-                    journey: {
-                        trainName: result.journey.trainName,
-                        departure: result.journey.departure,
-                        arrival: result.journey.arrival,
-                        transfers: result.journey.transfers,
-                        price: result.journey.price,
-                        allTrains: result.journey.allTrains
-                    }
+                    ...formatClassPricesForJson(result, options),
+                    journey: formatJourneyForJson(result.journey)
                 };
+
+                // Ranked alternatives for this date (the first one is the cheapest)
+                if (result.combinations) {
+                    oneWayResult.combinations = result.combinations.map(combination => ({
+                        price: combination.totalPrice,
+                        ...formatClassPricesForJson(combination, options),
+                        journey: formatJourneyForJson(combination.journey)
+                    }));
+                }
+
+                return oneWayResult;
             } else {
                 const baseResult = {
                     totalPrice: result.totalPrice,
                     currency: 'EUR',
-                    outbound: {
-                        trainName: result.outbound.trainName,
-                        departure: result.outbound.departure,
-                        arrival: result.outbound.arrival,
-                        transfers: result.outbound.transfers,
-                        price: result.outbound.price,
-                        allTrains: result.outbound.allTrains
-                    },
-                    return: {
-                        trainName: result.return.trainName,
-                        departure: result.return.departure,
-                        arrival: result.return.arrival,
-                        transfers: result.return.transfers,
-                        price: result.return.price,
-                        allTrains: result.return.allTrains
-                    }
+                    ...formatClassPricesForJson(result, options),
+                    outbound: formatJourneyForJson(result.outbound),
+                    return: formatJourneyForJson(result.return)
                 };
 
                 if (tripType === 'same-day') {
@@ -149,6 +389,21 @@ export function formatAsJson(results, tripType, departureCity, destinationCity,
                 } else {
                     baseResult.outboundDate = result.outboundDate;
                     baseResult.returnDate = result.returnDate;
+                    if (result.nights !== undefined) {
+                        baseResult.nights = result.nights;
+                    }
+                }
+
+                // Ranked outbound/return combinations for this date (the first one is the cheapest)
+                if (result.combinations) {
+                    baseResult.combinations = result.combinations.map(combination => ({
+                        totalPrice: combination.totalPrice,
+                        ...formatClassPricesForJson(combination, options),
+                        timeAtDestination: getTimeAtDestination(combination.outbound, combination.return),
+                        returnDate: combination.returnDate,
+                        outbound: formatJourneyForJson(combination.outbound),
+                        return: formatJourneyForJson(combination.return)
+                    }));
                 }
 
                 return baseResult;
@@ -156,31 +411,132 @@ export function formatAsJson(results, tripType, departureCity, destinationCity,
         })
     };
 
+    // Weighted score of each result when sorting by score
+    if (options.sortBy === 'score') {
+        output.results.forEach((entry, index) => {
+            entry.score = scoreResult(results[index], options.scoring);
+        });
+    }
+
+    // Price history statistics, trend and badge of each result when verdicts were added (see price-verdicts.js)
+    results.forEach((result, index) => {
+        if (result.verdict !== undefined) {
+            output.results[index].verdict = result.verdict;
+        }
+    });
+
     return JSON.stringify(output, null, 2);
 }
 
+// Pick the journey fields exposed in JSON output
+function formatJourneyForJson(journey) {
+    const output = {
+        trainName: journey.trainName,
+        departure: journey.departure,
+        arrival: journey.arrival,
+        transfers: journey.transfers,
+        price: journey.price,
+        allTrains: journey.allTrains
+    };
+
+    if (journey.firstClassPrice !== undefined) {
+        output.firstClassPrice = journey.firstClassPrice;
+    }
+
+    if (journey.durationMinutes !== undefined) {
+        output.durationMinutes = journey.durationMinutes;
+    }
+
+    return output;
+}
+
+// 1st class price and upgrade cost of a result or combination (class comparison only)
+function formatClassPricesForJson(combination, options) {
+    if (!options.compareClasses) {
+        return {};
+    }
+
+    return {
+        firstClassPrice: combination.firstClassPrice ?? null,
+        upgradePrice: getUpgradePrice(combination.totalPrice, combination.firstClassPrice)
+    };
+}
+
+// Extra cost of 1st class over 2nd class (null when no 1st class fare was found)
+export function getUpgradePrice(price, firstClassPrice) {
+    if (firstClassPrice === null || firstClassPrice === undefined) {
+        return null;
+    }
+    return Math.round((firstClassPrice - price) * 100) / 100;
+}
+
 // Format results as CSV
-export function formatAsCsv(results, tripType) {
+export function formatAsCsv(results, tripType, options = {}) {
     if (results.length === 0) {
         return 'No results found.';
     }
 
+    // Group searches get passenger columns so the totals can be told apart from single fares
+    const passengerColumns = options.passengers && !isDefaultPassengers(options.passengers)
+        ? { header: ',Travellers,Passengers', row: `,${getTravellerCount(options.passengers)},"${describePassengers(options.passengers)}"` }
+        : { header: '', row: '' };
+
+    // Class comparison adds the 1st class price and the upgrade cost
+    const classColumns = {
+        header: options.compareClasses ? (tripType === 'one-way' ? ',First Class Price,Upgrade' : ',First Class Total,Upgrade') : '',
+        row: (result) => {
+            if (!options.compareClasses) return '';
+            const upgrade = getUpgradePrice(result.totalPrice, result.firstClassPrice);
+            return `,${result.firstClassPrice != null ? result.firstClassPrice.toFixed(2) : ''},${upgrade !== null ? upgrade.toFixed(2) : ''}`;
+        }
+    };
+
     let csv = '';
     
-    if (tripType === 'one-way') {
+    if (tripType === 'multi-city') {
+        // One row per leg, the itinerary's dates and total repeated on each
+        csv += `Start Date,End Date,Total Price,Leg,Date,Train,Departure,Arrival,Transfers,Price${passengerColumns.header}\n`;
+        
+        results.forEach(result => {
+            result.legs.forEach((leg, index) => {
+                const journey = leg.journey;
+                csv += `"${result.outboundDate}","${result.returnDate}",${result.totalPrice.toFixed(2)},${index + 1},"${leg.date}","${journey.trainName}","${journey.departure}","${journey.arrival}",${journey.transfers},${leg.totalPrice.toFixed(2)}${passengerColumns.row}\n`;
+            });
+        });
+    } else if (tripType === 'matrix') {
+        // One column per number of nights (empty when that return date has no fare)
+        const nights = results[0].cells.map(cell => cell.nights);
+        csv += `Outbound Date,${nights.map(count => `${count} Night${count === 1 ? '' : 's'}`).join(',')}${passengerColumns.header}\n`;
+        
+        results.forEach(result => {
+            const prices = result.cells.map(cell => cell.totalPrice === null ? '' : cell.totalPrice.toFixed(2));
+            csv += `"${result.outboundDate}",${prices.join(',')}${passengerColumns.row}\n`;
+        });
+    } else if (tripType === 'regional') {
+        // CSV headers for regional comparisons (long-distance columns stay empty when no fare was found)
+        csv += `Date,Regional Trains,Regional Departure,Regional Arrival,Regional Transfers,Regional Minutes,Long-distance Train,Long-distance Departure,Long-distance Arrival,Long-distance Transfers,Long-distance Minutes,Long-distance Price,Extra Minutes${passengerColumns.header}\n`;
+        
+        results.forEach(result => {
+            const { regional, longDistance } = result;
+            const longDistanceColumns = longDistance
+                ? `"${longDistance.trainName}","${longDistance.departure}","${longDistance.arrival}",${longDistance.transfers},${longDistance.durationMinutes},${longDistance.price.toFixed(2)}`
+                : ',,,,,';
+            csv += `"${result.date}","${regional.trainName}","${regional.departure}","${regional.arrival}",${regional.transfers},${regional.durationMinutes},${longDistanceColumns},${result.extraMinutes ?? ''}${passengerColumns.row}\n`;
+        });
+    } else if (tripType === 'one-way') {
         // CSV headers for one-way trips
-        csv += 'Date,Train,Departure,Arrival,Transfers,Price\n';
+        csv += `Date,Train,Departure,Arrival,Transfers,Price${classColumns.header}${passengerColumns.header}\n`;
         
         results.forEach(result => {
             const journey = result.journey;
-            csv += `"${result.date}","${journey.trainName}","${journey.departure}","${journey.arrival}",${journey.transfers},${journey.price.toFixed(2)}\n`;
+            csv += `"${result.date}","${journey.trainName}","${journey.departure}","${journey.arrival}",${journey.transfers},${journey.price.toFixed(2)}${classColumns.row(result)}${passengerColumns.row}\n`;
         });
     } else {
         // CSV headers for round trips
         if (tripType === 'same-day') {
-            csv += 'Date,Outbound Train,Outbound Departure,Outbound Arrival,Outbound Transfers,Outbound Price,Return Train,Return Departure,Return Arrival,Return Transfers,Return Price,Total Price\n';
+            csv += `Date,Outbound Train,Outbound Departure,Outbound Arrival,Outbound Transfers,Outbound Price,Return Train,Return Departure,Return Arrival,Return Transfers,Return Price,Total Price${classColumns.header}${passengerColumns.header}\n`;
         } else {
-            csv += 'Outbound Date,Return Date,Outbound Train,Outbound Departure,Outbound Arrival,Outbound Transfers,Outbound Price,Return Train,Return Departure,Return Arrival,Return Transfers,Return Price,Total Price\n';
+            csv += `Outbound Date,Return Date,Outbound Train,Outbound Departure,Outbound Arrival,Outbound Transfers,Outbound Price,Return Train,Return Departure,Return Arrival,Return Transfers,Return Price,Total Price${classColumns.header}${passengerColumns.header}\n`;
         }
         
         results.forEach(result => {
@@ -188,7 +544,7 @@ export function formatAsCsv(results, tripType) {
                 ? `"${result.date}"`
                 : `"${result.outboundDate}","${result.returnDate}"`;
                 
-            csv += `${dateColumns},"${result.outbound.trainName}","${result.outbound.departure}","${result.outbound.arrival}",${result.outbound.transfers},${result.outbound.price.toFixed(2)},"${result.return.trainName}","${result.return.departure}","${result.return.arrival}",${result.return.transfers},${result.return.price.toFixed(2)},${result.totalPrice.toFixed(2)}\n`;
+            csv += `${dateColumns},"${result.outbound.trainName}","${result.outbound.departure}","${result.outbound.arrival}",${result.outbound.transfers},${result.outbound.price.toFixed(2)},"${result.return.trainName}","${result.return.departure}","${result.return.arrival}",${result.return.transfers},${result.return.price.toFixed(2)},${result.totalPrice.toFixed(2)}${classColumns.row(result)}${passengerColumns.row}\n`;
         });
     }
 
@@ -215,9 +571,29 @@ export function saveToFile(content, filename, format) {
 }
 
 // Helper functions
+function formatPriceCell(price) {
+    return price === null || price === undefined ? 'n/a' : `€${price.toFixed(2)}`;
+}
+
+function formatUpgradeCell(price, firstClassPrice) {
+    const upgrade = getUpgradePrice(price, firstClassPrice);
+    if (upgrade === null) return 'n/a';
+    return upgrade >= 0 ? `+€${upgrade.toFixed(2)}` : `-€${Math.abs(upgrade).toFixed(2)}`;
+}
+
+function formatExtraTimeCell(extraMinutes) {
+    if (extraMinutes === null || extraMinutes === undefined) return '—';
+    return extraMinutes >= 0 ? `+${formatMinutes(extraMinutes)}` : formatMinutes(extraMinutes);
+}
+
 function formatTime(dateStr) {
     const date = new Date(dateStr);
-    return date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    return date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit', timeZone: TRAVEL_TIME_ZONE });
+}
+
+function formatDateTime(dateStr) {
+    const date = new Date(dateStr);
+    return date.toLocaleString('de-DE', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', timeZone: TRAVEL_TIME_ZONE });
 }
 
 function getShortDate(dateStr) {
@@ -226,6 +602,12 @@ function getShortDate(dateStr) {
     return parts.length >= 2 ? parts[1] : dateStr;
 }
 
+function getShortWeekdayDate(dateStr) {
+    // Convert "Tue, Aug 12, 2025" to "Tue, Aug 12"
+    const parts = dateStr.split(', ');
+    return parts.length >= 3 ? `${parts[0]}, ${parts[1]}` : dateStr;
+}
+
 // Progress indicator for long-running operations
 export class ProgressIndicator {
     constructor(message = 'Processing', showSpinner = true, useTrainAnimation = false) {
@@ -343,6 +725,9 @@ export class TrainProgressIndicator extends ProgressIndicator {
             'one-way': [
                 ['🚄💨    ', ' 🚄💨   ', '  🚄💨  ', '   🚄💨 ', '    🚄💨', '     🚄'], // One direction
             ],
+            'regional': [
+                ['🚆💨    ', ' 🚆💨   ', '  🚆💨  ', '   🚆💨 ', '    🚆💨', '     🚆'], // Regional trains
+            ],
             'multi-day': [
                 ['🚅🌅    ', ' 🚅🌅   ', '  🚅🌅  ', '   🚅🌅 ', '    🚅🌅', '🌙🚅    ', ' 🌙🚅   '], // Day/night travel
             ],
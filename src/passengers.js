@@ -0,0 +1,120 @@
+// Passenger profiles - travellers, BahnCard and travel class for fare searches
+
+import { data as loyaltyCards } from 'db-vendo-client/format/loyalty-cards.js';
+
+// Default passenger profile (a single adult without BahnCard in 2nd class)
+export const DEFAULT_PASSENGERS = {
+    adults: 1,
+    children: [], // Ages of travelling children (0-17)
+    bahnCard: null, // 25, 50 or 100 (held by every adult)
+    travelClass: 2 // 1 or 2
+};
+
+export const BAHNCARD_DISCOUNTS = [25, 50, 100];
+export const MAX_TRAVELLERS = 9;
+
+// Fill in missing fields of a passenger profile with defaults
+export function normalizePassengers(passengers) {
+    return {
+        ...DEFAULT_PASSENGERS,
+        ...(passengers || {}),
+        children: [...(passengers?.children || [])]
+    };
+}
+
+// Number of people travelling together
+export function getTravellerCount(passengers) {
+    const normalized = normalizePassengers(passengers);
+    return normalized.adults + normalized.children.length;
+}
+
+// Check a passenger profile and return a list of problems
+export function validatePassengers(passengers) {
+    const errors = [];
+    const { adults, children, bahnCard, travelClass } = normalizePassengers(passengers);
+
+    if (!Number.isInteger(adults) || adults < 0) {
+        errors.push('Number of adults must be a whole number of 0 or more');
+    }
+
+    if (children.some(age => !Number.isInteger(age) || age < 0 || age > 17)) {
+        errors.push('Child ages must be whole numbers between 0 and 17');
+    }
+
+    const travellers = adults + children.length;
+    if (travellers < 1) {
+        errors.push('At least one traveller is required');
+    } else if (travellers > MAX_TRAVELLERS) {
+        errors.push(`At most ${MAX_TRAVELLERS} travellers can book together`);
+    }
+
+    if (bahnCard !== null && !BAHNCARD_DISCOUNTS.includes(bahnCard)) {
+        errors.push(`BahnCard must be one of: ${BAHNCARD_DISCOUNTS.join(', ')}`);
+    }
+
+    if (travelClass !== 1 && travelClass !== 2) {
+        errors.push('Travel class must be 1 or 2');
+    }
+
+    return errors;
+}
+
+// Parse a comma separated list of child ages (e.g. "8,12")
+export function parseChildAges(input) {
+    if (!input || input.trim().length === 0) return [];
+
+    const ages = input.split(',').map(part => part.trim());
+    if (ages.some(age => !/^\d{1,2}$/.test(age))) return null;
+
+    return ages.map(age => parseInt(age, 10));
+}
+
+// Build the client.journeys options describing the travellers
+export function buildPassengerOptions(passengers) {
+    const { adults, children, bahnCard, travelClass } = normalizePassengers(passengers);
+    const firstClass = travelClass === 1;
+
+    // A single adult without BahnCard is the API default
+    if (adults === 1 && children.length === 0 && bahnCard === null) {
+        return { firstClass };
+    }
+
+    const adultCard = bahnCard !== null
+        ? { type: loyaltyCards.BAHNCARD, discount: bahnCard, class: travelClass }
+        : null;
+
+    // One entry per traveller; adults have no age so they are priced as adults.
+    // The client treats an age of 0 as "no age", so infants are sent as 1 (same fare group)
+    return {
+        firstClass,
+        age: [...Array(adults).fill(undefined), ...children.map(age => Math.max(age, 1))],
+        loyaltyCard: [...Array(adults).fill(adultCard), ...children.map(() => null)]
+    };
+}
+
+// Short human readable summary (e.g. "2 adults, 1 child (8) · BahnCard 50 · 1st class")
+export function describePassengers(passengers) {
+    const { adults, children, bahnCard, travelClass } = normalizePassengers(passengers);
+    const travellers = [];
+
+    if (adults > 0) {
+        travellers.push(`${adults} adult${adults !== 1 ? 's' : ''}`);
+    }
+    if (children.length > 0) {
+        travellers.push(`${children.length} child${children.length !== 1 ? 'ren' : ''} (${children.join(', ')})`);
+    }
+
+    const parts = [travellers.join(', ')];
+    if (bahnCard !== null) {
+        parts.push(`BahnCard ${bahnCard}`);
+    }
+    parts.push(travelClass === 1 ? '1st class' : '2nd class');
+
+    return parts.join(' · ');
+}
+
+// Whether the profile is the default single adult, 2nd class fare
+export function isDefaultPassengers(passengers) {
+    const { adults, children, bahnCard, travelClass } = normalizePassengers(passengers);
+    return adults === 1 && children.length === 0 && bahnCard === null && travelClass === 2;
+}
@@ -0,0 +1,156 @@
+// Price history - local store of every fare the searches have seen, one JSON-lines file per route
+import { appendFileSync, readFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { SEARCH_EVENTS, emitSearchEvent } from './search-events.js';
+
+// History directory - user data, stored next to the configuration
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DEFAULT_HISTORY_DIR = join(__dirname, '..', 'config', 'price-history');
+
+// Station ids become file names (<from>-<to>.jsonl), so keep them to safe characters
+function toFileName(stationId) {
+    return String(stationId).replace(/[^\w.]/g, '_');
+}
+
+// Number of prices and their lowest, median and highest value (null values for no prices)
+export function getPriceStatistics(prices) {
+    if (prices.length === 0) {
+        return { observations: 0, lowest: null, median: null, highest: null };
+    }
+
+    const sorted = [...prices].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return {
+        observations: sorted.length,
+        lowest: sorted[0],
+        median: Math.round(median * 100) / 100,
+        highest: sorted[sorted.length - 1]
+    };
+}
+
+// Local price history. Every observation is one fare seen by a search:
+// { observedAt (ISO), from, to, date (travel date, YYYY-MM-DD), train, departure, arrival, transfers, fare, price, currency }
+// where fare describes the travellers and class the price is for (e.g. "1 adult · 2nd class") and constraints
+// the routing or product limits of the search that saw it (e.g. "direct trains only", null without)
+export class PriceHistory {
+    constructor(directory = DEFAULT_HISTORY_DIR) {
+        this.directory = directory;
+    }
+
+    // File holding the observations of a route
+    getRouteFile(from, to) {
+        return join(this.directory, `${toFileName(from)}-${toFileName(to)}.jsonl`);
+    }
+
+    // Append observations (of any routes) to the store
+    record(observations) {
+        const linesByFile = new Map();
+        observations.forEach(observation => {
+            const file = this.getRouteFile(observation.from, observation.to);
+            linesByFile.set(file, (linesByFile.get(file) || '') + `${JSON.stringify(observation)}\n`);
+        });
+
+        if (linesByFile.size === 0) return;
+        if (!existsSync(this.directory)) {
+            mkdirSync(this.directory, { recursive: true });
+        }
+        linesByFile.forEach((lines, file) => appendFileSync(file, lines));
+    }
+
+    // Observations of a route ordered by travel date, departure and observation time.
+    // Options: startDate/endDate (travel dates, both included), fare, constraints (null for unconstrained
+    // searches only) and observedBefore (a Date, e.g. to leave out what the current search recorded) limit the observations
+    query(from, to, options = {}) {
+        const file = this.getRouteFile(from, to);
+        if (!existsSync(file)) return [];
+
+        const { startDate = null, endDate = null, fare = null, constraints, observedBefore = null } = options;
+        const before = observedBefore ? observedBefore.toISOString() : null;
+        return readFileSync(file, 'utf8')
+            .split('\n')
+            .map(line => {
+                try {
+                    return line.trim() ? JSON.parse(line) : null;
+                } catch (error) {
+                    // A damaged line (e.g. from an interrupted write) is skipped
+                    return null;
+                }
+            })
+            .filter(observation => observation
+                && (!startDate || observation.date >= startDate)
+                && (!endDate || observation.date <= endDate)
+                && (!fare || observation.fare === fare)
+                && (constraints === undefined || (observation.constraints || null) === constraints)
+                && (!before || observation.observedAt < before))
+            .sort((a, b) => a.date.localeCompare(b.date)
+                || a.departure.localeCompare(b.departure)
+                || a.observedAt.localeCompare(b.observedAt));
+    }
+
+    // Routes with recorded prices ({ from, to } station ids)
+    listRoutes() {
+        if (!existsSync(this.directory)) return [];
+
+        return readdirSync(this.directory)
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => {
+                const [from, to] = file.slice(0, -'.jsonl'.length).split('-');
+                return { from, to };
+            });
+    }
+}
+
+// Lowest, median and highest price of observations per travel date and overall. The latest price of a date is
+// the cheapest fare of its most recent observation
+export function summarizePriceHistory(observations) {
+    const byDate = new Map();
+    observations.forEach(observation => {
+        if (!byDate.has(observation.date)) byDate.set(observation.date, []);
+        byDate.get(observation.date).push(observation);
+    });
+
+    const dates = [...byDate.entries()].map(([date, dateObservations]) => {
+        const lastObservedAt = dateObservations.reduce((latest, observation) => observation.observedAt > latest ? observation.observedAt : latest, '');
+        const latest = dateObservations
+            .filter(observation => observation.observedAt === lastObservedAt)
+            .reduce((cheapest, observation) => observation.price < cheapest.price ? observation : cheapest);
+
+        return {
+            date,
+            ...getPriceStatistics(dateObservations.map(observation => observation.price)),
+            latest: { price: latest.price, train: latest.train, departure: latest.departure, observedAt: latest.observedAt }
+        };
+    });
+
+    return {
+        ...getPriceStatistics(observations.map(observation => observation.price)),
+        dates
+    };
+}
+
+// Subscribe a price history to a search event bus: the fares of every day a search sweeps are recorded.
+// Returns a function that unsubscribes
+export function attachPriceHistory(events, history, clock = () => new Date()) {
+    const handler = (event) => {
+        const observedAt = clock().toISOString();
+        try {
+            history.record(event.prices.map(price => ({
+                observedAt,
+                from: event.from,
+                to: event.to,
+                date: event.date,
+                fare: event.fare,
+                constraints: event.constraints || null,
+                ...price
+            })));
+        } catch (error) {
+            // The search goes on without history
+            emitSearchEvent(SEARCH_EVENTS.WARNING, { message: `Could not record price history: ${error.message}` });
+        }
+    };
+    events.on(SEARCH_EVENTS.PRICES_OBSERVED, handler);
+    return () => events.off(SEARCH_EVENTS.PRICES_OBSERVED, handler);
+}
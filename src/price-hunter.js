@@ -0,0 +1,229 @@
+// Price hunter - programmatic API around the client, configuration, searches, station lookup and formatters
+import { createPriceHunterClient } from './client.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { lookupStation } from './cli-handler.js';
+import { collectProgressiveSearch, validateTripType, validateItineraryStops, ValidationError } from './error-handler.js';
+import {
+    TRIP_TYPES,
+    streamSameDayTrips,
+    streamOneWayTrips,
+    streamRegionalTrips,
+    streamMultiDayTrips,
+    streamFlexibleDurationTrips,
+    streamPriceMatrix,
+    streamMultiCityTrips,
+    searchSameDayTrips,
+    searchOneWayTrips,
+    searchRegionalTrips,
+    searchMultiDayTrips,
+    searchFlexibleDurationTrips,
+    searchPriceMatrix,
+    searchMultiCityTrips,
+    getRoutingConstraints
+} from './journey-search.js';
+import { renderResults } from './results-display.js';
+import { rankResults } from './scoring.js';
+import { addPriceVerdicts } from './price-verdicts.js';
+import { describePassengers } from './passengers.js';
+import { createSearchEvents, withSearchEvents } from './search-events.js';
+import { attachConsoleReporter } from './search-reporter.js';
+import { getBerlinToday } from './travel-dates.js';
+
+// Station id from an id or a station object ({ id, name })
+function getStationId(station) {
+    return typeof station === 'object' && station !== null ? station.id : station;
+}
+
+// Station name for result headers
+function getStationName(station) {
+    return typeof station === 'object' && station !== null ? station.name || station.id : station;
+}
+
+// Search functions by trip type (multi-day has a fixed-return and a flexible-duration variant)
+const SEARCH_FUNCTIONS = {
+    sameDay: searchSameDayTrips,
+    oneWay: searchOneWayTrips,
+    regional: searchRegionalTrips,
+    multiDay: searchMultiDayTrips,
+    flexible: searchFlexibleDurationTrips,
+    matrix: searchPriceMatrix,
+    multiCity: searchMultiCityTrips
+};
+
+const STREAM_FUNCTIONS = {
+    sameDay: streamSameDayTrips,
+    oneWay: streamOneWayTrips,
+    regional: streamRegionalTrips,
+    multiDay: streamMultiDayTrips,
+    flexible: streamFlexibleDurationTrips,
+    matrix: streamPriceMatrix,
+    multiCity: streamMultiCityTrips
+};
+
+// Search engine for scripts and services. Searches report to an event bus (hunter.events, see
+// search-events.js) and nothing is printed unless a logger is passed, which subscribes the console
+// reporter (progress bars are only drawn with progress: true, as the CLI does).
+// The request limiter and journey cache are shared by the whole process, see
+// configureRequestLimiter and configureJourneyCache
+export class PriceHunter {
+    constructor(options = {}) {
+        this.config = options.config || {
+            ...DEFAULT_CONFIG,
+            preferences: { ...DEFAULT_CONFIG.preferences, ...(options.preferences || {}) }
+        };
+        this.client = options.client || createPriceHunterClient(options.userAgent || 'db-price-hunter', options.fixtures);
+        this.clock = options.clock || (() => new Date());
+        this.events = options.events || createSearchEvents();
+
+        if (options.logger) {
+            attachConsoleReporter(this.events, options.logger, {
+                progress: options.progress === true,
+                animation: this.config.preferences.useTrainAnimations
+            });
+        }
+    }
+
+    // Run an operation that reports to this hunter's event bus (or a request's own bus)
+    run(operation, events = null) {
+        return withSearchEvents(events || this.events, operation);
+    }
+
+    // Configuration of one search (request preferences override the hunter's)
+    getSearchConfig(request = {}) {
+        if (!request.preferences) return this.config;
+        return { ...this.config, preferences: { ...this.config.preferences, ...request.preferences } };
+    }
+
+    // Look up a station by name or id (popular cities first)
+    findStation(query) {
+        return this.run(() => lookupStation(this.client, query));
+    }
+
+    // Search and return the results in date order. The request names the trip type, the stations
+    // (ids or { id, name }) and dates (YYYY-MM-DD); startDate defaults to today in Berlin and endDate to startDate.
+    // Multi-day trips take numberOfDays, or a returnDate with an optional returnEndDate for a return window.
+    // Matrix searches yield one row per outbound date with a cell per number of nights (preferences.minNights/maxNights).
+    // Multi-city trips take stops ([{ station, nights }] in travel order); to defaults to from, ending where they started.
+    // request.events sends the search's events to that bus instead of hunter.events
+    async search(request = {}) {
+        return this.run(() => this.callSearch(request, SEARCH_FUNCTIONS), request.events);
+    }
+
+    // Stream a search, yielding each date as it completes:
+    // { type: 'result', index, date, result } or { type: 'failure', index, date, error, cancelled }
+    async *stream(request = {}) {
+        const search = this.callSearch(request, STREAM_FUNCTIONS);
+
+        // Every step runs with the event bus, so the workers started by it report there too
+        const iterator = search[Symbol.asyncIterator]();
+        try {
+            while (true) {
+                const { value, done } = await this.run(() => iterator.next(), request.events);
+                if (done) return;
+                yield value;
+            }
+        } finally {
+            await this.run(() => iterator.return(), request.events);
+        }
+    }
+
+    // Collect a streamed search into { results, failures, cancelled, incomplete }
+    collect(request) {
+        return collectProgressiveSearch(this.stream(request));
+    }
+
+    // Check a search request and call the search (or stream) function of its trip type
+    callSearch(request = {}, functions) {
+        validateTripType(request.tripType);
+        const multiCity = request.tripType === TRIP_TYPES.MULTI_CITY;
+        if (!request.from || (!request.to && !multiCity)) {
+            throw new ValidationError('Departure and destination stations are required', 'station');
+        }
+        if (multiCity) {
+            const [stopError] = validateItineraryStops(request.from, request.to || request.from, request.stops);
+            if (stopError) {
+                throw new ValidationError(stopError, 'stops');
+            }
+        }
+        if (request.tripType === TRIP_TYPES.MULTI_DAY && !request.returnDate && !request.numberOfDays) {
+            throw new ValidationError('Multi-day searches need a returnDate or numberOfDays', 'returnDate');
+        }
+        if (request.returnEndDate && request.returnEndDate < request.returnDate) {
+            throw new ValidationError('returnEndDate cannot be before returnDate', 'returnEndDate');
+        }
+
+        const config = this.getSearchConfig(request);
+        const from = getStationId(request.from);
+        const to = getStationId(request.to || request.from);
+        const returnFrom = request.returnFrom ? getStationId(request.returnFrom) : null;
+        const startDate = request.startDate || getBerlinToday(this.clock());
+        const endDate = request.endDate || startDate;
+        const timePreferences = request.timePreferences || null;
+        const signal = request.signal || null;
+
+        switch (request.tripType) {
+            case TRIP_TYPES.SAME_DAY:
+                return functions.sameDay(this.client, config, from, to, startDate, endDate, timePreferences, returnFrom, signal);
+            case TRIP_TYPES.ONE_WAY:
+                return functions.oneWay(this.client, config, from, to, startDate, endDate, timePreferences?.outbound || null, signal);
+            case TRIP_TYPES.REGIONAL:
+                return functions.regional(this.client, config, from, to, startDate, endDate, timePreferences?.outbound || null, signal);
+            case TRIP_TYPES.MATRIX:
+                return functions.matrix(this.client, config, from, to, startDate, endDate, timePreferences, returnFrom, signal);
+            case TRIP_TYPES.MULTI_CITY:
+                return functions.multiCity(this.client, config, from, to, startDate, endDate, request.stops.map(stop => ({ station: getStationId(stop.station), nights: stop.nights })), timePreferences, signal);
+            default:
+                return request.numberOfDays
+                    ? functions.flexible(this.client, config, from, to, startDate, endDate, request.numberOfDays, timePreferences, returnFrom, signal)
+                    : functions.multiDay(this.client, config, from, to, startDate, endDate, request.returnDate, request.returnEndDate || null, timePreferences, returnFrom, signal);
+        }
+    }
+
+    // Display options for the formatters, from the configuration and the request
+    getDisplayOptions(request = {}, overrides = {}) {
+        const config = this.getSearchConfig(request);
+        const preferences = config.preferences;
+        return {
+            showAlternatives: preferences.showAlternatives,
+            sortBy: preferences.sortBy,
+            pareto: preferences.paretoOnly,
+            scoring: preferences.scoring,
+            passengers: preferences.passengers,
+            compareClasses: preferences.compareClasses && ![TRIP_TYPES.REGIONAL, TRIP_TYPES.MATRIX, TRIP_TYPES.MULTI_CITY].includes(request.tripType),
+            routing: getRoutingConstraints(config),
+            stops: request.tripType === TRIP_TYPES.MULTI_CITY ? (request.stops || []).map(stop => ({ name: getStationName(stop.station), nights: stop.nights })) : null,
+            searchTime: this.clock(),
+            ...overrides
+        };
+    }
+
+    // Rank results by the configured (or given) sort order and Pareto filter
+    rank(results, request = {}, overrides = {}) {
+        return rankResults(results, this.getDisplayOptions(request, overrides));
+    }
+
+    // Results of a search request with a verdict each (result.verdict) comparing the price with a
+    // price history; observedBefore (the search's start) leaves out what the search recorded itself
+    addVerdicts(results, request, history, observedBefore = null) {
+        const route = {
+            from: getStationId(request.from),
+            to: getStationId(request.to || request.from),
+            returnFrom: request.returnFrom ? getStationId(request.returnFrom) : null
+        };
+        const fare = describePassengers(this.getSearchConfig(request).preferences.passengers);
+        return addPriceVerdicts(results, request.tripType, route, history, fare, observedBefore);
+    }
+
+    // Render results of a search request as 'table', 'json' or 'csv' text
+    format(results, outputFormat, request, overrides = {}) {
+        return renderResults(
+            results,
+            request.tripType,
+            getStationName(request.from),
+            getStationName(request.to || request.from),
+            request.returnFrom ? getStationName(request.returnFrom) : null,
+            outputFormat,
+            this.getDisplayOptions(request, overrides)
+        );
+    }
+}
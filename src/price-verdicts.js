@@ -0,0 +1,135 @@
+// Price verdicts - how a result's price compares with the prices recorded in the price history
+
+import { getPriceStatistics } from './price-history.js';
+import { getBerlinDate, getWeekday, TRAVEL_TIME_ZONE } from './travel-dates.js';
+import { TRIP_TYPES } from './journey-search.js';
+
+// Number of earlier sightings of the same train the trend looks back over
+const TREND_OBSERVATIONS = 5;
+
+// Priced journeys of a result with the route they run on (null when nothing was paid, e.g. regional-only)
+function getPricedLegs(result, tripType, route) {
+    switch (tripType) {
+        case TRIP_TYPES.ONE_WAY:
+            return [{ from: route.from, to: route.to, journey: result.journey }];
+        case TRIP_TYPES.REGIONAL:
+            return result.longDistance ? [{ from: route.from, to: route.to, journey: result.longDistance }] : null;
+        case TRIP_TYPES.MULTI_CITY:
+            return result.legs.map(leg => ({ from: leg.from, to: leg.to, journey: leg.journey }));
+        default:
+            return [
+                { from: route.from, to: route.to, journey: result.outbound },
+                { from: route.returnFrom || route.to, to: route.from, journey: result.return }
+            ];
+    }
+}
+
+// Cheapest price of each travel date in each observation run (the fares one search saw for one day)
+function getCheapestPerRun(observations) {
+    const cheapest = new Map();
+    observations.forEach(observation => {
+        const key = `${observation.date}|${observation.observedAt}`;
+        if (!cheapest.has(key) || observation.price < cheapest.get(key)) {
+            cheapest.set(key, observation.price);
+        }
+    });
+    return [...cheapest.values()];
+}
+
+// History of one journey: the cheapest recorded prices of the route on the same weekday (the price
+// judged is a date's cheapest, so dearer trains of the same day do not count), and the last
+// prices recorded for the same train on the same day (oldest first)
+function getLegHistory(getObservations, leg) {
+    const date = getBerlinDate(leg.journey.departure);
+    const observations = getObservations(leg.from, leg.to);
+    const weekday = getWeekday(date);
+
+    const statistics = getPriceStatistics(getCheapestPerRun(observations
+        .filter(observation => getWeekday(observation.date) === weekday)));
+    const sightings = observations
+        .filter(observation => observation.date === date && observation.train === leg.journey.trainName && observation.departure === leg.journey.departure)
+        .sort((a, b) => a.observedAt.localeCompare(b.observedAt))
+        .slice(-TREND_OBSERVATIONS);
+
+    return { statistics, sightings };
+}
+
+// Badge of a price against the statistics: "lowest seen", "highest seen" or its distance from the median
+function getBadge(price, statistics, percentFromMedian) {
+    if (price <= statistics.lowest) return 'lowest seen';
+    if (price >= statistics.highest) return 'highest seen';
+    if (percentFromMedian === 0) return 'at median';
+    return percentFromMedian > 0 ? `+${percentFromMedian}% above median` : `${percentFromMedian}% below median`;
+}
+
+// Verdict on the price of one result, or null without history for each of its journeys.
+// Round trips and itineraries are judged against the sum of their journeys' statistics;
+// the trend compares the price with the earliest of the last sightings of the same trains
+function getPriceVerdict(result, tripType, route, getObservations) {
+    const legs = getPricedLegs(result, tripType, route);
+    if (!legs) return null;
+
+    const legHistories = legs.map(leg => getLegHistory(getObservations, leg));
+    if (legHistories.some(legHistory => legHistory.statistics.observations === 0)) return null;
+
+    const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+    const price = sum(legs.map(leg => leg.journey.price));
+    const statistics = {
+        observations: Math.min(...legHistories.map(legHistory => legHistory.statistics.observations)),
+        lowest: sum(legHistories.map(legHistory => legHistory.statistics.lowest)),
+        median: sum(legHistories.map(legHistory => legHistory.statistics.median)),
+        highest: sum(legHistories.map(legHistory => legHistory.statistics.highest))
+    };
+    const percentFromMedian = Math.round((price - statistics.median) / statistics.median * 100);
+
+    let trend = null;
+    if (legHistories.every(legHistory => legHistory.sightings.length > 0)) {
+        const earliest = legHistories.map(legHistory => legHistory.sightings[0]);
+        const previousPrice = sum(earliest.map(sighting => sighting.price));
+        trend = {
+            previousPrice,
+            change: sum([price, -previousPrice]),
+            since: earliest.reduce((oldest, sighting) => sighting.observedAt < oldest ? sighting.observedAt : oldest, earliest[0].observedAt),
+            sightings: Math.min(...legHistories.map(legHistory => legHistory.sightings.length))
+        };
+    }
+
+    return {
+        price,
+        weekday: getWeekday(getBerlinDate(legs[0].journey.departure)),
+        ...statistics,
+        percentFromMedian,
+        trend,
+        badge: getBadge(price, statistics, percentFromMedian)
+    };
+}
+
+// Results with a verdict each (result.verdict, null without history). The route holds the station ids
+// of the search ({ from, to, returnFrom }), fare the passenger description the prices were recorded under.
+// observedBefore (a Date) leaves out the prices the search itself recorded
+export function addPriceVerdicts(results, tripType, route, history, fare, observedBefore = null) {
+    // Every route is read from the history once, without the fares of constrained (e.g. direct-only) searches
+    const observationsByRoute = new Map();
+    const getObservations = (from, to) => {
+        const key = `${from}-${to}`;
+        if (!observationsByRoute.has(key)) {
+            observationsByRoute.set(key, history.query(from, to, { fare, constraints: null, observedBefore }));
+        }
+        return observationsByRoute.get(key);
+    };
+
+    return results.map(result => ({
+        ...result,
+        verdict: getPriceVerdict(result, tripType, route, getObservations)
+    }));
+}
+
+// One-line description of a verdict, e.g. "lowest seen · ↓ €5.00 since 12.07."
+export function describeVerdict(verdict) {
+    if (!verdict) return null;
+    if (!verdict.trend || verdict.trend.change === 0) return verdict.badge;
+
+    const since = new Date(verdict.trend.since).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', timeZone: TRAVEL_TIME_ZONE });
+    const arrow = verdict.trend.change < 0 ? '↓' : '↑';
+    return `${verdict.badge} · ${arrow} €${Math.abs(verdict.trend.change).toFixed(2)} since ${since}`;
+}
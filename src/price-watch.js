@@ -0,0 +1,262 @@
+// Price watches - saved searches re-run on a schedule that alert when a price limit is crossed or a new low appears
+import { TRIP_TYPES } from './journey-search.js';
+import { getBerlinToday, eachCalendarDate, getWeekday, formatWeekday, addDays, formatCalendarDate, TRAVEL_TIME_ZONE } from './travel-dates.js';
+import { sleep } from './error-handler.js';
+
+// Trip types a watch can follow (one total price per date)
+export const WATCH_TRIP_TYPES = [TRIP_TYPES.ONE_WAY, TRIP_TYPES.SAME_DAY, TRIP_TYPES.MULTI_DAY];
+
+export const WATCH_ALERTS = {
+    THRESHOLD: 'threshold', // The cheapest price dropped to the limit or below
+    NEW_LOW: 'new-low' // The cheapest price is lower than every earlier run found
+};
+
+// How often the daemon looks for watches that are due
+const WATCH_POLL_MS = 60 * 1000;
+
+// Station fields a watch keeps
+function toStationRef(station) {
+    return station ? { id: station.id, name: station.name } : null;
+}
+
+// Watch of a search (search parameters as built by the CLI). Options: weekdays (days of the week to watch),
+// maxPrice (alert limit in euros) and intervalMinutes (null runs it every watchIntervalMinutes)
+export function createWatch(searchParams, options = {}, now = new Date()) {
+    return {
+        departureStation: toStationRef(searchParams.departureStation),
+        destinationStation: toStationRef(searchParams.destinationStation),
+        returnDepartureStation: toStationRef(searchParams.returnDepartureStation),
+        tripType: searchParams.tripType,
+        startDate: searchParams.startDate,
+        endDate: searchParams.endDate,
+        numberOfDays: searchParams.flexibleDuration ? searchParams.numberOfDays : null,
+        weekdays: options.weekdays?.length > 0 ? options.weekdays : null,
+        maxPrice: options.maxPrice ?? null,
+        intervalMinutes: options.intervalMinutes ?? null,
+        timePreferences: searchParams.timePreferences || null,
+        constraints: searchParams.constraints || null,
+        createdAt: now.toISOString(),
+        // State of the runs so far
+        snoozedUntil: null,
+        lastCheckedAt: null,
+        lowestPrice: null,
+        belowThreshold: false
+    };
+}
+
+// Check a watch and return a list of problems
+export function validateWatch(watch, today = getBerlinToday()) {
+    const errors = [];
+
+    if (!WATCH_TRIP_TYPES.includes(watch.tripType)) {
+        errors.push(`Watches can follow ${WATCH_TRIP_TYPES.join(', ')} trips, not ${watch.tripType}`);
+    }
+    if (watch.tripType === TRIP_TYPES.MULTI_DAY && !watch.numberOfDays) {
+        errors.push('Multi-day watches need a number of nights (--days)');
+    }
+    if (watch.maxPrice !== null && !(typeof watch.maxPrice === 'number' && watch.maxPrice > 0)) {
+        errors.push('The price limit must be a number of euros greater than 0');
+    }
+    if (watch.intervalMinutes !== null && !(Number.isInteger(watch.intervalMinutes) && watch.intervalMinutes >= 5 && watch.intervalMinutes <= 10080)) {
+        errors.push('The watch interval must be between 5 and 10080 minutes');
+    }
+    if ((watch.weekdays || []).some(weekday => !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6))) {
+        errors.push('Weekdays must be days of the week (0 = Sunday to 6 = Saturday)');
+    }
+    if (watch.endDate < watch.startDate) {
+        errors.push('The watched dates end before they start');
+    } else if (errors.length === 0 && getWatchDates(watch, today).length === 0) {
+        errors.push('None of the watched dates is still ahead');
+    }
+
+    return errors;
+}
+
+// Travel dates a watch still covers (today or later, on its weekdays)
+export function getWatchDates(watch, today = getBerlinToday()) {
+    const firstDate = watch.startDate > today ? watch.startDate : today;
+    if (watch.endDate < firstDate) return [];
+
+    return eachCalendarDate(firstDate, watch.endDate)
+        .filter(date => !watch.weekdays || watch.weekdays.includes(getWeekday(date)));
+}
+
+// Watched dates as runs of consecutive days ([{ startDate, endDate }]), each searched at once
+export function getWatchDateRanges(watch, today = getBerlinToday()) {
+    const ranges = [];
+    getWatchDates(watch, today).forEach(date => {
+        const last = ranges[ranges.length - 1];
+        if (last && addDays(last.endDate, 1) === date) {
+            last.endDate = date;
+        } else {
+            ranges.push({ startDate: date, endDate: date });
+        }
+    });
+    return ranges;
+}
+
+// PriceHunter search request of a watch for a range of dates
+function getWatchRequest(watch, range, signal) {
+    return {
+        tripType: watch.tripType,
+        from: watch.departureStation,
+        to: watch.destinationStation,
+        returnFrom: watch.returnDepartureStation || undefined,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        numberOfDays: watch.numberOfDays || undefined,
+        timePreferences: watch.timePreferences,
+        preferences: watch.constraints || undefined,
+        signal
+    };
+}
+
+// Search every date a watch still covers and return the results
+export async function checkWatch(hunter, watch, today = getBerlinToday(), signal = null) {
+    const results = [];
+    for (const range of getWatchDateRanges(watch, today)) {
+        results.push(...await hunter.search(getWatchRequest(watch, range, signal)));
+    }
+    return results;
+}
+
+// Alerts of a run and the watch state after it. Crossing the price limit alerts once (until the price
+// rises above it again), every run finding a price below all earlier ones alerts a new low
+export function evaluateWatch(watch, results) {
+    if (results.length === 0) {
+        return { alerts: [], state: {} };
+    }
+
+    const cheapest = results.reduce((best, result) => result.totalPrice < best.totalPrice ? result : best);
+    const price = cheapest.totalPrice;
+    const belowThreshold = watch.maxPrice !== null && price <= watch.maxPrice;
+
+    const alerts = [];
+    if (belowThreshold && !watch.belowThreshold) {
+        alerts.push({ type: WATCH_ALERTS.THRESHOLD, price, maxPrice: watch.maxPrice, result: cheapest });
+    } else if (watch.lowestPrice !== null && price < watch.lowestPrice) {
+        alerts.push({ type: WATCH_ALERTS.NEW_LOW, price, previousLowest: watch.lowestPrice, result: cheapest });
+    }
+
+    return {
+        alerts,
+        state: {
+            lowestPrice: watch.lowestPrice === null ? price : Math.min(watch.lowestPrice, price),
+            belowThreshold
+        }
+    };
+}
+
+// One-line description of a watch, e.g. "Hamburg Hbf → Frankfurt(Main)Hbf · one-way · Fri, Nov 1-Nov 30 · below €25.00"
+export function describeWatch(watch) {
+    const shortDate = (date) => formatCalendarDate(date).split(', ')[1];
+    const parts = [
+        `${watch.departureStation.name} → ${watch.destinationStation.name}`,
+        watch.numberOfDays ? `${watch.numberOfDays}-night trips` : watch.tripType,
+        `${watch.weekdays ? `${watch.weekdays.map(formatWeekday).join('/')}, ` : ''}${shortDate(watch.startDate)}-${shortDate(watch.endDate)}`
+    ];
+    if (watch.maxPrice !== null) {
+        parts.push(`below €${watch.maxPrice.toFixed(2)}`);
+    }
+    return parts.join(' · ');
+}
+
+// Notification text of an alert ({ type, name, watch, price, result, ... })
+export function describeWatchAlert(alert) {
+    const { name, watch, result } = alert;
+    const date = result.date || `${result.outboundDate} → ${result.returnDate}`;
+    const route = `${watch.departureStation.name} → ${watch.destinationStation.name}`;
+
+    if (alert.type === WATCH_ALERTS.THRESHOLD) {
+        return `🔔 ${name}: €${alert.price.toFixed(2)} on ${date} (${route}) is at or below your €${alert.maxPrice.toFixed(2)} limit`;
+    }
+    return `📉 ${name}: new low of €${alert.price.toFixed(2)} on ${date} (${route}), was €${alert.previousLowest.toFixed(2)}`;
+}
+
+// Time a watch was last run, for listings ("12.11., 10:00"), or "never"
+export function formatLastChecked(watch) {
+    if (!watch.lastCheckedAt) return 'never';
+    return new Date(watch.lastCheckedAt).toLocaleString('de-DE', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', timeZone: TRAVEL_TIME_ZONE });
+}
+
+// Daemon re-running watches when they are due. Options:
+// loadWatches() returns the watches by name (read again every round, so added and removed watches are picked up),
+// saveState(name, state) stores the state after a run, notify(alert) sends an alert, onCheck(name, watch) and
+// onError(name, error) report runs. Runs are spaced staggerSeconds apart so watches do not hit the API at once;
+// intervalMinutes applies to watches without their own interval. clock and sleep can be injected for tests
+export class PriceWatcher {
+    constructor(hunter, options = {}) {
+        this.hunter = hunter;
+        this.loadWatches = options.loadWatches;
+        this.saveState = options.saveState || (() => {});
+        this.notify = options.notify || (() => {});
+        this.onCheck = options.onCheck || (() => {});
+        this.onError = options.onError || (() => {});
+        this.intervalMinutes = options.intervalMinutes || 60;
+        this.staggerMs = (options.staggerSeconds ?? 30) * 1000;
+        this.clock = options.clock || (() => new Date());
+        this.sleep = options.sleep || sleep;
+    }
+
+    // Watches due for a run ([name, watch]), least recently checked first. Snoozed watches and
+    // watches without dates ahead are not due
+    getDueWatches() {
+        const now = this.clock();
+        const today = getBerlinToday(now);
+
+        return Object.entries(this.loadWatches() || {})
+            .filter(([, watch]) => getWatchDates(watch, today).length > 0)
+            .filter(([, watch]) => !watch.snoozedUntil || now >= new Date(watch.snoozedUntil))
+            .filter(([, watch]) => {
+                if (!watch.lastCheckedAt) return true;
+                const intervalMs = (watch.intervalMinutes || this.intervalMinutes) * 60 * 1000;
+                return now - new Date(watch.lastCheckedAt) >= intervalMs;
+            })
+            .sort(([, a], [, b]) => (a.lastCheckedAt || '').localeCompare(b.lastCheckedAt || ''));
+    }
+
+    // Run one watch, store its state and send its alerts
+    async runWatch(name, watch, signal = null) {
+        const now = this.clock();
+        this.onCheck(name, watch);
+
+        const results = await checkWatch(this.hunter, watch, getBerlinToday(now), signal);
+        const { alerts, state } = evaluateWatch(watch, results);
+        this.saveState(name, { ...state, lastCheckedAt: now.toISOString() });
+
+        alerts.forEach(alert => this.notify({ ...alert, name, watch }));
+        return alerts;
+    }
+
+    // Run every due watch once, staggered. A failing watch is reported and retried next round.
+    // Returns the number of watches run
+    async runDue(signal = null) {
+        const due = this.getDueWatches();
+
+        for (const [index, [name, watch]] of due.entries()) {
+            if (index > 0) {
+                await this.sleep(this.staggerMs, signal);
+            }
+            try {
+                await this.runWatch(name, watch, signal);
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                this.onError(name, error);
+            }
+        }
+
+        return due.length;
+    }
+
+    // Run watches as they become due until the signal fires
+    async run(signal = null) {
+        try {
+            while (!signal?.aborted) {
+                await this.runDue(signal);
+                await this.sleep(WATCH_POLL_MS, signal);
+            }
+        } catch (error) {
+            if (!signal?.aborted) throw error;
+        }
+    }
+}
@@ -0,0 +1,69 @@
+// Record and replay - capture client requests and responses as fixtures and serve them back offline
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, resolve } from 'path';
+import { createHash } from 'crypto';
+import { stableStringify } from './journey-cache.js';
+import { FixtureMissingError } from './error-handler.js';
+import { SEARCH_EVENTS, emitSearchEvent } from './search-events.js';
+
+// Client methods the price hunter calls (and therefore records and replays)
+export const RECORDED_METHODS = ['locations', 'journeys'];
+
+// Fixture key of a request: method and every argument (dates as ISO strings, object keys sorted)
+export function getFixtureKey(method, args) {
+    const request = stableStringify({ method, args });
+    return createHash('sha1').update(request).digest('hex');
+}
+
+function getFixtureFile(directory, method, args) {
+    return join(resolve(directory), `${method}-${getFixtureKey(method, args)}.json`);
+}
+
+// Describe a request for error messages (e.g. "journeys 8011160 → 8000261")
+function describeRequest(method, args) {
+    if (method === 'journeys') return `journeys ${args[0]} → ${args[1]}`;
+    return `${method} "${args[0]}"`;
+}
+
+// Wrap a client so every locations/journeys response is also written to the fixture directory
+export function withRecording(client, directory) {
+    const recording = { ...client };
+
+    RECORDED_METHODS.forEach(method => {
+        recording[method] = async (...args) => {
+            const response = await client[method](...args);
+            try {
+                if (!existsSync(directory)) {
+                    mkdirSync(directory, { recursive: true });
+                }
+                writeFileSync(getFixtureFile(directory, method, args), JSON.stringify({ method, args, response }, null, 2));
+            } catch (error) {
+                emitSearchEvent(SEARCH_EVENTS.WARNING, { message: `Could not record ${describeRequest(method, args)}: ${error.message}` });
+            }
+            return response;
+        };
+    });
+
+    return recording;
+}
+
+// Create a client that answers locations/journeys from recorded fixtures and never calls the API
+export function createReplayClient(directory) {
+    if (!existsSync(directory)) {
+        throw new FixtureMissingError(`Replay directory ${directory} does not exist`);
+    }
+
+    const replay = {};
+
+    RECORDED_METHODS.forEach(method => {
+        replay[method] = async (...args) => {
+            const file = getFixtureFile(directory, method, args);
+            if (!existsSync(file)) {
+                throw new FixtureMissingError(`No recorded response for ${describeRequest(method, args)} in ${directory}`);
+            }
+            return JSON.parse(readFileSync(file, 'utf8')).response;
+        };
+    });
+
+    return replay;
+}
@@ -1,19 +1,26 @@
 // Results display - formatting and outputting search results
 
-import { formatTime } from './journey-utils.js';
-import { TRIP_TYPES } from './journey-search.js';
+import { formatTime, formatMinutes } from './journey-utils.js';
+import { TRIP_TYPES, describeRoutingConstraints } from './journey-search.js';
 import { getTimePreferenceDisplayName } from './time-preferences.js';
-import { formatAsTable, formatAsJson, formatAsCsv, saveToFile } from './output-formatters.js';
+import { formatAsTable, formatAsJson, formatAsCsv, formatPriceMatrix, saveToFile, getUpgradePrice } from './output-formatters.js';
 import { formatStationDisplay } from './station-selector.js';
+import { describePassengers, getTravellerCount, isDefaultPassengers } from './passengers.js';
+import { rankResults, getResultMetrics, scoreResult, describeSortOrder } from './scoring.js';
+import { ValidationError } from './error-handler.js';
+import { describeVerdict } from './price-verdicts.js';
 
 // Display results
-export function displayResults(results, tripType, departureCity, destinationCity, timePreferences = null, returnDepartureCity = null) {
+export function displayResults(results, tripType, departureCity, destinationCity, timePreferences = null, returnDepartureCity = null, options = {}) {
     console.log('\n' + '='.repeat(60));
     console.log('🎯 SEARCH RESULTS');
     console.log('='.repeat(60));
     // Display route information
-    if (tripType === TRIP_TYPES.ONE_WAY) {
+    if (tripType === TRIP_TYPES.ONE_WAY || tripType === TRIP_TYPES.REGIONAL) {
         console.log(`Route: ${departureCity} → ${destinationCity}`);
+    } else if (tripType === TRIP_TYPES.MULTI_CITY) {
+        const stops = (options.stops || []).map(stop => `${stop.name} (${stop.nights} night${stop.nights === 1 ? '' : 's'})`);
+        console.log(`Itinerary: ${[departureCity, ...stops, destinationCity].join(' → ')}`);
     } else {
         if (returnDepartureCity && returnDepartureCity !== destinationCity) {
             console.log(`Outbound: ${departureCity} → ${destinationCity}`);
@@ -24,6 +31,34 @@ export function displayResults(results, tripType, departureCity, destinationCity
     }
     console.log(`Trip type: ${tripType}`);
     
+    // Prices are for the whole group, so say who is travelling
+    const travellers = getTravellerCount(options.passengers);
+    if (options.passengers && !isDefaultPassengers(options.passengers)) {
+        console.log(`Passengers: ${describePassengers(options.passengers)}`);
+        if (travellers > 1) {
+            console.log(`Prices are totals for all ${travellers} travellers`);
+        }
+    }
+    
+    if (options.compareClasses) {
+        console.log('Classes: 2nd class prices with the 1st class upgrade for the same trains');
+    }
+    
+    const filterDescription = describeRoutingConstraints(options.routing);
+    if (filterDescription) {
+        console.log(`Filters applied: ${filterDescription}`);
+    }
+    
+    if (options.sortBy) {
+        console.log(`Sorted by: ${describeSortOrder(options.sortBy, options.scoring)}`);
+    }
+    if (options.pareto) {
+        console.log('Showing Pareto-optimal options only (nothing else is cheaper, faster and with fewer transfers)');
+    }
+    if (options.incomplete) {
+        console.log(`⚠️  Incomplete results: ${options.incomplete}. Dates not searched yet are missing`);
+    }
+    
     // Display time preferences if used
     if (timePreferences) {
         console.log('\n🕰️ Time Preferences Applied:');
@@ -85,6 +120,40 @@ export function displayResults(results, tripType, departureCity, destinationCity
         return;
     }
     
+    if (tripType === TRIP_TYPES.REGIONAL) {
+        displayRegionalResults(results, travellers);
+        return;
+    }
+    
+    // The matrix is one grid, coloured when it is shown in a terminal
+    if (tripType === TRIP_TYPES.MATRIX) {
+        console.log(formatPriceMatrix(results, { color: Boolean(process.stdout.isTTY) }));
+        return;
+    }
+    
+    if (options.sortBy && options.sortBy !== 'price') {
+        displayRankedResults(results, tripType, departureCity, destinationCity, returnDepartureCity, options);
+    } else {
+        displayPriceGroups(results, tripType, departureCity, destinationCity, returnDepartureCity, options);
+    }
+    
+    // Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Total options found: ${results.length}`);
+    const lowestPrice = Math.min(...results.map(result => result.totalPrice));
+    const highestPrice = Math.max(...results.map(result => result.totalPrice));
+    if (travellers > 1) {
+        console.log(`Best price: €${lowestPrice.toFixed(2)} for ${travellers} travellers (€${(lowestPrice / travellers).toFixed(2)} per person)`);
+    } else {
+        console.log(`Best price: €${lowestPrice.toFixed(2)}`);
+    }
+    console.log(`Price range: €${lowestPrice.toFixed(2)} - €${highestPrice.toFixed(2)}`);
+}
+
+// Show the three cheapest price levels with the dates they are available on
+function displayPriceGroups(results, tripType, departureCity, destinationCity, returnDepartureCity, options = {}) {
     // Sort by price
     results.sort((a, b) => a.totalPrice - b.totalPrice);
     
@@ -114,56 +183,7 @@ export function displayResults(results, tripType, departureCity, destinationCity
         
         // Show detailed results
         group.slice(0, detailedCount).forEach(result => {
-            if (tripType === TRIP_TYPES.ONE_WAY) {
-                const journey = result.journey;
-                console.log(`   📅 ${result.date}`);
-                console.log(`      🚄 ${journey.trainName} | ${formatTime(journey.departure)} → ${formatTime(journey.arrival)}`);
-                if (journey.transfers > 0) {
-                    console.log(`      💵 €${journey.price.toFixed(2)} | ${journey.transfers} transfer${journey.transfers !== 1 ? 's' : ''}`);
-                } else {
-                    console.log(`      💵 €${journey.price.toFixed(2)} | Direct`);
-                }
-            } else if (tripType === TRIP_TYPES.SAME_DAY) {
-                console.log(`   📅 ${result.date}`);
-                // Outbound journey
-                if (returnDepartureCity && returnDepartureCity !== destinationCity) {
-                    console.log(`      🚄 Out (${departureCity}→${destinationCity}): ${result.outbound.trainName} | ${formatTime(result.outbound.departure)} → ${formatTime(result.outbound.arrival)} | €${result.outbound.price.toFixed(2)}`);
-                } else {
-                    console.log(`      🚄 Out: ${result.outbound.trainName} | ${formatTime(result.outbound.departure)} → ${formatTime(result.outbound.arrival)} | €${result.outbound.price.toFixed(2)}`);
-                }
-                if (result.outbound.transfers > 0) {
-                    console.log(`           ${result.outbound.transfers} transfer${result.outbound.transfers !== 1 ? 's' : ''}`);
-                }
-                // Return journey
-                if (returnDepartureCity && returnDepartureCity !== destinationCity) {
-                    console.log(`      🔄 Ret (${returnDepartureCity}→${departureCity}): ${result.return.trainName} | ${formatTime(result.return.departure)} → ${formatTime(result.return.arrival)} | €${result.return.price.toFixed(2)}`);
-                } else {
-                    console.log(`      🔄 Ret: ${result.return.trainName} | ${formatTime(result.return.departure)} → ${formatTime(result.return.arrival)} | €${result.return.price.toFixed(2)}`);
-                }
-                if (result.return.transfers > 0) {
-                    console.log(`           ${result.return.transfers} transfer${result.return.transfers !== 1 ? 's' : ''}`);
-                }
-            } else { // MULTI_DAY
-                console.log(`   📅 Out: ${result.outboundDate} | Ret: ${result.returnDate}`);
-                // Outbound journey
-                if (returnDepartureCity && returnDepartureCity !== destinationCity) {
-                    console.log(`      🚄 Out (${departureCity}→${destinationCity}): ${result.outbound.trainName} | ${formatTime(result.outbound.departure)} → ${formatTime(result.outbound.arrival)} | €${result.outbound.price.toFixed(2)}`);
-                } else {
-                    console.log(`      🚄 Out: ${result.outbound.trainName} | ${formatTime(result.outbound.departure)} → ${formatTime(result.outbound.arrival)} | €${result.outbound.price.toFixed(2)}`);
-                }
-                if (result.outbound.transfers > 0) {
-                    console.log(`           ${result.outbound.transfers} transfer${result.outbound.transfers !== 1 ? 's' : ''}`);
-                }
-                // Return journey
-                if (returnDepartureCity && returnDepartureCity !== destinationCity) {
-                    console.log(`      🔄 Ret (${returnDepartureCity}→${departureCity}): ${result.return.trainName} | ${formatTime(result.return.departure)} → ${formatTime(result.return.arrival)} | €${result.return.price.toFixed(2)}`);
-                } else {
-                    console.log(`      🔄 Ret: ${result.return.trainName} | ${formatTime(result.return.departure)} → ${formatTime(result.return.arrival)} | €${result.return.price.toFixed(2)}`);
-                }
-                if (result.return.transfers > 0) {
-                    console.log(`           ${result.return.transfers} transfer${result.return.transfers !== 1 ? 's' : ''}`);
-                }
-            }
+            displayResultDetails(result, tripType, departureCity, destinationCity, returnDepartureCity, options);
         });
         
         // Show remaining results in compact format
@@ -186,35 +206,215 @@ export function displayResults(results, tripType, departureCity, destinationCity
             console.log(`   📅 Also available: ${compactDates.join(', ')}`);
         }
     }
+}
+
+// Show results in the chosen order (--sort duration|score|departure), one per line block
+function displayRankedResults(results, tripType, departureCity, destinationCity, returnDepartureCity, options = {}) {
+    results.slice(0, 10).forEach((result, index) => {
+        const metrics = getResultMetrics(result);
+        let heading = `\n${index + 1}. 💰 €${result.totalPrice.toFixed(2)} | ⏱️  ${formatMinutes(metrics.durationMinutes)} | 🔁 ${metrics.transfers} transfer${metrics.transfers !== 1 ? 's' : ''}`;
+        if (options.sortBy === 'score') {
+            heading += ` | ⚖️  Score ${scoreResult(result, options.scoring).toFixed(2)}`;
+        }
+        
+        console.log(heading);
+        console.log('   ' + '-'.repeat(55));
+        displayResultDetails(result, tripType, departureCity, destinationCity, returnDepartureCity, options);
+    });
+    
+    if (results.length > 10) {
+        console.log(`\n   ... and ${results.length - 10} more`);
+    }
+}
+
+// Show the journeys of one result (with 1st class price and alternatives when requested)
+function displayResultDetails(result, tripType, departureCity, destinationCity, returnDepartureCity, options = {}) {
+    if (tripType === TRIP_TYPES.ONE_WAY) {
+        const journey = result.journey;
+        console.log(`   📅 ${result.date}`);
+        console.log(`      🚄 ${journey.trainName} | ${formatTime(journey.departure)} → ${formatTime(journey.arrival)}`);
+        if (journey.transfers > 0) {
+            console.log(`      💵 €${journey.price.toFixed(2)} | ${journey.transfers} transfer${journey.transfers !== 1 ? 's' : ''}`);
+        } else {
+            console.log(`      💵 €${journey.price.toFixed(2)} | Direct`);
+        }
+    } else if (tripType === TRIP_TYPES.SAME_DAY) {
+        console.log(`   📅 ${result.date}`);
+        // Outbound journey
+        if (returnDepartureCity && returnDepartureCity !== destinationCity) {
+            console.log(`      🚄 Out (${departureCity}→${destinationCity}): ${result.outbound.trainName} | ${formatTime(result.outbound.departure)} → ${formatTime(result.outbound.arrival)} | €${result.outbound.price.toFixed(2)}`);
+        } else {
+            console.log(`      🚄 Out: ${result.outbound.trainName} | ${formatTime(result.outbound.departure)} → ${formatTime(result.outbound.arrival)} | €${result.outbound.price.toFixed(2)}`);
+        }
+        if (result.outbound.transfers > 0) {
+            console.log(`           ${result.outbound.transfers} transfer${result.outbound.transfers !== 1 ? 's' : ''}`);
+        }
+        // Return journey
+        if (returnDepartureCity && returnDepartureCity !== destinationCity) {
+            console.log(`      🔄 Ret (${returnDepartureCity}→${departureCity}): ${result.return.trainName} | ${formatTime(result.return.departure)} → ${formatTime(result.return.arrival)} | €${result.return.price.toFixed(2)}`);
+        } else {
+            console.log(`      🔄 Ret: ${result.return.trainName} | ${formatTime(result.return.departure)} → ${formatTime(result.return.arrival)} | €${result.return.price.toFixed(2)}`);
+        }
+        if (result.return.transfers > 0) {
+            console.log(`           ${result.return.transfers} transfer${result.return.transfers !== 1 ? 's' : ''}`);
+        }
+    } else if (tripType === TRIP_TYPES.MULTI_CITY) {
+        const names = [departureCity, ...(options.stops || []).map(stop => stop.name), destinationCity];
+        console.log(`   📅 ${result.outboundDate} → ${result.returnDate} (${result.nights} night${result.nights === 1 ? '' : 's'})`);
+        result.legs.forEach((leg, index) => {
+            const journey = leg.journey;
+            console.log(`      🚄 ${names[index]}→${names[index + 1]}, ${leg.date}: ${journey.trainName} | ${formatTime(journey.departure)} → ${formatTime(journey.arrival)} | €${leg.totalPrice.toFixed(2)}`);
+            if (journey.transfers > 0) {
+                console.log(`           ${journey.transfers} transfer${journey.transfers !== 1 ? 's' : ''}`);
+            }
+        });
+    } else { // MULTI_DAY
+        const nights = result.nights ?? result.duration;
+        console.log(`   📅 Out: ${result.outboundDate} | Ret: ${result.returnDate}${nights !== undefined ? ` (${nights} night${nights === 1 ? '' : 's'})` : ''}`);
+        // Outbound journey
+        if (returnDepartureCity && returnDepartureCity !== destinationCity) {
+            console.log(`      🚄 Out (${departureCity}→${destinationCity}): ${result.outbound.trainName} | ${formatTime(result.outbound.departure)} → ${formatTime(result.outbound.arrival)} | €${result.outbound.price.toFixed(2)}`);
+        } else {
+            console.log(`      🚄 Out: ${result.outbound.trainName} | ${formatTime(result.outbound.departure)} → ${formatTime(result.outbound.arrival)} | €${result.outbound.price.toFixed(2)}`);
+        }
+        if (result.outbound.transfers > 0) {
+            console.log(`           ${result.outbound.transfers} transfer${result.outbound.transfers !== 1 ? 's' : ''}`);
+        }
+        // Return journey
+        if (returnDepartureCity && returnDepartureCity !== destinationCity) {
+            console.log(`      🔄 Ret (${returnDepartureCity}→${departureCity}): ${result.return.trainName} | ${formatTime(result.return.departure)} → ${formatTime(result.return.arrival)} | €${result.return.price.toFixed(2)}`);
+        } else {
+            console.log(`      🔄 Ret: ${result.return.trainName} | ${formatTime(result.return.departure)} → ${formatTime(result.return.arrival)} | €${result.return.price.toFixed(2)}`);
+        }
+        if (result.return.transfers > 0) {
+            console.log(`           ${result.return.transfers} transfer${result.return.transfers !== 1 ? 's' : ''}`);
+        }
+    }
+    
+    if (result.verdict) {
+        console.log(`      📈 ${describeVerdict(result.verdict)}`);
+    }
+    
+    if (options.compareClasses) {
+        console.log(`      🥇 ${formatFirstClass(result)}`);
+    }
+    
+    if (options.showAlternatives) {
+        displayAlternatives(result, tripType, options);
+    }
+}
+
+// Show the regional (Deutschlandticket) connection of each date next to the cheapest long-distance fare
+function displayRegionalResults(results, travellers) {
+    results.forEach(result => {
+        const { regional, longDistance } = result;
+        
+        console.log(`   📅 ${result.date}`);
+        console.log(`      🚆 Regional: ${regional.trainName} | ${formatTime(regional.departure)} → ${formatTime(regional.arrival)} | ${formatMinutes(regional.durationMinutes)} | ${formatTransfers(regional.transfers)} | €0 with Deutschlandticket`);
+        
+        if (!longDistance) {
+            console.log('      🚄 No long-distance fare found');
+            return;
+        }
+        
+        console.log(`      🚄 Long-distance: ${longDistance.trainName} | ${formatTime(longDistance.departure)} → ${formatTime(longDistance.arrival)} | ${formatMinutes(longDistance.durationMinutes)} | ${formatTransfers(longDistance.transfers)} | €${longDistance.price.toFixed(2)}`);
+        if (result.extraMinutes > 0) {
+            console.log(`      ⏱️  Regional takes ${formatMinutes(result.extraMinutes)} longer and saves €${longDistance.price.toFixed(2)}`);
+        } else if (result.extraMinutes < 0) {
+            console.log(`      ⏱️  Regional is ${formatMinutes(-result.extraMinutes)} faster and saves €${longDistance.price.toFixed(2)}`);
+        } else {
+            console.log(`      ⏱️  Regional is just as fast and saves €${longDistance.price.toFixed(2)}`);
+        }
+        if (result.verdict) {
+            console.log(`      📈 Long-distance fare: ${describeVerdict(result.verdict)}`);
+        }
+    });
     
     // Summary
+    const compared = results.filter(result => result.longDistance);
     console.log('\n' + '='.repeat(60));
     console.log('📊 SUMMARY');
     console.log('='.repeat(60));
-    console.log(`Total options found: ${results.length}`);
-    console.log(`Best price: €${results[0].totalPrice.toFixed(2)}`);
-    console.log(`Price range: €${results[0].totalPrice.toFixed(2)} - €${results[results.length - 1].totalPrice.toFixed(2)}`);
+    console.log(`Dates with a regional connection: ${results.length}`);
+    const fastest = results.reduce((best, result) => result.regional.durationMinutes < best.regional.durationMinutes ? result : best);
+    console.log(`Fastest regional connection: ${formatMinutes(fastest.regional.durationMinutes)} on ${fastest.date}`);
+    if (compared.length > 0) {
+        const cheapest = compared.reduce((best, result) => result.longDistance.price < best.longDistance.price ? result : best);
+        console.log(`Cheapest long-distance fare: €${cheapest.longDistance.price.toFixed(2)} on ${cheapest.date}${travellers > 1 ? ` for ${travellers} travellers` : ''}`);
+    }
 }
 
-// Enhanced output function
-export function outputResults(results, tripType, departureCity, destinationCity, returnDepartureCity, outputFormat, outputFile, timePreferences = null) {
-    let content = '';
+// Describe the number of transfers of a journey
+function formatTransfers(transfers) {
+    return transfers > 0 ? `${transfers} transfer${transfers !== 1 ? 's' : ''}` : 'Direct';
+}
+
+// Describe the 1st class price and upgrade cost of a result or combination
+function formatFirstClass(combination) {
+    const upgrade = getUpgradePrice(combination.totalPrice, combination.firstClassPrice);
+    if (upgrade === null) {
+        return '1st class: not available';
+    }
+    const delta = upgrade >= 0 ? `+€${upgrade.toFixed(2)}` : `-€${Math.abs(upgrade).toFixed(2)}`;
+    return `1st class: €${combination.firstClassPrice.toFixed(2)} (${delta} upgrade)`;
+}
+
+// Show the ranked alternatives of a date below its cheapest combination
+function displayAlternatives(result, tripType, options = {}) {
+    const alternatives = (result.combinations || []).slice(1);
+    
+    alternatives.forEach((combination, index) => {
+        const rank = `#${index + 2}`;
+        if (tripType === TRIP_TYPES.ONE_WAY) {
+            const journey = combination.journey;
+            console.log(`      ↳ ${rank} €${combination.totalPrice.toFixed(2)} | ${journey.trainName} | ${formatTime(journey.departure)} → ${formatTime(journey.arrival)}${options.compareClasses ? ` | ${formatFirstClass(combination)}` : ''}`);
+        } else {
+            const out = combination.outbound;
+            const ret = combination.return;
+            // Alternatives of a return window may come back on another day
+            const retDay = combination.returnDate && combination.returnDate !== result.returnDate ? `${combination.returnDate} ` : '';
+            console.log(`      ↳ ${rank} €${combination.totalPrice.toFixed(2)} | Out ${formatTime(out.departure)} → ${formatTime(out.arrival)} (€${out.price.toFixed(2)}) | Ret ${retDay}${formatTime(ret.departure)} → ${formatTime(ret.arrival)} (€${ret.price.toFixed(2)}) | ${formatMinutes(combination.timeAtDestination)} at destination${options.compareClasses ? ` | ${formatFirstClass(combination)}` : ''}`);
+        }
+    });
+}
+
+// Render results as table, JSON or CSV text, ranked as the display options ask
+export function renderResults(results, tripType, departureCity, destinationCity, returnDepartureCity, outputFormat, displayOptions = {}) {
+    // Without --sort or --pareto every format keeps its usual order (a matrix always stays in date order)
+    if ((displayOptions.sortBy || displayOptions.pareto) && tripType !== TRIP_TYPES.MATRIX) {
+        results = rankResults(results, displayOptions);
+    }
     
     switch (outputFormat) {
         case 'table':
-            content = formatAsTable(results, tripType, departureCity, destinationCity, returnDepartureCity);
-            break;
+            return formatAsTable(results, tripType, departureCity, destinationCity, returnDepartureCity, displayOptions);
         case 'json':
-            content = formatAsJson(results, tripType, departureCity, destinationCity, returnDepartureCity);
-            break;
+            return formatAsJson(results, tripType, departureCity, destinationCity, returnDepartureCity, displayOptions);
         case 'csv':
-            content = formatAsCsv(results, tripType);
-            break;
-        default: // console
-            displayResults(results, tripType, departureCity, destinationCity, timePreferences, returnDepartureCity);
-            return;
+            return formatAsCsv(results, tripType, displayOptions);
+        default:
+            throw new ValidationError(`Cannot render results as ${outputFormat}. Use table, json or csv`, 'outputFormat');
+    }
+}
+
+// Enhanced output function
+export function outputResults(results, tripType, departureCity, destinationCity, returnDepartureCity, outputFormat, outputFile, timePreferences = null, displayOptions = {}) {
+    if (!['table', 'json', 'csv'].includes(outputFormat)) {
+        // Console view
+        const ranked = (displayOptions.sortBy || displayOptions.pareto) && tripType !== TRIP_TYPES.MATRIX ? rankResults(results, displayOptions) : results;
+        displayResults(ranked, tripType, departureCity, destinationCity, timePreferences, returnDepartureCity, displayOptions);
+        return;
     }
     
+    // Files and machine-readable output keep their format, so the warning goes to stderr
+    if (displayOptions.incomplete) {
+        console.warn(`⚠️  Incomplete results: ${displayOptions.incomplete}. Dates not searched yet are missing`);
+    }
+    
+    // Tables printed to a terminal may use colour, files never do
+    const color = !outputFile && Boolean(process.stdout.isTTY);
+    const content = renderResults(results, tripType, departureCity, destinationCity, returnDepartureCity, outputFormat, { ...displayOptions, color });
+    
     if (outputFile) {
         const saveResult = saveToFile(content, outputFile, outputFormat);
         if (saveResult.success) {
@@ -0,0 +1,140 @@
+// Result scoring - multi-criteria ranking and Pareto-optimal filtering
+
+import { getDurationMinutes } from './journey-utils.js';
+import { getBerlinMinutes } from './travel-dates.js';
+
+export const SORT_ORDERS = ['price', 'duration', 'score', 'departure'];
+
+// Default weights turning travel time, transfers and departure time into euros
+export const DEFAULT_SCORING_WEIGHTS = {
+    euroPerHour: 10, // Value of one hour of travel time
+    euroPerTransfer: 5, // Cost of one change of trains
+    preferredDeparture: null, // HH:MM the first train should ideally leave at
+    euroPerHourFromPreferred: 5 // Cost of each hour the departure is away from the preferred time
+};
+
+// Fill in missing weights with defaults
+export function normalizeWeights(weights) {
+    return { ...DEFAULT_SCORING_WEIGHTS, ...(weights || {}) };
+}
+
+// Check scoring weights and return a list of problems
+export function validateWeights(weights) {
+    const errors = [];
+    const { euroPerHour, euroPerTransfer, preferredDeparture, euroPerHourFromPreferred } = normalizeWeights(weights);
+
+    [['euroPerHour', euroPerHour], ['euroPerTransfer', euroPerTransfer], ['euroPerHourFromPreferred', euroPerHourFromPreferred]].forEach(([name, value]) => {
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            errors.push(`${name} must be a number of 0 or more`);
+        }
+    });
+
+    if (preferredDeparture !== null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(preferredDeparture)) {
+        errors.push('preferredDeparture must be in HH:MM format');
+    }
+
+    return errors;
+}
+
+// Journeys a result is made of (one-way results have one, round trips two, itineraries one per leg)
+function getResultJourneys(result) {
+    if (result.journey) return [result.journey];
+    if (result.legs) return result.legs.map(leg => leg.journey);
+    if (result.regional) return [result.regional];
+    return [result.outbound, result.return].filter(Boolean);
+}
+
+// Price, total travel time, transfers and first departure of a result
+export function getResultMetrics(result) {
+    const journeys = getResultJourneys(result);
+
+    return {
+        price: result.totalPrice,
+        durationMinutes: journeys.reduce((total, journey) => total + getDurationMinutes(journey.departure, journey.arrival), 0),
+        transfers: journeys.reduce((total, journey) => total + journey.transfers, 0),
+        departure: new Date(journeys[0].departure)
+    };
+}
+
+// Minutes between the (Berlin) time of day of a departure and a HH:MM target
+function minutesFromPreferred(departure, preferredDeparture) {
+    const [hours, minutes] = preferredDeparture.split(':').map(part => parseInt(part, 10));
+    const departureMinutes = getBerlinMinutes(departure);
+    return Math.abs(departureMinutes - (hours * 60 + minutes));
+}
+
+// Weighted score of a result in euros (lower is better)
+export function scoreResult(result, weights) {
+    const { euroPerHour, euroPerTransfer, preferredDeparture, euroPerHourFromPreferred } = normalizeWeights(weights);
+    const metrics = getResultMetrics(result);
+
+    let score = metrics.price + (metrics.durationMinutes / 60) * euroPerHour + metrics.transfers * euroPerTransfer;
+    if (preferredDeparture) {
+        score += (minutesFromPreferred(metrics.departure, preferredDeparture) / 60) * euroPerHourFromPreferred;
+    }
+
+    return Math.round(score * 100) / 100;
+}
+
+// Whether result a is at least as good as b on price, travel time and transfers and better on one.
+// A result without a price (regional dates without a long-distance fare) cannot be compared with a priced one
+function dominates(a, b) {
+    if ((a.price === null) !== (b.price === null)) return false;
+    const notWorse = a.price <= b.price && a.durationMinutes <= b.durationMinutes && a.transfers <= b.transfers;
+    const better = a.price < b.price || a.durationMinutes < b.durationMinutes || a.transfers < b.transfers;
+    return notWorse && better;
+}
+
+// Keep only Pareto-optimal results (no other result is cheaper, faster and with fewer transfers at once)
+export function filterParetoOptimal(results) {
+    const metrics = results.map(result => getResultMetrics(result));
+
+    return results.filter((_, index) => {
+        return !metrics.some((other, otherIndex) => otherIndex !== index && dominates(other, metrics[index]));
+    });
+}
+
+// Sort results by price, travel time, weighted score or departure (ties fall back to price).
+// Results without a price (regional dates without a long-distance fare) follow the priced ones when sorting by price or score
+export function sortResults(results, sortBy = 'price', weights = null) {
+    const byPrice = !['duration', 'departure'].includes(sortBy);
+    const keyed = results.map(result => {
+        const metrics = getResultMetrics(result);
+        const keys = {
+            price: metrics.price,
+            duration: metrics.durationMinutes,
+            score: scoreResult(result, weights),
+            departure: metrics.departure.getTime()
+        };
+        return { result, key: keys[sortBy] ?? keys.price, price: metrics.price };
+    });
+
+    const unpriced = (entry) => entry.price === null;
+    return keyed
+        .sort((a, b) => {
+            if (byPrice && unpriced(a) !== unpriced(b)) return unpriced(a) ? 1 : -1;
+            return a.key - b.key || a.price - b.price;
+        })
+        .map(entry => entry.result);
+}
+
+// Describe a sort order for result headers (e.g. "weighted score (price + €10/h travel time + €5/transfer)")
+export function describeSortOrder(sortBy, weights = null) {
+    if (sortBy === 'score') {
+        const { euroPerHour, euroPerTransfer, preferredDeparture, euroPerHourFromPreferred } = normalizeWeights(weights);
+        const parts = [`price + €${euroPerHour}/h travel time`, `€${euroPerTransfer}/transfer`];
+        if (preferredDeparture) {
+            parts.push(`€${euroPerHourFromPreferred}/h away from a ${preferredDeparture} departure`);
+        }
+        return `weighted score (${parts.join(' + ')})`;
+    }
+
+    return { price: 'price', duration: 'travel time', departure: 'departure time' }[sortBy] || sortBy;
+}
+
+// Apply the Pareto filter and sort order chosen for the output
+export function rankResults(results, options = {}) {
+    const sortBy = options.sortBy || 'price';
+    const candidates = options.pareto ? filterParetoOptimal(results) : results;
+    return sortResults(candidates, sortBy, options.scoring);
+}
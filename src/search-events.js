@@ -0,0 +1,66 @@
+// Search events - structured events emitted by the search code instead of console output
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Event types. Every event carries its type and the nesting depth of the search that emitted it
+// (0 for the search the user started, 1 and more for sub-searches such as the legs of an N-night trip)
+export const SEARCH_EVENTS = {
+    SEARCH_START: 'search:start', // { tripType, from, to, startDate, endDate, total, ... }
+    SEARCH_LEG: 'search:leg', // { leg: 'return' | 'outbound' | 'onward', number, count } (multi-day and multi-city trips)
+    SEARCH_RETRY: 'search:retry', // { context, attempt, maxAttempts, delay, error }
+    SEARCH_DONE: 'search:done', // { tripType, results, failures, cancelled, incomplete, reason }
+    DATE_START: 'date:start', // { date, index, total }
+    DATE_RETRY: 'date:retry', // { date, attempt, maxAttempts, delay, error }
+    DATE_RESULT: 'date:result', // { date, index, total, result }
+    DATE_FAILED: 'date:failed', // { date, index, total, error, cancelled, skipped }
+    STATION_LOOKUP: 'station:lookup', // { query }
+    STATION_SEARCH: 'station:search', // { query }
+    STATION_FOUND: 'station:found', // { query, station, matches, popular }
+    STATION_FAILED: 'station:failed', // { query, error }
+    PRICES_OBSERVED: 'prices:observed', // { from, to, date, fare, constraints, prices: [{ train, departure, arrival, transfers, price, currency }] }
+    WARNING: 'warning' // { message }
+};
+
+// Every event is also emitted under this name, for consumers that want all of them
+export const ANY_SEARCH_EVENT = 'event';
+
+// Event bus outside of withSearchEvents (the CLI subscribes to this one)
+const defaultSearchEvents = createSearchEvents();
+
+// Event bus and search depth of the running operation (sub-searches and workers inherit them)
+const eventScope = new AsyncLocalStorage();
+
+// Create an event bus for searches
+export function createSearchEvents() {
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    return events;
+}
+
+// Run an operation whose searches report to the given event bus
+export function withSearchEvents(events, operation) {
+    return eventScope.run({ events, depth: getSearchDepth() }, operation);
+}
+
+// Run a sub-search: its events are emitted one level deeper than the current search
+export function runNestedSearch(operation) {
+    return eventScope.run({ events: getSearchEvents(), depth: getSearchDepth() + 1 }, operation);
+}
+
+// Event bus of the running operation
+export function getSearchEvents() {
+    return eventScope.getStore()?.events || defaultSearchEvents;
+}
+
+// Nesting depth of the running search (0 outside sub-searches)
+export function getSearchDepth() {
+    return eventScope.getStore()?.depth ?? 0;
+}
+
+// Emit an event on the running operation's bus
+export function emitSearchEvent(type, details = {}) {
+    const event = { type, depth: getSearchDepth(), ...details };
+    const events = getSearchEvents();
+    events.emit(type, event);
+    events.emit(ANY_SEARCH_EVENT, event);
+}
@@ -5,9 +5,38 @@ import {
     saveSearch, 
     loadSearch, 
     listSavedSearches, 
-    deleteSavedSearch 
+    deleteSavedSearch,
+    saveWatch,
+    listWatches,
+    deleteWatch
 } from './config.js';
 import { formatStationDisplay } from './station-selector.js';
+import { getStayLimits, describeStayLimits, getNightLimits, describeNightLimits, getRoutingConstraints, describeRoutingConstraints } from './journey-search.js';
+import { describePassengers, isDefaultPassengers } from './passengers.js';
+import { createWatch, validateWatch, describeWatch, formatLastChecked } from './price-watch.js';
+
+// Pick the search constraints from the preferences that a saved search of a trip type should remember
+// (time at destination only limits same-day trips)
+export function extractSearchConstraints(preferences, tripType) {
+    const sameDay = tripType === 'same-day';
+    const constraints = {
+        minStayMinutes: sameDay ? preferences.minStayMinutes : null,
+        maxStayMinutes: sameDay ? preferences.maxStayMinutes : null,
+        minNights: preferences.minNights,
+        maxNights: preferences.maxNights,
+        passengers: preferences.passengers,
+        compareClasses: preferences.compareClasses,
+        viaStation: preferences.viaStation,
+        avoidStations: preferences.avoidStations?.length > 0 ? preferences.avoidStations : null,
+        minTransferMinutes: preferences.minTransferMinutes,
+        maxTransfers: preferences.maxTransfers,
+        maxDurationMinutes: preferences.maxDurationMinutes
+    };
+    
+    return Object.fromEntries(
+        Object.entries(constraints).filter(([, value]) => value !== null && value !== undefined)
+    );
+}
 
 // Save current search parameters
 export function saveCurrentSearch(searchName, searchParams) {
@@ -19,8 +48,10 @@ export function saveCurrentSearch(searchName, searchParams) {
         destinationStation: searchParams.destinationStation,
         returnDepartureStation: searchParams.returnDepartureStation,
         tripType: searchParams.tripType,
+        stops: searchParams.stops,
         dates: searchParams.dates,
         timePreferences: searchParams.timePreferences,
+        constraints: searchParams.constraints,
         maxResults: searchParams.maxResults,
         outputFormat: searchParams.outputFormat
     };
@@ -65,7 +96,12 @@ export function displaySavedSearches() {
     
     searches.forEach(search => {
         console.log(`\n📌 ${search.name}`);
-        console.log(`   Route: ${formatStationDisplay(search.departureStation)} → ${formatStationDisplay(search.destinationStation)}`);
+        if (search.stops?.length > 0) {
+            const stops = search.stops.map(stop => `${formatStationDisplay(stop.station)} (${stop.nights} night${stop.nights === 1 ? '' : 's'})`);
+            console.log(`   Route: ${[formatStationDisplay(search.departureStation), ...stops, formatStationDisplay(search.destinationStation)].join(' → ')}`);
+        } else {
+            console.log(`   Route: ${formatStationDisplay(search.departureStation)} → ${formatStationDisplay(search.destinationStation)}`);
+        }
         
         if (search.returnDepartureStation && search.returnDepartureStation.id !== search.destinationStation.id) {
             console.log(`   Return: ${formatStationDisplay(search.returnDepartureStation)} → ${formatStationDisplay(search.departureStation)}`);
@@ -85,6 +121,25 @@ export function displaySavedSearches() {
             console.log(`   Time Preference: ${search.timePreferences.outbound.departurePreference}`);
         }
         
+        const stayDescription = describeStayLimits(getStayLimits({ preferences: search.constraints }));
+        if (stayDescription) {
+            console.log(`   Time at destination: ${stayDescription}`);
+        }
+        
+        const nightsDescription = describeNightLimits(getNightLimits({ preferences: search.constraints }));
+        if (nightsDescription) {
+            console.log(`   Nights: ${nightsDescription}`);
+        }
+        
+        const routingDescription = describeRoutingConstraints(getRoutingConstraints({ preferences: search.constraints }));
+        if (routingDescription) {
+            console.log(`   Routing: ${routingDescription}`);
+        }
+        
+        if (search.constraints?.passengers && !isDefaultPassengers(search.constraints.passengers)) {
+            console.log(`   Passengers: ${describePassengers(search.constraints.passengers)}`);
+        }
+        
         console.log(`   Saved: ${new Date(search.savedAt).toLocaleDateString()}`);
     });
     
@@ -110,6 +165,81 @@ export function deleteSavedSearchByName(searchName) {
     }
 }
 
+// Save the current search as a price watch (options: weekdays, maxPrice, intervalMinutes)
+export function saveCurrentWatch(watchName, searchParams, options) {
+    const nameError = validateSearchName(watchName);
+    if (nameError) {
+        console.log(`❌ Invalid watch name: ${nameError}`);
+        return false;
+    }
+    
+    const watch = createWatch(searchParams, options);
+    const errors = validateWatch(watch);
+    if (errors.length > 0) {
+        console.log(`❌ Cannot watch this search:\n  - ${errors.join('\n  - ')}`);
+        return false;
+    }
+    
+    const config = loadConfig();
+    if (config.watches[watchName]) {
+        console.warn(`⚠️  Watch "${watchName}" already exists and will be replaced.`);
+    }
+    saveWatch(config, watchName, watch);
+    
+    if (saveConfig(config)) {
+        console.log(`✅ Watching "${watchName}": ${describeWatch(watch)}`);
+        console.log('   Run "db-price-analyzer watch" to start checking prices.');
+        return true;
+    } else {
+        console.log(`❌ Failed to save watch "${watchName}"`);
+        return false;
+    }
+}
+
+// Display all price watches
+export function displayWatches() {
+    const config = loadConfig();
+    const watches = listWatches(config);
+    
+    if (watches.length === 0) {
+        console.log('📭 No price watches found');
+        return;
+    }
+    
+    console.log('\n🔭 Price Watches:');
+    console.log('='.repeat(50));
+    
+    watches.forEach(watch => {
+        console.log(`\n📌 ${watch.name}`);
+        console.log(`   ${describeWatch(watch)}`);
+        console.log(`   Every ${watch.intervalMinutes || config.preferences.watchIntervalMinutes} minutes, last checked: ${formatLastChecked(watch)}`);
+        if (watch.lowestPrice !== null) {
+            console.log(`   Lowest price so far: €${watch.lowestPrice.toFixed(2)}`);
+        }
+    });
+    
+    console.log('\n' + '='.repeat(50));
+    console.log(`Total: ${watches.length} watch${watches.length === 1 ? '' : 'es'}`);
+}
+
+// Delete a price watch
+export function deleteWatchByName(watchName) {
+    const config = loadConfig();
+    
+    if (deleteWatch(config, watchName)) {
+        if (saveConfig(config)) {
+            console.log(`✅ Deleted watch "${watchName}"`);
+            return true;
+        } else {
+            console.log(`❌ Failed to save changes after deleting "${watchName}"`);
+            return false;
+        }
+    } else {
+        console.log(`❌ Watch "${watchName}" not found`);
+        return false;
+    }
+}
+
 // Validate search name
 export function validateSearchName(name) {
     if (!name || typeof name !== 'string') {
@@ -149,11 +279,13 @@ export function convertSavedSearchToParams(savedSearch) {
         destinationStation: savedSearch.destinationStation,
         returnDepartureStation: savedSearch.returnDepartureStation,
         tripType: savedSearch.tripType || 'same-day',
+        stops: savedSearch.stops,
         dates: savedSearch.dates || [],
         timePreferences: savedSearch.timePreferences || {
             outbound: { departurePreference: 'any', arrivalConstraintType: 'any' },
             return: { departurePreference: 'any', arrivalConstraintType: 'any' }
         },
+        constraints: savedSearch.constraints || null,
         maxResults: savedSearch.maxResults || 10,
         outputFormat: savedSearch.outputFormat || 'console'
     };
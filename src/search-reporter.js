@@ -0,0 +1,188 @@
+// Search reporters - subscribers that turn search events into console output or a JSON-lines log
+import { ParallelSearchProgress } from './output-formatters.js';
+import { formatMinutes } from './journey-utils.js';
+import { TRIP_TYPES } from './journey-search.js';
+import { SEARCH_EVENTS, ANY_SEARCH_EVENT } from './search-events.js';
+
+// Heading printed when a search starts
+function describeSearch(event) {
+    switch (event.tripType) {
+        case TRIP_TYPES.SAME_DAY:
+            return 'same-day return trips';
+        case TRIP_TYPES.ONE_WAY:
+            return 'one-way trips';
+        case TRIP_TYPES.REGIONAL:
+            return 'regional-only connections (Deutschlandticket)';
+        case TRIP_TYPES.MATRIX:
+            return 'round-trip prices by outbound date and nights';
+        case TRIP_TYPES.MULTI_CITY:
+            return `multi-city trips with ${event.stops.length} stop${event.stops.length === 1 ? '' : 's'}`;
+        default:
+            return event.numberOfDays ? `${event.numberOfDays}-night trips` : 'multi-day trips';
+    }
+}
+
+// Summary lines of a finished search (fixed-return multi-day trips have none)
+function summarizeResults(event) {
+    const results = event.results;
+    switch (event.tripType) {
+        case TRIP_TYPES.SAME_DAY:
+            return [
+                `\n✓ Found ${results.length} same-day options:`,
+                ...results.map(result => `  ${result.date}: €${result.totalPrice.toFixed(2)} total (${result.pages} pages)`)
+            ];
+        case TRIP_TYPES.ONE_WAY:
+            return [
+                `\n✓ Found ${results.length} one-way options:`,
+                ...results.map(result => `  ${result.date}: €${result.totalPrice.toFixed(2)} (${result.pages} pages)`)
+            ];
+        case TRIP_TYPES.REGIONAL:
+            return [
+                `\n✓ Found regional connections on ${results.length} dates:`,
+                ...results.map(result => {
+                    const fare = result.longDistance ? `€${result.longDistance.price.toFixed(2)} long-distance` : 'no long-distance fare';
+                    return `  ${result.date}: ${formatMinutes(result.regional.durationMinutes)} regional vs ${fare} (${result.pages} pages)`;
+                })
+            ];
+        case TRIP_TYPES.MATRIX:
+            return [
+                `\n✓ Priced ${results.length} outbound dates:`,
+                ...results.map(result => `  ${result.outboundDate}: from €${result.totalPrice.toFixed(2)} (${result.nights} night${result.nights === 1 ? '' : 's'})`)
+            ];
+        case TRIP_TYPES.MULTI_CITY:
+            return [
+                `\n✓ Found ${results.length} itineraries:`,
+                ...results.map(result => `  ${result.outboundDate} → ${result.returnDate}: €${result.totalPrice.toFixed(2)} for ${result.legs.length} legs`)
+            ];
+        default:
+            if (!event.numberOfDays) return [];
+            return [
+                `\n✓ Found ${results.length} ${event.numberOfDays}-night options:`,
+                ...results.map(result => `  ${result.outboundDate} → ${result.returnDate}: €${result.totalPrice.toFixed(2)} total`)
+            ];
+    }
+}
+
+// Subscribe to a search event bus and print what happens, as the CLI always did.
+// Only the search the user started (depth 0) is announced and drawn as a progress bar;
+// warnings are printed for sub-searches too. Returns a function that unsubscribes
+export function attachConsoleReporter(events, logger = console, options = {}) {
+    const { progress: showProgress = true, animation = true } = options;
+    let maxConcurrency = 1;
+    let progress = null;
+    let inFlight = 0;
+    let completed = 0;
+    let successCount = 0;
+    let failureCount = 0;
+
+    const report = () => progress?.updateProgress(`Searching dates... (${inFlight} in flight)`, completed);
+
+    const handlers = {
+        [SEARCH_EVENTS.SEARCH_START]: (event) => {
+            if (event.depth > 0) return;
+            maxConcurrency = event.maxConcurrency || 1;
+            logger.log(`\n🔍 Searching for ${describeSearch(event)}...\n`);
+            if (event.stay) {
+                logger.log(`⏱️  Time at destination: ${event.stay}\n`);
+            }
+            if (event.nights) {
+                logger.log(`🌙 Nights: ${event.nights}\n`);
+            }
+        },
+        [SEARCH_EVENTS.SEARCH_LEG]: (event) => {
+            if (event.depth > 0) return;
+            if (event.number) {
+                logger.log(`📅 Searching leg ${event.number} of ${event.count}...`);
+            } else {
+                logger.log(event.leg === 'return' ? '📅 Searching return journey...' : '\n📅 Searching outbound journeys...');
+            }
+        },
+        [SEARCH_EVENTS.DATE_START]: (event) => {
+            if (event.depth > 0) return;
+            if (!progress && showProgress) {
+                progress = new ParallelSearchProgress(event.total, maxConcurrency, animation);
+                progress.start();
+            }
+            inFlight++;
+            report();
+        },
+        [SEARCH_EVENTS.DATE_RESULT]: (event) => {
+            if (event.depth > 0) return;
+            inFlight--;
+            completed++;
+            successCount++;
+            report();
+        },
+        [SEARCH_EVENTS.DATE_FAILED]: (event) => {
+            if (event.depth === 0) {
+                inFlight--;
+                completed++;
+                failureCount += event.cancelled ? 0 : 1;
+                report();
+            }
+            if (event.skipped) {
+                logger.warn(`⚠️  Search for ${event.date} skipped: ${event.error}`);
+            } else if (!event.cancelled) {
+                logger.warn(`⚠️  Search for ${event.date} failed: ${event.error}`);
+            }
+        },
+        [SEARCH_EVENTS.DATE_RETRY]: (event) => {
+            logger.warn(`⚠️  Search for ${event.date} failed (attempt ${event.attempt}/${event.maxAttempts}). Retrying in ${event.delay}ms...`);
+        },
+        [SEARCH_EVENTS.SEARCH_RETRY]: (event) => {
+            logger.warn(`⚠️  ${event.context} failed (attempt ${event.attempt}/${event.maxAttempts}). Retrying in ${event.delay}ms...`);
+            logger.warn(`   Error: ${event.error}`);
+        },
+        [SEARCH_EVENTS.SEARCH_DONE]: (event) => {
+            if (event.depth > 0) return;
+            progress?.stop(successCount, failureCount);
+            progress = null;
+            inFlight = completed = successCount = failureCount = 0;
+
+            if (event.reason) {
+                logger.log(event.reason);
+            } else if (event.results.length > 0) {
+                summarizeResults(event).forEach(line => logger.log(line));
+            }
+            if (event.cancelled.length > 0) {
+                const count = event.cancelled.length;
+                logger.log(`\n🛑 Search stopped early: ${count} date${count === 1 ? '' : 's'} not searched`);
+            }
+        },
+        [SEARCH_EVENTS.STATION_LOOKUP]: (event) => {
+            logger.log(`🔍 Looking up station: ${event.query}`);
+        },
+        [SEARCH_EVENTS.STATION_SEARCH]: (event) => {
+            logger.log(`🔍 Searching for stations matching "${event.query}"...`);
+        },
+        [SEARCH_EVENTS.STATION_FOUND]: (event) => {
+            const { station } = event;
+            if (event.popular) {
+                logger.log(`✅ Found popular city: ${station.name}`);
+            } else if (event.matches === 1) {
+                logger.log(`✅ Found: ${station.name} (${station.id})`);
+            } else {
+                logger.log(`✅ Found ${event.matches} stations, using: ${station.name} (${station.id})`);
+            }
+        },
+        [SEARCH_EVENTS.STATION_FAILED]: (event) => {
+            logger.error(`❌ Error searching for stations: ${event.error}`);
+        },
+        [SEARCH_EVENTS.WARNING]: (event) => {
+            logger.warn(`⚠️  ${event.message}`);
+        }
+    };
+
+    Object.entries(handlers).forEach(([type, handler]) => events.on(type, handler));
+    return () => Object.entries(handlers).forEach(([type, handler]) => events.off(type, handler));
+}
+
+// Subscribe to a search event bus and write every event as one JSON line (with a timestamp)
+// to a writable stream. Returns a function that unsubscribes
+export function attachJsonLinesLog(events, output) {
+    const handler = (event) => {
+        output.write(`${JSON.stringify({ time: new Date().toISOString(), ...event })}\n`);
+    };
+    events.on(ANY_SEARCH_EVENT, handler);
+    return () => events.off(ANY_SEARCH_EVENT, handler);
+}
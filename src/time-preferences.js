@@ -1,4 +1,5 @@
 // Time preference constants and utilities
+import { getBerlinMinutes } from './travel-dates.js';
 
 export const TIME_PREFERENCES = {
     EARLY: 'early',        // 04:00-07:59
@@ -51,12 +52,27 @@ export function minutesToTimeString(minutes) {
     return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
 }
 
-// Extract time from ISO date string
+// Parse a time window string (HH:MM-HH:MM) into normalized start/end times
+export function parseTimeWindow(windowStr) {
+    if (!windowStr || typeof windowStr !== 'string') return null;
+
+    const parts = windowStr.split('-').map(part => part.trim());
+    if (parts.length !== 2) return null;
+
+    const startMinutes = parseTimeToMinutes(parts[0]);
+    const endMinutes = parseTimeToMinutes(parts[1]);
+
+    if (startMinutes === null || endMinutes === null || endMinutes <= startMinutes) return null;
+
+    return {
+        start: minutesToTimeString(startMinutes),
+        end: minutesToTimeString(endMinutes)
+    };
+}
+
+// Extract the Berlin time of day (minutes since midnight) from an ISO date string
 export function extractTimeFromDate(dateStr) {
-    const date = new Date(dateStr);
-    const hours = date.getHours();
-    const minutes = date.getMinutes();
-    return hours * 60 + minutes;
+    return getBerlinMinutes(dateStr);
 }
 
 // Validate time string format (HH:MM)
@@ -0,0 +1,168 @@
+// Travel dates - calendar dates and times of day in German railway time (Europe/Berlin).
+// Travel dates are plain YYYY-MM-DD strings; instants (departures, arrivals, the clock) are read
+// on the Berlin wall clock whatever the time zone of the host
+export const TRAVEL_TIME_ZONE = 'Europe/Berlin';
+
+const CALENDAR_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const MONTH_DAY = /^(\d{1,2})-(\d{1,2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const berlinClock = new Intl.DateTimeFormat('en-US', {
+    timeZone: TRAVEL_TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+});
+
+// Calendar dates are formatted as UTC midnight, which never shifts the day
+const calendarDisplay = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// YYYY-MM-DD of a year, month (1-12) and day
+function toCalendarString(year, month, day) {
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// UTC midnight of a calendar date in milliseconds
+function toUtcMidnight(calendarDate) {
+    const [year, month, day] = calendarDate.split('-').map(part => parseInt(part, 10));
+    return Date.UTC(year, month - 1, day);
+}
+
+// Calendar date of a UTC midnight in milliseconds
+function fromUtcMidnight(time) {
+    const date = new Date(time);
+    return toCalendarString(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+// Year, month, day, hour, minute and second of an instant on the Berlin wall clock
+export function getBerlinParts(instant) {
+    const parts = {};
+    berlinClock.formatToParts(new Date(instant)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in Berlin
+export function getBerlinDate(instant) {
+    const { year, month, day } = getBerlinParts(instant);
+    return toCalendarString(year, month, day);
+}
+
+// Hour (0-23) of an instant in Berlin
+export function getBerlinHour(instant) {
+    return getBerlinParts(instant).hour;
+}
+
+// Minutes since midnight of an instant in Berlin
+export function getBerlinMinutes(instant) {
+    const { hour, minute } = getBerlinParts(instant);
+    return hour * 60 + minute;
+}
+
+// Today's calendar date in Berlin
+export function getBerlinToday(now = new Date()) {
+    return getBerlinDate(now);
+}
+
+// Parse YYYY-MM-DD, or MM-DD in the current Berlin year, into YYYY-MM-DD.
+// Returns null for anything else, including days that do not exist (2025-02-30)
+export function parseCalendarDate(input, now = new Date()) {
+    if (typeof input !== 'string') return null;
+    const trimmed = input.trim();
+
+    let year, month, day;
+    if (MONTH_DAY.test(trimmed)) {
+        [, month, day] = trimmed.match(MONTH_DAY).map(Number);
+        year = getBerlinParts(now).year;
+    } else if (CALENDAR_DATE.test(trimmed)) {
+        [, year, month, day] = trimmed.match(CALENDAR_DATE).map(Number);
+    } else {
+        return null;
+    }
+
+    const calendarDate = toCalendarString(year, month, day);
+    return fromUtcMidnight(toUtcMidnight(calendarDate)) === calendarDate ? calendarDate : null;
+}
+
+// Calendar date of a YYYY-MM-DD string or of an instant (read in Berlin)
+export function toCalendarDate(value) {
+    if (typeof value === 'string' && CALENDAR_DATE.test(value.trim())) {
+        return parseCalendarDate(value);
+    }
+    return getBerlinDate(value);
+}
+
+// Calendar date a number of days after (or before) another
+export function addDays(calendarDate, days) {
+    return fromUtcMidnight(toUtcMidnight(calendarDate) + days * DAY_MS);
+}
+
+// Day of the week of a calendar date (0 = Sunday)
+export function getWeekday(calendarDate) {
+    return new Date(toUtcMidnight(calendarDate)).getUTCDay();
+}
+
+// Day names by day of the week (0 = Sunday)
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Day of the week (0 = Sunday) of a day name or its first letters ("fri", "Friday"), or null
+export function parseWeekday(value) {
+    const name = String(value).trim().toLowerCase();
+    if (name.length < 3) return null;
+    const weekday = WEEKDAY_NAMES.findIndex(dayName => dayName.startsWith(name));
+    return weekday === -1 ? null : weekday;
+}
+
+// Short name of a day of the week ("Fri")
+export function formatWeekday(weekday) {
+    const name = WEEKDAY_NAMES[weekday];
+    return name.charAt(0).toUpperCase() + name.slice(1, 3);
+}
+
+// Number of days from one calendar date to another
+export function daysBetween(from, to) {
+    return Math.round((toUtcMidnight(to) - toUtcMidnight(from)) / DAY_MS);
+}
+
+// Every calendar date from start to end (both included)
+export function eachCalendarDate(startDate, endDate) {
+    const dates = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+// Offset of the Berlin wall clock from UTC at an instant, in milliseconds
+function getBerlinOffset(time) {
+    const { year, month, day, hour, minute, second } = getBerlinParts(time);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000;
+}
+
+// Instant of a time of day (HH:MM) on a calendar date in Berlin
+export function atBerlinTime(calendarDate, timeStr = '00:00') {
+    const [hours, minutes] = timeStr.split(':').map(part => parseInt(part, 10));
+    const wallClock = toUtcMidnight(calendarDate) + (hours * 60 + minutes) * 60 * 1000;
+
+    // Take the offset at a first guess, then again at the result in case a DST switch lies between them
+    const guess = wallClock - getBerlinOffset(wallClock);
+    return new Date(wallClock - getBerlinOffset(guess));
+}
+
+// Display form of a calendar date, e.g. "Fri, Aug 15, 2025"
+export function formatCalendarDate(calendarDate) {
+    return calendarDisplay.format(new Date(toUtcMidnight(calendarDate)));
+}
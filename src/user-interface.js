@@ -3,7 +3,8 @@
 import inquirer from 'inquirer';
 import { selectCityStation, formatStationDisplay } from './station-selector.js';
 import { askForTimePreferences, selectTimePreferences, displayTimePreferences } from './time-selector.js';
-import { parseFlexibleDate, validateDate } from './journey-utils.js';
+import { parseFlexibleDate, validateDate, parseDuration, formatMinutes } from './journey-utils.js';
+import { addDays, daysBetween, getBerlinToday } from './travel-dates.js';
 import { TRIP_TYPES } from './journey-search.js';
 
 // Get user input
@@ -18,7 +19,9 @@ export async function getUserInput(client) {
         choices: [
             { name: 'Same-day return trip', value: TRIP_TYPES.SAME_DAY },
             { name: 'Multi-day trip (different dates)', value: TRIP_TYPES.MULTI_DAY },
-            { name: 'One-way trip', value: TRIP_TYPES.ONE_WAY }
+            { name: 'Price matrix (outbound date × nights)', value: TRIP_TYPES.MATRIX },
+            { name: 'One-way trip', value: TRIP_TYPES.ONE_WAY },
+            { name: 'Regional only (Deutschlandticket) vs cheapest long-distance fare', value: TRIP_TYPES.REGIONAL }
         ]
     }]);
 
@@ -56,7 +59,7 @@ export async function getUserInput(client) {
 
     // For round trips, ask about return departure location
     let returnDepartureStation = null;
-    if (tripTypeAnswer.tripType === TRIP_TYPES.SAME_DAY || tripTypeAnswer.tripType === TRIP_TYPES.MULTI_DAY) {
+    if (tripTypeAnswer.tripType !== TRIP_TYPES.ONE_WAY && tripTypeAnswer.tripType !== TRIP_TYPES.REGIONAL) {
         console.log('\n🔄 Step 3: Choose return departure location');
         
         const returnLocationAnswer = await inquirer.prompt([{
@@ -104,13 +107,7 @@ export async function getUserInput(client) {
         name: 'startDate',
         message: 'Enter start date (YYYY-MM-DD or MM-DD for current year):',
         validate: validateDate,
-        default: () => {
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const month = String(tomorrow.getMonth() + 1).padStart(2, '0');
-            const day = String(tomorrow.getDate()).padStart(2, '0');
-            return `${month}-${day}`;
-        }
+        default: () => addDays(getBerlinToday(), 1).slice(5) // Tomorrow as MM-DD
     }]);
     
     // Then get end date with access to start date
@@ -128,8 +125,7 @@ export async function getUserInput(client) {
                 return 'End date must be after start date';
             }
             
-            const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-            if (daysDiff > 365) {
+            if (daysBetween(startDate, endDate) > 365) {
                 return 'Date range cannot exceed 365 days';
             }
             
@@ -138,13 +134,10 @@ export async function getUserInput(client) {
         default: startDateAnswer.startDate
     }]);
     
-    // Convert flexible dates to ISO format for consistency
-    const startDate = parseFlexibleDate(startDateAnswer.startDate);
-    const endDate = parseFlexibleDate(endDateAnswer.endDate);
-    
+    // Convert flexible dates to YYYY-MM-DD for consistency
     const dateAnswers = {
-        startDate: startDate.toISOString().split('T')[0], // Convert to YYYY-MM-DD format
-        endDate: endDate.toISOString().split('T')[0]
+        startDate: parseFlexibleDate(startDateAnswer.startDate),
+        endDate: parseFlexibleDate(endDateAnswer.endDate)
     };
 
     const answers = {
@@ -183,18 +176,34 @@ export async function getUserInput(client) {
                         const validation = validateDate(input);
                         if (validation !== true) return validation;
                         
-                        const outDate = new Date(answers.startDate);
                         const retDate = parseFlexibleDate(input);
-                        if (retDate <= outDate) {
+                        if (retDate <= answers.startDate) {
                             return 'Return date must be after departure date';
                         }
                         
+                        return true;
+                    }
+                },
+                {
+                    type: 'input',
+                    name: 'returnEndDate',
+                    message: 'Latest return date, to compare several return days (YYYY-MM-DD or MM-DD, Enter for the same day):',
+                    default: (previousAnswers) => previousAnswers.returnDate,
+                    validate: (input, previousAnswers) => {
+                        const validation = validateDate(input);
+                        if (validation !== true) return validation;
+                        
+                        if (parseFlexibleDate(input) < parseFlexibleDate(previousAnswers.returnDate)) {
+                            return 'Latest return date cannot be before the return date';
+                        }
+                        
                         return true;
                     }
                 }
             ]);
             
             returnDate = parseFlexibleDate(multiDayAnswers.returnDate);
+            answers.returnEndDate = parseFlexibleDate(multiDayAnswers.returnEndDate);
         } else {
             // Ask for number of days
             const daysAnswer = await inquirer.prompt([
@@ -223,9 +232,87 @@ export async function getUserInput(client) {
             returnDate = null;
         }
         
-        // Convert return date to ISO format (only if we have a specific date)
+        // Keep the return date (only if we have a specific date)
         if (returnDate) {
-            answers.returnDate = returnDate.toISOString().split('T')[0];
+            answers.returnDate = returnDate;
+        }
+    }
+    
+    // Ask which numbers of nights the matrix columns should cover
+    if (answers.tripType === TRIP_TYPES.MATRIX) {
+        const validateNights = (input) => /^\d+$/.test(input.trim()) && parseInt(input, 10) <= 365 || 'Please enter a whole number of nights (0-365)';
+        const nightAnswers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'minNights',
+                message: 'Fewest nights at destination:',
+                validate: validateNights,
+                default: '1'
+            },
+            {
+                type: 'input',
+                name: 'maxNights',
+                message: 'Most nights at destination:',
+                validate: (input, previousAnswers) => {
+                    const validation = validateNights(input);
+                    if (validation !== true) return validation;
+                    return parseInt(input, 10) >= parseInt(previousAnswers.minNights, 10) || 'Most nights cannot be fewer than the fewest nights';
+                },
+                default: '7'
+            }
+        ]);
+        
+        answers.constraints = {
+            minNights: parseInt(nightAnswers.minNights, 10),
+            maxNights: parseInt(nightAnswers.maxNights, 10)
+        };
+        console.log(`✅ Matrix columns: ${answers.constraints.minNights} to ${answers.constraints.maxNights} nights`);
+    }
+    
+    // Ask how long the stay at the destination should be for same-day trips
+    if (answers.tripType === TRIP_TYPES.SAME_DAY) {
+        const stayAnswers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'minStay',
+                message: 'Minimum time at destination (e.g. 4h, 90m, 4h30m - leave empty for no minimum):',
+                validate: (input) => {
+                    if (!input || input.trim().length === 0) return true;
+                    return parseDuration(input) !== null || 'Please enter a duration like 4h, 90m or 4h30m';
+                }
+            },
+            {
+                type: 'input',
+                name: 'maxStay',
+                message: 'Maximum time at destination (leave empty for no maximum):',
+                validate: (input, previousAnswers) => {
+                    if (!input || input.trim().length === 0) return true;
+                    
+                    const maxStay = parseDuration(input);
+                    if (maxStay === null || maxStay <= 0) {
+                        return 'Please enter a duration like 8h, 90m or 4h30m';
+                    }
+                    
+                    const minStay = parseDuration(previousAnswers.minStay);
+                    if (minStay !== null && maxStay < minStay) {
+                        return 'Maximum stay cannot be shorter than the minimum stay';
+                    }
+                    
+                    return true;
+                }
+            }
+        ]);
+        
+        answers.constraints = {
+            minStayMinutes: parseDuration(stayAnswers.minStay),
+            maxStayMinutes: parseDuration(stayAnswers.maxStay)
+        };
+        
+        if (answers.constraints.minStayMinutes !== null) {
+            console.log(`✅ Minimum time at destination: ${formatMinutes(answers.constraints.minStayMinutes)}`);
+        }
+        if (answers.constraints.maxStayMinutes !== null) {
+            console.log(`✅ Maximum time at destination: ${formatMinutes(answers.constraints.maxStayMinutes)}`);
         }
     }
     
@@ -238,7 +325,7 @@ export async function getUserInput(client) {
         displayTimePreferences(outboundTimePrefs, 'outbound');
         
         // Get return time preferences for round trips
-        if (answers.tripType === TRIP_TYPES.SAME_DAY || answers.tripType === TRIP_TYPES.MULTI_DAY) {
+        if (answers.tripType !== TRIP_TYPES.ONE_WAY && answers.tripType !== TRIP_TYPES.REGIONAL) {
             const returnTimePrefs = await selectTimePreferences('return');
             displayTimePreferences(returnTimePrefs, 'return');
             
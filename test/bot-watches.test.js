@@ -0,0 +1,290 @@
+// Test suite for the bot's price alerts: subscription store, /watch parsing, commands, buttons and scheduler
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { GrammyError } from 'grammy';
+import { PriceHunter, TRIP_TYPES, configureRequestLimiter, createWatch } from '../index.js';
+import { WatchStore, watchStore, MAX_WATCHES_PER_CHAT } from '../bot/utils/watch-store.js';
+import { createWatchScheduler } from '../bot/utils/watch-scheduler.js';
+import { parseWatchText } from '../bot/utils/validator.js';
+import { setupCommands } from '../bot/handlers/commands.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+const HAMBURG = { id: '8002549', name: 'Hamburg Hbf' };
+const FRANKFURT = { id: '8000105', name: 'Frankfurt(Main)Hbf' };
+const NOW = new Date('2025-11-01T10:00:00Z');
+
+// Watch of one-way trips in November 2025 below €25
+function novemberWatch() {
+    return createWatch({
+        departureStation: HAMBURG,
+        destinationStation: FRANKFURT,
+        tripType: TRIP_TYPES.ONE_WAY,
+        startDate: '2025-11-01',
+        endDate: '2025-11-30'
+    }, { maxPrice: 25 }, NOW);
+}
+
+// Stand-in for a grammY bot, keeping the handlers setupCommands registers
+function createFakeBot() {
+    const commands = {};
+    const callbacks = [];
+    return {
+        command: (name, handler) => {
+            commands[name] = handler;
+        },
+        callbackQuery: (trigger, handler) => callbacks.push({ trigger, handler }),
+        on: () => {},
+        // Run a command with the text after it
+        runCommand: (name, ctx, text = '') => commands[name]({ ...ctx, match: text }),
+        // Press a button by its callback data
+        press: (data, ctx) => {
+            const { trigger, handler } = callbacks.find(({ trigger }) => trigger instanceof RegExp ? trigger.test(data) : trigger === data);
+            return handler({ ...ctx, match: trigger instanceof RegExp ? data.match(trigger) : data });
+        }
+    };
+}
+
+// Stand-in for a grammY context of a chat, keeping the replies and button answers
+function createFakeContext(chatId) {
+    const replies = [];
+    const answers = [];
+    return {
+        replies,
+        answers,
+        chat: { id: chatId },
+        session: {},
+        reply: async (text, options = {}) => {
+            replies.push({ text, options });
+        },
+        answerCallbackQuery: async (text) => {
+            answers.push(text);
+        }
+    };
+}
+
+describe('Bot price alerts', () => {
+    let directory;
+    let defaultFile;
+
+    beforeEach(() => {
+        directory = mkdtempSync(join(tmpdir(), 'watches-'));
+        // The commands share the bot's store, kept in the test directory instead of the configuration
+        defaultFile = watchStore.file;
+        watchStore.file = join(directory, 'bot-watches.json');
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(NOW);
+    });
+
+    afterEach(() => {
+        watchStore.file = defaultFile;
+        rmSync(directory, { recursive: true, force: true });
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    describe('WatchStore', () => {
+        it('should add, list, update and remove subscriptions that survive a restart', () => {
+            const file = join(directory, 'watches.json');
+            const store = new WatchStore(file);
+
+            expect(store.add(1, novemberWatch())).toBe('1');
+            expect(store.add(2, novemberWatch())).toBe('2');
+            expect(store.update('1', { lowestPrice: 30 })).toBe(true);
+
+            const restarted = new WatchStore(file);
+            expect(restarted.get('1')).toMatchObject({ chatId: 1, lowestPrice: 30, maxPrice: 25 });
+            expect(restarted.listForChat(2).map(([id]) => id)).toEqual(['2']);
+
+            expect(restarted.remove('1')).toBe(true);
+            expect(restarted.remove('1')).toBe(false);
+            expect(restarted.update('1', { lowestPrice: 20 })).toBe(false);
+            // Ids are never handed out twice
+            expect(restarted.add(1, novemberWatch())).toBe('3');
+            expect(Object.keys(store.load())).toEqual(['2', '3']);
+        });
+
+        it('should start empty when the file is damaged', () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const file = join(directory, 'watches.json');
+            writeFileSync(file, '{"nextId": 4, "watch');
+
+            expect(new WatchStore(file).load()).toEqual({});
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not read price alert subscriptions'));
+        });
+    });
+
+    describe('parseWatchText', () => {
+        it('should read the stations, dates, trip type, weekday and price limit', () => {
+            expect(parseWatchText('Hamburg Frankfurt 2025-11-01 to 2025-11-30 one-way on fri below 25')).toEqual({
+                valid: true,
+                departure: 'Hamburg',
+                destination: 'Frankfurt',
+                startDate: '2025-11-01',
+                endDate: '2025-11-30',
+                tripType: 'one-way',
+                weekdays: [5],
+                maxPrice: 25
+            });
+            expect(parseWatchText('Berlin to Munich 2025-12-05 under €59,90')).toMatchObject({
+                departure: 'Berlin',
+                destination: 'Munich',
+                startDate: '2025-12-05',
+                endDate: '2025-12-05',
+                tripType: 'same-day',
+                weekdays: [],
+                maxPrice: 59.9
+            });
+        });
+
+        it('should explain what it cannot use', () => {
+            expect(parseWatchText('Hamburg Frankfurt')).toMatchObject({ valid: false, error: expect.stringContaining('Could not understand the watch') });
+            expect(parseWatchText('Hamburg Frankfurt 2025-11-01 on someday')).toEqual({ valid: false, error: expect.stringContaining('Unknown weekday: "someday"') });
+            expect(parseWatchText('Hamburg Frankfurt 2025-11-01 below 0')).toEqual({ valid: false, error: 'The price limit must be more than €0.' });
+            expect(parseWatchText('Hamburg Frankfurt 2025-10-01').valid).toBe(false);
+        });
+    });
+
+    describe('Commands', () => {
+        let bot;
+
+        beforeEach(() => {
+            bot = createFakeBot();
+            setupCommands(bot);
+            vi.spyOn(PriceHunter.prototype, 'findStation').mockImplementation(async (query) => ({ id: query === 'Hamburg' ? HAMBURG.id : FRANKFURT.id, name: query }));
+        });
+
+        it('should subscribe with a Markdown-safe confirmation', async () => {
+            const ctx = createFakeContext(7);
+
+            await bot.runCommand('watch', ctx, 'Hamburg Frankfurt_Süd 2025-11-01 to 2025-11-30 one-way below 25');
+
+            expect(watchStore.listForChat(7)).toHaveLength(1);
+            expect(watchStore.get('1')).toMatchObject({ chatId: 7, tripType: 'one-way', maxPrice: 25, destinationStation: { name: 'Frankfurt_Süd' } });
+            expect(ctx.replies).toHaveLength(1);
+            expect(ctx.replies[0].text).toContain('✅ *Price alert #1*');
+            expect(ctx.replies[0].text).toContain('Hamburg → Frankfurt\\_Süd');
+        });
+
+        it('should only report failed station lookups as unknown stations', async () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            PriceHunter.prototype.findStation.mockRejectedValueOnce(new Error('No station found for "Hamborg"'));
+            const ctx = createFakeContext(7);
+
+            await bot.runCommand('watch', ctx, 'Hamborg Frankfurt 2025-11-01 below 25');
+
+            expect(ctx.replies.map(reply => reply.text)).toEqual(['❌ Could not find one of the stations. Please check spelling.']);
+            expect(watchStore.load()).toEqual({});
+
+            // A failing confirmation is not a missing station, and the alert it confirms stays
+            ctx.reply = async () => {
+                throw new Error("Bad Request: can't parse entities");
+            };
+            await expect(bot.runCommand('watch', ctx, 'Hamburg Frankfurt 2025-11-01 below 25')).rejects.toThrow("can't parse entities");
+            expect(watchStore.listForChat(7)).toHaveLength(1);
+        });
+
+        it('should limit the subscriptions of a chat', async () => {
+            for (let count = 0; count < MAX_WATCHES_PER_CHAT; count++) {
+                watchStore.add(7, novemberWatch());
+            }
+            const ctx = createFakeContext(7);
+            const otherChat = createFakeContext(8);
+
+            await bot.runCommand('watch', ctx, 'Hamburg Frankfurt 2025-11-01 below 25');
+            await bot.runCommand('watch', otherChat, 'Hamburg Frankfurt 2025-11-01 below 25');
+
+            expect(ctx.replies[0].text).toBe(`❌ You already have ${MAX_WATCHES_PER_CHAT} price alerts. Stop one with /unwatch first.`);
+            expect(watchStore.listForChat(7)).toHaveLength(MAX_WATCHES_PER_CHAT);
+            expect(watchStore.listForChat(8)).toHaveLength(1);
+        });
+
+        it('should list and stop only the subscriptions of the chat', async () => {
+            watchStore.add(7, novemberWatch());
+            watchStore.add(8, novemberWatch());
+            const ctx = createFakeContext(7);
+
+            await bot.runCommand('watches', ctx);
+            await bot.runCommand('unwatch', ctx, '#2');
+            await bot.runCommand('unwatch', ctx, '1');
+
+            expect(ctx.replies[0].text).toContain('*#1* Hamburg Hbf → Frankfurt(Main)Hbf · one-way');
+            expect(ctx.replies[0].text).not.toContain('*#2*');
+            expect(ctx.replies[1].text).toBe('❌ Price alert #2 not found. /watches shows your alerts.');
+            expect(ctx.replies[2].text).toMatch(/^🛑 Stopped price alert #1/);
+            expect(Object.keys(watchStore.load())).toEqual(['2']);
+        });
+
+        it('should snooze and stop a subscription from the alert buttons', async () => {
+            watchStore.add(7, novemberWatch());
+            const ctx = createFakeContext(7);
+
+            await bot.press('watch_snooze_1', ctx);
+            await bot.press('watch_snooze_1', createFakeContext(8));
+
+            expect(watchStore.get('1').snoozedUntil).toBe('2025-11-02T10:00:00.000Z');
+            expect(ctx.answers).toEqual(['😴 Price alert #1 snoozed for 24 hours']);
+
+            await bot.press('watch_stop_1', ctx);
+            expect(ctx.replies[0].text).toMatch(/^🛑 Stopped price alert #1/);
+            expect(watchStore.get('1')).toBeNull();
+        });
+    });
+
+    describe('Scheduler', () => {
+        let store;
+        let sent;
+        let now;
+
+        // Subscription of a few days, so a run makes few requests
+        const shortWatch = (changes = {}) => ({ ...novemberWatch(), endDate: '2025-11-03', ...changes });
+
+        // Scheduler of the test store, searching a route at €20 a day
+        const createScheduler = (api) => createWatchScheduler(
+            new PriceHunter({ client: createFakeClient(() => [{ departure: '08:00', arrival: '11:30', name: 'ICE 571', price: 20 }]) }),
+            api,
+            store,
+            { clock: () => now, sleep: async () => {} }
+        );
+
+        beforeEach(() => {
+            configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+            store = new WatchStore(join(directory, 'scheduled.json'));
+            sent = [];
+            now = NOW;
+        });
+
+        it('should send the alerts with their buttons and skip snoozed subscriptions until the snooze ends', async () => {
+            const scheduler = createScheduler({ sendMessage: async (chatId, text, options) => sent.push({ chatId, text, options }) });
+            store.add(7, shortWatch({ snoozedUntil: '2025-11-02T10:00:00.000Z' }));
+
+            expect(await scheduler.runDue()).toBe(0);
+
+            now = new Date('2025-11-02T10:00:00Z');
+            expect(await scheduler.runDue()).toBe(1);
+            expect(sent).toHaveLength(1);
+            expect(sent[0].chatId).toBe(7);
+            expect(sent[0].text).toContain('🔔 *Price alert*');
+            expect(sent[0].options.reply_markup.inline_keyboard[0].map(button => button.callback_data)).toEqual(['watch_snooze_1', 'watch_stop_1']);
+            expect(store.get('1')).toMatchObject({ lowestPrice: 20, belowThreshold: true, lastCheckedAt: '2025-11-02T10:00:00.000Z' });
+        });
+
+        it('should drop the subscriptions of chats that blocked the bot', async () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            const scheduler = createScheduler({
+                sendMessage: async (chatId) => {
+                    if (chatId === 8) {
+                        throw new GrammyError('Call to sendMessage failed', { ok: false, error_code: 403, description: 'Forbidden: bot was blocked by the user' }, 'sendMessage', {});
+                    }
+                    throw new Error('Network unreachable');
+                }
+            });
+            store.add(7, shortWatch());
+            store.add(8, shortWatch());
+
+            expect(await scheduler.runDue()).toBe(2);
+            expect(Object.keys(store.load())).toEqual(['1']);
+        });
+    });
+});
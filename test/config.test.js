@@ -105,6 +105,19 @@ describe('Configuration Management', () => {
             expect(errors.length).toBeGreaterThan(0);
             expect(errors[0]).toContain('maxResults must be between 1 and 50');
         });
+
+        it('should reject multi-city as the default trip type', () => {
+            const errors = validateConfig({
+                ...DEFAULT_CONFIG,
+                preferences: {
+                    ...DEFAULT_CONFIG.preferences,
+                    defaultTripType: 'multi-city'
+                }
+            });
+            
+            expect(errors).toHaveLength(1);
+            expect(errors[0]).toContain('Multi-city trips need their stops as --leg station:nights');
+        });
     });
 
     describe('addFavoriteStation', () => {
@@ -0,0 +1,180 @@
+// Test suite for the worker pool and request limiter
+import { describe, it, expect, vi } from 'vitest';
+import {
+    RequestLimiter,
+    withProgressiveSearch,
+    streamProgressiveSearch,
+    withTimeout,
+    scheduleRequest,
+    configureRequestLimiter,
+    SearchCancelledError
+} from '../src/error-handler.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Error Handler', () => {
+    describe('RequestLimiter', () => {
+        it('should never run more requests at once than allowed', async () => {
+            const limiter = new RequestLimiter(2, 1000);
+            let running = 0;
+            let maxRunning = 0;
+
+            await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(async () => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await sleep(5);
+                running--;
+            })));
+
+            expect(maxRunning).toBe(2);
+            expect(limiter.active).toBe(0);
+        });
+
+        it('should pause every request after a backoff', async () => {
+            const limiter = new RequestLimiter(2, 1000);
+            const delay = limiter.backoff(1, 40);
+            const started = Date.now();
+
+            await limiter.schedule(async () => {});
+
+            expect(delay).toBeGreaterThanOrEqual(20);
+            expect(delay).toBeLessThanOrEqual(60);
+            expect(Date.now() - started).toBeGreaterThanOrEqual(delay - 5);
+        });
+
+        it('should drop queued requests when their search is cancelled', async () => {
+            const limiter = new RequestLimiter(1, 1000);
+            const controller = new AbortController();
+            let calls = 0;
+
+            const first = limiter.schedule(() => sleep(20).then(() => ++calls));
+            const queued = limiter.schedule(async () => ++calls, controller.signal);
+            controller.abort();
+
+            await expect(queued).rejects.toBeInstanceOf(SearchCancelledError);
+            await first;
+            expect(calls).toBe(1);
+            expect(limiter.active).toBe(0);
+        });
+    });
+
+    describe('withProgressiveSearch', () => {
+        it('should keep workers busy and return results in date order', async () => {
+            vi.spyOn(console, 'log').mockImplementation(() => {});
+            const finished = [];
+
+            const { results } = await withProgressiveSearch(['slow', 'a', 'b', 'c'], async (date) => {
+                await sleep(date === 'slow' ? 60 : 5);
+                finished.push(date);
+                return date;
+            }, 2);
+
+            // The fast dates finish while the slow one is still running
+            expect(finished).toEqual(['a', 'b', 'c', 'slow']);
+            expect(results).toEqual(['slow', 'a', 'b', 'c']);
+            vi.restoreAllMocks();
+        });
+
+        it('should not multiply requests in nested searches', async () => {
+            vi.spyOn(console, 'log').mockImplementation(() => {});
+            configureRequestLimiter({ maxConcurrency: 3, maxRequestsPerSecond: 50 });
+            let running = 0;
+            let maxRunning = 0;
+            const request = () => scheduleRequest(async () => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await sleep(5);
+                running--;
+            });
+
+            await withProgressiveSearch(['1', '2', '3'], async () => {
+                await withProgressiveSearch(['x', 'y', 'z'], request, 3);
+                return true;
+            }, 3);
+
+            expect(maxRunning).toBeLessThanOrEqual(3);
+            vi.restoreAllMocks();
+        });
+
+        it('should stop starting dates once cancelled and keep the finished ones', async () => {
+            vi.spyOn(console, 'log').mockImplementation(() => {});
+            const controller = new AbortController();
+            const started = [];
+
+            const search = await withProgressiveSearch(['1', '2', '3', '4'], async (date) => {
+                started.push(date);
+                await sleep(10);
+                if (date === '2') controller.abort();
+                return date;
+            }, 1, controller.signal);
+
+            expect(started).toEqual(['1', '2']);
+            expect(search.results).toEqual(['1', '2']);
+            expect(search.cancelled).toEqual(['3', '4']);
+            expect(search.failures).toEqual([]);
+            expect(search.incomplete).toBe(true);
+            vi.restoreAllMocks();
+        });
+    });
+
+    describe('streamProgressiveSearch', () => {
+        it('should yield dates as they complete, failures included', async () => {
+            vi.spyOn(console, 'log').mockImplementation(() => {});
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const events = [];
+
+            for await (const event of streamProgressiveSearch(['slow', 'broken', 'fast'], async (date) => {
+                await sleep(date === 'slow' ? 40 : 5);
+                if (date === 'broken') return null;
+                return date.toUpperCase();
+            }, 3)) {
+                events.push(event);
+            }
+
+            expect(events.map(event => [event.type, event.date])).toEqual([
+                ['failure', 'broken'],
+                ['result', 'fast'],
+                ['result', 'slow']
+            ]);
+            expect(events[2]).toMatchObject({ index: 0, result: 'SLOW' });
+            vi.restoreAllMocks();
+        });
+
+        it('should stop searching once the consumer stops reading', async () => {
+            vi.spyOn(console, 'log').mockImplementation(() => {});
+            const client = createFakeClient(async () => {
+                await sleep(5);
+                return [{ departure: '08:00', arrival: '12:00', price: 30 }];
+            });
+            const dates = ['2025-08-15', '2025-08-16', '2025-08-17', '2025-08-18', '2025-08-19', '2025-08-20'];
+
+            for await (const event of streamProgressiveSearch(dates, async (date) => {
+                const { journeys } = await client.journeys('8011160', '8000261', { departure: new Date(`${date}T06:00:00Z`) });
+                return journeys;
+            }, 2)) {
+                expect(event.type).toBe('result');
+                break;
+            }
+            const requestsAtBreak = client.requests.length;
+            await sleep(50);
+
+            expect(requestsAtBreak).toBeLessThan(dates.length);
+            expect(client.requests).toHaveLength(requestsAtBreak);
+            vi.restoreAllMocks();
+        });
+    });
+
+    describe('withTimeout', () => {
+        it('should cancel the search on timeout and return its partial results', async () => {
+            const controller = new AbortController();
+            const search = new Promise(resolve => {
+                controller.signal.addEventListener('abort', () => resolve(['partial']));
+            });
+
+            await expect(withTimeout(search, 10, 'Test search', controller)).resolves.toEqual(['partial']);
+            expect(controller.signal.reason).toBeInstanceOf(SearchCancelledError);
+            expect(controller.signal.reason.message).toBe('Test search timed out after 10ms');
+        });
+    });
+});
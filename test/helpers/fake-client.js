@@ -0,0 +1,61 @@
+// Stand-in for the DB API (the locations and journeys calls of a hafas-client) shared by the test suites
+import { atBerlinTime, getBerlinDate, toCalendarDate } from '../../src/travel-dates.js';
+
+// Wall-clock Berlin time of a date as the API writes it, e.g. "2025-08-15T08:00:00+02:00"
+// (times from 24:00 on fall on the next day)
+export function berlinTime(date, time) {
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    const wallClock = Date.parse(`${toCalendarDate(date)}T00:00:00Z`) + (hours * 60 + minutes) * 60 * 1000;
+    const offsetMinutes = Math.round((wallClock - atBerlinTime(toCalendarDate(date), time).getTime()) / (60 * 1000));
+    const offset = `${offsetMinutes < 0 ? '-' : '+'}${String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0')}:${String(Math.abs(offsetMinutes) % 60).padStart(2, '0')}`;
+    return `${new Date(wallClock).toISOString().slice(0, 19)}${offset}`;
+}
+
+// Journey of a train on a date: { departure, arrival } are Berlin times ("08:00"), price in euros (null for no fare),
+// optionally with a name, product, tripId and stopovers (stop ids). Connections list their trains in legs instead
+// ([{ from, to, departure, arrival, name, ... }])
+export function createJourney(from, to, date, train) {
+    const legs = train.legs || [{ ...train, from, to }];
+    const journey = {
+        legs: legs.map(leg => ({
+            origin: { id: leg.from },
+            destination: { id: leg.to },
+            departure: berlinTime(date, leg.departure),
+            arrival: berlinTime(date, leg.arrival),
+            plannedDeparture: berlinTime(date, leg.departure),
+            plannedArrival: berlinTime(date, leg.arrival),
+            tripId: leg.tripId || `${leg.name || 'ICE'}-${leg.from}-${date}-${leg.departure}`,
+            line: { name: leg.name || 'ICE 501', product: leg.product || 'nationalExpress' },
+            ...(leg.stopovers ? { stopovers: leg.stopovers.map(id => ({ stop: { id } })) } : {})
+        }))
+    };
+    if (train.price !== null && train.price !== undefined) {
+        journey.price = { amount: train.price, currency: 'EUR' };
+    }
+    return journey;
+}
+
+// Fake client answering journeys with the trains getTrains({ from, to, date, options }) returns for a request
+// (date is the Berlin date of options.departure, null for laterThan/earlierThan pages). getTrains returns
+// the trains (see createJourney) or a page { trains, laterRef, earlierRef }. Every request is kept in
+// client.requests; locations answers with a single station named like the query
+export function createFakeClient(getTrains) {
+    const client = {
+        requests: [],
+        locations: async (query) => {
+            client.requests.push({ query });
+            return [{ type: 'station', id: '8011160', name: query, products: { nationalExpress: true } }];
+        },
+        journeys: async (from, to, options) => {
+            const date = options.departure ? getBerlinDate(options.departure) : null;
+            const request = { from, to, date, options };
+            client.requests.push(request);
+
+            const answer = await getTrains(request);
+            const page = Array.isArray(answer) ? { trains: answer } : answer;
+            const journeys = page.trains.map(train => createJourney(from, to, train.date || date, train));
+            return { journeys, laterRef: page.laterRef, earlierRef: page.earlierRef };
+        }
+    };
+    return client;
+}
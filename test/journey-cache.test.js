@@ -0,0 +1,69 @@
+// Test suite for the on-disk journey cache
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+    withJourneyCache,
+    configureJourneyCache,
+    clearJourneyCache,
+    getJourneyCacheKey
+} from '../src/journey-cache.js';
+import { CacheMissError } from '../src/error-handler.js';
+
+describe('Journey Cache', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'journey-cache-'));
+    let calls = 0;
+    const client = withJourneyCache({
+        journeys: async (from, to) => {
+            calls++;
+            return { journeys: [{ legs: [], price: { amount: 29.99 } }], laterRef: `${from}-${to}` };
+        }
+    });
+    const departure = new Date('2025-08-15T00:00:00Z');
+
+    beforeEach(() => {
+        calls = 0;
+        configureJourneyCache({ useCache: true, cacheOnly: false, cacheTtlMinutes: 30, cacheDirectory: directory });
+        clearJourneyCache();
+    });
+
+    afterAll(() => {
+        rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should answer repeated requests from disk', async () => {
+        const first = await client.journeys('8011160', '8000261', { departure, firstClass: false });
+        const second = await client.journeys('8011160', '8000261', { firstClass: false, departure });
+
+        expect(calls).toBe(1);
+        expect(second).toEqual(first);
+    });
+
+    it('should key requests by route, time and passengers', () => {
+        const key = getJourneyCacheKey('8011160', '8000261', { departure, age: [undefined, 8] });
+
+        expect(getJourneyCacheKey('8000261', '8011160', { departure, age: [undefined, 8] })).not.toBe(key);
+        expect(getJourneyCacheKey('8011160', '8000261', { departure: new Date('2025-08-16T00:00:00Z'), age: [undefined, 8] })).not.toBe(key);
+        expect(getJourneyCacheKey('8011160', '8000261', { departure, age: [undefined, 12] })).not.toBe(key);
+    });
+
+    it('should bypass the cache with --no-cache', async () => {
+        configureJourneyCache({ useCache: false });
+        await client.journeys('8011160', '8000261', { departure });
+        await client.journeys('8011160', '8000261', { departure });
+
+        expect(calls).toBe(2);
+    });
+
+    it('should never call the API in offline mode', async () => {
+        await client.journeys('8011160', '8000261', { departure });
+        configureJourneyCache({ cacheOnly: true, cacheTtlMinutes: 0.0001 });
+
+        // Expired entries are still good enough offline
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await expect(client.journeys('8011160', '8000261', { departure })).resolves.toBeDefined();
+        await expect(client.journeys('8002549', '8000105', { departure })).rejects.toBeInstanceOf(CacheMissError);
+        expect(calls).toBe(1);
+    });
+});
@@ -0,0 +1,275 @@
+// Test suite for the journey search building blocks
+import { describe, it, expect, beforeAll } from 'vitest';
+import { sweepDayJourneys, rankCombinations, getStayLimits, matchesRoutingConstraints, getRoutingConstraints, getJourneyOptions, searchConfig, searchRegionalTrips, searchMultiCityTrips } from '../src/journey-search.js';
+import { configureRequestLimiter } from '../src/error-handler.js';
+import { formatTime, extractJourneyInfo, parseDuration, getJourneyStopIds, getShortestTransferMinutes } from '../src/journey-utils.js';
+import { extractSearchConstraints } from '../src/search-management.js';
+import { createFakeClient, createJourney } from './helpers/fake-client.js';
+
+const DATE = '2025-08-15';
+const BERLIN = { id: '8011160', name: 'Berlin Hbf' };
+const FRANKFURT = { id: '8000105', name: 'Frankfurt(Main)Hbf' };
+const NUREMBERG = { id: '8000284', name: 'Nürnberg Hbf' };
+const MUNICH = { id: '8000261', name: 'München Hbf' };
+
+// Train of the test date leaving at a Berlin time, an hour long
+function train(departure, price = 40) {
+    const hour = parseInt(departure.slice(0, 2), 10);
+    return { date: DATE, departure, arrival: `${String(hour + 1).padStart(2, '0')}${departure.slice(2)}`, name: `ICE ${hour}`, price };
+}
+
+// Extracted journey info of a train on the test date
+function option(departure, arrival, price) {
+    return extractJourneyInfo(createJourney('8011160', '8000261', DATE, { departure, arrival, price }));
+}
+
+// Client answering each request with a page by its reference (departure requests get the 'first' page)
+function createPagedClient(pages) {
+    return createFakeClient(({ options }) => pages[options.laterThan || options.earlierThan || 'first']);
+}
+
+// Berlin departure times of swept journeys
+function departureTimes(journeys) {
+    return journeys.map(journey => formatTime(journey.legs[0].plannedDeparture));
+}
+
+describe('Day sweep', () => {
+    beforeAll(() => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+    });
+
+    it('should page forward with laterRef, skip journeys seen before and stop past the window end', async () => {
+        const client = createPagedClient({
+            first: { trains: [train('06:30'), train('07:30')], laterRef: 'second' },
+            second: { trains: [train('07:30'), train('09:00')], laterRef: 'third' },
+            third: { trains: [train('11:00'), train('13:00')], laterRef: 'fourth' },
+            fourth: { trains: [train('15:00')] }
+        });
+
+        const { journeys, pages } = await sweepDayJourneys(client, '8011160', '8000261', DATE, { window: { start: '00:00', end: '12:00' } });
+
+        expect(departureTimes(journeys)).toEqual(['06:30', '07:30', '09:00', '11:00']);
+        expect(pages).toBe(3);
+        expect(client.requests.map(request => request.options.laterThan)).toEqual([undefined, 'second', 'third']);
+    });
+
+    it('should page backward when the first page starts after the window opens', async () => {
+        const client = createPagedClient({
+            first: { trains: [train('08:00'), train('09:30')], earlierRef: 'earlier' },
+            earlier: { trains: [train('05:30'), train('07:00')], earlierRef: 'earliest' }
+        });
+
+        const { journeys, pages } = await sweepDayJourneys(client, '8011160', '8000261', DATE, { window: { start: '06:00', end: '09:00' } });
+
+        // The 05:30 and 09:30 trains leave outside the window
+        expect(departureTimes(journeys)).toEqual(['07:00', '08:00']);
+        expect(pages).toBe(2);
+        expect(client.requests[1].options.earlierThan).toBe('earlier');
+    });
+
+    it('should stop after maxPages and when a page adds nothing new', async () => {
+        const endless = createFakeClient(({ options }) => {
+            const page = options.laterThan ? parseInt(options.laterThan, 10) : 0;
+            return { trains: [train(`0${page}:00`)], laterRef: String(page + 1) };
+        });
+        const repeating = createPagedClient({
+            first: { trains: [train('06:00')], laterRef: 'again' },
+            again: { trains: [train('06:00')], laterRef: 'again' }
+        });
+
+        const capped = await sweepDayJourneys(endless, '8011160', '8000261', DATE, { maxPages: 3 });
+        const stalled = await sweepDayJourneys(repeating, '8011160', '8000261', DATE);
+
+        expect(capped.pages).toBe(3);
+        expect(departureTimes(capped.journeys)).toEqual(['00:00', '01:00', '02:00']);
+        expect(stalled.pages).toBe(2);
+        expect(stalled.journeys).toHaveLength(1);
+    });
+});
+
+describe('Combination ranking', () => {
+    const outbound = [option('06:00', '09:00', 30), option('10:00', '13:00', 20)];
+    const returns = [option('12:00', '15:00', 25), option('17:00', '20:00', 40), option('21:00', '23:59', 35)];
+
+    it('should pair every outbound with the returns leaving after it arrives, cheapest first', () => {
+        const combinations = rankCombinations(outbound, returns, 10);
+
+        // The 12:00 return leaves before the 10:00 outbound arrives at 13:00
+        expect(combinations.map(combination => [combination.outbound.price, combination.return.price, combination.timeAtDestination])).toEqual([
+            [30, 25, 3 * 60],
+            [20, 35, 8 * 60],
+            [20, 40, 4 * 60],
+            [30, 35, 12 * 60],
+            [30, 40, 8 * 60]
+        ]);
+        expect(rankCombinations(outbound, returns, 2)).toHaveLength(2);
+        expect(rankCombinations([option('13:00', '16:00', 20)], [option('16:00', '19:00', 20)], 10)).toEqual([]);
+    });
+
+    it('should keep only pairs within the stay limits', () => {
+        const stayLimits = getStayLimits({ preferences: { minStayMinutes: parseDuration('4h'), maxStayMinutes: parseDuration('8h') } });
+
+        const combinations = rankCombinations(outbound, returns, 10, stayLimits);
+
+        expect(stayLimits).toEqual({ minMinutes: 240, maxMinutes: 480 });
+        expect(combinations.map(combination => combination.timeAtDestination)).toEqual([480, 240, 480]);
+        expect(rankCombinations(outbound, returns, 10, { minMinutes: 13 * 60 })).toEqual([]);
+        expect(rankCombinations(outbound, returns, 10, { maxMinutes: 3 * 60 }).map(combination => combination.totalPrice)).toEqual([55]);
+    });
+
+    it('should parse durations and reject malformed ones', () => {
+        expect(parseDuration('4h')).toBe(240);
+        expect(parseDuration('90m')).toBe(90);
+        expect(parseDuration('4h30m')).toBe(270);
+        expect(parseDuration('1d')).toBe(1440);
+        expect(parseDuration('2.5')).toBe(150);
+        expect(parseDuration(' 3H ')).toBe(180);
+
+        ['', '   ', 'h', '4x', '-2h', 'four hours', '4h 30', '30m4h'].forEach(input => {
+            expect(parseDuration(input)).toBeNull();
+        });
+        expect(parseDuration(null)).toBeNull();
+        expect(parseDuration(undefined)).toBeNull();
+    });
+
+    it('should only remember stay limits for same-day searches', () => {
+        const preferences = { minStayMinutes: 240, maxStayMinutes: 480, minNights: 2 };
+
+        expect(extractSearchConstraints(preferences, 'same-day')).toEqual(preferences);
+        expect(extractSearchConstraints(preferences, 'multi-day')).toEqual({ minNights: 2 });
+    });
+});
+
+describe('Routing constraints', () => {
+    // Direct train stopping at Nuremberg, a change in Frankfurt with 8 minutes to spare, and a change in Nuremberg with 25
+    const direct = createJourney(BERLIN.id, MUNICH.id, DATE, { departure: '08:00', arrival: '12:00', price: 50, stopovers: [BERLIN.id, NUREMBERG.id, MUNICH.id] });
+    const tightChange = createJourney(BERLIN.id, MUNICH.id, DATE, { price: 40, legs: [
+        { from: BERLIN.id, to: FRANKFURT.id, departure: '07:00', arrival: '11:00', name: 'ICE 597' },
+        { from: FRANKFURT.id, to: MUNICH.id, departure: '11:08', arrival: '14:30', name: 'ICE 625' }
+    ] });
+    const easyChange = createJourney(BERLIN.id, MUNICH.id, DATE, { price: 45, legs: [
+        { from: BERLIN.id, to: NUREMBERG.id, departure: '09:00', arrival: '13:00', name: 'ICE 1001' },
+        { from: NUREMBERG.id, to: MUNICH.id, departure: '13:25', arrival: '14:30', name: 'RE 4001', product: 'regional' }
+    ] });
+    const journeys = { direct, tightChange, easyChange };
+
+    // Names of the journeys a routing configuration keeps
+    const kept = (preferences) => {
+        const routing = getRoutingConstraints({ preferences });
+        return Object.keys(journeys).filter(name => matchesRoutingConstraints(journeys[name], routing));
+    };
+
+    it('should find the stops of a journey in its stopovers and leg ends', () => {
+        expect([...getJourneyStopIds(direct)].sort()).toEqual([NUREMBERG.id, MUNICH.id, BERLIN.id].sort());
+        expect(getJourneyStopIds(tightChange).has(FRANKFURT.id)).toBe(true);
+        expect(kept({})).toEqual(['direct', 'tightChange', 'easyChange']);
+    });
+
+    it('should keep journeys through the via station, passing or changing there', () => {
+        expect(kept({ viaStation: NUREMBERG })).toEqual(['direct', 'easyChange']);
+        expect(kept({ viaStation: FRANKFURT })).toEqual(['tightChange']);
+    });
+
+    it('should reject journeys touching an avoided station', () => {
+        expect(kept({ avoidStations: [NUREMBERG] })).toEqual(['tightChange']);
+        expect(kept({ avoidStations: [FRANKFURT, NUREMBERG] })).toEqual([]);
+    });
+
+    it('should reject connections shorter than the minimum transfer time', () => {
+        expect(getShortestTransferMinutes(direct)).toBeNull();
+        expect(getShortestTransferMinutes(tightChange)).toBe(8);
+        expect(getShortestTransferMinutes(easyChange)).toBe(25);
+
+        expect(kept({ minTransferMinutes: 10 })).toEqual(['direct', 'easyChange']);
+        expect(kept({ minTransferMinutes: 8 })).toEqual(['direct', 'tightChange', 'easyChange']);
+        expect(kept({ minTransferMinutes: 30 })).toEqual(['direct']);
+    });
+
+    it('should pass the routing constraints the API understands as journey options', async () => {
+        expect(getJourneyOptions({ preferences: {} })).toEqual({ firstClass: false });
+        expect(getJourneyOptions({ preferences: { maxTransfers: 0 } })).toEqual({ firstClass: false, transfers: 0 });
+        expect(getJourneyOptions({ preferences: { maxTransfers: 2, minTransferMinutes: 10 } })).toEqual({ firstClass: false, transfers: 2, transferTime: 10 });
+        expect(getJourneyOptions({ preferences: { viaStation: FRANKFURT } })).toEqual({ firstClass: false, via: FRANKFURT.id, stopovers: true });
+        expect(getJourneyOptions({ preferences: { avoidStations: [NUREMBERG] } })).toEqual({ firstClass: false, stopovers: true });
+        // Without a limit the API default (any number of transfers) applies
+        expect(searchConfig.transfers).toBe(-1);
+
+        const client = createFakeClient(() => [train('08:00')]);
+        await sweepDayJourneys(client, BERLIN.id, MUNICH.id, DATE, { journeyOptions: getJourneyOptions({ preferences: { maxTransfers: 0 } }) });
+        expect(client.requests[0].options.transfers).toBe(0);
+    });
+
+    it('should reject journeys with too many transfers or a longer duration', () => {
+        expect(kept({ maxTransfers: 0 })).toEqual(['direct']);
+        expect(kept({ maxTransfers: 1 })).toEqual(['direct', 'tightChange', 'easyChange']);
+
+        // 4h direct, 7h30 and 5h30 with a change
+        expect(kept({ maxDurationMinutes: parseDuration('5h30m') })).toEqual(['direct', 'easyChange']);
+        expect(kept({ maxDurationMinutes: parseDuration('4h') })).toEqual(['direct']);
+        expect(kept({ maxDurationMinutes: parseDuration('3h') })).toEqual([]);
+    });
+});
+
+describe('Regional comparison', () => {
+    const config = { preferences: { maxConcurrency: 2, retryAttempts: 1 } };
+
+    // Regional trains every day (5h, or 4h on the 16th), an ICE only on the 15th
+    const client = createFakeClient(({ date, options }) => {
+        const regional = date === '2025-08-16'
+            ? { departure: '08:00', arrival: '12:00', name: 'RE 1', product: 'regional' }
+            : { departure: '08:00', arrival: '13:00', name: 'RE 1', product: 'regional' };
+        const longDistance = { departure: '09:00', arrival: '13:00', name: 'ICE 1001', price: 49.99 };
+        return options.products?.nationalExpress === false || date !== '2025-08-15' ? [regional] : [regional, longDistance];
+    });
+
+    it('should compare the fastest regional connection with the cheapest long-distance fare', async () => {
+        const results = await searchRegionalTrips(client, config, BERLIN.id, MUNICH.id, '2025-08-15', '2025-08-16');
+
+        expect(results.map(result => [result.date, result.totalPrice, result.regional.durationMinutes, result.extraMinutes])).toEqual([
+            ['Fri, Aug 15, 2025', 49.99, 300, 60],
+            // Without a long-distance fare there is no price to compare (and none to sort by)
+            ['Sat, Aug 16, 2025', null, 240, null]
+        ]);
+    });
+});
+
+describe('Multi-city itineraries', () => {
+    const config = { preferences: { maxConcurrency: 2, retryAttempts: 1 } };
+    const stops = [{ station: FRANKFURT.id, nights: 1 }, { station: MUNICH.id, nights: 2 }];
+
+    // Berlin → Frankfurt by a cheap night train (22:00, arriving at 10:00 the next morning) or a day train,
+    // Frankfurt → Munich at 08:00 (cheapest) or 12:00, and one train home
+    const createRouteClient = (nightTrainArrival) => createFakeClient(({ from }) => {
+        if (from === BERLIN.id) {
+            return [
+                { departure: '22:00', arrival: nightTrainArrival, name: 'NJ 40421', price: 19 },
+                { departure: '09:00', arrival: '13:00', name: 'ICE 597', price: 45 }
+            ];
+        }
+        if (from === FRANKFURT.id) {
+            return [
+                { departure: '08:00', arrival: '11:30', name: 'ICE 623', price: 20 },
+                { departure: '12:00', arrival: '15:30', name: 'ICE 625', price: 35 }
+            ];
+        }
+        return [{ departure: '10:00', arrival: '14:00', name: 'ICE 1006', price: 30 }];
+    });
+
+    // Leg trains and prices of an itinerary
+    const describeLegs = (result) => result.legs.map(leg => [leg.journey.trainName, leg.totalPrice]);
+
+    it('should only chain legs that arrive before the next one leaves', async () => {
+        const [itinerary] = await searchMultiCityTrips(createRouteClient('34:00'), config, BERLIN.id, BERLIN.id, '2025-08-15', '2025-08-15', stops);
+
+        // The night train arrives after the cheapest Frankfurt → Munich train has left
+        expect(describeLegs(itinerary)).toEqual([['NJ 40421', 19], ['ICE 625', 35], ['ICE 1006', 30]]);
+        expect(itinerary.totalPrice).toBe(84);
+    });
+
+    it('should take the cheapest journey of every leg when they connect', async () => {
+        const [itinerary] = await searchMultiCityTrips(createRouteClient('30:00'), config, BERLIN.id, BERLIN.id, '2025-08-15', '2025-08-15', stops);
+
+        expect(describeLegs(itinerary)).toEqual([['NJ 40421', 19], ['ICE 623', 20], ['ICE 1006', 30]]);
+        expect(itinerary.totalPrice).toBe(69);
+    });
+});
@@ -0,0 +1,57 @@
+// Test suite for the bot's live "best so far" search message
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { PriceHunter, TRIP_TYPES, configureRequestLimiter } from '../index.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+// Fares are only recorded outside a replay, so a replay directory keeps the price history untouched
+vi.stubEnv('BOT_REPLAY_DIR', 'test-fixtures');
+const { searchWithLiveProgress } = await import('../bot/utils/live-progress.js');
+
+// Stand-in for a grammY context, keeping the texts the progress message was edited to
+function createFakeContext() {
+    const edits = [];
+    return {
+        edits,
+        chat: { id: 42 },
+        api: {
+            editMessageText: async (chatId, messageId, text) => {
+                edits.push(text);
+            }
+        }
+    };
+}
+
+describe('Live search progress', () => {
+    beforeAll(() => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+    });
+
+    afterAll(() => {
+        vi.unstubAllEnvs();
+    });
+
+    it('should show the best result of the streamed dates and return the results in date order', async () => {
+        const prices = { '2025-08-15': 50, '2025-08-16': 30, '2025-08-17': 40 };
+        const client = createFakeClient(async ({ date }) => {
+            // The first date completes last
+            await new Promise(resolve => setTimeout(resolve, date === '2025-08-15' ? 30 : 5));
+            return [{ departure: '08:00', arrival: '12:00', price: prices[date] }];
+        });
+        const hunter = new PriceHunter({ client });
+        const ctx = createFakeContext();
+
+        const results = await searchWithLiveProgress(ctx, { message_id: 7 }, hunter, {
+            tripType: TRIP_TYPES.ONE_WAY,
+            from: '8011160',
+            to: '8000261',
+            startDate: '2025-08-15',
+            endDate: '2025-08-17'
+        });
+
+        expect(results.map(result => result.totalPrice)).toEqual([50, 30, 40]);
+        // Later edits wait out the Telegram rate limit, so only the first completed date is shown
+        expect(ctx.edits).toHaveLength(1);
+        expect(ctx.edits[0]).toContain('(1/3 dates done)');
+        expect(ctx.edits[0]).toContain('€30.00');
+    });
+});
@@ -50,6 +50,20 @@ describe('Output Formatters', () => {
             
             expect(parsed.metadata.route.returnDeparture).toBe('Dortmund Hbf');
         });
+
+        it('should include ranked combinations with time at destination', () => {
+            const results = [{
+                ...mockResults[0],
+                combinations: [
+                    { totalPrice: 89.90, outbound: mockResults[0].outbound, return: mockResults[0].return, timeAtDestination: 364 }
+                ]
+            }];
+            const parsed = JSON.parse(formatAsJson(results, 'same-day', 'Berlin Hbf', 'München Hbf'));
+
+            expect(parsed.results[0].combinations).toHaveLength(1);
+            expect(parsed.results[0].combinations[0].timeAtDestination).toBe(364);
+            expect(parsed.results[0].combinations[0].return.trainName).toBe('ICE 1006');
+        });
     });
 
     describe('formatAsCsv', () => {
@@ -83,6 +97,38 @@ describe('Output Formatters', () => {
             expect(lines[1]).toContain('ICE 587');
             expect(lines[1]).toContain('44.95');
         });
+
+        it('should add 1st class price and upgrade columns when comparing classes', () => {
+            const results = [{ ...mockResults[0], firstClassPrice: 129.90 }];
+            const lines = formatAsCsv(results, 'same-day', { compareClasses: true }).split('\n');
+
+            expect(lines[0]).toMatch(/Total Price,First Class Total,Upgrade$/);
+            expect(lines[1]).toMatch(/,89\.90,129\.90,40\.00$/);
+        });
+
+        it('should show the regional connection next to the long-distance fare', () => {
+            const regionalResults = [
+                {
+                    date: 'Mon, Aug 15, 2025',
+                    totalPrice: 44.95,
+                    regional: { trainName: 'RE 1 + RB 23', departure: '2025-08-15T08:05:00', arrival: '2025-08-15T13:17:00', transfers: 1, durationMinutes: 312 },
+                    longDistance: { ...mockResults[0].outbound, durationMinutes: 234 },
+                    extraMinutes: 78
+                },
+                {
+                    date: 'Tue, Aug 16, 2025',
+                    totalPrice: null,
+                    regional: { trainName: 'RE 1', departure: '2025-08-16T08:05:00', arrival: '2025-08-16T13:05:00', transfers: 0, durationMinutes: 300 },
+                    longDistance: null,
+                    extraMinutes: null
+                }
+            ];
+            const lines = formatAsCsv(regionalResults, 'regional').split('\n');
+
+            expect(lines[0]).toMatch(/^Date,Regional Trains,.*,Long-distance Price,Extra Minutes$/);
+            expect(lines[1]).toMatch(/,312,"ICE 587",.*,234,44\.95,78$/);
+            expect(lines[2]).toMatch(/,300,,,,,,,$/);
+        });
     });
 
     describe('ProgressIndicator', () => {
@@ -0,0 +1,55 @@
+// Test suite for passenger profiles
+import { describe, it, expect } from 'vitest';
+import {
+    buildPassengerOptions,
+    describePassengers,
+    parseChildAges,
+    validatePassengers
+} from '../src/passengers.js';
+
+describe('Passengers', () => {
+    describe('buildPassengerOptions', () => {
+        it('should keep the API default for a single adult', () => {
+            expect(buildPassengerOptions(undefined)).toEqual({ firstClass: false });
+            expect(buildPassengerOptions({ travelClass: 1 })).toEqual({ firstClass: true });
+        });
+
+        it('should send one entry per traveller with BahnCard for adults only', () => {
+            const options = buildPassengerOptions({ adults: 2, children: [8], bahnCard: 50, travelClass: 2 });
+
+            expect(options.age).toEqual([undefined, undefined, 8]);
+            expect(options.loyaltyCard).toHaveLength(3);
+            expect(options.loyaltyCard[0]).toMatchObject({ discount: 50, class: 2 });
+            expect(options.loyaltyCard[2]).toBeNull();
+        });
+
+        it('should send infants with an age the client keeps', () => {
+            const options = buildPassengerOptions({ adults: 1, children: [0] });
+            expect(options.age).toEqual([undefined, 1]);
+        });
+    });
+
+    describe('validatePassengers', () => {
+        it('should accept valid profiles', () => {
+            expect(validatePassengers({ adults: 2, children: [4, 12], bahnCard: 25, travelClass: 1 })).toEqual([]);
+        });
+
+        it('should reject invalid profiles', () => {
+            expect(validatePassengers({ adults: 0 })).toContain('At least one traveller is required');
+            expect(validatePassengers({ bahnCard: 30 })).toHaveLength(1);
+            expect(validatePassengers({ children: [21] })).toHaveLength(1);
+        });
+    });
+
+    describe('parseChildAges', () => {
+        it('should parse comma separated ages', () => {
+            expect(parseChildAges('8, 12')).toEqual([8, 12]);
+            expect(parseChildAges('')).toEqual([]);
+            expect(parseChildAges('eight')).toBeNull();
+        });
+    });
+
+    it('should describe the group', () => {
+        expect(describePassengers({ adults: 2, children: [8], bahnCard: 50 })).toBe('2 adults, 1 child (8) · BahnCard 50 · 2nd class');
+    });
+});
@@ -0,0 +1,160 @@
+// Test suite for the local price history
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, appendFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PriceHunter, PriceHistory, attachPriceHistory, summarizePriceHistory, describeVerdict, TRIP_TYPES, configureRequestLimiter, configureJourneyCache } from '../index.js';
+import { withJourneyCache } from '../src/journey-cache.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+// Two trains a day, the later one €10 dearer
+function createTwoTrainClient() {
+    return createFakeClient(() => [
+        { departure: '08:00', arrival: '08:30', name: 'ICE 08', price: 40 },
+        { departure: '12:00', arrival: '12:30', name: 'ICE 12', price: 50 }
+    ]);
+}
+
+// One recorded fare
+function observation(date, price, observedAt, fare = '1 adult · 2nd class', train = 'ICE 501') {
+    return { observedAt, from: '8011160', to: '8000261', date, fare, train, departure: `${date}T08:00:00+02:00`, arrival: `${date}T12:00:00+02:00`, transfers: 0, price, currency: 'EUR' };
+}
+
+describe('PriceHistory', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = mkdtempSync(join(tmpdir(), 'price-history-'));
+    });
+
+    afterEach(() => {
+        rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should query a route by travel dates and fare', () => {
+        const history = new PriceHistory(directory);
+        history.record([
+            observation('2025-08-02', 30, '2025-07-01T10:00:00.000Z'),
+            observation('2025-08-01', 45, '2025-07-02T10:00:00.000Z'),
+            observation('2025-08-01', 35, '2025-07-01T10:00:00.000Z'),
+            observation('2025-08-01', 90, '2025-07-01T10:00:00.000Z', '1 adult · 1st class'),
+            observation('2025-08-05', 20, '2025-07-01T10:00:00.000Z')
+        ]);
+        // An interrupted write leaves a damaged line behind
+        appendFileSync(history.getRouteFile('8011160', '8000261'), '{"observedAt":');
+
+        const observations = history.query('8011160', '8000261', { startDate: '2025-08-01', endDate: '2025-08-02', fare: '1 adult · 2nd class' });
+
+        expect(observations.map(item => [item.date, item.price])).toEqual([['2025-08-01', 35], ['2025-08-01', 45], ['2025-08-02', 30]]);
+        expect(history.query('8000261', '8011160')).toEqual([]);
+        expect(history.listRoutes()).toEqual([{ from: '8011160', to: '8000261' }]);
+
+        const summary = summarizePriceHistory(observations);
+        expect(summary).toMatchObject({ observations: 3, lowest: 30, median: 35, highest: 45 });
+        expect(summary.dates[0]).toMatchObject({ date: '2025-08-01', lowest: 35, median: 40, highest: 45, latest: { price: 45, observedAt: '2025-07-02T10:00:00.000Z' } });
+    });
+
+    it('should record the fares every search sweeps', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const history = new PriceHistory(directory);
+        const hunter = new PriceHunter({ client: createTwoTrainClient(), preferences: { passengers: { adults: 2 } } });
+        attachPriceHistory(hunter.events, history, () => new Date('2025-07-20T09:00:00Z'));
+
+        await hunter.search({ tripType: TRIP_TYPES.ONE_WAY, from: '8011160', to: '8000261', startDate: '2025-08-01', endDate: '2025-08-02' });
+
+        const observations = history.query('8011160', '8000261');
+        expect(observations.map(item => [item.date, item.train, item.price])).toEqual([
+            ['2025-08-01', 'ICE 08', 40],
+            ['2025-08-01', 'ICE 12', 50],
+            ['2025-08-02', 'ICE 08', 40],
+            ['2025-08-02', 'ICE 12', 50]
+        ]);
+        expect(observations.every(item => item.fare === '2 adults · 2nd class' && item.observedAt === '2025-07-20T09:00:00.000Z')).toBe(true);
+    });
+
+    it('should not record fares again when the journey cache answers the search', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        configureJourneyCache({ useCache: true, cacheOnly: false, cacheTtlMinutes: 30, cacheDirectory: join(directory, 'cache') });
+        const history = new PriceHistory(directory);
+        const hunter = new PriceHunter({ client: withJourneyCache(createTwoTrainClient()) });
+        attachPriceHistory(hunter.events, history);
+        const request = { tripType: TRIP_TYPES.ONE_WAY, from: '8011160', to: '8000261', startDate: '2025-08-01' };
+
+        await hunter.search(request);
+        await hunter.search(request);
+
+        expect(history.query('8011160', '8000261').map(item => [item.train, item.price])).toEqual([['ICE 08', 40], ['ICE 12', 50]]);
+    });
+
+    it('should record the constraints of a sweep and judge prices without constrained fares', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const history = new PriceHistory(directory);
+        const request = { tripType: TRIP_TYPES.ONE_WAY, from: '8011160', to: '8000261', startDate: '2025-08-01' };
+        const constrained = new PriceHunter({ client: createTwoTrainClient(), preferences: { maxTransfers: 0 } });
+        attachPriceHistory(constrained.events, history);
+
+        await constrained.search(request);
+        expect(history.query('8011160', '8000261', { constraints: 'direct trains only' }).map(item => item.train)).toEqual(['ICE 08', 'ICE 12']);
+        expect(history.query('8011160', '8000261', { constraints: null })).toEqual([]);
+
+        // The regional-only sweep of a comparison is told apart from its long-distance sweep
+        const regional = new PriceHunter({
+            client: createFakeClient(({ options }) => options.products?.nationalExpress === false
+                ? [{ departure: '08:00', arrival: '12:00', name: 'RE 1', product: 'regional', price: 9 }]
+                : [{ departure: '09:00', arrival: '11:00', name: 'ICE 09', price: 60 }])
+        });
+        attachPriceHistory(regional.events, history);
+
+        await regional.search({ ...request, tripType: TRIP_TYPES.REGIONAL });
+        expect(history.query('8011160', '8000261', { constraints: 'regional trains only' }).map(item => [item.train, item.price])).toEqual([['RE 1', 9]]);
+        expect(history.query('8011160', '8000261', { constraints: null }).map(item => [item.train, item.price])).toEqual([['ICE 09', 60]]);
+
+        const hunter = new PriceHunter({ client: createTwoTrainClient() });
+        const results = hunter.addVerdicts(await hunter.search(request), request, history);
+        expect(results[0].verdict).toMatchObject({ price: 40, observations: 1, lowest: 60, highest: 60 });
+    });
+
+    it('should judge prices against the same weekday and the earlier sightings of the train', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const history = new PriceHistory(directory);
+        history.record([
+            observation('2025-07-25', 45, '2025-07-01T10:00:00.000Z'),
+            observation('2025-07-25', 60, '2025-07-01T10:00:00.000Z'),
+            observation('2025-07-26', 20, '2025-07-01T10:00:00.000Z'),
+            observation('2025-08-01', 45, '2025-07-10T10:00:00.000Z', '1 adult · 2nd class', 'ICE 08')
+        ]);
+        const hunter = new PriceHunter({ client: createTwoTrainClient() });
+        attachPriceHistory(hunter.events, history, () => new Date('2025-07-20T09:00:00Z'));
+        const request = { tripType: TRIP_TYPES.ONE_WAY, from: '8011160', to: '8000261', startDate: '2025-08-01' };
+
+        const results = hunter.addVerdicts(await hunter.search(request), request, history, new Date('2025-07-20T08:00:00Z'));
+
+        // Fridays only (not the €20 Saturday), the cheapest fare of each date and run (not the €60 train),
+        // and not the prices the search recorded itself
+        expect(results[0].verdict).toMatchObject({ price: 40, observations: 2, lowest: 45, median: 45, highest: 45, percentFromMedian: -11, badge: 'lowest seen' });
+        expect(results[0].verdict.trend).toMatchObject({ previousPrice: 45, change: -5, since: '2025-07-10T10:00:00.000Z' });
+        expect(describeVerdict(results[0].verdict)).toBe('lowest seen · ↓ €5.00 since 10.07.');
+        expect(JSON.parse(hunter.format(results, 'json', request)).results[0].verdict.badge).toBe('lowest seen');
+        expect(hunter.addVerdicts(results, { ...request, to: '8000105' }, history)[0].verdict).toBeNull();
+    });
+
+    it('should judge the cheapest fare of a date against the cheapest fares of earlier runs', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const history = new PriceHistory(directory);
+        // Three earlier Friday searches, each seeing a cheap early train and dearer peak-hour trains
+        history.record([35, 40, 45].flatMap((cheapest, run) => {
+            const observedAt = `2025-07-0${run + 1}T10:00:00.000Z`;
+            return [
+                observation('2025-07-25', cheapest, observedAt, '1 adult · 2nd class', 'ICE 06'),
+                observation('2025-07-25', 89, observedAt, '1 adult · 2nd class', 'ICE 17'),
+                observation('2025-07-25', 109, observedAt, '1 adult · 2nd class', 'ICE 18')
+            ];
+        }));
+        const hunter = new PriceHunter({ client: createTwoTrainClient() });
+        const request = { tripType: TRIP_TYPES.ONE_WAY, from: '8011160', to: '8000261', startDate: '2025-08-01' };
+
+        const results = hunter.addVerdicts(await hunter.search(request), request, history);
+
+        expect(results[0].verdict).toMatchObject({ price: 40, observations: 3, lowest: 35, median: 40, highest: 45, percentFromMedian: 0, badge: 'at median' });
+    });
+});
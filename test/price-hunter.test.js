@@ -0,0 +1,179 @@
+// Test suite for the programmatic PriceHunter API
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { PriceHunter, TRIP_TYPES, configureRequestLimiter, ValidationError } from '../index.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+// One train a day, cheaper later in the month
+function createDailyClient() {
+    return createFakeClient(({ date }) => [{ departure: '08:00', arrival: '12:00', price: 60 - Number(date.slice(8)) }]);
+}
+
+// One train each way a day: outbound €30, return fares by date
+function createReturnWindowClient() {
+    const returnPrices = { '2025-08-08': 50, '2025-08-09': 20, '2025-08-10': 30 };
+    return createFakeClient(({ from, date }) => from === '8011160'
+        ? [{ departure: '08:00', arrival: '12:00', price: 30 }]
+        : [{ departure: '17:00', arrival: '21:00', price: returnPrices[date] }]);
+}
+
+// One train a day on each leg of Berlin → Munich → Frankfurt → Berlin
+function createItineraryClient() {
+    const prices = {
+        '8011160-8000261': { '2025-08-01': 40, '2025-08-02': 30 },
+        '8000261-8000105': { '2025-08-03': 20, '2025-08-04': 25 },
+        '8000105-8011160': { '2025-08-06': 35, '2025-08-07': 30 }
+    };
+    return createFakeClient(({ from, to, date }) => [{ departure: '09:00', arrival: '13:00', name: 'ICE 601', price: prices[`${from}-${to}`][date] }]);
+}
+
+describe('PriceHunter', () => {
+    // 10:30 in Berlin, whatever the host's time zone
+    const clock = () => new Date('2025-08-15T08:30:00Z');
+    const request = { tripType: TRIP_TYPES.ONE_WAY, from: { id: '8011160', name: 'Berlin Hbf' }, to: '8000261', endDate: '2025-08-17' };
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should search without writing to the console', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const log = vi.spyOn(console, 'log');
+        const warn = vi.spyOn(console, 'warn');
+        const hunter = new PriceHunter({ client: createDailyClient(), clock });
+
+        const station = await hunter.findStation('Berlin Hbf');
+        const results = await hunter.search(request);
+
+        // startDate defaults to the injected clock's day
+        expect(station.id).toBe('8011160');
+        expect(results.map(result => result.date)).toEqual(['Fri, Aug 15, 2025', 'Sat, Aug 16, 2025', 'Sun, Aug 17, 2025']);
+        expect(log).not.toHaveBeenCalled();
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should stream dates and stamp formatted output with the clock', async () => {
+        const hunter = new PriceHunter({ client: createDailyClient(), clock });
+        const events = [];
+
+        for await (const event of hunter.stream(request)) {
+            events.push(event);
+        }
+        const json = JSON.parse(hunter.format(events.map(event => event.result), 'json', request));
+
+        expect(events.every(event => event.type === 'result')).toBe(true);
+        expect(events).toHaveLength(3);
+        expect(json.metadata.searchTime).toBe(clock().toISOString());
+    });
+
+    it('should pair outbound dates with the cheapest return in the window and night limits', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const client = createReturnWindowClient();
+        const hunter = new PriceHunter({ client, clock });
+
+        const results = await hunter.search({
+            tripType: TRIP_TYPES.MULTI_DAY,
+            from: '8011160',
+            to: '8000261',
+            startDate: '2025-08-01',
+            endDate: '2025-08-03',
+            returnDate: '2025-08-08',
+            returnEndDate: '2025-08-10',
+            preferences: { minNights: 6, maxNights: 7 }
+        });
+
+        expect(results.map(result => [result.outboundDate, result.returnDate, result.nights, result.totalPrice])).toEqual([
+            ['Fri, Aug 1, 2025', 'Fri, Aug 8, 2025', 7, 80],
+            ['Sat, Aug 2, 2025', 'Sat, Aug 9, 2025', 7, 50],
+            ['Sun, Aug 3, 2025', 'Sat, Aug 9, 2025', 6, 50]
+        ]);
+        // Every return date is searched once and reused for each outbound date it pairs with
+        expect(client.requests.filter(request => request.from !== '8011160').map(request => request.date).sort()).toEqual(['2025-08-08', '2025-08-09', '2025-08-10']);
+    });
+
+    it('should price a matrix of outbound dates and nights from one search per date', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const client = createReturnWindowClient();
+        const hunter = new PriceHunter({ client, clock });
+        const matrixRequest = {
+            tripType: TRIP_TYPES.MATRIX,
+            from: '8011160',
+            to: '8000261',
+            startDate: '2025-08-07',
+            endDate: '2025-08-08',
+            preferences: { minNights: 1, maxNights: 2 }
+        };
+
+        const results = await hunter.search(matrixRequest);
+
+        expect(results.map(result => [result.outboundDate, ...result.cells.map(cell => cell.totalPrice)])).toEqual([
+            ['Thu, Aug 7, 2025', 80, 50],
+            ['Fri, Aug 8, 2025', 50, 60]
+        ]);
+        expect(results.map(result => [result.nights, result.totalPrice])).toEqual([[2, 50], [1, 50]]);
+        // The return on Aug 9 serves both rows but is searched once
+        expect(client.requests.filter(request => request.from !== '8011160').map(request => request.date).sort()).toEqual(['2025-08-08', '2025-08-09', '2025-08-10']);
+
+        const csv = hunter.format(results, 'csv', matrixRequest);
+        const json = JSON.parse(hunter.format(results, 'json', matrixRequest));
+        const table = hunter.format(results, 'table', matrixRequest, { color: true });
+
+        expect(csv.split('\n')).toEqual([
+            'Outbound Date,1 Night,2 Nights',
+            '"Thu, Aug 7, 2025",80.00,50.00',
+            '"Fri, Aug 8, 2025",50.00,60.00',
+            ''
+        ]);
+        expect(json.results[0]).toMatchObject({ outboundDate: 'Thu, Aug 7, 2025', totalPrice: 50, nights: 2, returnDate: 'Sat, Aug 9, 2025' });
+        expect(json.results[0].cells[1]).toMatchObject({ nights: 2, returnDate: 'Sat, Aug 9, 2025', totalPrice: 50, timeAtDestination: 2 * 24 * 60 + 5 * 60 });
+        expect(table).toContain('\x1b[32m  €50.00\x1b[0m');
+        expect(table).toContain('\x1b[31m €80.00\x1b[0m');
+        expect(hunter.format(results, 'table', matrixRequest)).not.toContain('\x1b[');
+    });
+
+    it('should search each leg of a multi-city itinerary once and total the cheapest journeys', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const client = createItineraryClient();
+        const hunter = new PriceHunter({ client, clock });
+        const itineraryRequest = {
+            tripType: TRIP_TYPES.MULTI_CITY,
+            from: { id: '8011160', name: 'Berlin Hbf' },
+            startDate: '2025-08-01',
+            endDate: '2025-08-02',
+            stops: [{ station: { id: '8000261', name: 'München Hbf' }, nights: 2 }, { station: { id: '8000105', name: 'Frankfurt Hbf' }, nights: 3 }]
+        };
+
+        const results = await hunter.search(itineraryRequest);
+
+        expect(results.map(result => [result.outboundDate, result.returnDate, result.nights, result.totalPrice])).toEqual([
+            ['Fri, Aug 1, 2025', 'Wed, Aug 6, 2025', 5, 95],
+            ['Sat, Aug 2, 2025', 'Thu, Aug 7, 2025', 5, 85]
+        ]);
+        expect(results[1].legs.map(leg => [leg.date, leg.totalPrice])).toEqual([
+            ['Sat, Aug 2, 2025', 30],
+            ['Mon, Aug 4, 2025', 25],
+            ['Thu, Aug 7, 2025', 30]
+        ]);
+        const legDates = client.requests.map(request => `${request.from}-${request.to} ${request.date}`);
+        expect(new Set(legDates).size).toBe(legDates.length);
+
+        const json = JSON.parse(hunter.format(results, 'json', itineraryRequest));
+        expect(json.results[0].legs.map(leg => `${leg.from} → ${leg.to}`)).toEqual(['Berlin Hbf → München Hbf', 'München Hbf → Frankfurt Hbf', 'Frankfurt Hbf → Berlin Hbf']);
+        expect(hunter.format(results, 'table', itineraryRequest)).toContain('Itinerary: Berlin Hbf → München Hbf (2 nights) → Frankfurt Hbf (3 nights) → Berlin Hbf');
+    });
+
+    it('should reject multi-city stops that do not make a trip', async () => {
+        const hunter = new PriceHunter({ client: createItineraryClient(), clock });
+        const itineraryRequest = { tripType: TRIP_TYPES.MULTI_CITY, from: '8011160', startDate: '2025-08-01' };
+
+        await expect(hunter.search({ ...itineraryRequest, stops: [] })).rejects.toBeInstanceOf(ValidationError);
+        await expect(hunter.search({ ...itineraryRequest, stops: [{ station: '8000261', nights: 0 }] })).rejects.toThrow('Stop 1 needs a stay of 1 to 365 nights');
+        await expect(hunter.search({ ...itineraryRequest, stops: [{ station: '8000261', nights: 2 }, { station: '8000261', nights: 2 }] })).rejects.toThrow('Leg 2 starts and ends at the same station');
+    });
+
+    it('should reject incomplete requests', async () => {
+        const hunter = new PriceHunter({ client: createDailyClient(), clock });
+
+        await expect(hunter.search({ ...request, to: null })).rejects.toBeInstanceOf(ValidationError);
+        await expect(hunter.search({ ...request, tripType: TRIP_TYPES.MULTI_DAY })).rejects.toBeInstanceOf(ValidationError);
+    });
+});
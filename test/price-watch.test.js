@@ -0,0 +1,108 @@
+// Test suite for price watches and the watch daemon
+import { describe, it, expect } from 'vitest';
+import { PriceHunter, PriceWatcher, WATCH_ALERTS, createWatch, validateWatch, describeWatch, describeWatchAlert, TRIP_TYPES, configureRequestLimiter } from '../index.js';
+import { getWatchDateRanges } from '../src/price-watch.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+const HAMBURG = { id: '8002549', name: 'Hamburg Hbf' };
+const FRANKFURT = { id: '8000105', name: 'Frankfurt(Main)Hbf' };
+
+// One train a day at the current fare, €5 dearer after the 20th
+function createFareClient(fare) {
+    return createFakeClient(({ date }) => [{ departure: '08:00', arrival: '11:30', name: 'ICE 571', price: fare.price + (date > '2025-11-20' ? 5 : 0) }]);
+}
+
+// Watch of one-way trips on the Fridays of November 2025
+function fridayWatch(options = {}) {
+    return createWatch({
+        departureStation: HAMBURG,
+        destinationStation: FRANKFURT,
+        tripType: TRIP_TYPES.ONE_WAY,
+        startDate: '2025-11-01',
+        endDate: '2025-11-30'
+    }, { weekdays: [5], maxPrice: 25, ...options }, new Date('2025-11-01T10:00:00Z'));
+}
+
+describe('Price watches', () => {
+    it('should pick the watched dates still ahead and check the watch', () => {
+        const watch = fridayWatch({ weekdays: [5, 6] });
+
+        expect(getWatchDateRanges(watch, '2025-11-15')).toEqual([
+            { startDate: '2025-11-15', endDate: '2025-11-15' },
+            { startDate: '2025-11-21', endDate: '2025-11-22' },
+            { startDate: '2025-11-28', endDate: '2025-11-29' }
+        ]);
+        expect(validateWatch(watch, '2025-11-10')).toEqual([]);
+        expect(validateWatch(watch, '2025-12-01')).toEqual(['None of the watched dates is still ahead']);
+        expect(validateWatch({ ...watch, tripType: TRIP_TYPES.MULTI_DAY, maxPrice: -1 }, '2025-11-10')).toEqual([
+            'Multi-day watches need a number of nights (--days)',
+            'The price limit must be a number of euros greater than 0'
+        ]);
+        expect(describeWatch(watch)).toBe('Hamburg Hbf → Frankfurt(Main)Hbf · one-way · Fri/Sat, Nov 1-Nov 30 · below €25.00');
+    });
+
+    it('should alert when the price crosses the limit or reaches a new low', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const fare = { price: 30 };
+        const hunter = new PriceHunter({ client: createFareClient(fare) });
+        const watches = { 'friday-frankfurt': fridayWatch() };
+        const alerts = [];
+        let now = new Date('2025-11-10T09:00:00Z');
+        const watcher = new PriceWatcher(hunter, {
+            loadWatches: () => watches,
+            saveState: (name, state) => Object.assign(watches[name], state),
+            notify: (alert) => alerts.push(alert),
+            clock: () => now
+        });
+        const runAfter = async (minutes, price) => {
+            now = new Date(now.getTime() + minutes * 60 * 1000);
+            fare.price = price;
+            return watcher.runDue();
+        };
+
+        // The first run sets the baseline, the next one is due an hour later
+        expect(await runAfter(0, 30)).toBe(1);
+        expect(watches['friday-frankfurt']).toMatchObject({ lowestPrice: 30, belowThreshold: false, lastCheckedAt: '2025-11-10T09:00:00.000Z' });
+        expect(await runAfter(30, 20)).toBe(0);
+
+        await runAfter(30, 28);
+        await runAfter(60, 24);
+        await runAfter(60, 24);
+        await runAfter(60, 22);
+
+        expect(alerts.map(alert => [alert.type, alert.price])).toEqual([
+            [WATCH_ALERTS.NEW_LOW, 28],
+            [WATCH_ALERTS.THRESHOLD, 24],
+            [WATCH_ALERTS.NEW_LOW, 22]
+        ]);
+        expect(describeWatchAlert(alerts[1])).toBe('🔔 friday-frankfurt: €24.00 on Fri, Nov 14, 2025 (Hamburg Hbf → Frankfurt(Main)Hbf) is at or below your €25.00 limit');
+        expect(describeWatchAlert(alerts[2])).toBe('📉 friday-frankfurt: new low of €22.00 on Fri, Nov 14, 2025 (Hamburg Hbf → Frankfurt(Main)Hbf), was €24.00');
+    });
+
+    it('should stagger due watches, skip snoozed ones and keep going when one fails', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const hunter = new PriceHunter({ client: createFareClient({ price: 30 }) });
+        const watches = {
+            first: fridayWatch(),
+            broken: { ...fridayWatch(), tripType: 'bus' },
+            second: fridayWatch({ intervalMinutes: 15 }),
+            snoozed: { ...fridayWatch(), snoozedUntil: '2025-11-10T12:00:00.000Z' }
+        };
+        const pauses = [];
+        const failed = [];
+        const watcher = new PriceWatcher(hunter, {
+            loadWatches: () => watches,
+            saveState: (name, state) => Object.assign(watches[name], state),
+            onError: (name) => failed.push(name),
+            clock: () => new Date('2025-11-10T09:00:00Z'),
+            sleep: async (ms) => { pauses.push(ms); },
+            staggerSeconds: 20
+        });
+
+        expect(await watcher.runDue()).toBe(3);
+        expect(pauses).toEqual([20000, 20000]);
+        expect(failed).toEqual(['broken']);
+        expect(watches.second.lowestPrice).toBe(30);
+        expect(watches.snoozed.lastCheckedAt).toBeNull();
+    });
+});
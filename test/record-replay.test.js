@@ -0,0 +1,75 @@
+// Test suite for recording and replaying client responses
+import { describe, it, expect, vi, afterAll } from 'vitest';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { execFileSync } from 'child_process';
+import { withRecording, createReplayClient } from '../src/record-replay.js';
+import { configureRequestLimiter, FixtureMissingError } from '../src/error-handler.js';
+import { searchOneWayTrips, sweepDayJourneys, getSweepOptions } from '../src/journey-search.js';
+import { loadConfig } from '../src/config.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+// A cheap morning and an expensive evening train every day
+function createFakeApi() {
+    return createFakeClient(() => [
+        { departure: '07:00', arrival: '11:00', name: 'ICE 501', price: 29.99 },
+        { departure: '18:00', arrival: '22:00', name: 'ICE 509', price: 79.99 }
+    ]);
+}
+
+describe('Record and Replay', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'fixtures-'));
+    const config = { preferences: { maxConcurrency: 2, retryAttempts: 1, maxResults: 2, useTrainAnimations: false } };
+
+    afterAll(() => {
+        rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should replay a recorded search without calling the API', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+
+        const api = createFakeApi();
+        const recorder = withRecording(api, directory);
+        await recorder.locations('Berlin Hbf');
+        const recorded = await searchOneWayTrips(recorder, config, '8011160', '8000261', '2025-08-15', '2025-08-16');
+        const callsWhileRecording = api.requests.length;
+
+        const replay = createReplayClient(directory);
+        const replayed = await searchOneWayTrips(replay, config, '8011160', '8000261', '2025-08-15', '2025-08-16');
+
+        expect(readdirSync(directory)).toHaveLength(3);
+        expect(await replay.locations('Berlin Hbf')).toEqual([{ type: 'station', id: '8011160', name: 'Berlin Hbf', products: { nationalExpress: true } }]);
+        expect(replayed).toEqual(recorded);
+        expect(replayed.map(result => result.totalPrice)).toEqual([29.99, 29.99]);
+        expect(api.requests).toHaveLength(callsWhileRecording);
+        vi.restoreAllMocks();
+    });
+
+    it('should report requests that were never recorded', async () => {
+        const replay = createReplayClient(directory);
+
+        await expect(replay.locations('Hamburg Hbf')).rejects.toBeInstanceOf(FixtureMissingError);
+        expect(() => createReplayClient(join(directory, 'missing'))).toThrow(FixtureMissingError);
+    });
+
+    it('should list the trains of a day with --debug-trains', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const debugDirectory = join(directory, 'debug');
+        // Berlin and Munich are popular cities, so the command only sweeps the day
+        await sweepDayJourneys(withRecording(createFakeApi(), debugDirectory), '8011160', '8000261', '2025-08-15', getSweepOptions(loadConfig()));
+
+        const output = execFileSync(process.execPath, ['--no-warnings', 'db-price-analyzer.js', '--debug-trains', '--debug-from', 'Berlin', '--debug-to', 'Munich', '--debug-date', '2025-08-15', '--replay', debugDirectory], { encoding: 'utf8' });
+
+        expect(output).toContain('Total unique journeys found: 2');
+        expect(output).toContain('- €29.99');
+        expect(output).toContain('- €79.99');
+    });
+
+    it('should fail --debug-trains when the trains cannot be fetched', () => {
+        const run = () => execFileSync(process.execPath, ['--no-warnings', 'db-price-analyzer.js', '--debug-trains', '--debug-from', 'Berlin', '--debug-to', 'Hamburg', '--debug-date', '2025-08-15', '--replay', directory], { encoding: 'utf8', stdio: 'pipe' });
+
+        expect(run).toThrow(/Error fetching trains/);
+    });
+});
@@ -0,0 +1,46 @@
+// Test suite for the console view of search results
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { displayResults } from '../src/results-display.js';
+import { TRIP_TYPES } from '../src/journey-search.js';
+
+// Regional comparison of a date; the long-distance train leaves at 09:00 and takes longDistanceMinutes
+function regionalResult(date, regionalMinutes, longDistanceMinutes, price = 49.99) {
+    const timed = (departure, minutes, trainName) => ({
+        trainName,
+        departure: `${date}T${departure}:00+02:00`,
+        arrival: new Date(Date.parse(`${date}T${departure}:00+02:00`) + minutes * 60 * 1000).toISOString(),
+        transfers: 0,
+        durationMinutes: minutes
+    });
+    const longDistance = longDistanceMinutes === null ? null : { ...timed('09:00', longDistanceMinutes, 'ICE 1001'), price };
+    return {
+        date,
+        totalPrice: longDistance ? price : null,
+        regional: timed('08:00', regionalMinutes, 'RE 1'),
+        longDistance,
+        extraMinutes: longDistance ? regionalMinutes - longDistanceMinutes : null
+    };
+}
+
+describe('Results display', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should tell whether the regional connection is slower, just as fast or faster', () => {
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        displayResults([
+            regionalResult('2025-08-15', 300, 240),
+            regionalResult('2025-08-16', 240, 240),
+            regionalResult('2025-08-17', 200, 240),
+            regionalResult('2025-08-18', 240, null)
+        ], TRIP_TYPES.REGIONAL, 'Berlin Hbf', 'Leipzig Hbf');
+        const lines = log.mock.calls.map(call => call[0]);
+
+        expect(lines).toContain('      ⏱️  Regional takes 1h longer and saves €49.99');
+        expect(lines).toContain('      ⏱️  Regional is just as fast and saves €49.99');
+        expect(lines).toContain('      ⏱️  Regional is 40m faster and saves €49.99');
+        expect(lines).toContain('      🚄 No long-distance fare found');
+    });
+});
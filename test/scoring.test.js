@@ -0,0 +1,102 @@
+// Test suite for result scoring
+import { describe, it, expect } from 'vitest';
+import {
+    filterParetoOptimal,
+    rankResults,
+    scoreResult,
+    sortResults,
+    validateWeights
+} from '../src/scoring.js';
+
+// One-way result departing at the given (Berlin summer) time and taking the given minutes
+function oneWay(date, price, departure, minutes, transfers = 0) {
+    const start = new Date(`${date}T${departure}:00+02:00`);
+    return {
+        date,
+        totalPrice: price,
+        journey: {
+            departure: start.toISOString(),
+            arrival: new Date(start.getTime() + minutes * 60 * 1000).toISOString(),
+            transfers,
+            price
+        }
+    };
+}
+
+// Regional result departing at 08:00 (Berlin summer time), with the long-distance fare of the date or null
+function regional(date, totalPrice, minutes) {
+    return {
+        date,
+        totalPrice,
+        regional: { departure: `${date}T08:00:00+02:00`, arrival: new Date(Date.parse(`${date}T08:00:00+02:00`) + minutes * 60 * 1000).toISOString(), transfers: 1 }
+    };
+}
+
+describe('Scoring', () => {
+    const cheapSlow = oneWay('2025-08-15', 19.99, '06:00', 360, 2);
+    const fastExpensive = oneWay('2025-08-16', 79.99, '09:00', 240, 0);
+    const dominated = oneWay('2025-08-15', 89.99, '07:00', 300, 1);
+
+    describe('scoreResult', () => {
+        it('should add travel time and transfers in euros', () => {
+            expect(scoreResult(cheapSlow, { euroPerHour: 10, euroPerTransfer: 5 })).toBe(89.99);
+            expect(scoreResult(fastExpensive, { euroPerHour: 10, euroPerTransfer: 5 })).toBe(119.99);
+        });
+
+        it('should penalise departures away from the preferred time', () => {
+            const weights = { euroPerHour: 0, euroPerTransfer: 0, preferredDeparture: '08:00', euroPerHourFromPreferred: 6 };
+            expect(scoreResult(fastExpensive, weights)).toBe(85.99);
+        });
+    });
+
+    describe('sortResults', () => {
+        it('should sort by the chosen criterion', () => {
+            const results = [dominated, fastExpensive, cheapSlow];
+
+            expect(sortResults(results, 'price')).toEqual([cheapSlow, fastExpensive, dominated]);
+            expect(sortResults(results, 'duration')).toEqual([fastExpensive, dominated, cheapSlow]);
+            expect(sortResults(results, 'departure')).toEqual([cheapSlow, dominated, fastExpensive]);
+            expect(sortResults(results, 'score', { euroPerHour: 40 })[0]).toBe(fastExpensive);
+        });
+
+        it('should put results without a price after the priced ones', () => {
+            const noFare = regional('2025-08-15', null, 300);
+            const cheap = regional('2025-08-16', 19.99, 330);
+            const dear = regional('2025-08-17', 49.99, 310);
+
+            expect(sortResults([noFare, dear, cheap], 'price')).toEqual([cheap, dear, noFare]);
+            expect(sortResults([noFare, dear, cheap], 'score')).toEqual([cheap, dear, noFare]);
+            expect(sortResults([dear, cheap, noFare], 'duration')).toEqual([noFare, dear, cheap]);
+        });
+    });
+
+    describe('filterParetoOptimal', () => {
+        it('should hide results beaten on price, travel time and transfers', () => {
+            expect(filterParetoOptimal([cheapSlow, fastExpensive, dominated])).toEqual([cheapSlow, fastExpensive]);
+        });
+
+        it('should combine both legs of round trips', () => {
+            const roundTrip = (price, minutes) => ({
+                totalPrice: price,
+                outbound: oneWay('2025-08-15', price / 2, '08:00', minutes).journey,
+                return: oneWay('2025-08-15', price / 2, '18:00', minutes).journey
+            });
+
+            const results = rankResults([roundTrip(60, 300), roundTrip(50, 240), roundTrip(40, 360)], { pareto: true, sortBy: 'duration' });
+            expect(results.map(result => result.totalPrice)).toEqual([50, 40]);
+        });
+
+        it('should not let results without a price hide priced ones', () => {
+            const noFare = regional('2025-08-15', null, 300);
+            const slowerNoFare = regional('2025-08-16', null, 320);
+            const priced = regional('2025-08-17', 49.99, 310);
+
+            expect(filterParetoOptimal([noFare, slowerNoFare, priced])).toEqual([noFare, priced]);
+        });
+    });
+
+    it('should validate weights', () => {
+        expect(validateWeights({ euroPerHour: 15 })).toEqual([]);
+        expect(validateWeights({ euroPerHour: -1, preferredDeparture: '8am' })).toHaveLength(2);
+    });
+});
@@ -0,0 +1,77 @@
+// Test suite for the search event bus and its reporters
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createSearchEvents, withSearchEvents, SEARCH_EVENTS, ANY_SEARCH_EVENT } from '../src/search-events.js';
+import { attachConsoleReporter, attachJsonLinesLog } from '../src/search-reporter.js';
+import { configureRequestLimiter } from '../src/error-handler.js';
+import { searchOneWayTrips, searchFlexibleDurationTrips } from '../src/journey-search.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+// One train a day, the 16th has none
+const client = createFakeClient(({ date }) => date === '2025-08-16' ? [] : [{ departure: '08:00', arrival: '12:00', price: 39.99 }]);
+const config = { preferences: { maxConcurrency: 2, maxResults: 1 } };
+
+// Run a search on its own bus and record its events
+async function recordEvents(search) {
+    const events = createSearchEvents();
+    const recorded = [];
+    events.on(ANY_SEARCH_EVENT, event => recorded.push(event));
+    const results = await withSearchEvents(events, search);
+    return { events, recorded, results };
+}
+
+describe('Search Events', () => {
+    configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should report a search from start to done without console output', async () => {
+        const log = vi.spyOn(console, 'log');
+        const warn = vi.spyOn(console, 'warn');
+
+        const { recorded } = await recordEvents(() => searchOneWayTrips(client, config, '8011160', '8000261', '2025-08-15', '2025-08-17'));
+        const types = recorded.map(event => event.type);
+
+        expect(types[0]).toBe(SEARCH_EVENTS.SEARCH_START);
+        expect(types.at(-1)).toBe(SEARCH_EVENTS.SEARCH_DONE);
+        expect(types.filter(type => type === SEARCH_EVENTS.DATE_START)).toHaveLength(3);
+        expect(types.filter(type => type === SEARCH_EVENTS.DATE_RESULT)).toHaveLength(2);
+        expect(recorded.find(event => event.type === SEARCH_EVENTS.DATE_FAILED)).toMatchObject({ depth: 0, cancelled: false });
+        expect(recorded.at(-1).results).toHaveLength(2);
+        expect(log).not.toHaveBeenCalled();
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should search the return dates of an N-night trip once, as a nested search', async () => {
+        const requestsBefore = client.requests.length;
+        const { recorded, results } = await recordEvents(() => searchFlexibleDurationTrips(client, config, '8011160', '8000261', '2025-08-10', '2025-08-11', 2));
+        const starts = recorded.filter(event => event.type === SEARCH_EVENTS.SEARCH_START);
+
+        expect(starts.map(event => event.depth)).toEqual([0, 1]);
+        expect(starts[0]).toMatchObject({ tripType: 'multi-day', numberOfDays: 2 });
+        expect(recorded.filter(event => event.type === SEARCH_EVENTS.SEARCH_LEG).map(event => event.leg)).toEqual(['return', 'outbound']);
+        // Two departure and two return dates, each swept once
+        expect(client.requests.length - requestsBefore).toBe(4);
+        expect(results.map(result => [result.outboundDate, result.returnDate, result.totalPrice])).toEqual([
+            ['Sun, Aug 10, 2025', 'Tue, Aug 12, 2025', 79.98],
+            ['Mon, Aug 11, 2025', 'Wed, Aug 13, 2025', 79.98]
+        ]);
+    });
+
+    it('should feed the console reporter and the JSON-lines log', async () => {
+        const lines = [];
+        const logger = { log: vi.fn(), warn: vi.fn(), error: vi.fn() };
+        const events = createSearchEvents();
+        attachConsoleReporter(events, logger, { progress: false });
+        attachJsonLinesLog(events, { write: line => lines.push(line) });
+
+        await withSearchEvents(events, () => searchOneWayTrips(client, config, '8011160', '8000261', '2025-08-14', '2025-08-15'));
+
+        expect(logger.log).toHaveBeenCalledWith('\n🔍 Searching for one-way trips...\n');
+        expect(logger.log).toHaveBeenCalledWith('\n✓ Found 2 one-way options:');
+        expect(logger.warn).not.toHaveBeenCalled();
+        expect(lines.map(line => JSON.parse(line).type)).toContain(SEARCH_EVENTS.SEARCH_DONE);
+        expect(lines.every(line => line.endsWith('\n'))).toBe(true);
+    });
+});
@@ -0,0 +1,125 @@
+// Test suite for the bot's session storage
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MemorySessionStorage } from 'grammy';
+import {
+    FileSessionStorage,
+    SqliteSessionStorage,
+    createSessionStorage,
+    createInitialSession,
+    addSearchToHistory,
+    MAX_SEARCH_HISTORY
+} from '../bot/utils/session-storage.js';
+
+// node:sqlite is only there on Node.js 22.5 or newer
+const sqlite = await import('node:sqlite').catch(() => null);
+
+// Stand-in for a node:sqlite DatabaseSync, answering the statements SqliteSessionStorage prepares
+function createFakeDatabase() {
+    const rows = new Map();
+    return {
+        exec: () => {},
+        prepare: (sql) => {
+            if (sql.startsWith('SELECT')) {
+                return { get: (key) => rows.has(key) ? { value: rows.get(key) } : undefined };
+            }
+            if (sql.startsWith('INSERT')) {
+                return { run: (key, value) => rows.set(key, value) };
+            }
+            return { run: (key) => rows.delete(key) };
+        }
+    };
+}
+
+describe('Session storage', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = mkdtempSync(join(tmpdir(), 'sessions-'));
+    });
+
+    afterEach(() => {
+        rmSync(directory, { recursive: true, force: true });
+        vi.restoreAllMocks();
+    });
+
+    const backends = {
+        file: () => new FileSessionStorage(join(directory, 'sessions')),
+        sqlite: () => new SqliteSessionStorage(sqlite ? new sqlite.DatabaseSync(':memory:') : createFakeDatabase()),
+        memory: () => new MemorySessionStorage()
+    };
+
+    it.each(Object.keys(backends))('should write, read and delete sessions in %s storage', async (backend) => {
+        const storage = backends[backend]();
+        const session = { ...createInitialSession(), selectedRoute: { from: 'Berlin', to: 'Munich' } };
+
+        expect(await storage.read('42')).toBeUndefined();
+        await storage.write('42', session);
+        await storage.write('43', createInitialSession());
+        expect(await storage.read('42')).toEqual(session);
+
+        await storage.delete('42');
+        expect(await storage.read('42')).toBeUndefined();
+        expect(await storage.read('43')).toEqual(createInitialSession());
+    });
+
+    it('should pick the backend and version the stored sessions', async () => {
+        const path = join(directory, 'sessions');
+        const fileStorage = await createSessionStorage('file', { path });
+        await fileStorage.write('42', createInitialSession());
+
+        expect(JSON.parse(readFileSync(join(path, '42.json'), 'utf8'))).toEqual({ __d: createInitialSession(), v: 1 });
+        expect(await fileStorage.read('42')).toEqual(createInitialSession());
+
+        const memoryStorage = await createSessionStorage('memory');
+        await memoryStorage.write('42', createInitialSession());
+        expect(await memoryStorage.read('42')).toEqual(createInitialSession());
+
+        await expect(createSessionStorage('redis')).rejects.toThrow('Unknown session storage: redis. Must be one of: file, sqlite, free, memory');
+    });
+
+    it.runIf(sqlite)('should keep sessions in a SQLite database', async () => {
+        const storage = await createSessionStorage('sqlite', { path: ':memory:' });
+        await storage.write('42', createInitialSession());
+
+        expect(await storage.read('42')).toEqual(createInitialSession());
+    });
+
+    it.skipIf(sqlite)('should explain that SQLite sessions need a newer Node.js', async () => {
+        await expect(createSessionStorage('sqlite', { path: join(directory, 'sessions.sqlite') })).rejects.toThrow(/needs node:sqlite \(Node\.js 22\.5 or newer\)/);
+    });
+
+    it('should start over when a session file is damaged', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const path = join(directory, 'sessions');
+        const storage = await createSessionStorage('file', { path });
+        await storage.write('42', createInitialSession());
+        writeFileSync(join(path, '42.json'), '{"__d": {"selectedRo');
+
+        expect(await storage.read('42')).toBeUndefined();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not read session 42'));
+    });
+
+    it('should migrate sessions stored before they were versioned', async () => {
+        const path = join(directory, 'sessions');
+        const route = { from: 'Hamburg', to: 'Cologne' };
+        new FileSessionStorage(path).write('42', { selectedRoute: route });
+
+        const storage = await createSessionStorage('file', { path });
+
+        expect(await storage.read('42')).toEqual({ ...createInitialSession(), selectedRoute: route });
+    });
+
+    it('should keep the latest searches in the history', () => {
+        const session = createInitialSession();
+        for (let search = 1; search <= MAX_SEARCH_HISTORY + 5; search++) {
+            addSearchToHistory(session, { search });
+        }
+
+        expect(session.searchHistory).toHaveLength(MAX_SEARCH_HISTORY);
+        expect(session.searchHistory[0]).toEqual({ search: 6 });
+        expect(session.searchHistory[MAX_SEARCH_HISTORY - 1]).toEqual({ search: MAX_SEARCH_HISTORY + 5 });
+    });
+});
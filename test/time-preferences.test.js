@@ -5,6 +5,7 @@ import {
     TIME_CONSTRAINT_TYPES,
     parseTimeToMinutes,
     minutesToTimeString,
+    parseTimeWindow,
     timeMatchesPreference,
     arrivalMeetsConstraint,
     filterJourneysByTime
@@ -25,6 +26,19 @@ describe('Time Preferences', () => {
         });
     });
 
+    describe('parseTimeWindow', () => {
+        it('should parse and normalize valid windows', () => {
+            expect(parseTimeWindow('6:00-22:30')).toEqual({ start: '06:00', end: '22:30' });
+            expect(parseTimeWindow('00:00-23:59')).toEqual({ start: '00:00', end: '23:59' });
+        });
+
+        it('should reject malformed or reversed windows', () => {
+            expect(parseTimeWindow('22:00-06:00')).toBeNull();
+            expect(parseTimeWindow('06:00')).toBeNull();
+            expect(parseTimeWindow('morning')).toBeNull();
+        });
+    });
+
     describe('timeMatchesPreference', () => {
         it('should match early preference (04:00-07:59)', () => {
             expect(timeMatchesPreference(300, TIME_PREFERENCES.EARLY)).toBe(true); // 05:00
@@ -49,14 +63,14 @@ describe('Time Preferences', () => {
         const mockJourneys = [
             {
                 legs: [
-                    { plannedDeparture: '2025-08-15T06:30:00', departure: '2025-08-15T06:30:00' },
-                    { plannedArrival: '2025-08-15T10:30:00', arrival: '2025-08-15T10:30:00' }
+                    { plannedDeparture: '2025-08-15T06:30:00+02:00', departure: '2025-08-15T06:30:00+02:00' },
+                    { plannedArrival: '2025-08-15T10:30:00+02:00', arrival: '2025-08-15T10:30:00+02:00' }
                 ]
             },
             {
                 legs: [
-                    { plannedDeparture: '2025-08-15T14:30:00', departure: '2025-08-15T14:30:00' },
-                    { plannedArrival: '2025-08-15T18:30:00', arrival: '2025-08-15T18:30:00' }
+                    { plannedDeparture: '2025-08-15T14:30:00+02:00', departure: '2025-08-15T14:30:00+02:00' },
+                    { plannedArrival: '2025-08-15T18:30:00+02:00', arrival: '2025-08-15T18:30:00+02:00' }
                 ]
             }
         ];
@@ -65,14 +79,14 @@ describe('Time Preferences', () => {
             const preferences = { departurePreference: TIME_PREFERENCES.EARLY };
             const filtered = filterJourneysByTime(mockJourneys, preferences);
             expect(filtered).toHaveLength(1);
-            expect(filtered[0].legs[0].plannedDeparture).toBe('2025-08-15T06:30:00');
+            expect(filtered[0].legs[0].plannedDeparture).toBe('2025-08-15T06:30:00+02:00');
         });
 
         it('should filter journeys by afternoon preference', () => {
             const preferences = { departurePreference: TIME_PREFERENCES.AFTERNOON };
             const filtered = filterJourneysByTime(mockJourneys, preferences);
             expect(filtered).toHaveLength(1);
-            expect(filtered[0].legs[0].plannedDeparture).toBe('2025-08-15T14:30:00');
+            expect(filtered[0].legs[0].plannedDeparture).toBe('2025-08-15T14:30:00+02:00');
         });
     });
 });
\ No newline at end of file
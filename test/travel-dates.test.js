@@ -0,0 +1,87 @@
+// Test suite for Berlin travel dates - every case runs under several host time zones
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+    getBerlinDate,
+    getBerlinMinutes,
+    getBerlinToday,
+    parseCalendarDate,
+    addDays,
+    eachCalendarDate,
+    atBerlinTime
+} from '../src/travel-dates.js';
+import { formatDate, formatTime, validateDate } from '../src/journey-utils.js';
+import { TIME_PREFERENCES, filterJourneysByTime } from '../src/time-preferences.js';
+import { searchSameDayTrips } from '../src/journey-search.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+import { configureRequestLimiter } from '../src/error-handler.js';
+import { createFakeClient } from './helpers/fake-client.js';
+
+const HOST_TIME_ZONES = ['UTC', 'Europe/Berlin', 'America/Los_Angeles', 'Asia/Tokyo', 'Pacific/Kiritimati'];
+
+// An outbound train at 07:00 and a return train at 18:00 (Berlin time) every day
+function createDayTripClient() {
+    return createFakeClient(({ from }) => [from === '8011160'
+        ? { departure: '07:00', arrival: '10:30', price: 40 }
+        : { departure: '18:00', arrival: '21:30', price: 40 }]);
+}
+
+describe.each(HOST_TIME_ZONES)('Travel dates (host time zone %s)', (timeZone) => {
+    const hostTimeZone = process.env.TZ;
+
+    beforeAll(() => {
+        process.env.TZ = timeZone;
+    });
+
+    afterAll(() => {
+        if (hostTimeZone === undefined) delete process.env.TZ;
+        else process.env.TZ = hostTimeZone;
+    });
+
+    it('should keep calendar dates as the days that were entered', () => {
+        expect(parseCalendarDate('2025-8-5')).toBe('2025-08-05');
+        expect(parseCalendarDate('08-15', new Date('2025-06-01T12:00:00Z'))).toBe('2025-08-15');
+        expect(parseCalendarDate('2025-02-30')).toBeNull();
+        expect(formatDate('2025-08-15')).toBe('Fri, Aug 15, 2025');
+        expect(eachCalendarDate('2025-03-29', '2025-04-01')).toEqual(['2025-03-29', '2025-03-30', '2025-03-31', '2025-04-01']);
+        expect(addDays('2025-10-25', 2)).toBe('2025-10-27');
+        expect(validateDate('2000-01-01')).toBe('Date must be in the future');
+    });
+
+    it('should read instants on the Berlin wall clock', () => {
+        expect(atBerlinTime('2025-08-15', '06:00').toISOString()).toBe('2025-08-15T04:00:00.000Z');
+        expect(atBerlinTime('2025-01-15', '06:00').toISOString()).toBe('2025-01-15T05:00:00.000Z');
+        expect(atBerlinTime('2025-03-30', '12:00').toISOString()).toBe('2025-03-30T10:00:00.000Z');
+        expect(atBerlinTime('2025-10-26', '01:00').toISOString()).toBe('2025-10-25T23:00:00.000Z');
+        expect(getBerlinDate('2025-08-15T23:30:00Z')).toBe('2025-08-16');
+        expect(getBerlinMinutes('2025-08-15T04:30:00Z')).toBe(390);
+        expect(getBerlinToday(new Date('2025-12-31T23:30:00Z'))).toBe('2026-01-01');
+        expect(formatTime('2025-08-15T04:30:00Z')).toBe('06:30');
+    });
+
+    it('should evaluate time preferences in Berlin', () => {
+        const journey = (departure, arrival) => ({ legs: [{ plannedDeparture: departure, departure, plannedArrival: arrival, arrival }] });
+        const journeys = [
+            journey('2025-08-15T06:30:00+02:00', '2025-08-15T10:00:00+02:00'),
+            journey('2025-08-15T09:15:00+02:00', '2025-08-15T12:45:00+02:00')
+        ];
+
+        const filtered = filterJourneysByTime(journeys, { departurePreference: TIME_PREFERENCES.MORNING });
+
+        expect(filtered).toEqual([journeys[1]]);
+    });
+
+    it('should sweep and filter same-day trips by Berlin time', async () => {
+        configureRequestLimiter({ maxConcurrency: 2, maxRequestsPerSecond: 50 });
+        const client = createDayTripClient();
+
+        const results = await searchSameDayTrips(client, DEFAULT_CONFIG, '8011160', '8000261', '2025-08-15', '2025-08-15');
+
+        // The outbound sweep starts at Berlin midnight, the return sweep at 06:00
+        const departures = client.requests.map(request => request.options.departure.toISOString());
+        expect(departures).toContain('2025-08-14T22:00:00.000Z');
+        expect(departures).toContain('2025-08-15T04:00:00.000Z');
+        expect(results).toHaveLength(1);
+        expect(results[0].date).toBe('Fri, Aug 15, 2025');
+        expect(results[0].totalPrice).toBe(80);
+    });
+});